@@ -0,0 +1,27 @@
+// SafeGuard Pro - Module Loader for the App
+// The core and the storage and alert modules sw.js also imports are ES
+// modules; the app's classic scripts reach them as globals set here. Module
+// scripts run before DOMContentLoaded, when the app starts.
+import * as core from './core/index.js';
+import { SecureVault, VaultLockedError } from './secure-vault.js';
+import { EvidenceStore } from './evidence-store.js';
+import { Outbox } from './outbox.js';
+import { SosDispatcher } from './sos-dispatcher.js';
+import { SilentAlert } from './silent-alert.js';
+import { GuardianLink, GUARDIAN_DEFAULT_RELAY } from './guardian-link.js';
+import { ConnectPolicy } from './connect-policy.js';
+import { ServiceWorkerBridge, SW_MESSAGES } from './sw-bridge.js';
+
+Object.assign(self, core, {
+    SecureVault,
+    VaultLockedError,
+    EvidenceStore,
+    Outbox,
+    SosDispatcher,
+    SilentAlert,
+    GuardianLink,
+    GUARDIAN_DEFAULT_RELAY,
+    ConnectPolicy,
+    ServiceWorkerBridge,
+    SW_MESSAGES
+});
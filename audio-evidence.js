@@ -0,0 +1,221 @@
+// SafeGuard Pro - Audio Evidence
+// Records the microphone with MediaRecorder: on demand, automatically with
+// an SOS, and from a rolling pre-buffer so the seconds before the trigger
+// are in the clip too. Clips go onto the evidence chain like any other
+// record (encrypted, or into the sealed inbox while locked) with their
+// SHA-256, so the file handed to a court can be matched to the chain.
+const AUDIO_PREBUFFER_SECONDS = 30;
+const AUDIO_MAX_SECONDS = 5 * 60;
+const AUDIO_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+// Chunk length MediaRecorder hands back while a segment runs
+const AUDIO_TIMESLICE_MS = 1000;
+
+class AudioEvidence {
+    constructor(options = {}) {
+        // Stores the finished record; the app passes its own storeEvidence
+        this.save = options.save;
+        this.onChange = options.onChange || (() => {});
+        this.preBufferSeconds = options.preBufferSeconds || AUDIO_PREBUFFER_SECONDS;
+        this.maxSeconds = options.maxSeconds || AUDIO_MAX_SECONDS;
+        this.stream = null;
+        this.segments = [];
+        this.bufferTimer = null;
+        this.recording = null;
+    }
+
+    static get isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    static mimeType() {
+        return AUDIO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    static extension(type) {
+        if (/ogg/.test(type)) return 'ogg';
+        if (/mp4|aac/.test(type)) return 'm4a';
+        return 'webm';
+    }
+
+    get isBuffering() {
+        return this.bufferTimer !== null;
+    }
+
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    // Microphone
+
+    async openStream() {
+        if (!AudioEvidence.isSupported) throw new Error('Audio recording is not supported in this browser');
+        if (!this.stream) {
+            // Processing meant for calls can cut out distant or raised voices
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: true }
+            });
+        }
+        return this.stream;
+    }
+
+    // The microphone indicator goes off as soon as nothing needs it
+    releaseStream() {
+        if (!this.stream || this.isBuffering || this.isRecording) return;
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+
+    startSegment() {
+        const mimeType = AudioEvidence.mimeType();
+        const recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : {});
+        const segment = { recorder, chunks: [], startedAt: Date.now() };
+        recorder.ondataavailable = ({ data }) => {
+            if (data && data.size > 0) segment.chunks.push(data);
+        };
+        segment.stopped = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start(AUDIO_TIMESLICE_MS);
+        return segment;
+    }
+
+    static discard(segment) {
+        segment.recorder.ondataavailable = null;
+        if (segment.recorder.state !== 'inactive') segment.recorder.stop();
+        segment.chunks = [];
+    }
+
+    // Pre-buffer
+
+    // Only the first chunk of a recording carries the container header, so
+    // old chunks cannot simply be dropped from the front. Instead a fresh
+    // recorder starts every N seconds and the oldest beyond two is thrown
+    // away; the oldest one still running always holds N to 2N seconds.
+    async startBuffer() {
+        if (this.isBuffering) return;
+        await this.openStream();
+        if (!this.isRecording) this.segments = [this.startSegment()];
+        this.bufferTimer = setInterval(() => this.rotateBuffer(), this.preBufferSeconds * 1000);
+        this.onChange(this.status());
+    }
+
+    rotateBuffer() {
+        // A recording in progress holds the microphone; buffering resumes after it
+        if (this.isRecording) return;
+        this.segments.push(this.startSegment());
+        while (this.segments.length > 2) AudioEvidence.discard(this.segments.shift());
+    }
+
+    stopBuffer() {
+        clearInterval(this.bufferTimer);
+        this.bufferTimer = null;
+        this.segments.forEach(AudioEvidence.discard);
+        this.segments = [];
+        this.releaseStream();
+        this.onChange(this.status());
+    }
+
+    // Recording
+
+    async start({ trigger = 'manual', sosId = null, sender = null, maxSeconds = this.maxSeconds } = {}) {
+        if (this.isRecording) {
+            // A second trigger while recording (an SOS during a manual clip) is noted on the same clip
+            if (sosId && !this.recording.sosId) this.recording.sosId = sosId;
+            return this.recording;
+        }
+
+        await this.openStream();
+        const triggeredAt = Date.now();
+        let segment;
+        if (this.segments.length > 0) {
+            // The oldest buffered recorder becomes the clip; the rest are not needed
+            segment = this.segments.shift();
+            this.segments.forEach(AudioEvidence.discard);
+            this.segments = [];
+        } else {
+            segment = this.startSegment();
+        }
+
+        this.recording = {
+            segment,
+            trigger,
+            sosId,
+            sender,
+            triggeredAt,
+            timer: setTimeout(() => {
+                this.stop().catch(error => console.error('Failed to save audio evidence:', error));
+            }, maxSeconds * 1000)
+        };
+        this.onChange(this.status());
+        return this.recording;
+    }
+
+    async stop() {
+        if (!this.isRecording) return null;
+        const { segment, trigger, sosId, sender, triggeredAt, timer } = this.recording;
+        clearTimeout(timer);
+        this.recording = null;
+
+        if (segment.recorder.state !== 'inactive') segment.recorder.stop();
+        await segment.stopped;
+        const endedAt = Date.now();
+
+        if (this.isBuffering) {
+            this.segments = [this.startSegment()];
+        } else {
+            this.releaseStream();
+        }
+
+        const blob = new Blob(segment.chunks, { type: segment.recorder.mimeType || AudioEvidence.mimeType() || 'audio/webm' });
+        const record = await AudioEvidence.buildRecord(blob, {
+            trigger,
+            sosId,
+            sender,
+            startedAt: segment.startedAt,
+            triggeredAt,
+            endedAt
+        });
+        const stored = await this.save(record);
+        this.onChange(this.status());
+        return stored && typeof stored === 'object' ? stored : record;
+    }
+
+    static async buildRecord(blob, { trigger, sosId, sender, startedAt, triggeredAt, endedAt }) {
+        const bytes = await blob.arrayBuffer();
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const iso = time => new Date(time).toISOString();
+
+        return {
+            type: 'audio',
+            source: trigger,
+            sender: sender || 'unknown',
+            // SOS and threat clips are kept past the retention limits
+            severity: trigger === 'manual' ? 'medium' : 'high',
+            sosId: sosId || undefined,
+            audio: {
+                type: blob.type,
+                size: blob.size,
+                sha256: Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join(''),
+                data: SecureVault.toBase64(bytes),
+                duration: Math.round((endedAt - startedAt) / 1000),
+                preBuffered: Math.round((triggeredAt - startedAt) / 1000)
+            },
+            startedAt: iso(startedAt),
+            triggeredAt: iso(triggeredAt),
+            endedAt: iso(endedAt),
+            timestamp: iso(triggeredAt)
+        };
+    }
+
+    static dataUrl(audio) {
+        return `data:${audio.type};base64,${audio.data}`;
+    }
+
+    status() {
+        return {
+            buffering: this.isBuffering,
+            recording: this.isRecording,
+            trigger: this.recording ? this.recording.trigger : null,
+            since: this.recording ? this.recording.segment.startedAt : null
+        };
+    }
+}
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// SafeGuard Pro - Extension Build
+// The extension scores with the app's own core, but a browser only loads
+// files inside the extension's folder. This copies extension/ (without its
+// fixtures), core/ and the bundled classifier model into dist/extension,
+// which is the folder to load unpacked or zip for a store.
+import { cp, mkdir, rm } from 'node:fs/promises';
+import { basename } from 'node:path';
+
+const root = new URL('../', import.meta.url);
+const target = new URL('dist/extension/', root);
+
+await rm(target, { recursive: true, force: true });
+await mkdir(target, { recursive: true });
+await cp(new URL('extension/', root), target, {
+    recursive: true,
+    filter: source => basename(source) !== 'fixtures'
+});
+await cp(new URL('core/', root), new URL('core/', target), { recursive: true });
+await cp(new URL('models/threat-classifier.json', root), new URL('models/threat-classifier.json', target));
+
+process.stdout.write(`Extension written to ${target.pathname}\n`);
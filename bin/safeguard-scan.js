@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// SafeGuard Pro - Batch Scanner CLI
+// Scores chat exports or text files with the same core as the app and
+// prints one result per message as JSON or CSV. Nothing leaves the machine.
+// Exit codes: 0 nothing scored above the threshold, 1 at least one message
+// did, 2 the input or the options could not be used.
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { ChatParser, ThreatScanner, SCAN_DEFAULT_THRESHOLD, CLASSIFIER_DEFAULT_WEIGHT } from '../core/index.js';
+
+const BUNDLED_MODEL = new URL('../models/threat-classifier.json', import.meta.url);
+const EXIT_CLEAR = 0;
+const EXIT_THREATS = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: safeguard-scan [options] <file>... ("-" reads standard input)
+
+Scores WhatsApp (.txt/.zip), Telegram and Instagram (.json) and SMS Backup &
+Restore (.xml) exports. Other text files are read one message per line.
+
+Options:
+  -f, --format <json|csv>   output format (default: json)
+  -t, --threshold <0-1>     score above which a message counts as a threat (default: ${SCAN_DEFAULT_THRESHOLD})
+  -s, --self <name>         a sender who is the user; their messages are not scored (repeatable)
+  -c, --classifier          also run the bundled on-device classifier
+  -m, --model <file>        run this classifier model instead of the bundled one
+  -w, --weight <0-1>        how much the classifier counts (default: ${CLASSIFIER_DEFAULT_WEIGHT})
+      --plain               read every file as plain text, one message per line
+      --only-threats        list only the messages above the threshold
+  -o, --output <file>       write to a file instead of standard output
+  -h, --help                show this help
+
+Exit status: ${EXIT_CLEAR} nothing above the threshold, ${EXIT_THREATS} threats found, ${EXIT_ERROR} error.
+`;
+
+class UsageError extends Error {}
+
+function options(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f', default: 'json' },
+            threshold: { type: 'string', short: 't', default: String(SCAN_DEFAULT_THRESHOLD) },
+            self: { type: 'string', short: 's', multiple: true, default: [] },
+            classifier: { type: 'boolean', short: 'c', default: false },
+            model: { type: 'string', short: 'm' },
+            weight: { type: 'string', short: 'w', default: String(CLASSIFIER_DEFAULT_WEIGHT) },
+            plain: { type: 'boolean', default: false },
+            'only-threats': { type: 'boolean', default: false },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const fraction = (name) => {
+        const value = Number(values[name]);
+        if (values[name] === '' || !(value >= 0 && value <= 1)) throw new UsageError(`--${name} must be a number from 0 to 1`);
+        return value;
+    };
+    if (!['json', 'csv'].includes(values.format)) throw new UsageError('--format must be json or csv');
+    if (!values.help && positionals.length === 0) throw new UsageError('No input file given');
+
+    return {
+        ...values,
+        threshold: fraction('threshold'),
+        weight: fraction('weight'),
+        files: positionals
+    };
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// ChatParser reads the same File objects the browser hands the app
+async function readInput(path) {
+    if (path === '-') return new File([await readStdin()], 'stdin.txt', { lastModified: Date.now() });
+    const [bytes, info] = await Promise.all([readFile(path), stat(path)]);
+    return new File([bytes], basename(path), { lastModified: info.mtimeMs });
+}
+
+async function loadModel({ classifier, model }) {
+    if (!classifier && !model) return null;
+    try {
+        return JSON.parse(await readFile(model || BUNDLED_MODEL, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not load the classifier model: ${error.message}`);
+    }
+}
+
+async function main(argv) {
+    const settings = options(argv);
+    if (settings.help) {
+        process.stdout.write(USAGE);
+        return EXIT_CLEAR;
+    }
+
+    const scanner = new ThreatScanner({
+        model: await loadModel(settings),
+        weight: settings.weight,
+        threshold: settings.threshold,
+        self: settings.self
+    });
+
+    const files = [];
+    for (const path of settings.files) {
+        let parsed;
+        try {
+            parsed = await ChatParser.parseFile(await readInput(path), { plainText: settings.plain || 'fallback' });
+        } catch (error) {
+            throw new UsageError(`${path}: ${error.message}`);
+        }
+        files.push(scanner.scan(parsed));
+    }
+
+    const report = scanner.report(files);
+    if (settings['only-threats']) {
+        report.files.forEach(file => { file.messages = file.messages.filter(message => message.threat); });
+    }
+
+    const output = settings.format === 'csv' ? ThreatScanner.toCsv(report) : ThreatScanner.toJson(report);
+    if (settings.output) {
+        await writeFile(settings.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    const { summary } = report;
+    process.stderr.write(`${summary.scanned} of ${summary.total} messages scored, ${summary.threats} above ${settings.threshold}` +
+        (summary.undated ? `; ${summary.undated} entries without a date left out` : '') + '\n');
+    return summary.threats > 0 ? EXIT_THREATS : EXIT_CLEAR;
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+        process.stderr.write(`safeguard-scan: ${error.message}\n`);
+        if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') process.stderr.write('Try safeguard-scan --help\n');
+        process.exitCode = EXIT_ERROR;
+    });
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// SafeGuard Pro - OCR Assets
+// The screenshot reader runs Tesseract.js, which the app serves itself
+// instead of loading it from a CDN. This copies the pinned engine, its
+// worker, the LSTM cores (with and without SIMD) and the English and Hindi
+// language data from node_modules into vendor/tesseract, where
+// screenshot-intake.js and sw.js expect them.
+import { copyFile, mkdir, rm } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const packageDir = name => dirname(require.resolve(`${name}/package.json`));
+const target = fileURLToPath(new URL('../vendor/tesseract/', import.meta.url));
+
+// [package, file inside it, name in vendor/tesseract]
+const OCR_FILES = [
+    ['tesseract.js', 'dist/tesseract.min.js'],
+    ['tesseract.js', 'dist/tesseract.min.js.LICENSE.txt'],
+    ['tesseract.js', 'dist/worker.min.js'],
+    ['tesseract.js', 'dist/worker.min.js.LICENSE.txt'],
+    ['tesseract.js-core', 'tesseract-core-lstm.wasm.js'],
+    ['tesseract.js-core', 'tesseract-core-simd-lstm.wasm.js'],
+    ['tesseract.js-core', 'LICENSE', 'tesseract-core.LICENSE.txt'],
+    // The "best_int" models are the ones Tesseract.js picks for the LSTM engine
+    ['@tesseract.js-data/eng', '4.0.0_best_int/eng.traineddata.gz'],
+    ['@tesseract.js-data/hin', '4.0.0_best_int/hin.traineddata.gz']
+];
+
+await rm(target, { recursive: true, force: true });
+await mkdir(target, { recursive: true });
+for (const [name, file, as] of OCR_FILES) {
+    await copyFile(join(packageDir(name), file), join(target, as || file.split('/').pop()));
+}
+
+process.stdout.write(`OCR assets written to ${target}\n`);
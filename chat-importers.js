@@ -0,0 +1,135 @@
+// SafeGuard Pro - Chat Export Importers
+// Runs parsed chats (see core/chat-parser.js) through the scorer in
+// batches, filling the evidence store and per-sender history.
+class ChatImporter {
+    constructor(options = {}) {
+        this.engine = options.engine;
+        this.store = options.store;
+        this.tracker = options.tracker;
+        this.threshold = options.threshold || 0.7;
+        // Optional ThreatClassifier; without it only the rules score
+        this.classifier = options.classifier || null;
+        this.batchSize = options.batchSize || 250;
+        this.onProgress = options.onProgress || (() => {});
+    }
+
+    // Scoring and storage
+
+    // One rule analysis per incoming message (null for the user's own), with
+    // the classifier's opinion folded in when it is available
+    async analyzeBatch(batch, self) {
+        const analyses = batch.map(message =>
+            (message.direction === 'outgoing' || self.includes(message.sender) ? null : this.engine.analyze(message.text)));
+        if (!this.classifier) return analyses;
+
+        const scored = analyses.filter(Boolean);
+        try {
+            const predictions = await this.classifier.classifyMany(scored.map(analysis => analysis.normalized));
+            let next = 0;
+            return analyses.map(analysis =>
+                analysis && ThreatModel.combine(analysis, predictions[next++], this.classifier.settings.weight));
+        } catch (error) {
+            console.error('Classifier unavailable, importing with the rules only:', error);
+            this.classifier = null;
+            return analyses;
+        }
+    }
+
+    async run(parsed, { self = [] } = {}) {
+        const history = (await this.store.getSetting('chatImports')) || [];
+        const previous = history.find(entry => entry.fileHash === parsed.fileHash);
+        if (previous) {
+            throw new Error(`This file was already imported on ${new Date(previous.importedAt).toLocaleDateString()}`);
+        }
+
+        const messages = parsed.conversations
+            .flatMap(conversation => conversation.messages)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const summary = {
+            importId: `imp_${Date.now().toString(36)}`,
+            format: parsed.format,
+            fileName: parsed.fileName,
+            fileHash: parsed.fileHash,
+            importedAt: new Date().toISOString(),
+            conversations: parsed.conversations.length,
+            total: messages.length,
+            undated: parsed.undated || 0,
+            scanned: 0,
+            outgoing: 0,
+            duplicates: 0,
+            threats: 0,
+            escalations: 0,
+            from: messages[0].timestamp,
+            to: messages[messages.length - 1].timestamp
+        };
+        const touched = new Set();
+
+        for (let start = 0; start < messages.length; start += this.batchSize) {
+            const evidence = [];
+            const batch = messages.slice(start, start + this.batchSize);
+            const analyses = await this.analyzeBatch(batch, self);
+
+            batch.forEach((message, index) => {
+                // The user's own messages are counted but never scored as threats against them
+                if (!analyses[index]) {
+                    summary.outgoing++;
+                    return;
+                }
+
+                const analysis = analyses[index];
+                const { profile, alert, duplicate } = this.tracker.record({
+                    sender: message.sender,
+                    conversation: message.conversation,
+                    analysis,
+                    timestamp: message.timestamp
+                }, { persist: false, skipDuplicates: true });
+
+                // Overlapping exports of the same chat must not count a message twice
+                if (duplicate) {
+                    summary.duplicates++;
+                    return;
+                }
+                summary.scanned++;
+                touched.add(profile.id);
+
+                if (analysis.score > this.threshold) {
+                    summary.threats++;
+                    evidence.push({
+                        type: 'message',
+                        content: message.text,
+                        source: `import:${parsed.format}`,
+                        sender: message.sender,
+                        conversation: message.conversation,
+                        threatLevel: analysis.score,
+                        analysis: ThreatEngine.evidenceView(analysis),
+                        attachments: message.attachments,
+                        importId: summary.importId,
+                        timestamp: message.timestamp
+                    });
+                }
+
+                if (alert) {
+                    summary.escalations++;
+                    evidence.push({
+                        ...alert,
+                        type: 'escalation',
+                        source: 'escalation-tracker',
+                        threatLevel: alert.level,
+                        importId: summary.importId
+                    });
+                }
+            });
+
+            if (evidence.length > 0) await this.store.addMany(evidence);
+            this.onProgress({ done: Math.min(start + this.batchSize, messages.length), total: messages.length, summary });
+
+            // Let the page repaint between batches
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        await this.tracker.saveProfiles([...touched]);
+        history.push(summary);
+        await this.store.setSetting('chatImports', history);
+        return summary;
+    }
+}
@@ -0,0 +1,248 @@
+// SafeGuard Pro - Classifier Benchmark
+// Reports precision and recall for the rules alone, the model alone and the
+// two combined, on the held-out half of the labeled corpus in
+// models/threat-corpus.json. Also retrains the model from the training half,
+// so the shipped weights can be reproduced. Drives benchmark.html; nothing is
+// uploaded, everything runs in the page.
+const BENCHMARK_CORPUS_URL = '/models/threat-corpus.json';
+const BENCHMARK_TRAINING_DEFAULTS = {
+    buckets: 1 << 15,
+    charNgram: 3,
+    epochs: 20,
+    learningRate: 0.5,
+    l2: 0.001,
+    seed: 7,
+    // Weights smaller than this are dropped from the shipped file
+    prune: 0.005
+};
+
+class ClassifierBenchmark {
+    constructor(options = {}) {
+        this.engine = options.engine || new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+        this.output = options.output || document.getElementById('benchmarkResults');
+        this.corpus = null;
+        this.model = null;
+    }
+
+    async loadCorpus() {
+        if (!this.corpus) this.corpus = await (await fetch(BENCHMARK_CORPUS_URL)).json();
+        return this.corpus;
+    }
+
+    async loadModel() {
+        if (!this.model) this.model = await (await fetch(CLASSIFIER_MODEL_URL)).json();
+        return this.model;
+    }
+
+    // Training
+
+    // Seeded, so the same corpus always produces the same weights
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Plain SGD on one logistic regression per label, over ThreatModel.features
+    static train(examples, { labels, normalize, version, ...overrides }) {
+        const options = { ...BENCHMARK_TRAINING_DEFAULTS, ...overrides };
+        const shape = { buckets: options.buckets, charNgram: options.charNgram };
+        const rows = examples.map(example => ({
+            features: ThreatModel.features(normalize(example.text), shape),
+            targets: labels.map(label => (example.labels.includes(label) ? 1 : 0))
+        }));
+        const weights = new Map();
+        const bias = labels.map(() => 0);
+        const random = ClassifierBenchmark.random(options.seed);
+        // Each label has far fewer positives than negatives; weighting them up
+        // keeps 50% a sensible cut-off instead of leaving the model timid
+        const positiveWeight = labels.map((label, labelIndex) => {
+            const positives = rows.filter(row => row.targets[labelIndex] === 1).length;
+            return positives ? (rows.length - positives) / positives : 1;
+        });
+        const order = rows.map((row, index) => index);
+
+        for (let epoch = 0; epoch < options.epochs; epoch++) {
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            const rate = options.learningRate / (1 + epoch * 0.1);
+
+            order.forEach(index => {
+                const { features, targets } = rows[index];
+                labels.forEach((label, labelIndex) => {
+                    let sum = bias[labelIndex];
+                    features.forEach(([bucket, value]) => {
+                        const row = weights.get(bucket);
+                        if (row) sum += row[labelIndex] * value;
+                    });
+                    const error = (1 / (1 + Math.exp(-sum)) - targets[labelIndex]) *
+                        (targets[labelIndex] ? positiveWeight[labelIndex] : 1);
+
+                    bias[labelIndex] -= rate * error;
+                    features.forEach(([bucket, value]) => {
+                        if (!weights.has(bucket)) weights.set(bucket, labels.map(() => 0));
+                        const row = weights.get(bucket);
+                        row[labelIndex] -= rate * (error * value + options.l2 * row[labelIndex]);
+                    });
+                });
+            });
+        }
+
+        const round = value => Math.round(value * 1000) / 1000;
+        const kept = {};
+        [...weights.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .forEach(([bucket, row]) => {
+                if (row.some(value => Math.abs(value) >= options.prune)) kept[bucket] = row.map(round);
+            });
+
+        return {
+            version: version || `trained-${new Date().toISOString().slice(0, 10)}`,
+            labels,
+            buckets: options.buckets,
+            charNgram: options.charNgram,
+            training: { examples: examples.length, epochs: options.epochs, seed: options.seed },
+            bias: bias.map(round),
+            weights: kept
+        };
+    }
+
+    // Scoring
+
+    static metrics(outcomes) {
+        const count = test => outcomes.filter(test).length;
+        const tp = count(o => o.actual && o.predicted);
+        const fp = count(o => !o.actual && o.predicted);
+        const fn = count(o => o.actual && !o.predicted);
+        const precision = tp + fp ? tp / (tp + fp) : 0;
+        const recall = tp + fn ? tp / (tp + fn) : 0;
+        return {
+            tp,
+            fp,
+            fn,
+            tn: outcomes.length - tp - fp - fn,
+            precision,
+            recall,
+            f1: precision + recall ? 2 * precision * recall / (precision + recall) : 0
+        };
+    }
+
+    // Overall "is this a threat" plus each category, for rules, model and both
+    static evaluate({ engine, model, examples, labels, threshold = 0.7, weight = CLASSIFIER_DEFAULT_WEIGHT }) {
+        const scored = examples.map(example => {
+            const rules = engine.analyze(example.text);
+            const prediction = ThreatModel.predict(model, rules.normalized);
+            return {
+                example,
+                results: {
+                    rules,
+                    model: { score: prediction.score, categories: prediction.categories },
+                    combined: ThreatModel.combine(rules, prediction, weight)
+                }
+            };
+        });
+
+        const report = {};
+        ['rules', 'model', 'combined'].forEach(method => {
+            // The model's own probabilities are not weighted, so it is judged at 50%
+            const cutoff = method === 'model' ? 0.5 : threshold;
+            report[method] = {
+                overall: ClassifierBenchmark.metrics(scored.map(({ example, results }) => ({
+                    actual: example.labels.length > 0,
+                    predicted: results[method].score > cutoff
+                }))),
+                categories: Object.fromEntries(labels.map(label => [label, ClassifierBenchmark.metrics(scored.map(({ example, results }) => ({
+                    actual: example.labels.includes(label),
+                    predicted: results[method].score > cutoff && ThreatEngine.topCategory(results[method])[0] === label
+                })))]))
+            };
+        });
+
+        report.misses = scored
+            .filter(({ example, results }) => (example.labels.length > 0) !== (results.combined.score > threshold))
+            .map(({ example, results }) => ({ text: example.text, labels: example.labels, score: results.combined.score }));
+        return report;
+    }
+
+    // Page
+
+    async run() {
+        const threshold = Number(document.getElementById('benchmarkThreshold').value) / 100;
+        SafeHtml.render(this.output, html`<p>Running…</p>`);
+        try {
+            const [corpus, model] = await Promise.all([this.loadCorpus(), this.loadModel()]);
+            const started = performance.now();
+            const report = ClassifierBenchmark.evaluate({
+                engine: this.engine,
+                model,
+                examples: corpus.test,
+                labels: corpus.labels,
+                threshold
+            });
+            this.render(report, corpus, model, performance.now() - started);
+        } catch (error) {
+            SafeHtml.render(this.output, html`<p class="form-error">${error.message}</p>`);
+        }
+    }
+
+    async retrain() {
+        const corpus = await this.loadCorpus();
+        this.model = ClassifierBenchmark.train(corpus.train, {
+            labels: corpus.labels,
+            normalize: text => this.engine.analyze(text).normalized
+        });
+
+        const blob = new Blob([JSON.stringify(this.model)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'threat-classifier.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        await this.run();
+    }
+
+    render(report, corpus, model, elapsed) {
+        const percent = value => `${Math.round(value * 1000) / 10}%`;
+        const row = (name, metrics) => html`
+            <tr>
+                <td>${name}</td>
+                <td>${percent(metrics.precision)}</td>
+                <td>${percent(metrics.recall)}</td>
+                <td>${percent(metrics.f1)}</td>
+                <td>${metrics.tp} / ${metrics.fp} / ${metrics.fn} / ${metrics.tn}</td>
+            </tr>`;
+        const table = (title, pick) => html`
+            <h3>${title}</h3>
+            <table class="benchmark-table">
+                <tr><th></th><th>Precision</th><th>Recall</th><th>F1</th><th>TP / FP / FN / TN</th></tr>
+                ${row('Rules', pick(report.rules))}
+                ${row('Model', pick(report.model))}
+                ${row('Rules + model', pick(report.combined))}
+            </table>`;
+
+        SafeHtml.render(this.output, html`
+            <p>${corpus.test.length} held-out messages, model ${model.version}, ${Math.round(elapsed)} ms</p>
+            ${table('Threat or not', method => method.overall)}
+            ${corpus.labels.map(label => table(label, method => method.categories[label]))}
+            <h3>Combined mistakes</h3>
+            <ul>
+                ${report.misses.length === 0 ? html`<li>None</li>` : report.misses.map(miss => html`
+                    <li>${miss.text} (${miss.labels.join(', ') || 'harmless'}, scored ${percent(miss.score)})</li>
+                `)}
+            </ul>
+        `);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const benchmark = new ClassifierBenchmark();
+    document.getElementById('runBenchmark').addEventListener('click', () => benchmark.run());
+    document.getElementById('retrainClassifier').addEventListener('click', () => benchmark.retrain());
+});
@@ -0,0 +1,43 @@
+// SafeGuard Pro - Classifier Worker
+// Runs ThreatModel off the main thread. The model is fetched from the
+// app's own origin on the first request and kept for the worker's lifetime.
+import { ThreatModel, CLASSIFIER_MODEL_URL } from './core/threat-model.js';
+
+let modelPromise = null;
+
+function loadModel() {
+    if (!modelPromise) {
+        modelPromise = fetch(CLASSIFIER_MODEL_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Model not available (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                // Let the next request try again, e.g. once back online
+                modelPromise = null;
+                throw error;
+            });
+    }
+    return modelPromise;
+}
+
+const handlers = {
+    load: async () => {
+        const model = await loadModel();
+        return { version: model.version, labels: model.labels };
+    },
+    classify: async ({ texts }) => {
+        const model = await loadModel();
+        return texts.map(text => ThreatModel.predict(model, text));
+    }
+};
+
+self.addEventListener('message', async ({ data }) => {
+    const { id, type, payload } = data || {};
+    try {
+        if (!handlers[type]) throw new Error(`Unknown classifier request: ${type}`);
+        self.postMessage({ id, result: await handlers[type](payload || {}) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
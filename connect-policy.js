@@ -0,0 +1,48 @@
+// SafeGuard Pro - Connection Policy
+// The CSP in index.html and guardian.html has to let the page reach any
+// HTTPS host, because a relay or an alert address can be anywhere. Once a
+// page knows which ones the user configured, it adds a second policy that
+// names only those origins; the browser enforces both, so nothing else can
+// be reached. A policy can never be widened after it is added, so a newly
+// configured origin only becomes reachable after a reload.
+// The app keeps its origins in a device-key setting, readable before unlocking.
+const CONNECT_SETTING = 'connectOrigins';
+
+export class ConnectPolicy {
+    // http(s) origin of a URL, or null
+    static origin(url) {
+        try {
+            const parsed = new URL(url);
+            return /^https?:$/.test(parsed.protocol) ? parsed.origin : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static origins(urls) {
+        return [...new Set(urls.map(ConnectPolicy.origin).filter(Boolean))].sort();
+    }
+
+    // Applies the stored origins and returns them, or null when none are
+    // stored yet: until an unlock has worked them out the static policy applies
+    static async load(store, doc = document) {
+        const origins = await store.getSetting(CONNECT_SETTING);
+        if (!origins) return null;
+        ConnectPolicy.apply(origins, doc);
+        return origins;
+    }
+
+    static async save(store, urls) {
+        const origins = ConnectPolicy.origins(urls);
+        await store.setSetting(CONNECT_SETTING, origins);
+        return origins;
+    }
+
+    // Before anything connects; the page's own origin stays allowed
+    static apply(origins, doc = document) {
+        const meta = doc.createElement('meta');
+        meta.setAttribute('http-equiv', 'Content-Security-Policy');
+        meta.setAttribute('content', ["connect-src 'self'", ...origins].join(' '));
+        doc.head.appendChild(meta);
+    }
+}
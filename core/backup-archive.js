@@ -0,0 +1,138 @@
+// SafeGuard Pro - Backup Archives
+// A backup is one JSON file: a short readable header and the whole backup,
+// gzipped where the platform can, sealed with AES-GCM under a key derived
+// from the user's passphrase (PBKDF2-SHA256). The header is bound in as
+// associated data, so a wrong passphrase, a damaged file and an edited
+// header all fail the same way. Opening also re-checks the evidence chain
+// and every photo and audio clip inside, since a backup may have been
+// made from a browser profile that was already tampered with.
+import { EvidenceChain } from './evidence-chain.js';
+
+export const BACKUP_FORMAT = 'safeguard-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_KDF_ITERATIONS = 600000;
+const BACKUP_MIN_PASSPHRASE = 10;
+
+export class BackupArchive {
+    static assertPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < BACKUP_MIN_PASSPHRASE) {
+            throw new Error(`Backup passphrase must be at least ${BACKUP_MIN_PASSPHRASE} characters`);
+        }
+    }
+
+    // Keys
+
+    // Returned as plain data so automatic backups can keep it in an encrypted setting
+    static async createKey(passphrase) {
+        BackupArchive.assertPassphrase(passphrase);
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        return BackupArchive.deriveKey(passphrase, {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: BACKUP_KDF_ITERATIONS,
+            salt: BackupArchive.toBase64(salt)
+        });
+    }
+
+    static async deriveKey(passphrase, kdf) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: kdf.hash, salt: BackupArchive.fromBase64(kdf.salt), iterations: kdf.iterations },
+            material,
+            256
+        );
+        return { kdf, key: BackupArchive.toBase64(bits) };
+    }
+
+    static importKey(backupKey) {
+        return crypto.subtle.importKey('raw', BackupArchive.fromBase64(backupKey.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    // Sealing
+
+    static header(archive) {
+        const { format, version, createdAt, kdf, compression } = archive;
+        return new TextEncoder().encode(EvidenceChain.canonicalize({ format, version, createdAt, kdf, compression }));
+    }
+
+    static async seal(contents, backupKey) {
+        const compression = typeof CompressionStream === 'undefined' ? 'none' : 'gzip';
+        const archive = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            kdf: backupKey.kdf,
+            compression
+        };
+
+        let bytes = new TextEncoder().encode(JSON.stringify(contents));
+        if (compression === 'gzip') bytes = await BackupArchive.pipe(bytes, new CompressionStream('gzip'));
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: BackupArchive.header(archive) },
+            await BackupArchive.importKey(backupKey),
+            bytes
+        );
+        return { ...archive, iv: BackupArchive.toBase64(iv), data: BackupArchive.toBase64(data) };
+    }
+
+    static async open(archive, passphrase) {
+        if (!archive || archive.format !== BACKUP_FORMAT) throw new Error('Not a SafeGuard backup');
+        if (archive.version !== BACKUP_VERSION) throw new Error('This backup was made by a newer version of SafeGuard Pro');
+
+        let bytes;
+        try {
+            const backupKey = await BackupArchive.deriveKey(passphrase, archive.kdf);
+            bytes = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: BackupArchive.fromBase64(archive.iv), additionalData: BackupArchive.header(archive) },
+                await BackupArchive.importKey(backupKey),
+                BackupArchive.fromBase64(archive.data)
+            );
+        } catch (error) {
+            // AES-GCM cannot tell a wrong passphrase from a modified file
+            throw new Error('Wrong passphrase, or the backup file was damaged or changed');
+        }
+
+        if (archive.compression === 'gzip') bytes = await BackupArchive.pipe(bytes, new DecompressionStream('gzip'));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    static async pipe(bytes, transform) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+    }
+
+    // Integrity
+
+    // The chain as it was on the old device, plus each attachment against the hash in its record
+    static async verify(contents) {
+        const records = (contents.evidence && contents.evidence.records) || [];
+        const result = await EvidenceChain.verify(records, contents.evidence ? contents.evidence.head : null);
+        const problems = [...result.problems];
+
+        for (const record of records) {
+            const media = record.image || record.audio;
+            if (!media) continue;
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', BackupArchive.fromBase64(media.data || '')));
+            const sha256 = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+            if (sha256 !== media.sha256) {
+                problems.push({ seq: record.seq, id: record.id, problem: 'media', detail: 'Attachment does not match its recorded SHA-256' });
+            }
+        }
+
+        return { valid: problems.length === 0, checked: result.checked, problems };
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
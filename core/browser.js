@@ -0,0 +1,7 @@
+// SafeGuard Pro - Scoring Core for Classic Scripts
+// Pages built from classic scripts (benchmark.html) load this module to
+// get the core as globals. Module scripts run before DOMContentLoaded, so
+// the globals are there by the time the page sets itself up.
+import * as core from './index.js';
+
+Object.assign(self, core);
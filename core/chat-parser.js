@@ -0,0 +1,406 @@
+// SafeGuard Pro - Chat Export Parsers
+// Turns exported chats into one message model:
+//   { sender, timestamp, text, attachments, conversation, direction }
+// Messages without a usable date (service entries, damaged rows) are left
+// out and counted as `undated`, per conversation and for the whole file.
+// WhatsApp .zip exports are opened with ZipReader. Nothing here needs the
+// DOM, so the page and the command line read exports the same way.
+import { ZipReader } from './zip-reader.js';
+
+export const IMPORT_FORMATS = {
+    whatsapp: 'WhatsApp chat export',
+    telegram: 'Telegram JSON export',
+    instagram: 'Instagram messages JSON',
+    sms: 'SMS Backup & Restore XML',
+    text: 'Plain text, one message per line'
+};
+
+const ATTACHMENT_TYPES = [
+    ['image', /\.(jpe?g|png|gif|webp|heic)$/i],
+    ['video', /\.(mp4|3gp|mov|webm|mkv)$/i],
+    ['audio', /\.(opus|ogg|m4a|mp3|aac|amr|wav)$/i],
+    ['sticker', /\.was$/i]
+];
+
+// WhatsApp line headers, Android ("12/03/24, 9:15 pm - ") and iOS ("[12/03/24, 9:15:32 PM] ")
+const WHATSAPP_ANDROID_LINE = /^(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?)\s*([ap]\.?\s?m\.?)?\s+[-\u2013]\s+([\s\S]*)$/i;
+const WHATSAPP_IOS_LINE = /^\[(\d{1,4}[./-]\d{1,2}[./-]\d{1,4}),?\s+(\d{1,2}[:.]\d{2}(?:[:.]\d{2})?)\s*([ap]\.?\s?m\.?)?\]\s+([\s\S]*)$/i;
+const WHATSAPP_OMITTED = /^<?(media|image|video|audio|sticker|document|gif|contact card)\s+omitted>?$/i;
+
+export class ChatParser {
+    // Reading and format detection
+
+    // plainText: true reads any text file one message per line, 'fallback'
+    // only when it is not a WhatsApp export; the app itself never does
+    static async parseFile(file, { plainText = false } = {}) {
+        const bytes = await file.arrayBuffer();
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const fileHash = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+        const name = file.name || 'chat';
+        let parsed;
+
+        if (await ZipReader.isZip(file)) {
+            parsed = await ChatParser.parseWhatsAppZip(file, name);
+        } else {
+            const text = new TextDecoder().decode(bytes).replace(/^\ufeff/, '');
+            const trimmed = text.trimStart();
+
+            if (plainText === true) {
+                parsed = ChatParser.parsePlainText(text, name, file.lastModified);
+            } else if (/\.xml$/i.test(name) || trimmed.startsWith('<?xml') || trimmed.startsWith('<smses')) {
+                parsed = { format: 'sms', conversations: ChatParser.parseSmsBackup(text) };
+            } else if (/\.json$/i.test(name) || trimmed.startsWith('{')) {
+                parsed = ChatParser.parseJson(JSON.parse(text));
+            } else {
+                parsed = { format: 'whatsapp', conversations: [ChatParser.parseWhatsApp(text, ChatParser.titleFromFileName(name))] };
+                if (parsed.conversations[0].messages.length === 0 && plainText === 'fallback') {
+                    parsed = ChatParser.parsePlainText(text, name, file.lastModified);
+                }
+            }
+        }
+
+        const messages = parsed.conversations.flatMap(conversation => conversation.messages);
+        if (messages.length === 0) throw new Error(`No messages found in ${name}`);
+        const undated = parsed.conversations.reduce((total, conversation) => total + (conversation.undated || 0), 0);
+
+        return { ...parsed, fileName: name, fileHash, messageCount: messages.length, undated };
+    }
+
+    static parseJson(json) {
+        const sample = (json.messages || []).find(Boolean) ||
+            (json.chats && json.chats.list && json.chats.list.length ? {} : null);
+
+        if (sample && 'sender_name' in sample) {
+            return { format: 'instagram', conversations: [ChatParser.parseInstagram(json)] };
+        }
+        if (json.chats || (sample && ('from' in sample || 'date' in sample))) {
+            return { format: 'telegram', conversations: ChatParser.parseTelegram(json) };
+        }
+        throw new Error('Unrecognised JSON export. Telegram and Instagram exports are supported.');
+    }
+
+    static titleFromFileName(name) {
+        const match = name.match(/WhatsApp Chat (?:with|-)\s*(.+?)(?:\.txt|\.zip)?$/i);
+        return match ? match[1].trim() : name.replace(/\.[^.]+$/, '');
+    }
+
+    static attachmentType(name) {
+        const found = ATTACHMENT_TYPES.find(([, pattern]) => pattern.test(name));
+        return found ? found[0] : 'file';
+    }
+
+    // null when the timestamp is missing or not a date
+    static message({ sender, timestamp, text = '', attachments = [], conversation, direction = null }) {
+        const date = timestamp === undefined || timestamp === null || timestamp === '' ? null : new Date(timestamp);
+        if (!date || Number.isNaN(date.getTime())) return null;
+
+        return {
+            sender: (sender || 'unknown').trim() || 'unknown',
+            timestamp: date.toISOString(),
+            text: text || '',
+            attachments,
+            conversation,
+            direction
+        };
+    }
+
+    static conversation(title, messages) {
+        const dated = messages.filter(Boolean);
+        return { title, messages: dated, undated: messages.length - dated.length };
+    }
+
+    // WhatsApp
+
+    static async parseWhatsAppZip(file, name) {
+        const zip = new ZipReader(file);
+        const entries = await zip.entries();
+        const chat = entries.find(entry => /(^|\/)_chat\.txt$/i.test(entry.name)) ||
+            entries.find(entry => !entry.isDirectory && /\.txt$/i.test(entry.name));
+        if (!chat) throw new Error('No chat text file found in the ZIP');
+
+        const conversation = ChatParser.parseWhatsApp(
+            await zip.readText(chat),
+            ChatParser.titleFromFileName(chat.name === '_chat.txt' ? name : chat.name)
+        );
+
+        // Mark which attachments actually came with the export
+        const included = new Set(entries.map(entry => entry.name.split('/').pop()));
+        conversation.messages.forEach(message => message.attachments.forEach(attachment => {
+            if (attachment.name) attachment.included = included.has(attachment.name);
+        }));
+
+        return { format: 'whatsapp', conversations: [conversation] };
+    }
+
+    static parseWhatsApp(text, title) {
+        // Newer exports put direction marks and narrow no-break spaces around times
+        const lines = text
+            .replace(/[\u200e\u200f]/g, '')
+            .replace(/[\u202f\u00a0]/g, ' ')
+            .split(/\r?\n/);
+
+        const raw = [];
+        lines.forEach(line => {
+            const match = line.match(WHATSAPP_IOS_LINE) || line.match(WHATSAPP_ANDROID_LINE);
+            if (match) {
+                raw.push({ date: match[1], time: match[2], meridiem: match[3], body: match[4] });
+            } else if (raw.length) {
+                // Continuation of a multi-line message
+                raw[raw.length - 1].body += `\n${line}`;
+            }
+        });
+
+        const dayFirst = ChatParser.detectDayFirst(raw.map(entry => entry.date));
+        const messages = [];
+
+        raw.forEach(entry => {
+            const separator = entry.body.indexOf(': ');
+            // Lines without "Name: " are system notices (encryption banners, joins, calls)
+            if (separator <= 0) return;
+
+            const sender = entry.body.slice(0, separator);
+            const { text, attachments } = ChatParser.whatsAppAttachments(entry.body.slice(separator + 2));
+            messages.push(ChatParser.message({
+                sender,
+                timestamp: ChatParser.whatsAppDate(entry, dayFirst),
+                text,
+                attachments,
+                conversation: title
+            }));
+        });
+
+        return ChatParser.conversation(title, messages);
+    }
+
+    // Exports use the phone's locale, so decide dd/mm vs mm/dd from the whole file
+    static detectDayFirst(dates) {
+        let dayFirst = 0;
+        let monthFirst = 0;
+        dates.forEach(date => {
+            const [a, b] = date.split(/[./-]/).map(Number);
+            if (String(date).split(/[./-]/)[0].length === 4) return;
+            if (a > 12) dayFirst++;
+            if (b > 12) monthFirst++;
+        });
+        return monthFirst > dayFirst ? false : true;
+    }
+
+    static whatsAppDate({ date, time, meridiem }, dayFirst) {
+        const parts = date.split(/[./-]/).map(Number);
+        let year;
+        let month;
+        let day;
+        if (String(date).split(/[./-]/)[0].length === 4) {
+            [year, month, day] = parts;
+        } else {
+            [day, month] = dayFirst ? [parts[0], parts[1]] : [parts[1], parts[0]];
+            year = parts[2] < 100 ? 2000 + parts[2] : parts[2];
+        }
+
+        let [hours, minutes, seconds = 0] = time.split(/[:.]/).map(Number);
+        if (meridiem) {
+            const pm = /^p/i.test(meridiem);
+            if (pm && hours < 12) hours += 12;
+            if (!pm && hours === 12) hours = 0;
+        }
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    static whatsAppAttachments(body) {
+        const attachments = [];
+        let text = body;
+
+        const attached = text.match(/<attached:\s*([^>]+)>/i);
+        if (attached) {
+            attachments.push({ name: attached[1].trim(), type: ChatParser.attachmentType(attached[1].trim()) });
+            text = text.replace(attached[0], '');
+        }
+
+        const fileAttached = text.match(/^(.+?\.\w{2,4}) \(file attached\)/i);
+        if (fileAttached) {
+            attachments.push({ name: fileAttached[1].trim(), type: ChatParser.attachmentType(fileAttached[1].trim()) });
+            text = text.replace(fileAttached[0], '');
+        }
+
+        const omitted = text.trim().match(WHATSAPP_OMITTED);
+        if (omitted) {
+            const kind = omitted[1].toLowerCase();
+            attachments.push({ name: null, type: ['image', 'video', 'audio', 'sticker'].includes(kind) ? kind : 'file', omitted: true });
+            text = '';
+        }
+
+        return { text: text.trim(), attachments };
+    }
+
+    // Plain text
+
+    // Pasted messages or a log without timestamps. Each line is one message
+    // from an unknown sender, dated by the file and kept in order a
+    // millisecond apart.
+    static parsePlainText(text, name, lastModified) {
+        const title = name.replace(/\.[^.]+$/, '');
+        const start = lastModified || Date.now();
+        const messages = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map((line, index) => ChatParser.message({ sender: 'unknown', timestamp: start + index, text: line, conversation: title }));
+        return { format: 'text', conversations: [ChatParser.conversation(title, messages)] };
+    }
+
+    // Telegram
+
+    static parseTelegram(json) {
+        const chats = json.chats ? json.chats.list : [json];
+
+        return chats.map(chat => {
+            const title = chat.name || (chat.type === 'saved_messages' ? 'Saved Messages' : 'Telegram chat');
+            const messages = (chat.messages || [])
+                .filter(message => message.type === 'message')
+                .map(message => ChatParser.message({
+                    sender: message.from || title,
+                    timestamp: message.date_unixtime ? Number(message.date_unixtime) * 1000 : message.date,
+                    text: ChatParser.telegramText(message.text),
+                    attachments: ChatParser.telegramAttachments(message),
+                    conversation: title
+                }));
+            return ChatParser.conversation(title, messages);
+        });
+    }
+
+    static telegramText(text) {
+        // Formatted messages are arrays of plain strings and { type, text } entities
+        if (Array.isArray(text)) return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+        return text || '';
+    }
+
+    static telegramAttachments(message) {
+        const attachments = [];
+        if (message.photo) attachments.push({ name: message.photo, type: 'image' });
+        if (message.file) {
+            const types = { voice_message: 'audio', audio_file: 'audio', video_file: 'video', video_message: 'video', animation: 'video', sticker: 'sticker' };
+            attachments.push({ name: message.file, type: types[message.media_type] || ChatParser.attachmentType(message.file) });
+        }
+        return attachments;
+    }
+
+    // Instagram
+
+    // Instagram writes UTF-8 bytes as if each were a Latin-1 character
+    static fixMojibake(text) {
+        if (!text || !/[\u00c0-\u00ff]/.test(text) || /[^\u0000-\u00ff]/.test(text)) return text || '';
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(text, char => char.charCodeAt(0)));
+        } catch (error) {
+            return text;
+        }
+    }
+
+    static parseInstagram(json) {
+        const title = ChatParser.fixMojibake(json.title) || 'Instagram chat';
+        const messages = (json.messages || []).map(message => {
+            const attachments = [
+                ...(message.photos || []).map(item => ({ name: item.uri, type: 'image' })),
+                ...(message.videos || []).map(item => ({ name: item.uri, type: 'video' })),
+                ...(message.audio_files || []).map(item => ({ name: item.uri, type: 'audio' })),
+                ...(message.share && message.share.link ? [{ name: message.share.link, type: 'link' }] : [])
+            ];
+
+            return ChatParser.message({
+                sender: ChatParser.fixMojibake(message.sender_name),
+                timestamp: message.timestamp_ms,
+                text: ChatParser.fixMojibake(message.content),
+                attachments,
+                conversation: title
+            });
+        });
+
+        // Exports list the newest message first
+        const conversation = ChatParser.conversation(title, messages);
+        conversation.messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        return conversation;
+    }
+
+    // SMS Backup & Restore
+
+    static xmlAttributes(source) {
+        const attributes = {};
+        source.replace(/([\w:-]+)="([^"]*)"/g, (match, name, value) => {
+            attributes[name] = ChatParser.decodeXml(value);
+            return match;
+        });
+        return attributes;
+    }
+
+    static decodeXml(value) {
+        return value
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    static parseSmsBackup(xml) {
+        const conversations = new Map();
+        const add = (attributes, text, attachments, sent) => {
+            const contact = attributes.contact_name && attributes.contact_name !== '(Unknown)'
+                ? attributes.contact_name
+                : attributes.address;
+            if (!conversations.has(contact)) conversations.set(contact, { title: contact, messages: [] });
+
+            conversations.get(contact).messages.push(ChatParser.message({
+                sender: sent ? 'Me' : contact,
+                timestamp: Number(attributes.date),
+                text,
+                attachments,
+                conversation: contact,
+                direction: sent ? 'outgoing' : 'incoming'
+            }));
+        };
+
+        // The XML is machine-written with every field in attributes, so a full parser is not needed
+        xml.replace(/<sms\b([^>]*?)\/?>/g, (match, source) => {
+            const attributes = ChatParser.xmlAttributes(source);
+            // type 1 = received, 2 = sent; drafts, outbox and failed are skipped
+            if (attributes.type === '1' || attributes.type === '2') {
+                add(attributes, attributes.body, [], attributes.type === '2');
+            }
+            return match;
+        });
+
+        xml.replace(/<mms\b([^>]*)>([\s\S]*?)<\/mms>/g, (match, source, inner) => {
+            const attributes = ChatParser.xmlAttributes(source);
+            const parts = [...inner.matchAll(/<part\b([^>]*?)\/?>/g)].map(part => ChatParser.xmlAttributes(part[1]));
+            const text = parts.filter(part => part.ct === 'text/plain').map(part => part.text).join('\n');
+            const attachments = parts
+                .filter(part => part.ct && part.ct !== 'text/plain' && part.ct !== 'application/smil')
+                .map(part => ({ name: part.cl || part.name || null, type: part.ct.split('/')[0] === 'image' ? 'image' : ChatParser.attachmentType(part.cl || '') }));
+
+            // MMS dates are in milliseconds like SMS; msg_box 2 is sent
+            if (attributes.msg_box === '1' || attributes.msg_box === '2') {
+                add(attributes, text, attachments, attributes.msg_box === '2');
+            }
+            return match;
+        });
+
+        return [...conversations.values()].map(({ title, messages }) => {
+            const conversation = ChatParser.conversation(title, messages);
+            conversation.messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            return conversation;
+        });
+    }
+
+    // Who wrote how much; used to ask which participant is the user
+    static participants(parsed) {
+        const counts = new Map();
+        parsed.conversations.forEach(conversation => conversation.messages.forEach(message => {
+            if (message.direction === 'outgoing') return;
+            counts.set(message.sender, (counts.get(message.sender) || 0) + 1);
+        }));
+        return [...counts.entries()]
+            .map(([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+}
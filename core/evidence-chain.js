@@ -0,0 +1,118 @@
+// SafeGuard Pro - Tamper-evident Evidence Chain
+// Every evidence record carries a sequence number, the hash of the record
+// before it and its own SHA-256 hash. Changing or removing any record
+// breaks the chain from that point on.
+export const CHAIN_GENESIS_HASH = '0'.repeat(64);
+
+// Fields that may change after a record is written (review status, pins)
+// live under `annotations` and are deliberately left out of the hash
+const UNHASHED_FIELDS = ['hash', 'annotations'];
+
+export class EvidenceChain {
+    static canonicalize(value) {
+        // Stable JSON: sorted keys, no undefined, so the same record always hashes the same
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) {
+            return `[${value.map(item => EvidenceChain.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        }
+
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${EvidenceChain.canonicalize(value[key])}`).join(',')}}`;
+    }
+
+    static async sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static hashableView(record) {
+        const view = { ...record };
+        UNHASHED_FIELDS.forEach(field => delete view[field]);
+        return view;
+    }
+
+    static async hashRecord(record) {
+        return EvidenceChain.sha256(EvidenceChain.canonicalize(EvidenceChain.hashableView(record)));
+    }
+
+    // Links `records` onto the chain after `head` ({ seq, hash })
+    static async link(records, head) {
+        let previous = head || { seq: 0, hash: CHAIN_GENESIS_HASH };
+        const linked = [];
+
+        for (const record of records) {
+            const sealed = {
+                ...record,
+                seq: previous.seq + 1,
+                prevHash: previous.hash,
+                sealedAt: new Date().toISOString()
+            };
+            sealed.hash = await EvidenceChain.hashRecord(sealed);
+            linked.push(sealed);
+            previous = { seq: sealed.seq, hash: sealed.hash };
+        }
+
+        return { records: linked, head: previous };
+    }
+
+    // Checks hashes, links and sequence continuity. Gaps are only accepted
+    // when a retention record documents exactly what was pruned.
+    static async verify(records, head = null) {
+        const problems = [];
+        const ordered = records.filter(record => record.seq).sort((a, b) => a.seq - b.seq);
+        const pruned = new Map();
+
+        records.filter(record => !record.seq).forEach(record => {
+            problems.push({ id: record.id, problem: 'unsealed', detail: 'Record was never added to the chain' });
+        });
+
+        ordered
+            .filter(record => record.type === 'retention')
+            .forEach(record => (record.pruned || []).forEach(entry => pruned.set(entry.seq, entry)));
+
+        let previous = { seq: 0, hash: CHAIN_GENESIS_HASH };
+
+        for (const record of ordered) {
+            const expected = await EvidenceChain.hashRecord(record);
+            if (expected !== record.hash) {
+                problems.push({ seq: record.seq, id: record.id, problem: 'modified', detail: 'Content does not match its hash' });
+            }
+
+            // Walk over any gap, accepting only documented deletions
+            for (let seq = previous.seq + 1; seq < record.seq; seq++) {
+                const entry = pruned.get(seq);
+                if (entry) {
+                    previous = { seq, hash: entry.hash };
+                } else {
+                    problems.push({ seq, problem: 'missing', detail: 'Record was removed from the chain' });
+                    previous = { seq, hash: null };
+                }
+            }
+
+            if (previous.hash !== null && record.prevHash !== previous.hash) {
+                problems.push({ seq: record.seq, id: record.id, problem: 'broken-link', detail: 'Previous hash does not match' });
+            }
+
+            previous = { seq: record.seq, hash: record.hash };
+        }
+
+        // Records removed from the end of the chain only show up against the head
+        if (head && head.seq > previous.seq) {
+            for (let seq = previous.seq + 1; seq <= head.seq; seq++) {
+                if (!pruned.has(seq)) {
+                    problems.push({ seq, problem: 'missing', detail: 'Record was removed from the end of the chain' });
+                }
+            }
+        } else if (head && head.seq === previous.seq && head.hash !== previous.hash) {
+            problems.push({ seq: head.seq, problem: 'broken-link', detail: 'Chain head does not match the last record' });
+        }
+
+        return {
+            valid: problems.length === 0,
+            checked: ordered.length,
+            head: previous,
+            problems
+        };
+    }
+}
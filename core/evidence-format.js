@@ -0,0 +1,47 @@
+// SafeGuard Pro - Evidence Formatting
+// Turns records and scan results into HTML and CSV without touching the DOM,
+// so the page, the service worker and the command line format them alike.
+
+// Spreadsheet apps run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export class EvidenceFormat {
+    static highlight(record) {
+        // Marks the spans the scoring engine matched, in the original text
+        const content = record.content || '';
+        const matches = ((record.analysis && record.analysis.matches) || [])
+            .filter(match => !match.suppressed)
+            .sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let cursor = 0;
+        matches.forEach(match => {
+            if (match.start < cursor) return;
+            html += EvidenceFormat.escapeHtml(content.slice(cursor, match.start));
+            html += `<mark title="${EvidenceFormat.escapeHtml(match.ruleId)}">${EvidenceFormat.escapeHtml(content.slice(match.start, match.end))}</mark>`;
+            cursor = match.end;
+        });
+        return html + EvidenceFormat.escapeHtml(content.slice(cursor));
+    }
+
+    static escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static csvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static csv(columns, rows) {
+        return [columns, ...rows]
+            .map(row => row.map(EvidenceFormat.csvCell).join(','))
+            .join('\r\n') + '\r\n';
+    }
+}
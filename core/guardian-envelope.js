@@ -0,0 +1,78 @@
+// SafeGuard Pro - Guardian Envelopes
+// Everything the app tells a guardian is sealed with AES-GCM under a key
+// that only the user's device and the invitation link ever hold. The relay
+// in between stores and forwards ciphertext it cannot read. The key rides
+// in the link's #fragment, which browsers never send to any server.
+export const GUARDIAN_ENVELOPE_VERSION = 1;
+
+export class GuardianEnvelope {
+    static toBase64url(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64url(text) {
+        const binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+
+    static randomToken(bytes = 32) {
+        return GuardianEnvelope.toBase64url(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    // The relay keeps only this, so a copy of its data file cannot publish or read
+    static async hashToken(token) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static generateKey() {
+        return GuardianEnvelope.randomToken(32);
+    }
+
+    static importKey(key) {
+        return crypto.subtle.importKey('raw', GuardianEnvelope.fromBase64url(key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    // The channel id is bound in as associated data: an envelope copied
+    // into another guardian's channel does not open there
+    static async seal(key, channel, message) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(channel) },
+            await GuardianEnvelope.importKey(key),
+            new TextEncoder().encode(JSON.stringify(message))
+        );
+        return { v: GUARDIAN_ENVELOPE_VERSION, iv: GuardianEnvelope.toBase64url(iv), data: GuardianEnvelope.toBase64url(data) };
+    }
+
+    static async open(key, channel, envelope) {
+        if (!envelope || envelope.v !== GUARDIAN_ENVELOPE_VERSION) throw new Error('Unsupported guardian message');
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: GuardianEnvelope.fromBase64url(envelope.iv), additionalData: new TextEncoder().encode(channel) },
+            await GuardianEnvelope.importKey(key),
+            GuardianEnvelope.fromBase64url(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    // What goes after the # of an invitation link
+    static encodeInvite({ relay, channel, token, key, from }) {
+        const json = JSON.stringify({ v: GUARDIAN_ENVELOPE_VERSION, relay, channel, token, key, from });
+        return GuardianEnvelope.toBase64url(new TextEncoder().encode(json));
+    }
+
+    static decodeInvite(text) {
+        let invite;
+        try {
+            invite = JSON.parse(new TextDecoder().decode(GuardianEnvelope.fromBase64url(text)));
+        } catch (error) {
+            throw new Error('This invitation link is damaged. Ask for a new one.');
+        }
+        const complete = invite && ['relay', 'channel', 'token', 'key'].every(field => typeof invite[field] === 'string' && invite[field]);
+        if (!complete || invite.v !== GUARDIAN_ENVELOPE_VERSION) throw new Error('This invitation link is damaged. Ask for a new one.');
+        if (!/^https?:\/\//i.test(invite.relay)) throw new Error('This invitation points to an unknown relay');
+        return { relay: invite.relay.replace(/\/+$/, ''), channel: invite.channel, token: invite.token, key: invite.key, from: String(invite.from || 'Someone') };
+    }
+}
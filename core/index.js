@@ -0,0 +1,15 @@
+// SafeGuard Pro - Scoring Core
+// Everything that scores, parses and formats without a DOM. Shared by the
+// page (through app-modules.js), the service worker and the command line.
+export { TextNormalizer } from './text-normalizer.js';
+export { ThreatEngine, THREAT_CATEGORIES } from './threat-engine.js';
+export { THREAT_RULE_SETS } from './threat-rules.js';
+export { ThreatModel, CLASSIFIER_MODEL_URL, CLASSIFIER_DEFAULT_WEIGHT } from './threat-model.js';
+export { EvidenceChain, CHAIN_GENESIS_HASH } from './evidence-chain.js';
+export { EvidenceFormat } from './evidence-format.js';
+export { ZipReader } from './zip-reader.js';
+export { ChatParser, IMPORT_FORMATS } from './chat-parser.js';
+export { ThreatScanner, SCAN_FORMAT, SCAN_VERSION, SCAN_DEFAULT_THRESHOLD } from './scanner.js';
+export { GuardianEnvelope, GUARDIAN_ENVELOPE_VERSION } from './guardian-envelope.js';
+export { BackupArchive, BACKUP_FORMAT, BACKUP_VERSION } from './backup-archive.js';
+export { SafeHtml, html } from './safe-html.js';
@@ -0,0 +1,46 @@
+// SafeGuard Pro - Safe HTML
+// All markup the app builds goes through the html`` tag. Anything put into
+// it is escaped unless it is itself the result of html``, so a contact name,
+// a message or an imported chat can never add tags, attributes or scripts.
+// SafeHtml.render() is the one place that writes markup into the page.
+import { EvidenceFormat } from './evidence-format.js';
+
+// Schemes a link built from stored data may use
+const SAFE_URL = /^(https?:|tel:|sms:|mailto:|#|\/(?!\/))/i;
+
+export class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    // Lists are joined; false, null and undefined leave nothing, for ${condition && html`…`}
+    static escape(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(SafeHtml.escape).join('');
+        if (value === false || value === null || value === undefined) return '';
+        return EvidenceFormat.escapeHtml(value);
+    }
+
+    // Only for markup that escapes its own input, such as EvidenceFormat.highlight()
+    static trusted(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    // Quoting keeps a value inside href=""; this keeps javascript: and data: out of it
+    static url(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        return SAFE_URL.test(text) ? text : 'about:blank';
+    }
+
+    static render(element, content) {
+        if (element) element.innerHTML = SafeHtml.escape(content);
+    }
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + SafeHtml.escape(values[index - 1]) + string));
+}
@@ -0,0 +1,148 @@
+// SafeGuard Pro - Batch Scanner
+// Scores every message of a parsed chat (see ChatParser) the way the app
+// does, rules first with the classifier folded in when a model is given,
+// and reports one row per message. Nothing is stored; used by the
+// safeguard-scan command line tool.
+import { ThreatEngine, THREAT_CATEGORIES } from './threat-engine.js';
+import { THREAT_RULE_SETS } from './threat-rules.js';
+import { ThreatModel, CLASSIFIER_DEFAULT_WEIGHT } from './threat-model.js';
+import { EvidenceFormat } from './evidence-format.js';
+
+export const SCAN_FORMAT = 'safeguard-scan';
+export const SCAN_VERSION = 1;
+export const SCAN_DEFAULT_THRESHOLD = 0.7;
+
+const SCAN_CSV_COLUMNS = [
+    'file', 'index', 'conversation', 'timestamp', 'sender', 'direction', 'score', 'ruleScore', 'modelScore',
+    'threat', 'category', ...THREAT_CATEGORIES, 'rules', 'explanation', 'text'
+];
+
+export class ThreatScanner {
+    constructor(options = {}) {
+        this.engine = options.engine || new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+        // Parsed model JSON; without it only the rules score
+        this.model = options.model || null;
+        this.weight = options.weight === undefined ? CLASSIFIER_DEFAULT_WEIGHT : options.weight;
+        this.threshold = options.threshold === undefined ? SCAN_DEFAULT_THRESHOLD : options.threshold;
+        // Names the user writes as; their own messages are listed but not scored
+        this.self = options.self || [];
+    }
+
+    analyze(text) {
+        const analysis = this.engine.analyze(text);
+        if (!this.model) return analysis;
+        return ThreatModel.combine(analysis, ThreatModel.predict(this.model, analysis.normalized), this.weight);
+    }
+
+    isOwn(message) {
+        return message.direction === 'outgoing' || this.self.includes(message.sender);
+    }
+
+    scanMessage(message, index) {
+        const row = {
+            index,
+            conversation: message.conversation,
+            timestamp: message.timestamp,
+            sender: message.sender,
+            direction: this.isOwn(message) ? 'outgoing' : 'incoming',
+            text: message.text,
+            attachments: message.attachments.length
+        };
+        if (this.isOwn(message)) return { ...row, score: null, threat: false };
+
+        const analysis = this.analyze(message.text);
+        const top = ThreatEngine.topCategory(analysis);
+        return {
+            ...row,
+            score: analysis.score,
+            ruleScore: analysis.ruleScore === undefined ? analysis.score : analysis.ruleScore,
+            modelScore: analysis.model ? analysis.model.score : null,
+            threat: analysis.score > this.threshold,
+            category: top ? top[0] : null,
+            categories: analysis.categories,
+            language: analysis.language,
+            matches: analysis.matches
+                .filter(match => !match.suppressed)
+                .map(match => ({ ruleId: match.ruleId, category: match.category, text: match.text, start: match.start, end: match.end })),
+            explanation: ThreatEngine.explain(analysis)
+        };
+    }
+
+    // One file's messages in time order, numbered from 1
+    scan(parsed) {
+        const messages = parsed.conversations
+            .flatMap(conversation => conversation.messages)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+            .map((message, index) => this.scanMessage(message, index + 1));
+
+        return {
+            fileName: parsed.fileName,
+            fileHash: parsed.fileHash,
+            format: parsed.format,
+            conversations: parsed.conversations.length,
+            undated: parsed.undated || 0,
+            summary: ThreatScanner.summarize(messages),
+            messages
+        };
+    }
+
+    // Wraps the scanned files with the settings that produced them
+    report(files) {
+        return {
+            format: SCAN_FORMAT,
+            version: SCAN_VERSION,
+            scannedAt: new Date().toISOString(),
+            threshold: this.threshold,
+            classifier: this.model ? { version: this.model.version, weight: this.weight } : null,
+            summary: {
+                ...ThreatScanner.summarize(files.flatMap(file => file.messages)),
+                undated: files.reduce((total, file) => total + (file.undated || 0), 0)
+            },
+            files
+        };
+    }
+
+    static summarize(messages) {
+        const scored = messages.filter(message => message.score !== null);
+        const threats = scored.filter(message => message.threat);
+        const count = (key) => threats.reduce((counts, message) => {
+            counts[message[key]] = (counts[message[key]] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            total: messages.length,
+            scanned: scored.length,
+            outgoing: messages.length - scored.length,
+            threats: threats.length,
+            maxScore: scored.reduce((max, message) => Math.max(max, message.score), 0),
+            byCategory: count('category'),
+            bySender: count('sender')
+        };
+    }
+
+    static toJson(report) {
+        return `${JSON.stringify(report, null, 2)}\n`;
+    }
+
+    static toCsv(report) {
+        const rows = report.files.flatMap(file => file.messages.map(message => [
+            file.fileName,
+            message.index,
+            message.conversation,
+            message.timestamp,
+            message.sender,
+            message.direction,
+            message.score,
+            message.ruleScore,
+            message.modelScore,
+            message.threat ? 'yes' : 'no',
+            message.category,
+            ...THREAT_CATEGORIES.map(category => (message.categories ? message.categories[category] : '')),
+            (message.matches || []).map(match => match.ruleId).join(' '),
+            message.explanation,
+            message.text
+        ]));
+        return EvidenceFormat.csv(SCAN_CSV_COLUMNS, rows);
+    }
+}
@@ -0,0 +1,281 @@
+// SafeGuard Pro - Obfuscation-resistant Text Normalization
+// Every normalized character keeps the [start, end) span of the original
+// characters it came from, so matches can always be traced back to the
+// exact text the sender wrote.
+
+// Zero-width, bidi control, variation selector and filler characters
+const INVISIBLE_CHARACTERS = /[\u00ad\u034f\u061c\u115f\u1160\u17b4\u17b5\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u206f\u3164\ufe00-\ufe0f\ufeff\uffa0]/gu;
+
+// Cyrillic, Greek and IPA letters that render like Latin ones
+const CONFUSABLES = {
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+    'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+    'һ': 'h', 'ӏ': 'l', 'ԛ': 'q', 'ԝ': 'w', 'ь': 'b',
+    'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+    'ı': 'i', 'ɑ': 'a', 'ɡ': 'g', 'ø': 'o', 'ß': 'ss'
+};
+
+const LEET_DIGITS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g' };
+const LEET_SYMBOLS = { '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e' };
+
+// Common chat shorthand, applied to whole words only
+const SHORTHAND = {
+    'u': 'you',
+    'ya': 'you',
+    'ur': 'your',
+    'r': 'are',
+    'h8': 'hate',
+    'h8r': 'hater',
+    'ded': 'dead',
+    '2nite': 'tonight',
+    'b4': 'before'
+};
+
+// Emoji that stand in for threats are scored as the word they depict
+const EMOJI_TERMS = {
+    '🔪': 'knife',
+    '🗡': 'knife',
+    '🔫': 'gun',
+    '💣': 'bomb',
+    '🧨': 'bomb',
+    '🪓': 'axe',
+    '⚰': 'coffin',
+    '🪦': 'grave',
+    '🩸': 'blood'
+};
+
+// Punctuation that gets wedged between letters: "h.a.t.e", "s*t*u*p*i*d"
+const SEPARATOR = /^[.\-_*~·•'`’,/\\:]+$/u;
+const LETTER = /^\p{L}[\p{L}\p{M}]*$/u;
+// One letter as the sender typed it; "you" expanded from "u" is a word, not a letter
+const SINGLE_LETTER = /^\p{L}\p{M}*$/u;
+const LATIN = /\p{Script=Latin}/u;
+const WHITESPACE = /^\s+$/u;
+
+// Single letters that are words on their own ("I h a t e you")
+const SINGLE_LETTER_WORDS = new Set(['i', 'a']);
+
+export class TextNormalizer {
+    constructor(options = {}) {
+        // Known words, as skeletons; ThreatEngine fills this with its rule vocabulary
+        this.words = options.words || new Set();
+    }
+
+    normalize(text) {
+        const original = typeof text === 'string' ? text : '';
+        const units = this.splitClusters(original)
+            .map(unit => ({ ...unit, text: this.foldCluster(unit.text) }))
+            .filter(unit => unit.text !== '');
+
+        const segments = this.segment(this.replaceEmoji(units));
+        segments.forEach(segment => {
+            if (segment.type === 'word') segment.units = this.normalizeWord(segment.units);
+        });
+
+        return this.assemble(original, this.joinSpacedLetters(segments));
+    }
+
+    splitClusters(text) {
+        // A base character plus its combining marks stays one unit, so Tamil
+        // vowel signs or a virama never get separated from their consonant
+        const units = [];
+        const clusterPattern = /\P{M}\p{M}*|\p{M}+/gsu;
+        let match;
+
+        while ((match = clusterPattern.exec(text)) !== null) {
+            units.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+
+        return units;
+    }
+
+    foldCluster(cluster) {
+        return cluster
+            .normalize('NFKC')
+            .replace(INVISIBLE_CHARACTERS, '')
+            .toLowerCase();
+    }
+
+    replaceEmoji(units) {
+        const result = [];
+
+        units.forEach(unit => {
+            const term = EMOJI_TERMS[unit.text];
+            if (term) {
+                // Pad with spaces so "die🔪" becomes two words
+                result.push({ ...unit, text: ' ' }, { ...unit, text: term }, { ...unit, text: ' ' });
+            } else {
+                result.push(unit);
+            }
+        });
+
+        return result;
+    }
+
+    segment(units) {
+        const segments = [];
+
+        units.forEach(unit => {
+            const type = WHITESPACE.test(unit.text) ? 'space' : 'word';
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.units.push(unit);
+            } else {
+                segments.push({ type, units: [unit] });
+            }
+        });
+
+        return segments;
+    }
+
+    normalizeWord(units) {
+        units = this.expandShorthand(units);
+
+        const hasLatin = units.some(unit => LATIN.test(unit.text));
+        const allConfusable = units.every(unit => !LETTER.test(unit.text) || CONFUSABLES[unit.text]);
+        if (hasLatin || allConfusable) {
+            units = units.map(unit => CONFUSABLES[unit.text] ? { ...unit, text: CONFUSABLES[unit.text] } : unit);
+        }
+
+        if (units.some(unit => LATIN.test(unit.text)) && !/^\d+[a-z]{0,2}$/.test(this.textOf(units))) {
+            units = this.decodeLeet(units);
+        }
+
+        return this.stripSeparators(units);
+    }
+
+    expandShorthand(units) {
+        const first = units.findIndex(unit => /[\p{L}\p{N}]/u.test(unit.text));
+        if (first === -1) return units;
+
+        let last = units.length - 1;
+        while (!/[\p{L}\p{N}]/u.test(units[last].text)) last--;
+
+        const replacement = SHORTHAND[this.textOf(units.slice(first, last + 1))];
+        if (!replacement) return units;
+
+        return units.slice(0, first)
+            .concat({ text: replacement, start: units[first].start, end: units[last].end })
+            .concat(units.slice(last + 1));
+    }
+
+    decodeLeet(units) {
+        return units.map((unit, index) => {
+            if (LEET_DIGITS[unit.text]) {
+                return { ...unit, text: LEET_DIGITS[unit.text] };
+            }
+            // Symbols only count as letters when a letter follows ("h@te", not "kill!")
+            const next = units[index + 1];
+            if (LEET_SYMBOLS[unit.text] && next && (LETTER.test(next.text) || LEET_DIGITS[next.text])) {
+                return { ...unit, text: LEET_SYMBOLS[unit.text] };
+            }
+            return unit;
+        });
+    }
+
+    stripSeparators(units) {
+        return units.filter((unit, index) => {
+            if (!SEPARATOR.test(unit.text)) return true;
+
+            let before = index - 1;
+            while (before >= 0 && SEPARATOR.test(units[before].text)) before--;
+            let after = index + 1;
+            while (after < units.length && SEPARATOR.test(units[after].text)) after++;
+
+            const boundedByLetters = before >= 0 && after < units.length &&
+                LETTER.test(units[before].text) && LETTER.test(units[after].text);
+            return !boundedByLetters;
+        });
+    }
+
+    joinSpacedLetters(segments) {
+        // "k i l l" and "k . i . l . l" become "kill" once three or more
+        // single letters appear in a row. A leading "I" or "a" stays a word
+        // of its own only when the rest is a known word and the whole run is
+        // not: "I h a t e" is "i hate", but "i d i o t" is "idiot".
+        const isSingleLetter = segment => segment.type === 'word' &&
+            segment.units.filter(unit => LETTER.test(unit.text)).length === 1 &&
+            segment.units.every(unit => SINGLE_LETTER.test(unit.text) || SEPARATOR.test(unit.text));
+        const isPunctuation = segment => segment.type === 'word' &&
+            segment.units.every(unit => SEPARATOR.test(unit.text));
+        const letterOf = segment => segment.units.find(unit => LETTER.test(unit.text));
+
+        const result = [];
+        let index = 0;
+
+        while (index < segments.length) {
+            if (!isSingleLetter(segments[index])) {
+                result.push(segments[index++]);
+                continue;
+            }
+
+            const run = [];
+            let cursor = index;
+            let end = index;
+            while (cursor < segments.length) {
+                const segment = segments[cursor];
+                if (isSingleLetter(segment)) {
+                    run.push(segment);
+                    end = cursor;
+                } else if (segment.type !== 'space' && !isPunctuation(segment)) {
+                    break;
+                }
+                cursor++;
+            }
+
+            const joined = run.map(segment => letterOf(segment).text).join('');
+            if (run.length > 3 && SINGLE_LETTER_WORDS.has(joined[0]) && this.isKnown(joined.slice(1)) && !this.isKnown(joined)) {
+                result.push(segments[index++]);
+            } else if (run.length >= 3) {
+                result.push({ type: 'word', units: run.map(letterOf) });
+                index = end + 1;
+            } else {
+                result.push(segments[index++]);
+            }
+        }
+
+        return result;
+    }
+
+    assemble(original, segments) {
+        let text = '';
+        const offsets = [];
+        const append = unit => {
+            for (let i = 0; i < unit.text.length; i++) offsets.push([unit.start, unit.end]);
+            text += unit.text;
+        };
+
+        segments.forEach(segment => {
+            if (segment.type === 'space') {
+                append({ ...segment.units[0], text: ' ' });
+            } else {
+                segment.units.forEach(append);
+            }
+        });
+
+        return { original, text, offsets };
+    }
+
+    isKnown(word) {
+        return this.words.has(TextNormalizer.skeleton(word));
+    }
+
+    textOf(units) {
+        return units.map(unit => unit.text).join('');
+    }
+
+    // Maps a [start, end) range in normalized text back to the original text
+    static mapSpan(normalized, start, end) {
+        if (!normalized.offsets.length || end <= start) return { start: 0, end: 0 };
+
+        const first = normalized.offsets[Math.min(start, normalized.offsets.length - 1)];
+        const last = normalized.offsets[Math.min(end, normalized.offsets.length) - 1];
+        return { start: first[0], end: last[1] };
+    }
+
+    // Collapses letter runs so "stuuupid" and "stupid" compare equal
+    static skeleton(word) {
+        return word.replace(/(.)\1+/gu, '$1');
+    }
+}
@@ -0,0 +1,411 @@
+// SafeGuard Pro - Explainable Threat Scoring Engine
+import { TextNormalizer } from './text-normalizer.js';
+
+export const THREAT_CATEGORIES = ['violence', 'stalking', 'coercion', 'insults'];
+
+// Unicode scripts we recognise, and the language a native-script token implies
+const SCRIPT_PATTERNS = [
+    ['Latn', /\p{Script=Latin}/u],
+    ['Deva', /\p{Script=Devanagari}/u],
+    ['Beng', /\p{Script=Bengali}/u],
+    ['Taml', /\p{Script=Tamil}/u],
+    ['Telu', /\p{Script=Telugu}/u],
+    ['Gujr', /\p{Script=Gujarati}/u],
+    ['Guru', /\p{Script=Gurmukhi}/u],
+    ['Knda', /\p{Script=Kannada}/u],
+    ['Mlym', /\p{Script=Malayalam}/u],
+    ['Orya', /\p{Script=Oriya}/u],
+    ['Arab', /\p{Script=Arabic}/u]
+];
+
+const SCRIPT_LANGUAGES = {
+    Latn: 'en',
+    Deva: 'hi',
+    Beng: 'bn',
+    Taml: 'ta',
+    Telu: 'te',
+    Gujr: 'gu',
+    Guru: 'pa',
+    Knda: 'kn',
+    Mlym: 'ml',
+    Orya: 'or',
+    Arab: 'ur'
+};
+
+export class ThreatEngine {
+    constructor(options = {}) {
+        this.negationWindow = options.negationWindow || 3;
+        this.normalizer = options.normalizer || new TextNormalizer();
+        this.ruleSets = [];
+        this.compiled = [];
+        (options.ruleSets || []).forEach(ruleSet => this.addRuleSet(ruleSet));
+        this.setAdjustments(options.adjustments || {});
+    }
+
+    // Personal tuning learned from reviews: a factor per rule id, and phrases
+    // the user has said are harmless (matches inside them are ignored)
+    setAdjustments({ ruleWeights = {}, allowPhrases = [] } = {}) {
+        this.ruleWeights = ruleWeights;
+        this.allowPatterns = allowPhrases
+            .map(phrase => ({ phrase, pattern: this.tokenizePattern(phrase).map(token => token.text) }))
+            .filter(entry => entry.pattern.length > 0);
+    }
+
+    addRuleSet(ruleSet) {
+        this.removeRuleSet(ruleSet.id);
+        this.ruleSets.push(ruleSet);
+        this.compile();
+    }
+
+    removeRuleSet(id) {
+        this.ruleSets = this.ruleSets.filter(ruleSet => ruleSet.id !== id);
+        this.compile();
+    }
+
+    compile() {
+        // Flatten every rule phrase into token sequences, indexed by first token
+        this.byFirstToken = new Map();
+        this.prefixFirst = [];
+        this.compiled = [];
+        this.romanizedVocabularies = [];
+        const words = new Set();
+
+        this.ruleSets.forEach(ruleSet => {
+            const setWeight = ruleSet.weight === undefined ? 1 : ruleSet.weight;
+            const negations = this.termSet(ruleSet.negations || []);
+            const language = ruleSet.language || 'en';
+            const script = ruleSet.script || 'Latn';
+
+            // Romanized (e.g. Hinglish) sets contribute their vocabulary to language detection
+            if (script === 'Latn' && language !== 'en') {
+                const vocabulary = this.termSet(ruleSet.markers || []);
+                negations.forEach(term => vocabulary.add(term));
+                ruleSet.rules.forEach(rule => rule.phrases.forEach(phrase =>
+                    this.tokenizePattern(phrase).forEach(token => vocabulary.add(token.skeleton))
+                ));
+                this.romanizedVocabularies.push({ language: `${language}-Latn`, vocabulary });
+            }
+
+            ruleSet.rules.forEach(rule => {
+                const compiledRule = {
+                    ...rule,
+                    ruleSet: ruleSet.id,
+                    language: script === 'Latn' && language !== 'en' ? `${language}-Latn` : language,
+                    weight: Math.min(rule.weight * setWeight, 1),
+                    negatable: rule.negatable !== false,
+                    negations,
+                    negationPosition: ruleSet.negationPosition || 'before',
+                    context: (rule.context || []).map(clause => ({
+                        ...clause,
+                        terms: this.termSet(clause.terms),
+                        direction: clause.direction || 'both'
+                    }))
+                };
+                this.compiled.push(compiledRule);
+
+                rule.phrases.forEach(phrase => {
+                    const pattern = this.tokenizePattern(phrase).map(token => token.text);
+                    if (pattern.length === 0) return;
+                    pattern.filter(token => !token.includes('*')).forEach(token => words.add(TextNormalizer.skeleton(token)));
+
+                    const entry = { rule: compiledRule, pattern };
+                    const first = pattern[0];
+                    if (first.endsWith('*')) {
+                        this.prefixFirst.push(entry);
+                    } else {
+                        const key = TextNormalizer.skeleton(first);
+                        if (!this.byFirstToken.has(key)) this.byFirstToken.set(key, []);
+                        this.byFirstToken.get(key).push(entry);
+                    }
+                });
+            });
+        });
+
+        // Tells "I h a t e" ("i" + a rule word) apart from "i d i o t"
+        this.normalizer.words = words;
+    }
+
+    termSet(terms) {
+        // Rule vocabulary goes through the same normalizer as message text,
+        // and is compared by skeleton so elongated words still match
+        return new Set(terms.map(term => TextNormalizer.skeleton(this.normalizer.normalize(term).text)));
+    }
+
+    tokenizePattern(phrase) {
+        return this.tokenize(this.normalizer.normalize(phrase).text, true);
+    }
+
+    tokenize(text, allowWildcards = false) {
+        const tokens = [];
+        // Combining marks and ZWJ/ZWNJ are part of Indic words, not separators
+        const wordPattern = allowWildcards
+            ? /[\p{L}\p{M}\p{N}\u200c\u200d'*]+/gu
+            : /[\p{L}\p{M}\p{N}\u200c\u200d']+/gu;
+        let match;
+
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = match[0].replace(/^'+|'+$/g, '');
+            if (!word) continue;
+
+            const start = match.index + match[0].indexOf(word);
+            tokens.push({
+                text: word,
+                skeleton: TextNormalizer.skeleton(word),
+                script: ThreatEngine.detectScript(word),
+                start,
+                end: start + word.length
+            });
+        }
+
+        return tokens;
+    }
+
+    static detectScript(word) {
+        const entry = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(word));
+        return entry ? entry[0] : 'Zyyy';
+    }
+
+    detectLanguage(tokens) {
+        const counts = {};
+        const add = (language, amount) => {
+            counts[language] = (counts[language] || 0) + amount;
+        };
+
+        tokens.forEach(token => {
+            if (token.script === 'Zyyy') return;
+            if (token.script !== 'Latn') {
+                add(SCRIPT_LANGUAGES[token.script] || token.script, 1);
+                return;
+            }
+
+            // Latin tokens are English unless they belong to a romanized vocabulary
+            const romanized = this.romanizedVocabularies.filter(({ vocabulary }) => vocabulary.has(token.skeleton));
+            if (romanized.length === 0) {
+                add('en', 1);
+            } else {
+                romanized.forEach(({ language }) => add(language, 1 / romanized.length));
+            }
+        });
+
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+        const languages = Object.fromEntries(ranked.map(([language, count]) =>
+            [language, Math.round((count / total) * 100) / 100]
+        ));
+
+        return {
+            language: ranked.length ? ranked[0][0] : 'und',
+            languages,
+            mixed: ranked.length > 1 && ranked[1][1] / total >= 0.25
+        };
+    }
+
+    tokenMatches(patternToken, token) {
+        if (patternToken === '*') return true;
+        if (patternToken.endsWith('*')) {
+            const prefix = patternToken.slice(0, -1);
+            return token.text.startsWith(prefix) || token.skeleton.startsWith(TextNormalizer.skeleton(prefix));
+        }
+        // "stuuupid" matches "stupid", but "kil" must not match "kill"
+        return token.text === patternToken ||
+            (token.skeleton === TextNormalizer.skeleton(patternToken) && token.text.length >= patternToken.length);
+    }
+
+    analyze(content) {
+        const result = {
+            score: 0,
+            categories: Object.fromEntries(THREAT_CATEGORIES.map(category => [category, 0])),
+            matches: [],
+            rules: [],
+            language: 'und',
+            languages: {},
+            mixed: false,
+            normalized: ''
+        };
+        if (!content || typeof content !== 'string') return result;
+
+        // Score the de-obfuscated text, but report spans in the original
+        const normalized = this.normalizer.normalize(content);
+        const tokens = this.tokenize(normalized.text);
+        const candidates = [];
+        result.normalized = normalized.text;
+        Object.assign(result, this.detectLanguage(tokens));
+        const allowed = this.findAllowed(tokens);
+
+        tokens.forEach((token, index) => {
+            const entries = (this.byFirstToken.get(token.skeleton) || []).concat(this.prefixFirst);
+
+            entries.forEach(({ rule, pattern }) => {
+                if (index + pattern.length > tokens.length) return;
+                const matched = pattern.every((patternToken, offset) =>
+                    this.tokenMatches(patternToken, tokens[index + offset])
+                );
+                if (matched) {
+                    candidates.push(this.evaluateMatch(rule, tokens, index, index + pattern.length, normalized, allowed));
+                }
+            });
+        });
+
+        result.matches = this.resolveOverlaps(candidates);
+        this.aggregate(result);
+
+        return result;
+    }
+
+    findAllowed(tokens) {
+        const spans = [];
+        this.allowPatterns.forEach(({ phrase, pattern }) => {
+            for (let index = 0; index + pattern.length <= tokens.length; index++) {
+                if (pattern.every((patternToken, offset) => this.tokenMatches(patternToken, tokens[index + offset]))) {
+                    spans.push({ phrase, from: index, to: index + pattern.length });
+                }
+            }
+        });
+        return spans;
+    }
+
+    evaluateMatch(rule, tokens, from, to, normalized, allowed = []) {
+        const span = TextNormalizer.mapSpan(normalized, tokens[from].start, tokens[to - 1].end);
+        const match = {
+            ruleId: rule.id,
+            ruleSet: rule.ruleSet,
+            language: rule.language,
+            category: rule.category,
+            text: normalized.original.slice(span.start, span.end),
+            normalizedText: normalized.text.slice(tokens[from].start, tokens[to - 1].end),
+            start: span.start,
+            end: span.end,
+            tokenStart: from,
+            tokenEnd: to,
+            weight: rule.weight,
+            effectiveWeight: rule.weight,
+            modifiers: [],
+            suppressed: false
+        };
+
+        const allow = allowed.find(span => span.from <= from && span.to >= to);
+        if (allow) {
+            match.modifiers.push({ type: 'allowed', term: allow.phrase, factor: 0 });
+            match.effectiveWeight = 0;
+            match.suppressed = true;
+            return match;
+        }
+
+        // Negation: "I would never hurt you" should not count as a threat. Languages
+        // such as Bengali negate after the verb ("mere felbo na"), so the rule set decides
+        if (rule.negatable) {
+            const before = rule.negationPosition !== 'after'
+                ? tokens.slice(Math.max(0, from - this.negationWindow), from)
+                : [];
+            const after = rule.negationPosition !== 'before'
+                ? tokens.slice(to, to + this.negationWindow)
+                : [];
+            const negation = before.concat(after).find(token => rule.negations.has(token.skeleton));
+            if (negation) {
+                match.modifiers.push({ type: 'negation', term: negation.text, factor: 0 });
+                match.effectiveWeight = 0;
+                match.suppressed = true;
+                return match;
+            }
+        }
+
+        // Context windows amplify or dampen a match based on nearby words
+        rule.context.forEach(clause => {
+            const before = clause.direction !== 'after'
+                ? tokens.slice(Math.max(0, from - clause.window), from)
+                : [];
+            const after = clause.direction !== 'before'
+                ? tokens.slice(to, to + clause.window)
+                : [];
+            const hit = before.concat(after).find(token => clause.terms.has(token.skeleton));
+
+            if (hit) {
+                match.modifiers.push({
+                    type: clause.factor >= 1 ? 'amplify' : 'dampen',
+                    term: hit.text,
+                    factor: clause.factor,
+                    reason: clause.reason
+                });
+                match.effectiveWeight *= clause.factor;
+            }
+        });
+
+        const feedback = this.ruleWeights[rule.id];
+        if (feedback !== undefined && feedback !== 1) {
+            match.modifiers.push({ type: 'feedback', term: 'your reviews', factor: feedback });
+            match.effectiveWeight *= feedback;
+        }
+
+        match.effectiveWeight = Math.min(match.effectiveWeight, 1);
+        if (match.effectiveWeight === 0) match.suppressed = true;
+
+        return match;
+    }
+
+    resolveOverlaps(matches) {
+        // A longer phrase in the same category supersedes the single words inside it
+        return matches.filter(match => !matches.some(other =>
+            other !== match &&
+            other.category === match.category &&
+            !other.suppressed &&
+            other.tokenStart <= match.tokenStart &&
+            other.tokenEnd >= match.tokenEnd &&
+            (other.tokenEnd - other.tokenStart) > (match.tokenEnd - match.tokenStart)
+        ));
+    }
+
+    aggregate(result) {
+        const remaining = Object.fromEntries(THREAT_CATEGORIES.map(category => [category, 1]));
+
+        result.matches.forEach(match => {
+            if (match.suppressed) return;
+            if (!(match.category in remaining)) remaining[match.category] = 1;
+
+            // Noisy-OR: each independent hit pushes the category closer to 1
+            remaining[match.category] *= 1 - match.effectiveWeight;
+            if (!result.rules.includes(match.ruleId)) result.rules.push(match.ruleId);
+        });
+
+        let overall = 1;
+        Object.entries(remaining).forEach(([category, value]) => {
+            result.categories[category] = Math.round((1 - value) * 1000) / 1000;
+            overall *= value;
+        });
+
+        result.score = Math.round((1 - overall) * 1000) / 1000;
+    }
+
+    // The parts of a result worth keeping with an evidence record
+    static evidenceView(result) {
+        return {
+            normalized: result.normalized,
+            categories: result.categories,
+            matches: result.matches,
+            rules: result.rules,
+            language: result.language,
+            languages: result.languages,
+            // Present when the on-device classifier also scored the message
+            ruleScore: result.ruleScore,
+            model: result.model
+        };
+    }
+
+    static topCategory(result) {
+        return Object.entries(result.categories)
+            .sort((a, b) => b[1] - a[1])
+            .find(([, score]) => score > 0);
+    }
+
+    static explain(result) {
+        const fired = result.matches.filter(match => !match.suppressed);
+        const model = result.model ? ThreatEngine.topCategory(result.model) : null;
+        const modelNote = model && model[1] > 0.5 ? `classifier: ${model[0]} ${Math.round(model[1] * 100)}%` : null;
+        if (fired.length === 0) return modelNote || 'No threat indicators found';
+
+        return fired.map(match => {
+            const modifiers = match.modifiers.map(modifier => `${modifier.type} "${modifier.term}"`);
+            return `${match.category}: "${match.text}" (${match.ruleId}, ${Math.round(match.effectiveWeight * 100)}%` +
+                (modifiers.length ? `, ${modifiers.join(', ')}` : '') + ')';
+        }).concat(modelNote || []).join('; ');
+    }
+}
@@ -0,0 +1,88 @@
+// SafeGuard Pro - Threat Classifier Model
+// A small multi-label logistic regression over hashed word and character
+// n-grams, shipped as a static JSON file. Only the maths lives here, so the
+// page's worker, the benchmark and the command line score alike.
+export const CLASSIFIER_MODEL_URL = '/models/threat-classifier.json';
+// How much a confident model prediction counts next to the rules
+export const CLASSIFIER_DEFAULT_WEIGHT = 1;
+
+export class ThreatModel {
+    // FNV-1a, so page, worker and the training harness agree on buckets
+    static hash(feature, buckets) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) % buckets;
+    }
+
+    // Expects text already run through TextNormalizer, so "s3nd n00dz" and
+    // "send nudes" look alike to the model as they do to the rules
+    static features(text, model) {
+        const words = (String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}']+/gu) || [])
+            .map(word => word.replace(/^'+|'+$/g, ''))
+            .filter(Boolean);
+        const features = new Set();
+
+        words.forEach((word, index) => {
+            features.add(`w:${word}`);
+            if (index > 0) features.add(`b:${words[index - 1]} ${word}`);
+            const padded = `<${word}>`;
+            for (let i = 0; i + model.charNgram <= padded.length; i++) {
+                features.add(`c:${padded.slice(i, i + model.charNgram)}`);
+            }
+        });
+
+        // Several features may share a bucket; each counts once, scaled so long messages do not dominate
+        const buckets = [...new Set([...features].map(feature => ThreatModel.hash(feature, model.buckets)))];
+        const value = buckets.length ? 1 / Math.sqrt(buckets.length) : 0;
+        return buckets.map(bucket => [bucket, value]);
+    }
+
+    static predict(model, text) {
+        const features = ThreatModel.features(text, model);
+        const categories = {};
+
+        model.labels.forEach((label, labelIndex) => {
+            let sum = model.bias[labelIndex];
+            features.forEach(([bucket, value]) => {
+                const weights = model.weights[bucket];
+                if (weights) sum += weights[labelIndex] * value;
+            });
+            categories[label] = Math.round(1000 / (1 + Math.exp(-sum))) / 1000;
+        });
+
+        return {
+            score: Math.max(0, ...Object.values(categories)),
+            categories,
+            model: model.version
+        };
+    }
+
+    // Folds the model's per-category probabilities into a rule result the same
+    // noisy-OR way the engine combines its own matches. Probabilities of 50%
+    // or less count for nothing, so an unsure model cannot add up small
+    // doubts into an alert. The rule-only score is kept as ruleScore.
+    static combine(analysis, prediction, weight = CLASSIFIER_DEFAULT_WEIGHT) {
+        if (!prediction) return analysis;
+
+        const categories = { ...analysis.categories };
+        let remaining = 1;
+        Object.keys({ ...categories, ...prediction.categories }).forEach(category => {
+            const rule = categories[category] || 0;
+            const probability = prediction.categories[category] || 0;
+            const model = probability > 0.5 ? probability * weight : 0;
+            categories[category] = Math.round((1 - (1 - rule) * (1 - model)) * 1000) / 1000;
+            remaining *= 1 - categories[category];
+        });
+
+        return {
+            ...analysis,
+            ruleScore: analysis.score,
+            score: Math.round((1 - remaining) * 1000) / 1000,
+            categories,
+            model: prediction
+        };
+    }
+}
@@ -0,0 +1,379 @@
+// SafeGuard Pro - Threat Rule Sets
+// Each rule lists phrases (token n-grams, "*" = any token, "word*" = prefix),
+// a category, a base weight, and optional context clauses that amplify or
+// dampen the match when certain words appear within a token window.
+const SECOND_PERSON = ['you', 'your', 'yours', 'youre', "you're", 'yourself', 'u', 'ur'];
+
+const BENIGN_OBJECTS = [
+    'it', 'this', 'that', 'game', 'gig', 'show', 'set', 'stage', 'exam', 'test', 'interview',
+    'time', 'vibe', 'look', 'outfit', 'performance', 'presentation', 'round', 'level', 'boss',
+    'battery', 'lights', 'engine', 'process', 'app', 'tab', 'music', 'mood', 'joke', 'deadline'
+];
+
+export const THREAT_RULE_SETS = [
+    {
+        id: 'en-core',
+        language: 'en',
+        weight: 1,
+        negations: [
+            'not', 'never', 'no', 'dont', "don't", 'wont', "won't", 'wouldnt', "wouldn't",
+            'cant', "can't", 'cannot', 'shouldnt', "shouldn't", 'didnt', "didn't", 'nobody'
+        ],
+        rules: [
+            // Violence
+            {
+                id: 'violence.kill-target',
+                category: 'violence',
+                weight: 0.85,
+                phrases: [
+                    'kill you', 'murder you', 'hurt you', 'beat you', 'attack you', 'stab you',
+                    'shoot you', 'end you', 'finish you', 'you will die', "you're dead", 'youre dead',
+                    'you are dead'
+                ]
+            },
+            {
+                id: 'violence.harm-verb',
+                category: 'violence',
+                weight: 0.45,
+                phrases: ['kill', 'murder', 'hurt', 'harm', 'beat', 'attack', 'stab', 'shoot', 'strangle', 'destroy'],
+                context: [
+                    { terms: SECOND_PERSON, window: 3, factor: 1.5, reason: 'directed at recipient' },
+                    { terms: BENIGN_OBJECTS, window: 2, direction: 'after', factor: 0, reason: 'idiomatic use' }
+                ]
+            },
+            {
+                id: 'violence.weapon',
+                category: 'violence',
+                weight: 0.3,
+                phrases: ['knife', 'gun', 'acid', 'bomb', 'blade', 'axe'],
+                context: [
+                    { terms: SECOND_PERSON, window: 4, factor: 2, reason: 'directed at recipient' }
+                ]
+            },
+            {
+                id: 'violence.imagery',
+                category: 'violence',
+                weight: 0.2,
+                phrases: ['coffin', 'grave', 'blood'],
+                context: [
+                    { terms: SECOND_PERSON, window: 4, factor: 2, reason: 'directed at recipient' }
+                ]
+            },
+
+            // Stalking
+            {
+                id: 'stalking.location',
+                category: 'stalking',
+                weight: 0.75,
+                phrases: [
+                    'know where you live', 'know where you work', 'know where you are',
+                    'outside your house', 'outside your home', 'outside your door', 'found your address'
+                ],
+                negatable: false
+            },
+            {
+                id: 'stalking.surveillance',
+                category: 'stalking',
+                weight: 0.55,
+                phrases: [
+                    'watching you', 'following you', 'always watching', "i'm watching", 'im watching',
+                    'i see you', 'saw you today', 'saw you with', 'tracking you', 'stalk*'
+                ]
+            },
+            {
+                id: 'stalking.follow',
+                category: 'stalking',
+                weight: 0.25,
+                phrases: ['follow', 'watching', 'know where'],
+                context: [
+                    { terms: SECOND_PERSON, window: 3, factor: 1.6, reason: 'directed at recipient' }
+                ]
+            },
+
+            // Coercion
+            {
+                id: 'coercion.ultimatum',
+                category: 'coercion',
+                weight: 0.5,
+                phrases: [
+                    'or else', 'you better', 'you had better', "you'd better", "don't ignore", 'dont ignore',
+                    'last warning', "you'll regret", 'youll regret', 'you will regret'
+                ],
+                negatable: false
+            },
+            {
+                id: 'coercion.exposure',
+                category: 'coercion',
+                weight: 0.7,
+                phrases: [
+                    'leak your', 'post your pics', 'post your photos', 'send your photos to',
+                    'tell everyone', 'ruin your life', 'ruin you', 'expose you', 'make them viral', 'go viral'
+                ],
+                context: [
+                    { terms: ['unless', 'if', 'or'], window: 6, factor: 1.3, reason: 'conditional demand' }
+                ]
+            },
+
+            // Insults
+            {
+                id: 'insults.direct',
+                category: 'insults',
+                weight: 0.55,
+                phrases: [
+                    'you are worthless', "you're worthless", 'youre worthless', 'you are stupid',
+                    "you're stupid", 'youre stupid', 'you are ugly', "you're ugly", 'i hate you', 'hate you',
+                    'nobody loves you', 'kill yourself', 'kys'
+                ]
+            },
+            {
+                id: 'insults.term',
+                category: 'insults',
+                weight: 0.3,
+                phrases: ['worthless', 'stupid', 'ugly', 'loser', 'idiot', 'pathetic', 'disgusting', 'slut', 'whore', 'bitch', 'asshole'],
+                context: [
+                    { terms: SECOND_PERSON, window: 2, factor: 1.4, reason: 'directed at recipient' }
+                ]
+            }
+        ]
+    }
+];
+
+// Builds the standard rule layout from a per-language lexicon so that native
+// script and romanized (Hinglish etc.) variants stay structurally identical
+function buildLexiconRuleSet(lexicon) {
+    const prefix = lexicon.id;
+    const directed = lexicon.secondPerson && lexicon.secondPerson.length
+        ? [{ terms: lexicon.secondPerson, window: 3, factor: 1.5, reason: 'directed at recipient' }]
+        : [];
+
+    return {
+        id: lexicon.id,
+        language: lexicon.language,
+        script: lexicon.script,
+        weight: lexicon.weight === undefined ? 1 : lexicon.weight,
+        negations: lexicon.negations,
+        negationPosition: lexicon.negationPosition,
+        markers: lexicon.markers,
+        rules: [
+            { id: `${prefix}.violence.threat`, category: 'violence', weight: 0.85, phrases: lexicon.violence.threats },
+            { id: `${prefix}.violence.weapon`, category: 'violence', weight: 0.3, phrases: lexicon.violence.weapons, context: directed },
+            { id: `${prefix}.stalking.location`, category: 'stalking', weight: 0.75, phrases: lexicon.stalking.location, negatable: false },
+            { id: `${prefix}.stalking.surveillance`, category: 'stalking', weight: 0.55, phrases: lexicon.stalking.surveillance },
+            { id: `${prefix}.coercion.ultimatum`, category: 'coercion', weight: 0.5, phrases: lexicon.coercion.ultimatum, negatable: false },
+            { id: `${prefix}.coercion.exposure`, category: 'coercion', weight: 0.7, phrases: lexicon.coercion.exposure },
+            { id: `${prefix}.insults.slur`, category: 'insults', weight: 0.45, phrases: lexicon.insults.slurs, context: directed },
+            { id: `${prefix}.insults.term`, category: 'insults', weight: 0.3, phrases: lexicon.insults.terms, context: directed }
+        ].filter(rule => rule.phrases && rule.phrases.length > 0)
+    };
+}
+
+const INDIC_LEXICONS = [
+    // Hindi
+    {
+        id: 'hi-deva',
+        language: 'hi',
+        script: 'Deva',
+        negationPosition: 'before',
+        negations: ['नहीं', 'नही', 'मत', 'ना', 'न'],
+        secondPerson: ['तू', 'तुझे', 'तुझको', 'तुम', 'तुम्हें', 'तेरा', 'तेरी', 'तेरे', 'तुम्हारा', 'तुम्हारी', 'आप'],
+        violence: {
+            threats: ['मार डालूंगा', 'मार डालूँगा', 'मार दूंगा', 'मार दूँगा', 'जान से मार', 'खत्म कर दूंगा', 'काट डालूंगा', 'गोली मार'],
+            weapons: ['चाकू', 'तेज़ाब', 'तेजाब', 'बंदूक']
+        },
+        stalking: {
+            location: ['घर का पता', 'तेरा घर', 'तुम्हारा घर'],
+            surveillance: ['पीछा कर', 'पीछा करूंगा', 'देख रहा हूं', 'देख रहा हूँ', 'नज़र रख', 'नजर रख']
+        },
+        coercion: {
+            ultimatum: ['वरना', 'नहीं तो', 'अंजाम बुरा होगा', 'पछताएगी', 'पछताओगी'],
+            exposure: ['बदनाम कर दूंगा', 'वायरल कर दूंगा', 'फोटो वायरल']
+        },
+        insults: {
+            slurs: ['रंडी', 'कुतिया', 'हरामी', 'कमीनी'],
+            terms: ['बेवकूफ', 'पागल', 'घटिया', 'बदसूरत']
+        }
+    },
+    {
+        id: 'hi-latn',
+        language: 'hi',
+        script: 'Latn',
+        negationPosition: 'before',
+        negations: ['nahi', 'nahin', 'nhi', 'mat', 'na'],
+        secondPerson: ['tu', 'tujhe', 'tujhko', 'tum', 'tumhe', 'tera', 'teri', 'tere', 'tumhara', 'tumhari', 'aap'],
+        markers: [
+            'hai', 'hain', 'tum', 'tu', 'tujhe', 'tera', 'teri', 'mera', 'meri', 'kya', 'kar', 'karunga',
+            'dunga', 'raha', 'rahi', 'mein', 'hoon', 'hu', 'ko', 'se', 'bhi', 'toh', 'abhi', 'yaar'
+        ],
+        violence: {
+            threats: ['maar dunga', 'maar dalunga', 'maar daalunga', 'jaan se maar', 'khatam kar dunga', 'kaat dunga', 'goli maar'],
+            weapons: ['chaku', 'chaaku', 'tezaab', 'tezab', 'bandook']
+        },
+        stalking: {
+            location: ['ghar ka pata', 'tera ghar', 'tumhara ghar'],
+            surveillance: ['peecha kar', 'pichha kar', 'peecha karunga', 'dekh raha hu', 'dekh raha hoon', 'nazar rakh', 'nazar hai']
+        },
+        coercion: {
+            ultimatum: ['warna', 'varna', 'nahi to', 'nahi toh', 'anjaam bura', 'pachtayegi', 'pachtaogi'],
+            exposure: ['badnaam kar dunga', 'badnam kar dunga', 'viral kar dunga', 'photo viral']
+        },
+        insults: {
+            slurs: ['randi', 'kutiya', 'kutti', 'harami', 'kamini'],
+            terms: ['bewakoof', 'bevkuf', 'pagal', 'ghatiya', 'chudail']
+        }
+    },
+
+    // Bengali
+    {
+        id: 'bn-beng',
+        language: 'bn',
+        script: 'Beng',
+        negationPosition: 'after',
+        negations: ['না', 'নয়', 'নি', 'নেই'],
+        secondPerson: ['তুই', 'তোকে', 'তোর', 'তুমি', 'তোমাকে', 'তোমার', 'আপনি', 'আপনার'],
+        violence: {
+            threats: ['মেরে ফেলব', 'মেরে ফেলবো', 'খুন করব', 'খুন করবো', 'তোকে মারব', 'তোকে মারবো'],
+            weapons: ['ছুরি', 'অ্যাসিড', 'বন্দুক']
+        },
+        stalking: {
+            location: ['বাড়ি চিনি', 'তোর বাড়ি'],
+            surveillance: ['পিছু নেব', 'পিছু নিচ্ছি', 'নজর রাখছি', 'দেখছি তোকে']
+        },
+        coercion: {
+            ultimatum: ['নইলে', 'না হলে', 'পস্তাবি'],
+            exposure: ['বদনাম করে দেব', 'ভাইরাল করে দেব', 'ছবি ভাইরাল']
+        },
+        insults: {
+            slurs: ['মাগী', 'বেশ্যা', 'কুত্তি', 'হারামি'],
+            terms: ['বোকা', 'পাগল', 'শয়তান']
+        }
+    },
+    {
+        id: 'bn-latn',
+        language: 'bn',
+        script: 'Latn',
+        negationPosition: 'after',
+        negations: ['na', 'noy', 'ni', 'nei'],
+        secondPerson: ['tui', 'toke', 'tokey', 'tor', 'tumi', 'tomake', 'tomar', 'apni'],
+        markers: ['ami', 'tumi', 'tui', 'tor', 'tomar', 'amar', 'kore', 'korbo', 'debo', 'ache', 'achhe', 'keno', 'ekhon', 'hobe', 'toke'],
+        violence: {
+            threats: ['mere felbo', 'mere phelbo', 'khun korbo', 'toke marbo', 'tokey marbo'],
+            weapons: ['churi', 'bonduk']
+        },
+        stalking: {
+            location: ['bari chini', 'tor bari'],
+            surveillance: ['pichu nebo', 'pichu nichhi', 'nojor rakhchi']
+        },
+        coercion: {
+            ultimatum: ['noile', 'nahole', 'na hole', 'postabi'],
+            exposure: ['bodnam kore debo', 'viral kore debo']
+        },
+        insults: {
+            slurs: ['magi', 'beshya', 'kutti', 'harami'],
+            terms: ['boka', 'pagol', 'shoytan']
+        }
+    },
+
+    // Tamil
+    {
+        id: 'ta-taml',
+        language: 'ta',
+        script: 'Taml',
+        negationPosition: 'after',
+        negations: ['இல்லை', 'இல்ல', 'மாட்டேன்', 'வேண்டாம்'],
+        secondPerson: ['நீ', 'உன்னை', 'உன்', 'உனக்கு', 'நீங்க', 'உங்களை'],
+        violence: {
+            threats: ['கொன்னுடுவேன்', 'கொன்றுவிடுவேன்', 'கொலை பண்ணுவேன்', 'உன்னை கொல்வேன்', 'அடிப்பேன்'],
+            weapons: ['கத்தி', 'ஆசிட்', 'துப்பாக்கி']
+        },
+        stalking: {
+            location: ['உன் வீடு தெரியும்', 'வீடு தெரியும்'],
+            surveillance: ['பின்தொடர்கிறேன்', 'பார்த்துக்கிட்டு இருக்கேன்']
+        },
+        coercion: {
+            ultimatum: ['இல்லைனா', 'இல்லன்னா'],
+            exposure: ['அசிங்கப்படுத்துவேன்', 'வைரல் பண்ணுவேன்', 'போட்டோ லீக்']
+        },
+        insults: {
+            slurs: ['தேவடியா'],
+            terms: ['முட்டாள்', 'நாயே', 'பைத்தியம்', 'அசிங்கம்']
+        }
+    },
+    {
+        id: 'ta-latn',
+        language: 'ta',
+        script: 'Latn',
+        negationPosition: 'after',
+        negations: ['illa', 'illai', 'maaten', 'maatten', 'venam'],
+        secondPerson: ['nee', 'unna', 'unnai', 'un', 'unakku', 'neenga'],
+        markers: ['nee', 'unna', 'unnai', 'naan', 'enna', 'da', 'di', 'iruken', 'panren', 'romba', 'inga', 'enga'],
+        violence: {
+            threats: ['konnuduven', 'konniduven', 'kolai panniduven', 'unna kolluven', 'adipen'],
+            weapons: ['kathi', 'thuppakki']
+        },
+        stalking: {
+            location: ['un veedu theriyum', 'veedu theriyum'],
+            surveillance: ['pinthodaren', 'paathutu iruken']
+        },
+        coercion: {
+            ultimatum: ['illana', 'illaina', 'illanna'],
+            exposure: ['asingapaduthuven', 'viral panniduven', 'photo leak']
+        },
+        insults: {
+            slurs: ['thevidiya'],
+            terms: ['muttaal', 'muttal', 'naaye', 'paithiyam']
+        }
+    },
+
+    // Telugu
+    {
+        id: 'te-telu',
+        language: 'te',
+        script: 'Telu',
+        negationPosition: 'after',
+        negations: ['లేదు', 'కాదు', 'వద్దు'],
+        secondPerson: ['నువ్వు', 'నిన్ను', 'నీ', 'నీకు', 'మీరు', 'మిమ్మల్ని'],
+        violence: {
+            threats: ['చంపేస్తా', 'చంపేస్తాను', 'నిన్ను చంపుతా', 'చంపుతా', 'కొడతా'],
+            weapons: ['కత్తి', 'యాసిడ్', 'తుపాకీ']
+        },
+        stalking: {
+            location: ['నీ ఇల్లు తెలుసు', 'ఇల్లు తెలుసు'],
+            surveillance: ['వెంటాడుతా', 'చూస్తున్నా']
+        },
+        coercion: {
+            ultimatum: ['లేకపోతే', 'లేదంటే'],
+            exposure: ['పరువు తీస్తా', 'వైరల్ చేస్తా', 'ఫోటోలు లీక్']
+        },
+        insults: {
+            slurs: ['లంజ'],
+            terms: ['వెధవ', 'పిచ్చిది', 'కుక్క']
+        }
+    },
+    {
+        id: 'te-latn',
+        language: 'te',
+        script: 'Latn',
+        negationPosition: 'after',
+        negations: ['ledu', 'kaadu', 'vaddu'],
+        secondPerson: ['nuvvu', 'ninnu', 'nee', 'neeku', 'meeru'],
+        markers: ['nenu', 'nuvvu', 'ninnu', 'naa', 'enti', 'ra', 'chestha', 'chesta', 'undi', 'emi', 'ela'],
+        violence: {
+            threats: ['champestha', 'champesta', 'champestanu', 'ninnu champutha', 'champutha', 'kodatha'],
+            weapons: ['katti', 'tupaki']
+        },
+        stalking: {
+            location: ['nee illu telusu', 'illu telusu'],
+            surveillance: ['ventadutha', 'chustunna']
+        },
+        coercion: {
+            ultimatum: ['lekapothe', 'ledante'],
+            exposure: ['paruvu teestha', 'viral chestha']
+        },
+        insults: {
+            slurs: ['lanja'],
+            terms: ['vedhava', 'pichidi', 'kukka']
+        }
+    }
+];
+
+INDIC_LEXICONS.forEach(lexicon => THREAT_RULE_SETS.push(buildLexiconRuleSet(lexicon)));
@@ -0,0 +1,79 @@
+// SafeGuard Pro - Minimal ZIP Reader
+// Just enough of the ZIP format to open chat exports: reads the central
+// directory and inflates stored or deflated entries with DecompressionStream,
+// which browsers and Node both have. No ZIP64, encryption or multi-disk archives.
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+export class ZipReader {
+    constructor(blob) {
+        this.blob = blob;
+    }
+
+    static async isZip(blob) {
+        const head = new DataView(await blob.slice(0, 4).arrayBuffer());
+        return head.byteLength === 4 && head.getUint32(0, true) === ZIP_LOCAL_HEADER;
+    }
+
+    async entries() {
+        // The end-of-directory record sits in the last 22 bytes plus an optional comment
+        const tailSize = Math.min(this.blob.size, 65557);
+        const tail = new DataView(await this.blob.slice(this.blob.size - tailSize).arrayBuffer());
+
+        let end = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === ZIP_END_OF_DIRECTORY) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error('Not a ZIP archive');
+
+        const count = tail.getUint16(end + 10, true);
+        const directorySize = tail.getUint32(end + 12, true);
+        const directoryOffset = tail.getUint32(end + 16, true);
+        const directory = new DataView(await this.blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+        const decoder = new TextDecoder();
+
+        const entries = [];
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            if (directory.getUint32(position, true) !== ZIP_CENTRAL_HEADER) throw new Error('Corrupt ZIP directory');
+
+            const nameLength = directory.getUint16(position + 28, true);
+            const extraLength = directory.getUint16(position + 30, true);
+            const commentLength = directory.getUint16(position + 32, true);
+            const name = decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + position + 46, nameLength));
+
+            entries.push({
+                name,
+                method: directory.getUint16(position + 10, true),
+                compressedSize: directory.getUint32(position + 20, true),
+                size: directory.getUint32(position + 24, true),
+                offset: directory.getUint32(position + 42, true),
+                isDirectory: name.endsWith('/')
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    async read(entry) {
+        const header = new DataView(await this.blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (header.getUint32(0, true) !== ZIP_LOCAL_HEADER) throw new Error(`Corrupt ZIP entry ${entry.name}`);
+
+        const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.blob.slice(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return new Uint8Array(await data.arrayBuffer());
+        if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async readText(entry) {
+        return new TextDecoder().decode(await this.read(entry));
+    }
+}
@@ -0,0 +1,279 @@
+// SafeGuard Pro - Backup, Restore and Device Migration
+// Gathers the profile, contacts, rules, sender history and the evidence
+// chain (photos and audio ride inside their records) into one
+// passphrase-encrypted BackupArchive, and merges such a backup into this
+// device without duplicating anything already here. Device-bound state
+// stays behind: the vault key and PIN attempts, the duress PIN, the
+// non-extractable signing key and any walk in progress.
+// Automatic backups rewrite one file the user picked through the File
+// System Access API. They only run while the app is unlocked, the one time
+// the data can be read.
+const BACKUP_SETTINGS = [
+    'userData', 'emergencyContacts', 'responseRules', 'threatFeedback', 'classifier',
+    'chatImports', 'screenshotHashes', 'retentionPolicy', 'panicTriggers', 'disguise', 'silentAlert', 'guardians'
+];
+const BACKUP_CHECK_MS = 15 * 60000;
+const BACKUP_FILE_TYPES = [{ description: 'SafeGuard backup', accept: { 'application/json': ['.json'] } }];
+
+// Lists that are merged entry by entry; every other setting keeps this
+// device's value and is only filled in from the backup when missing
+const BACKUP_MERGES = {
+    emergencyContacts: (local, incoming) => {
+        const key = contact => ContactManager.normalizePhone(contact.phone) || String(contact.email || '').toLowerCase();
+        return DeviceBackup.union(local, incoming, key);
+    },
+    responseRules: (local, incoming) => {
+        const sender = entry => ResponseRules.senderKey(entry.sender);
+        return {
+            ...local,
+            blocked: DeviceBackup.union(local.blocked || [], incoming.blocked || [], sender),
+            trusted: DeviceBackup.union(local.trusted || [], incoming.trusted || [], sender),
+            rules: DeviceBackup.union(local.rules || [], incoming.rules || [], rule => rule.id)
+        };
+    },
+    // Counts come from reviews of the same records, so adding them up would count twice
+    threatFeedback: (local, incoming) => {
+        const rules = { ...(local.rules || {}) };
+        Object.entries(incoming.rules || {}).forEach(([ruleId, counts]) => {
+            const mine = rules[ruleId] || { confirmed: 0, falsePositive: 0 };
+            rules[ruleId] = {
+                confirmed: Math.max(mine.confirmed, counts.confirmed || 0),
+                falsePositive: Math.max(mine.falsePositive, counts.falsePositive || 0)
+            };
+        });
+        return { rules, allowPhrases: [...new Set([...(local.allowPhrases || []), ...(incoming.allowPhrases || [])])] };
+    },
+    chatImports: (local, incoming) => DeviceBackup.union(local, incoming, entry => entry.fileHash),
+    screenshotHashes: (local, incoming) => [...new Set([...local, ...incoming])],
+    guardians: (local, incoming) => DeviceBackup.union(local, incoming, guardian => guardian.id)
+};
+
+class DeviceBackup {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.running = null;
+    }
+
+    static get canSchedule() {
+        return typeof self.showSaveFilePicker === 'function';
+    }
+
+    static fileName(date = new Date()) {
+        return `safeguard-backup-${date.toISOString().slice(0, 10)}.json`;
+    }
+
+    // Entries of `incoming` whose id and key are both new here, after the local ones
+    static union(local, incoming, key) {
+        const keys = new Set(local.map(key));
+        const ids = new Set(local.map(entry => entry.id).filter(Boolean));
+        return local.concat(incoming.filter(entry => !keys.has(key(entry)) && !(entry.id && ids.has(entry.id))));
+    }
+
+    // Backing up
+
+    async collect() {
+        const [records, head, profiles] = await Promise.all([
+            this.store.chainRecords(),
+            this.store.getSetting('chainHead'),
+            this.store.getProfiles()
+        ]);
+
+        const settings = {};
+        for (const key of BACKUP_SETTINGS) {
+            const value = await this.store.getSetting(key);
+            if (value !== null && value !== undefined) settings[key] = value;
+        }
+
+        return {
+            generator: 'SafeGuard Pro',
+            createdAt: new Date().toISOString(),
+            evidence: { head, records },
+            profiles,
+            settings
+        };
+    }
+
+    async create(backupKey) {
+        return BackupArchive.seal(await this.collect(), backupKey);
+    }
+
+    static async read(file) {
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Not a SafeGuard backup');
+        }
+        if (!archive || archive.format !== BACKUP_FORMAT) throw new Error('Not a SafeGuard backup');
+        return archive;
+    }
+
+    // Restoring
+
+    // `verification` is BackupArchive.verify(contents); records it flagged
+    // are still restored, and marked if they have to be sealed again here
+    async restore(contents, verification = { problems: [] }) {
+        const evidence = await this.restoreEvidence(contents.evidence || { head: null, records: [] }, verification);
+        const profiles = await this.restoreProfiles(contents.profiles || []);
+        const settings = await this.restoreSettings(contents.settings || {});
+        return { evidence, profiles, settings };
+    }
+
+    async restoreEvidence({ head, records }, verification) {
+        const local = await this.store.chainRecords();
+        // A record restored once before is known by the hash it had in its first chain
+        const known = new Map();
+        local.forEach(record => {
+            known.set(record.hash, record);
+            if (record.restoredFrom) known.set(record.restoredFrom.hash, record);
+        });
+        const pruned = new Set(local
+            .filter(record => record.type === 'retention')
+            .flatMap(record => (record.pruned || []).map(entry => entry.hash)));
+        const find = record => known.get(record.hash) || (record.restoredFrom && known.get(record.restoredFrom.hash)) || null;
+        const ordered = records.filter(record => record.seq).sort((a, b) => a.seq - b.seq);
+        const ids = new Set(local.map(record => record.id));
+        // Records the other device had not sealed yet have no hash to match
+        // or restore, so they are sealed into this chain like new ones. An id
+        // already here means an earlier restore brought them over.
+        const unsealed = records.filter(record => !record.seq && !ids.has(record.id));
+        const byTime = (a, b) => a.timestamp.localeCompare(b.timestamp);
+
+        // Reviews and pins made on the other device, for records both have
+        let annotated = 0;
+        for (const record of ordered) {
+            const existing = find(record);
+            if (!existing || !record.annotations) continue;
+            const missing = Object.entries(record.annotations)
+                .filter(([key]) => !existing.annotations || existing.annotations[key] === undefined);
+            if (missing.length === 0) continue;
+            await this.store.annotate(existing.id, Object.fromEntries(missing));
+            annotated++;
+        }
+
+        const restored = await this.store.restoreChain(ordered, head);
+        if (restored) {
+            await this.store.addMany(unsealed.sort(byTime));
+            const added = restored.length + unsealed.length;
+            return { added, resealed: 0, unsealed: unsealed.length, skipped: records.length - added, annotated };
+        }
+
+        // Retention records describe gaps in the other chain; sealed here they would excuse gaps in this one
+        const flagged = new Set(verification.problems.map(problem => problem.id).filter(Boolean));
+        const resealed = ordered
+            .filter(record => record.type !== 'retention' && !find(record) && !pruned.has(record.hash))
+            .map(record => DeviceBackup.resealable(record, ids, !flagged.has(record.id)));
+        const incoming = [...resealed, ...unsealed].sort(byTime);
+        await this.store.addMany(incoming);
+
+        return {
+            added: incoming.length,
+            resealed: resealed.length,
+            unsealed: unsealed.length,
+            skipped: records.length - incoming.length,
+            annotated
+        };
+    }
+
+    // The original seq and hash stay with the record, so it can be matched
+    // against the other device's chain or an earlier evidence bundle
+    static resealable(record, ids, verified) {
+        const { seq, prevHash, hash, sealedAt, id, ...rest } = record;
+        return {
+            ...rest,
+            id: ids.has(id) ? undefined : id,
+            restoredFrom: record.restoredFrom || { seq, hash, sealedAt, verified }
+        };
+    }
+
+    // The most recently active copy of a sender's history wins
+    async restoreProfiles(profiles) {
+        const local = new Map((await this.store.getProfiles()).map(profile => [profile.id, profile]));
+        let restored = 0;
+        for (const profile of profiles) {
+            const existing = local.get(profile.id);
+            if (existing && (existing.lastSeen || '') >= (profile.lastSeen || '')) continue;
+            await this.store.putProfile(profile);
+            restored++;
+        }
+        return restored;
+    }
+
+    async restoreSettings(settings) {
+        const changed = [];
+        for (const key of BACKUP_SETTINGS) {
+            const incoming = settings[key];
+            if (incoming === null || incoming === undefined) continue;
+
+            const local = await this.store.getSetting(key);
+            const merged = local === null || local === undefined
+                ? incoming
+                : BACKUP_MERGES[key] ? BACKUP_MERGES[key](local, incoming) : local;
+            if (EvidenceChain.canonicalize(merged) === EvidenceChain.canonicalize(local)) continue;
+
+            await this.store.setSetting(key, merged);
+            changed.push(key);
+        }
+        return changed;
+    }
+
+    // Automatic backups
+
+    loadSchedule() {
+        return this.store.getSetting('backupSchedule');
+    }
+
+    async schedule(handle, backupKey, intervalHours) {
+        await this.store.setPlainSetting('backupFile', handle);
+        await this.store.setSetting('backupSchedule', {
+            intervalHours,
+            key: backupKey,
+            fileName: handle.name,
+            lastBackupAt: null
+        });
+        return this.runIfDue({ force: true });
+    }
+
+    async unschedule() {
+        await this.store.setSetting('backupSchedule', null);
+        await this.store.setPlainSetting('backupFile', null);
+    }
+
+    // Browsers forget file access between sessions; asking again needs a tap
+    async filePermission({ request = false } = {}) {
+        const handle = await this.store.getPlainSetting('backupFile');
+        if (!handle) return null;
+        return request
+            ? handle.requestPermission({ mode: 'readwrite' })
+            : handle.queryPermission({ mode: 'readwrite' });
+    }
+
+    // Returns 'off', 'not-due', 'needs-permission' or 'saved'
+    runIfDue({ force = false } = {}) {
+        if (!this.running) {
+            this.running = this.backUpToFile(force).finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async backUpToFile(force) {
+        const schedule = await this.loadSchedule();
+        if (!schedule) return 'off';
+        const due = force || !schedule.lastBackupAt ||
+            Date.now() - Date.parse(schedule.lastBackupAt) >= schedule.intervalHours * 60 * 60 * 1000;
+        if (!due) return 'not-due';
+
+        const handle = await this.store.getPlainSetting('backupFile');
+        if (!handle || await handle.queryPermission({ mode: 'readwrite' }) !== 'granted') return 'needs-permission';
+
+        // The browser writes to a temporary copy and swaps it in on close,
+        // so an interrupted backup leaves the previous one intact
+        const archive = await this.create(schedule.key);
+        const writable = await handle.createWritable();
+        await writable.write(JSON.stringify(archive));
+        await writable.close();
+
+        await this.store.setSetting('backupSchedule', { ...schedule, lastBackupAt: archive.createdAt });
+        return 'saved';
+    }
+}
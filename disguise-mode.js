@@ -0,0 +1,174 @@
+// SafeGuard Pro - Disguise Mode
+// Covers the whole app with a working calculator or a plain notes screen.
+// Typing the PIN into it (then "=" on the calculator, or Enter in the notes
+// search box) is the only way back; wrong codes behave like normal input.
+const DISGUISE_TITLES = { calculator: 'Calculator', notes: 'Notes' };
+const DISGUISE_MIN_CODE_LENGTH = 6;
+
+class DisguiseMode {
+    constructor(options = {}) {
+        this.onCode = options.onCode || (async () => false);
+        this.element = null;
+        this.originalTitle = null;
+    }
+
+    get isActive() {
+        return Boolean(this.element);
+    }
+
+    show(type = 'calculator') {
+        if (this.element) return;
+
+        this.originalTitle = document.title;
+        document.title = DISGUISE_TITLES[type] || DISGUISE_TITLES.calculator;
+
+        this.element = document.createElement('div');
+        this.element.id = 'disguiseScreen';
+        this.element.className = `disguise-screen disguise-${type}`;
+        document.body.appendChild(this.element);
+
+        if (type === 'notes') {
+            this.renderNotes();
+        } else {
+            this.renderCalculator();
+        }
+    }
+
+    hide() {
+        if (!this.element) return;
+        this.element.remove();
+        this.element = null;
+        document.title = this.originalTitle;
+    }
+
+    async submitCode(code) {
+        if (!code || code.length < DISGUISE_MIN_CODE_LENGTH) return false;
+        try {
+            if (await this.onCode(code)) {
+                this.hide();
+                return true;
+            }
+        } catch (error) {
+            // Wrong PINs and lockouts must look like ordinary input
+            console.log('Disguise code rejected');
+        }
+        return false;
+    }
+
+    // Calculator
+
+    renderCalculator() {
+        const keys = ['C', '÷', '×', '−', '7', '8', '9', '+', '4', '5', '6', '.', '1', '2', '3', '=', '0'];
+        SafeHtml.render(this.element, html`
+            <div class="calculator">
+                <div class="calculator-display" data-panic-decoy>0</div>
+                <div class="calculator-keys">
+                    ${keys.map(key => html`<button type="button" class="calculator-key${key === '=' ? ' equals' : ''}${key === '0' ? ' zero' : ''}" data-key="${key}">${key}</button>`)}
+                </div>
+            </div>
+        `);
+
+        this.entry = '';
+        this.typed = true;
+        this.display = this.element.querySelector('.calculator-display');
+        this.element.querySelector('.calculator-keys').addEventListener('click', (e) => {
+            const key = e.target.closest('[data-key]');
+            if (key) this.pressKey(key.dataset.key);
+        });
+    }
+
+    async pressKey(key) {
+        if (key === 'C') {
+            this.entry = '';
+            this.typed = true;
+        } else if (key === '=') {
+            // A typed run of digits might be the PIN; results of sums never are
+            if (this.typed && /^\d+$/.test(this.entry) && await this.submitCode(this.entry)) return;
+            this.entry = DisguiseMode.evaluate(this.entry);
+            this.typed = false;
+        } else {
+            if (!this.typed && /\d|\./.test(key)) this.entry = '';
+            this.entry += key;
+            this.typed = true;
+        }
+        this.display.textContent = this.entry || '0';
+    }
+
+    // Small arithmetic evaluator (no eval): × and ÷ before + and −
+    static evaluate(expression) {
+        const tokens = expression.match(/\d*\.?\d+|[+−×÷]/g);
+        if (!tokens) return '';
+
+        const values = [];
+        const operators = [];
+        let expectNumber = true;
+        for (const token of tokens) {
+            if (/[+−×÷]/.test(token)) {
+                if (expectNumber) return 'Error';
+                operators.push(token);
+                expectNumber = true;
+            } else {
+                const number = parseFloat(token);
+                const previous = operators[operators.length - 1];
+                if (!expectNumber) return 'Error';
+                if (previous === '×' || previous === '÷') {
+                    operators.pop();
+                    const left = values.pop();
+                    values.push(previous === '×' ? left * number : left / number);
+                } else {
+                    values.push(number);
+                }
+                expectNumber = false;
+            }
+        }
+        if (expectNumber) operators.pop();
+
+        let result = values[0];
+        operators.forEach((operator, i) => {
+            result = operator === '+' ? result + values[i + 1] : result - values[i + 1];
+        });
+        return Number.isFinite(result) ? String(Math.round(result * 1e10) / 1e10) : 'Error';
+    }
+
+    // Notes
+
+    renderNotes() {
+        const notes = [
+            { title: 'Groceries', body: 'Milk\nBread\nRice 5kg\nTomatoes\nTea' },
+            { title: 'To do', body: 'Pay electricity bill\nCall about the gas cylinder\nReturn library books' },
+            { title: 'Recipes', body: 'Dal: soak 1 hour, pressure cook 3 whistles, tadka with jeera and garlic.' }
+        ];
+
+        SafeHtml.render(this.element, html`
+            <div class="notes">
+                <header class="notes-header" data-panic-decoy>Notes</header>
+                <form class="notes-search">
+                    <input type="search" name="query" placeholder="Search notes" autocomplete="off">
+                </form>
+                <ul class="notes-list">
+                    ${notes.map((note, i) => html`<li data-note="${i}"><strong>${note.title}</strong><span>${note.body.split('\n')[0]}</span></li>`)}
+                </ul>
+                <textarea class="notes-editor" placeholder="Start typing…"></textarea>
+            </div>
+        `);
+
+        const editor = this.element.querySelector('.notes-editor');
+        const list = this.element.querySelector('.notes-list');
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-note]');
+            if (item) editor.value = notes[item.dataset.note].body;
+        });
+
+        this.element.querySelector('.notes-search').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const input = e.target.elements.query;
+            if (await this.submitCode(input.value)) return;
+
+            const query = input.value.toLowerCase();
+            list.querySelectorAll('[data-note]').forEach(item => {
+                const note = notes[item.dataset.note];
+                item.hidden = !`${note.title} ${note.body}`.toLowerCase().includes(query);
+            });
+        });
+    }
+}
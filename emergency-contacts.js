@@ -0,0 +1,127 @@
+// SafeGuard Pro - Emergency Contact Manager
+// Contacts are kept in priority order (index 0 is tried first by the SOS
+// chain) and persisted as an encrypted setting.
+const CONTACT_CHANNELS = ['call', 'sms', 'email', 'share'];
+
+class ContactManager {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.contacts = [];
+    }
+
+    static createId() {
+        return `ct_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    static normalizePhone(phone) {
+        // Keep a leading + for international numbers, drop spaces, dashes and brackets
+        const trimmed = String(phone || '').trim();
+        return (trimmed.startsWith('+') ? '+' : '') + trimmed.replace(/\D/g, '');
+    }
+
+    static validate(contact) {
+        if (!contact.name || !contact.name.trim()) throw new Error('Contact name is required');
+        if (!contact.phone && !contact.email) throw new Error('Add a phone number or an email address');
+        if (contact.phone && ContactManager.normalizePhone(contact.phone).replace('+', '').length < 3) {
+            throw new Error('Phone number looks incomplete');
+        }
+    }
+
+    // Channels that make sense for the details we actually have
+    static usableChannels(contact) {
+        return (contact.channels || []).filter(channel => {
+            if (channel === 'email') return Boolean(contact.email);
+            if (channel === 'share') return true;
+            return Boolean(contact.phone);
+        });
+    }
+
+    async load() {
+        try {
+            this.contacts = (await this.store.getSetting('emergencyContacts')) || [];
+        } catch (error) {
+            console.error('Failed to load emergency contacts:', error);
+            this.contacts = [];
+        }
+        return this.contacts;
+    }
+
+    async save() {
+        await this.store.setSetting('emergencyContacts', this.contacts);
+    }
+
+    find(id) {
+        return this.contacts.find(contact => contact.id === id) || null;
+    }
+
+    findByPhone(phone) {
+        const normalized = ContactManager.normalizePhone(phone);
+        return normalized ? this.contacts.find(contact => contact.phone === normalized) || null : null;
+    }
+
+    prepare(contact, existing = {}) {
+        const prepared = {
+            ...existing,
+            ...contact,
+            name: (contact.name || existing.name || '').trim(),
+            phone: ContactManager.normalizePhone(contact.phone !== undefined ? contact.phone : existing.phone),
+            email: (contact.email !== undefined ? contact.email : existing.email || '').trim(),
+            channels: (contact.channels || existing.channels || ['call', 'sms']).filter(channel => CONTACT_CHANNELS.includes(channel)),
+            updatedAt: new Date().toISOString()
+        };
+        ContactManager.validate(prepared);
+        return prepared;
+    }
+
+    async add(contact) {
+        // Adding a number we already have updates that contact instead of duplicating it
+        const existing = contact.phone ? this.findByPhone(contact.phone) : null;
+        if (existing) return this.update(existing.id, contact);
+
+        const prepared = this.prepare(contact, { id: ContactManager.createId(), createdAt: new Date().toISOString() });
+        this.contacts.push(prepared);
+        await this.save();
+        return prepared;
+    }
+
+    async update(id, changes) {
+        const index = this.contacts.findIndex(contact => contact.id === id);
+        if (index === -1) throw new Error('Contact not found');
+
+        this.contacts[index] = this.prepare(changes, this.contacts[index]);
+        await this.save();
+        return this.contacts[index];
+    }
+
+    async remove(id) {
+        this.contacts = this.contacts.filter(contact => contact.id !== id);
+        await this.save();
+    }
+
+    // Moves a contact up (negative offset) or down the priority order
+    async move(id, offset) {
+        const index = this.contacts.findIndex(contact => contact.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.contacts.length) return;
+
+        const [contact] = this.contacts.splice(index, 1);
+        this.contacts.splice(target, 0, contact);
+        await this.save();
+    }
+
+    // Merges contacts from the device picker, skipping numbers we already have
+    async importContacts(list) {
+        let added = 0;
+        for (const contact of list) {
+            if (!contact.phone || this.findByPhone(contact.phone)) continue;
+            try {
+                this.contacts.push(this.prepare(contact, { id: ContactManager.createId(), createdAt: new Date().toISOString() }));
+                added++;
+            } catch (error) {
+                console.log(`Skipped contact ${contact.name}: ${error.message}`);
+            }
+        }
+        if (added > 0) await this.save();
+        return added;
+    }
+}
@@ -0,0 +1,199 @@
+// SafeGuard Pro - Per-sender Escalation Tracking
+// Harassment rarely arrives as one message over the alert threshold; it
+// builds up. Each sender/conversation keeps a rolling history so we can see
+// risk accumulating, messages arriving faster and severity drifting upward.
+const CATEGORY_SEVERITY = { insults: 1, coercion: 2, stalking: 3, violence: 4 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EscalationTracker {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.halfLifeHours = options.halfLifeHours || 72;
+        this.windowDays = options.windowDays || 14;
+        this.threshold = options.threshold || 0.6;
+        this.minMessages = options.minMessages || 4;
+        this.cooldownHours = options.cooldownHours || 24;
+        this.maxHistory = options.maxHistory || 200;
+        this.profiles = {};
+    }
+
+    static profileId(sender, conversation) {
+        return `${conversation || 'direct'}::${(sender || 'unknown').trim().toLowerCase()}`;
+    }
+
+    // Imports pass persist: false and save touched profiles once at the end
+    record({ sender, conversation, analysis, timestamp }, { persist = true, skipDuplicates = false } = {}) {
+        const id = EscalationTracker.profileId(sender, conversation);
+        const time = new Date(timestamp || Date.now()).getTime();
+        const top = ThreatEngine.topCategory(analysis);
+
+        const existing = this.profiles[id];
+        if (skipDuplicates && existing &&
+            existing.history.some(entry => entry.time === time && entry.score === analysis.score)) {
+            return { profile: existing, alert: null, duplicate: true };
+        }
+
+        const profile = existing || {
+            id,
+            sender: sender || 'unknown',
+            conversation: conversation || 'direct',
+            firstSeen: new Date(time).toISOString(),
+            messageCount: 0,
+            history: [],
+            lastAlert: null
+        };
+
+        profile.messageCount++;
+        profile.lastSeen = new Date(time).toISOString();
+        profile.history.push({
+            time,
+            score: analysis.score,
+            category: top ? top[0] : null
+        });
+        profile.history.sort((a, b) => a.time - b.time);
+        if (profile.history.length > this.maxHistory) {
+            profile.history = profile.history.slice(-this.maxHistory);
+        }
+
+        profile.assessment = this.assess(profile, time);
+        this.profiles[id] = profile;
+
+        const alert = this.checkAlert(profile, time);
+        if (persist) this.save(profile);
+
+        return { profile, alert, duplicate: false };
+    }
+
+    assess(profile, now = Date.now()) {
+        const recent = profile.history.filter(entry => now - entry.time <= this.windowDays * DAY_MS);
+        const rollingRisk = this.rollingRisk(recent, now);
+        const trend = this.trend(recent);
+        const frequency = this.frequency(recent, now);
+        const severityShift = this.severityShift(recent);
+
+        // A steady rise matters as much as the current level
+        const trendFactor = Math.max(0, Math.min(trend / 0.05, 1));
+        const frequencyFactor = Math.max(0, Math.min((frequency.ratio - 1) / 3, 1));
+        const level = 0.45 * rollingRisk + 0.3 * trendFactor + 0.15 * frequencyFactor + 0.1 * severityShift;
+
+        return {
+            level: Math.round(level * 1000) / 1000,
+            rollingRisk: Math.round(rollingRisk * 1000) / 1000,
+            trendPerDay: Math.round(trend * 1000) / 1000,
+            messagesLast24h: frequency.last24h,
+            dailyAverage: Math.round(frequency.dailyAverage * 100) / 100,
+            severityShift,
+            peakScore: recent.reduce((max, entry) => Math.max(max, entry.score), 0),
+            sampleSize: recent.length,
+            assessedAt: new Date(now).toISOString()
+        };
+    }
+
+    rollingRisk(entries, now) {
+        // Exponentially decayed sum of scores, squashed into 0..1
+        const decayed = entries.reduce((sum, entry) => {
+            const ageHours = (now - entry.time) / 3600000;
+            return sum + entry.score * Math.pow(0.5, ageHours / this.halfLifeHours);
+        }, 0);
+        return 1 - Math.exp(-decayed / 1.5);
+    }
+
+    trend(entries) {
+        // Least-squares slope of score against time, in score points per day
+        if (entries.length < 3) return 0;
+
+        const origin = entries[0].time;
+        const xs = entries.map(entry => (entry.time - origin) / DAY_MS);
+        const ys = entries.map(entry => entry.score);
+        const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+        let numerator = 0;
+        let denominator = 0;
+        xs.forEach((x, i) => {
+            numerator += (x - meanX) * (ys[i] - meanY);
+            denominator += (x - meanX) * (x - meanX);
+        });
+
+        return denominator === 0 ? 0 : numerator / denominator;
+    }
+
+    frequency(entries, now) {
+        const last24h = entries.filter(entry => now - entry.time <= DAY_MS).length;
+        const spanDays = entries.length
+            ? Math.max(1, (now - entries[0].time) / DAY_MS)
+            : 1;
+        const dailyAverage = entries.length / spanDays;
+
+        return { last24h, dailyAverage, ratio: dailyAverage > 0 ? last24h / dailyAverage : 0 };
+    }
+
+    severityShift(entries) {
+        // 1 when the worst category in the newer half is more severe than in the older half
+        if (entries.length < 4) return 0;
+
+        const middle = Math.floor(entries.length / 2);
+        const worst = list => list.reduce((max, entry) =>
+            Math.max(max, CATEGORY_SEVERITY[entry.category] || 0), 0);
+        const older = worst(entries.slice(0, middle));
+        const newer = worst(entries.slice(middle));
+
+        return newer > older ? Math.min((newer - older) / 2, 1) : 0;
+    }
+
+    checkAlert(profile, now) {
+        const assessment = profile.assessment;
+        if (profile.history.length < this.minMessages) return null;
+        if (assessment.level < this.threshold || assessment.trendPerDay <= 0) return null;
+
+        // Re-alert only after the cooldown, or if the level has climbed noticeably
+        const last = profile.lastAlert;
+        if (last) {
+            const sinceLast = now - new Date(last.timestamp).getTime();
+            if (sinceLast < this.cooldownHours * 3600000 && assessment.level < last.level + 0.1) {
+                return null;
+            }
+        }
+
+        profile.lastAlert = { timestamp: new Date(now).toISOString(), level: assessment.level };
+
+        return {
+            type: 'escalating-pattern',
+            profileId: profile.id,
+            sender: profile.sender,
+            conversation: profile.conversation,
+            level: assessment.level,
+            assessment,
+            timestamp: new Date(now).toISOString()
+        };
+    }
+
+    escalatingProfiles(now = Date.now()) {
+        return Object.values(this.profiles)
+            .map(profile => ({ ...profile, assessment: this.assess(profile, now) }))
+            .filter(profile => profile.assessment.level >= this.threshold)
+            .sort((a, b) => b.assessment.level - a.assessment.level);
+    }
+
+    async load() {
+        try {
+            const profiles = await this.store.getProfiles();
+            this.profiles = Object.fromEntries(profiles.map(profile => [profile.id, profile]));
+        } catch (error) {
+            console.error('Failed to load sender profiles:', error);
+            this.profiles = {};
+        }
+    }
+
+    async saveProfiles(ids) {
+        for (const id of ids) {
+            if (this.profiles[id]) await this.store.putProfile(this.profiles[id]);
+        }
+    }
+
+    save(profile) {
+        this.store.putProfile(profile).catch(error => {
+            console.error('Failed to save sender profile:', error);
+        });
+    }
+}
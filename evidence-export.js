@@ -0,0 +1,308 @@
+// SafeGuard Pro - Court-ready Evidence Export
+// Builds a signed bundle (JSON manifest + printable HTML report) from the
+// hash-chained evidence store, and verifies bundles handed back to us.
+const BUNDLE_FORMAT = 'safeguard-evidence-bundle';
+const BUNDLE_VERSION = 1;
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+class EvidenceExporter {
+    constructor(options = {}) {
+        this.store = options.store;
+    }
+
+    // The private key never leaves IndexedDB: it is stored as a non-extractable CryptoKey
+    async getSigningKey() {
+        const existing = await this.store.getSetting('signingKey');
+        if (existing) return existing;
+
+        const pair = await crypto.subtle.generateKey(SIGNING_ALGORITHM, false, ['sign', 'verify']);
+        const signingKey = {
+            privateKey: pair.privateKey,
+            publicKeyJwk: await crypto.subtle.exportKey('jwk', pair.publicKey),
+            createdAt: new Date().toISOString()
+        };
+        await this.store.setSetting('signingKey', signingKey);
+        return signingKey;
+    }
+
+    static async fingerprint(publicKeyJwk) {
+        const digest = await EvidenceChain.sha256(EvidenceChain.canonicalize({
+            crv: publicKeyJwk.crv,
+            kty: publicKeyJwk.kty,
+            x: publicKeyJwk.x,
+            y: publicKeyJwk.y
+        }));
+        return digest.match(/.{4}/g).slice(0, 8).join(':');
+    }
+
+    async buildBundle({ subject = null, from = null, to = null } = {}) {
+        const [records, head] = await Promise.all([
+            this.store.chainRecords(),
+            this.store.getSetting('chainHead')
+        ]);
+        // Verification always runs over the whole chain, even for a date-filtered export
+        const verification = await EvidenceChain.verify(records, head);
+        const selected = records.filter(record =>
+            (!from || record.timestamp >= from) && (!to || record.timestamp <= to)
+        );
+
+        const signingKey = await this.getSigningKey();
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            generator: 'SafeGuard Pro',
+            generatedAt: new Date().toISOString(),
+            subject,
+            range: { from, to },
+            chain: {
+                algorithm: 'SHA-256',
+                head,
+                length: records.length,
+                exported: selected.length
+            },
+            verification: {
+                valid: verification.valid,
+                checked: verification.checked,
+                problems: verification.problems
+            },
+            publicKey: signingKey.publicKeyJwk,
+            keyFingerprint: await EvidenceExporter.fingerprint(signingKey.publicKeyJwk),
+            records: selected
+        };
+
+        const signature = await crypto.subtle.sign(
+            SIGNATURE_PARAMS,
+            signingKey.privateKey,
+            new TextEncoder().encode(EvidenceChain.canonicalize(manifest))
+        );
+
+        return {
+            manifest,
+            signature: {
+                algorithm: 'ECDSA-P256-SHA256',
+                value: EvidenceExporter.toBase64(signature)
+            }
+        };
+    }
+
+    // Checks the signature, then every record hash and link in the bundle
+    static async verifyBundle(bundle) {
+        const problems = [];
+
+        if (!bundle || !bundle.manifest || bundle.manifest.format !== BUNDLE_FORMAT) {
+            return { valid: false, signatureValid: false, problems: [{ problem: 'format', detail: 'Not a SafeGuard evidence bundle' }] };
+        }
+
+        let signatureValid = false;
+        try {
+            const publicKey = await crypto.subtle.importKey('jwk', bundle.manifest.publicKey, SIGNING_ALGORITHM, false, ['verify']);
+            signatureValid = await crypto.subtle.verify(
+                SIGNATURE_PARAMS,
+                publicKey,
+                EvidenceExporter.fromBase64(bundle.signature.value),
+                new TextEncoder().encode(EvidenceChain.canonicalize(bundle.manifest))
+            );
+        } catch (error) {
+            console.error('Signature check failed:', error);
+        }
+        if (!signatureValid) {
+            problems.push({ problem: 'signature', detail: 'Manifest signature is invalid; the bundle was altered after export' });
+        }
+
+        const { range, chain } = bundle.manifest;
+        const isPartial = Boolean(range && (range.from || range.to));
+        const chainCheck = await EvidenceChain.verify(bundle.manifest.records, isPartial ? null : chain.head);
+
+        // A date-filtered export legitimately starts and ends mid-chain
+        chainCheck.problems
+            .filter(problem => !(isPartial && problem.problem === 'missing'))
+            .forEach(problem => problems.push(problem));
+
+        return {
+            valid: problems.length === 0,
+            signatureValid,
+            checked: chainCheck.checked,
+            problems
+        };
+    }
+
+    async exportToFiles(options = {}) {
+        const bundle = await this.buildBundle(options);
+        const stamp = bundle.manifest.generatedAt.replace(/[:.]/g, '-');
+
+        EvidenceExporter.download(
+            `safeguard-evidence-${stamp}.json`,
+            JSON.stringify(bundle, null, 2),
+            'application/json'
+        );
+        EvidenceExporter.download(
+            `safeguard-evidence-report-${stamp}.html`,
+            EvidenceExporter.renderReport(bundle),
+            'text/html'
+        );
+
+        return bundle;
+    }
+
+    // Photos and audio clips travel inside the signed JSON as base64; these
+    // are the same bytes as separate files, named so the report can list them
+    static attachments(records) {
+        return records
+            .filter(record => record.image || record.audio)
+            .map(record => {
+                const media = record.image || record.audio;
+                const kind = record.image ? 'image' : 'audio';
+                const extension = kind === 'audio'
+                    ? AudioEvidence.extension(media.type)
+                    : (media.type.split('/')[1] || 'bin').replace('jpeg', 'jpg').replace(/[^a-z0-9]/g, '');
+                return {
+                    record,
+                    kind,
+                    media,
+                    filename: `evidence-${record.seq}-${kind}-${media.sha256.slice(0, 8)}.${extension}`
+                };
+            });
+    }
+
+    static downloadAttachments(attachments) {
+        attachments.forEach(({ media, filename }) => {
+            EvidenceExporter.download(filename, EvidenceExporter.fromBase64(media.data), media.type);
+        });
+    }
+
+    static download(filename, contents, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static renderReport(bundle) {
+        const { manifest, signature } = bundle;
+        const subject = manifest.subject || {};
+        const timeline = manifest.records
+            .filter(record => record.type !== 'retention')
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        const rows = timeline.map(record => {
+            const categories = record.analysis && record.analysis.categories
+                ? Object.entries(record.analysis.categories)
+                    .filter(([, score]) => score > 0)
+                    .map(([category, score]) => `${category} ${Math.round(score * 100)}%`)
+                    .join(', ')
+                : '';
+            const media = record.audio
+                ? html`<div class="why">Audio clip, ${record.audio.duration} s (listed under Attachments)</div>`
+                : record.image && html`<div class="why">Image (listed under Attachments)</div>`;
+            return html`
+            <tr class="severity-${record.severity}">
+                <td>${record.seq}</td>
+                <td>${new Date(record.timestamp).toLocaleString()}</td>
+                <td>${record.sender}</td>
+                <td>${record.source}</td>
+                <td>${record.type}</td>
+                <td>${record.severity}${record.threatLevel !== undefined ? ` (${Math.round(record.threatLevel * 100)}%)` : ''}</td>
+                <td>${SafeHtml.trusted(EvidenceFormat.highlight(record))}${categories && html`<div class="why">${categories}</div>`}${media}</td>
+                <td class="hash">${(record.hash || '').slice(0, 16)}…</td>
+            </tr>`;
+        });
+
+        const attachments = EvidenceExporter.attachments(timeline).map(({ record, kind, media, filename }) => html`
+            <tr>
+                <td>${record.seq}</td>
+                <td>${filename}</td>
+                <td>${kind}, ${media.type}, ${Math.round(media.size / 1024)} KB${media.duration !== undefined ? `, ${media.duration} s` : ''}</td>
+                <td>${new Date(record.startedAt || record.capturedAt || record.timestamp).toLocaleString()}</td>
+                <td class="hash">${media.sha256}</td>
+            </tr>`);
+
+        const problems = manifest.verification.problems.map(problem =>
+            html`<li>#${problem.seq || '?'} ${problem.problem}: ${problem.detail}</li>`
+        );
+
+        return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>SafeGuard Pro Evidence Report</title>
+<style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #222; margin: 40px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #999; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { border: 1px solid #bbb; padding: 6px; vertical-align: top; text-align: left; }
+    th { background: #eee; }
+    mark { background: #ffe08a; }
+    .why { color: #666; font-size: 11px; margin-top: 4px; }
+    .hash { font-family: monospace; }
+    .severity-critical td:first-child, .severity-high td:first-child { border-left: 4px solid #c00; }
+    .status-valid { color: #1a7f37; }
+    .status-invalid { color: #c00; }
+    dl { display: grid; grid-template-columns: 200px 1fr; gap: 4px 12px; font-size: 13px; }
+    dt { font-weight: bold; }
+    @media print { body { margin: 10mm; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>Harassment Evidence Report</h1>
+    <p>Generated by SafeGuard Pro on ${new Date(manifest.generatedAt).toLocaleString()}</p>
+
+    <h2>Complainant</h2>
+    <dl>
+        <dt>Name</dt><dd>${subject.name || '—'}</dd>
+        <dt>Phone</dt><dd>${subject.phone || '—'}</dd>
+        <dt>Email</dt><dd>${subject.email || '—'}</dd>
+    </dl>
+
+    <h2>Integrity</h2>
+    <dl>
+        <dt>Chain status</dt>
+        <dd class="${manifest.verification.valid ? 'status-valid' : 'status-invalid'}">
+            ${manifest.verification.valid ? 'Intact: no record was changed or removed' : 'Problems found (listed below)'}
+        </dd>
+        <dt>Records in chain</dt><dd>${manifest.chain.length} (${manifest.chain.exported} in this report)</dd>
+        <dt>Chain head (SHA-256)</dt><dd class="hash">${manifest.chain.head ? manifest.chain.head.hash : '—'}</dd>
+        <dt>Signing key fingerprint</dt><dd class="hash">${manifest.keyFingerprint}</dd>
+        <dt>Signature</dt><dd class="hash">${signature.algorithm} ${signature.value.slice(0, 32)}…</dd>
+    </dl>
+    ${problems.length > 0 && html`<ul class="status-invalid">${problems}</ul>`}
+
+    <h2>Timeline</h2>
+    <table>
+        <thead>
+            <tr><th>#</th><th>Date &amp; time</th><th>Sender</th><th>Source</th><th>Type</th><th>Severity</th><th>Content</th><th>Hash</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    </table>
+
+    ${attachments.length > 0 && html`
+    <h2>Attachments</h2>
+    <table>
+        <thead>
+            <tr><th>#</th><th>File</th><th>Kind</th><th>Recorded</th><th>SHA-256 of the file</th></tr>
+        </thead>
+        <tbody>${attachments}</tbody>
+    </table>`}
+
+    <h2>How to verify</h2>
+    <p>The accompanying JSON file contains every record listed above with its SHA-256 hash and the hash of the
+    record before it. Recomputing the hashes and checking the ECDSA signature against the embedded public key
+    shows whether any record was altered or removed after it was captured. Photos and audio clips are embedded in
+    their records; the SHA-256 of each attachment file matches the hash stored in its record.</p>
+</body>
+</html>`);
+    }
+
+    static toBase64(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,754 @@
+// SafeGuard Pro - IndexedDB Evidence Store
+// Imported by the page and by sw.js, so it only relies on what both
+// contexts have: indexedDB, WebCrypto and Promises. Encryption at rest
+// needs a SecureVault set as store.vault.
+import { EvidenceChain } from './core/evidence-chain.js';
+import { OUTBOX_DELIVERY_KINDS } from './outbox.js';
+
+const EVIDENCE_DB_NAME = 'safeguard-pro';
+const EVIDENCE_DB_VERSION = 4;
+// Bumped when data written by older versions has to be encrypted again (see upgradeStorage)
+const EVIDENCE_STORAGE_VERSION = 3;
+
+// Settings the app needs before it is unlocked, or that hold nothing personal
+const PLAINTEXT_SETTINGS = [
+    'vaultKey', 'vaultAttempts', 'chainHead', 'signingKey', 'retentionPolicy', 'migratedFromLocalStorage',
+    'storageVersion',
+    // Only a PBKDF2 hash
+    'duressPin',
+    // Read by the service worker
+    'workerConfig',
+    // A file handle cannot be serialized for encryption; it only names the backup file
+    'backupFile'
+];
+
+// Discreet mode works from the lock screen, the locked service worker
+// sends the silent alert and the page's connection policy is set before
+// unlocking, so these use the vault's device key instead of the data key
+// (see SecureVault.generateDeviceKey)
+const DEVICE_SETTINGS = ['panicTriggers', 'disguise', 'silentAlert', 'connectOrigins'];
+
+// Guardian keys and relay tokens are sealed to the inbox key like queued evidence
+const SEALED_SETTINGS = ['guardians'];
+
+const DEFAULT_RETENTION_POLICY = {
+    maxAgeDays: 730,
+    maxRecords: 10000,
+    // Serious evidence is never pruned automatically
+    protectedSeverities: ['high', 'critical']
+};
+
+export class EvidenceStore {
+    constructor(options = {}) {
+        this.name = options.name || EVIDENCE_DB_NAME;
+        this.indexedDB = options.indexedDB || self.indexedDB;
+        this.db = null;
+        this.vault = options.vault || null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.name, EVIDENCE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('evidence')) {
+                    const evidence = db.createObjectStore('evidence', { keyPath: 'id' });
+                    evidence.createIndex('timestamp', 'timestamp');
+                    evidence.createIndex('sender', 'sender');
+                    evidence.createIndex('source', 'source');
+                    evidence.createIndex('severity', 'severity');
+                    evidence.createIndex('typeTimestamp', ['type', 'timestamp']);
+                }
+                const evidence = request.transaction.objectStore('evidence');
+                if (!evidence.indexNames.contains('seq')) {
+                    evidence.createIndex('seq', 'seq', { unique: true });
+                }
+                if (!db.objectStoreNames.contains('profiles')) {
+                    db.createObjectStore('profiles', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+                // Evidence sealed to the vault's public key while the app was locked
+                if (!db.objectStoreNames.contains('inbox')) {
+                    db.createObjectStore('inbox', { autoIncrement: true });
+                }
+                // Work waiting for the network or for the app to be opened
+                if (!db.objectStoreNames.contains('outbox')) {
+                    const outbox = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                    outbox.createIndex('kind', 'kind');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema must not be blocked by us
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.log('Evidence store upgrade blocked by another tab');
+        });
+    }
+
+    static severityFor(threatLevel) {
+        if (threatLevel >= 0.9) return 'critical';
+        if (threatLevel >= 0.7) return 'high';
+        if (threatLevel >= 0.4) return 'medium';
+        return 'low';
+    }
+
+    static createId() {
+        return `ev_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    prepare(record) {
+        return {
+            ...record,
+            id: record.id || EvidenceStore.createId(),
+            type: record.type || 'message',
+            timestamp: record.timestamp || new Date().toISOString(),
+            sender: record.sender || 'unknown',
+            source: record.source || 'manual',
+            severity: record.severity || EvidenceStore.severityFor(record.threatLevel || 0)
+        };
+    }
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            result = work(tx);
+        });
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Encryption at rest
+    // The hash is computed over the plaintext record, then everything except
+    // the fields needed for indexing, chaining and retention is encrypted,
+    // annotations included. Of those only a pin stays readable, for retention.
+    // Sender names are replaced by a keyed hash so the index still works.
+
+    async toStored(record) {
+        if (!this.vault) return record;
+
+        return {
+            id: record.id,
+            seq: record.seq,
+            prevHash: record.prevHash,
+            hash: record.hash,
+            sealedAt: record.sealedAt,
+            type: record.type,
+            timestamp: record.timestamp,
+            source: record.source,
+            severity: record.severity,
+            sender: await this.senderKey(record.sender),
+            ...(record.annotations && record.annotations.pinned ? { pinned: true } : {}),
+            payload: await this.vault.encrypt(record)
+        };
+    }
+
+    async fromStored(stored) {
+        if (!stored || !stored.payload) return stored;
+        const record = await this.vault.decrypt(stored.payload);
+        // Older versions kept annotations in clear beside the payload
+        return stored.annotations ? { ...record, annotations: stored.annotations } : record;
+    }
+
+    // Value to query the `sender` index with
+    senderKey(sender) {
+        return this.vault ? this.vault.blindIndex(sender || 'unknown') : Promise.resolve(sender);
+    }
+
+    // Encrypts anything written before the vault was set up, or kept in clear
+    // by an older version: annotations and the discreet mode, silent alert
+    // and guardian settings
+    async encryptLegacyData() {
+        const db = await this.open();
+        const tx = db.transaction(['evidence', 'profiles', 'settings']);
+        const [evidence, profiles, settings] = await Promise.all([
+            this.request(tx.objectStore('evidence').getAll()),
+            this.request(tx.objectStore('profiles').getAll()),
+            this.request(tx.objectStore('settings').getAll())
+        ]);
+
+        const plainEvidence = evidence.filter(record => record.seq && (!record.payload || record.annotations));
+        const plainProfiles = profiles.filter(profile => !profile.payload);
+        const plainSettings = settings.filter(entry => !entry.encrypted && !PLAINTEXT_SETTINGS.includes(entry.key));
+
+        await this.rewrite(
+            await Promise.all(plainEvidence.map(async record => this.toStored(await this.fromStored(record)))),
+            plainProfiles,
+            plainSettings
+        );
+        const plainDeliveries = await this.sealQueuedDeliveries();
+        return plainEvidence.length + plainProfiles.length + plainSettings.length + plainDeliveries;
+    }
+
+    // Runs after every unlock; does the work once per storage version
+    async upgradeStorage() {
+        if ((await this.getPlainSetting('storageVersion')) >= EVIDENCE_STORAGE_VERSION) return 0;
+        const upgraded = await this.encryptLegacyData();
+        await this.setPlainSetting('storageVersion', EVIDENCE_STORAGE_VERSION);
+        return upgraded;
+    }
+
+    // Re-encrypts everything still under a retired key after key rotation
+    async reencryptAll() {
+        const db = await this.open();
+        const tx = db.transaction(['evidence', 'profiles', 'settings']);
+        const [evidence, profiles, settings] = await Promise.all([
+            this.request(tx.objectStore('evidence').getAll()),
+            this.request(tx.objectStore('profiles').getAll()),
+            this.request(tx.objectStore('settings').getAll())
+        ]);
+        // Sealed and device envelopes do not use the data key
+        const stale = envelope => envelope && envelope.k && !this.vault.isCurrent(envelope);
+
+        const staleEvidence = [];
+        for (const stored of evidence.filter(record => stale(record.payload))) {
+            staleEvidence.push(await this.toStored(await this.fromStored(stored)));
+        }
+
+        const staleProfiles = [];
+        for (const stored of profiles.filter(profile => stale(profile.payload))) {
+            staleProfiles.push({ ...(await this.vault.decrypt(stored.payload)), replaces: stored.id });
+        }
+
+        const staleSettings = [];
+        for (const entry of settings.filter(setting => setting.encrypted && stale(setting.value))) {
+            staleSettings.push({ key: entry.key, value: await this.vault.decrypt(entry.value) });
+        }
+
+        await this.rewrite(staleEvidence, staleProfiles, staleSettings);
+        console.log(`Re-encrypted ${staleEvidence.length + staleProfiles.length + staleSettings.length} stored items`);
+    }
+
+    async rewrite(evidence, profiles, settings) {
+        // Encrypt first: crypto calls cannot run inside an IndexedDB transaction
+        const storedProfiles = await Promise.all(profiles.map(async ({ replaces, ...profile }) => ({
+            replaces: replaces || profile.id,
+            stored: await this.toStoredProfile(profile)
+        })));
+        const storedSettings = await Promise.all(settings.map(entry => this.toStoredSetting(entry.key, entry.value)));
+
+        await this.transaction(['evidence', 'profiles', 'settings'], 'readwrite', tx => {
+            evidence.forEach(record => tx.objectStore('evidence').put(record));
+            storedProfiles.forEach(({ replaces, stored }) => {
+                if (replaces !== stored.id) tx.objectStore('profiles').delete(replaces);
+                tx.objectStore('profiles').put(stored);
+            });
+            storedSettings.forEach(entry => tx.objectStore('settings').put(entry));
+        });
+    }
+
+    // Locks shared with the service worker, or queued within this context where Web Locks are missing
+    withLock(name, work) {
+        if (self.navigator && self.navigator.locks) return self.navigator.locks.request(name, work);
+
+        this.queues = this.queues || {};
+        const run = (this.queues[name] || Promise.resolve()).then(work);
+        this.queues[name] = run.catch(() => {});
+        return run;
+    }
+
+    // Hash chain
+
+    withChainLock(work) {
+        // The page and the service worker both append to the chain, so
+        // reading the head and writing the next link must not interleave
+        return this.withLock('safeguard-evidence-chain', work);
+    }
+
+    async appendToChain(records) {
+        return this.withChainLock(async () => {
+            const head = await this.getSetting('chainHead');
+            const linked = await EvidenceChain.link(records, head);
+            const stored = await Promise.all(linked.records.map(record => this.toStored(record)));
+
+            await this.transaction(['evidence', 'settings'], 'readwrite', tx => {
+                const store = tx.objectStore('evidence');
+                stored.forEach(record => store.put(record));
+                tx.objectStore('settings').put({
+                    key: 'chainHead',
+                    value: linked.head,
+                    updatedAt: new Date().toISOString()
+                });
+            });
+
+            return linked.records;
+        });
+    }
+
+    // Puts records from a backup back exactly as they were sealed, when the
+    // backup carries on from this device's chain head or there is no chain
+    // yet. Returns null when the chains have diverged: those records can
+    // only join this chain by being sealed again.
+    async restoreChain(records, head) {
+        return this.withChainLock(async () => {
+            const current = await this.getSetting('chainHead');
+            const continues = !current || records.some(record => record.seq === current.seq && record.hash === current.hash);
+            if (!continues) return null;
+
+            const missing = records.filter(record => !current || record.seq > current.seq);
+            const stored = await Promise.all(missing.map(record => this.toStored(record)));
+
+            await this.transaction(['evidence', 'settings'], 'readwrite', tx => {
+                stored.forEach(record => tx.objectStore('evidence').put(record));
+                if (head && (!current || head.seq > current.seq)) {
+                    tx.objectStore('settings').put({ key: 'chainHead', value: head, updatedAt: new Date().toISOString() });
+                }
+            });
+
+            return missing;
+        });
+    }
+
+    // Chains records written before hashing existed (or migrated ones), oldest first
+    async sealUnchainedRecords() {
+        const db = await this.open();
+        const all = await this.request(db.transaction('evidence').objectStore('evidence').getAll());
+        const unsealed = all
+            .filter(record => !record.seq)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        if (unsealed.length === 0) return 0;
+        await this.appendToChain(unsealed);
+        console.log(`Sealed ${unsealed.length} evidence records into the hash chain`);
+        return unsealed.length;
+    }
+
+    async chainRecords() {
+        const db = await this.open();
+        const stored = await this.request(db.transaction('evidence').objectStore('evidence').getAll());
+        const records = await Promise.all(stored.map(record => this.fromStored(record)));
+        return records.sort((a, b) => (a.seq || 0) - (b.seq || 0));
+    }
+
+    async verifyChain() {
+        const [records, head] = await Promise.all([this.chainRecords(), this.getSetting('chainHead')]);
+        return EvidenceChain.verify(records, head);
+    }
+
+    // Evidence records
+
+    async add(record) {
+        const [sealed] = await this.appendToChain([this.prepare(record)]);
+        return sealed;
+    }
+
+    async addMany(records) {
+        if (records.length === 0) return [];
+        return this.appendToChain(records.map(record => this.prepare(record)));
+    }
+
+    // Annotations are the only part of a record that may change after sealing.
+    // They are encrypted with it, so the record is read, decrypted and written
+    // back under a lock that keeps two annotations from overwriting each other.
+    async annotate(id, annotations) {
+        return this.withLock('safeguard-evidence-annotate', async () => {
+            const record = await this.get(id);
+            if (!record) return null;
+
+            const updated = { ...record, annotations: { ...(record.annotations || {}), ...annotations } };
+            const stored = await this.toStored(updated);
+            await this.transaction('evidence', 'readwrite', tx => {
+                const store = tx.objectStore('evidence');
+                // Retention may have removed it while it was being encrypted
+                const request = store.getKey(id);
+                request.onsuccess = () => {
+                    if (request.result !== undefined) store.put(stored);
+                };
+            });
+            return updated;
+        });
+    }
+
+    async get(id) {
+        const db = await this.open();
+        return this.fromStored(await this.request(db.transaction('evidence').objectStore('evidence').get(id)));
+    }
+
+    async delete(id) {
+        await this.transaction('evidence', 'readwrite', tx => tx.objectStore('evidence').delete(id));
+    }
+
+    async count({ index, range } = {}) {
+        const db = await this.open();
+        const store = db.transaction('evidence').objectStore('evidence');
+        return this.request(index ? store.index(index).count(range) : store.count(range));
+    }
+
+    // Returns one page of records plus a cursor for the next page.
+    // Pass the returned `nextCursor` back as `after` to continue.
+    // `filter` sees the stored form, so it can only test the indexed fields;
+    // `match` sees the decrypted record, so every record it skips is decrypted too.
+    async list(options = {}) {
+        const { limit = 20, after = null, match = null } = options;
+        if (!match) {
+            const page = await this.readPage(options);
+            return {
+                records: await Promise.all(page.records.map(record => this.fromStored(record))),
+                nextCursor: page.nextCursor
+            };
+        }
+
+        const records = [];
+        let from = after;
+        do {
+            const page = await this.readPage({ ...options, after: from });
+            for (const [position, stored] of page.records.entries()) {
+                const record = await this.fromStored(stored);
+                if (!match(record)) continue;
+                records.push(record);
+                if (records.length >= limit) return { records, nextCursor: page.positions[position] };
+            }
+            from = page.nextCursor;
+        } while (from);
+        return { records, nextCursor: null };
+    }
+
+    // One page in the stored form, with the cursor position of each record
+    async readPage({ index = 'timestamp', range = null, direction = 'prev', limit = 20, after = null, filter = null } = {}) {
+        const db = await this.open();
+        const source = db.transaction('evidence').objectStore('evidence').index(index);
+
+        return new Promise((resolve, reject) => {
+            const records = [];
+            const positions = [];
+            let phase = after ? 'seek' : 'collect';
+            const request = source.openCursor(range, direction);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ records, positions, nextCursor: null });
+                    return;
+                }
+
+                const atAfter = after &&
+                    this.indexedDB.cmp(cursor.key, after.key) === 0 &&
+                    this.indexedDB.cmp(cursor.primaryKey, after.primaryKey) === 0;
+
+                if (phase === 'seek') {
+                    phase = 'check';
+                    if (!atAfter) {
+                        cursor.continuePrimaryKey(after.key, after.primaryKey);
+                        return;
+                    }
+                }
+                if (phase === 'check') {
+                    phase = 'collect';
+                    // If the previous page's last record was deleted we are already past it
+                    if (atAfter) {
+                        cursor.continue();
+                        return;
+                    }
+                }
+
+                if (!filter || filter(cursor.value)) {
+                    records.push(cursor.value);
+                    positions.push({ key: cursor.key, primaryKey: cursor.primaryKey });
+                }
+
+                if (records.length >= limit) {
+                    resolve({ records, positions, nextCursor: positions[positions.length - 1] });
+                    return;
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    // Every record in a range, read a page at a time
+    async listAll(options = {}) {
+        const records = [];
+        let after = null;
+        do {
+            const page = await this.list({ ...options, limit: 500, after });
+            records.push(...page.records);
+            after = page.nextCursor;
+        } while (after);
+        return records;
+    }
+
+    async recent(type = 'message', limit = 5) {
+        const { records } = await this.list({
+            index: 'typeTimestamp',
+            range: IDBKeyRange.bound([type, ''], [type, '\uffff']),
+            limit
+        });
+        return records;
+    }
+
+    async countSince(type, sinceIso) {
+        return this.count({
+            index: 'typeTimestamp',
+            range: IDBKeyRange.bound([type, sinceIso], [type, '\uffff'])
+        });
+    }
+
+    // Retention
+
+    async applyRetention(policy = null) {
+        const settings = policy || (await this.getSetting('retentionPolicy')) || DEFAULT_RETENTION_POLICY;
+        const effective = { ...DEFAULT_RETENTION_POLICY, ...settings };
+        const cutoff = effective.maxAgeDays
+            ? new Date(Date.now() - effective.maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+            : null;
+        const total = await this.count();
+        let excess = effective.maxRecords ? Math.max(0, total - effective.maxRecords) : 0;
+        const pruned = [];
+
+        if (!cutoff && excess === 0) return 0;
+
+        await this.transaction('evidence', 'readwrite', tx => {
+            // Walk oldest first, deleting expired records and then the overflow
+            const request = tx.objectStore('evidence').index('timestamp').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                const record = cursor.value;
+                const isProtected = record.type === 'retention' ||
+                    record.pinned || (record.annotations && record.annotations.pinned) ||
+                    effective.protectedSeverities.includes(record.severity);
+                const expired = cutoff && record.timestamp < cutoff;
+
+                if (!isProtected && (expired || excess > 0)) {
+                    cursor.delete();
+                    pruned.push({ seq: record.seq, id: record.id, hash: record.hash, timestamp: record.timestamp });
+                    excess = Math.max(0, excess - 1);
+                }
+
+                if (!expired && excess === 0) return;
+                cursor.continue();
+            };
+        });
+
+        if (pruned.length > 0) {
+            // Record what was pruned in the chain itself so verification can tell
+            // policy deletions apart from tampering
+            await this.add({
+                type: 'retention',
+                source: 'retention-policy',
+                severity: 'info',
+                policy: effective,
+                pruned
+            });
+            console.log(`Retention policy removed ${pruned.length} evidence records`);
+        }
+        return pruned.length;
+    }
+
+    // Sender profiles
+
+    async toStoredProfile(profile) {
+        if (!this.vault) return profile;
+        // Profile ids contain the sender's name, so they are blinded too
+        return { id: await this.vault.blindIndex(profile.id), payload: await this.vault.encrypt(profile) };
+    }
+
+    async getProfiles() {
+        const db = await this.open();
+        const stored = await this.request(db.transaction('profiles').objectStore('profiles').getAll());
+        return Promise.all(stored.map(profile => (profile.payload ? this.vault.decrypt(profile.payload) : profile)));
+    }
+
+    async putProfile(profile) {
+        const stored = await this.toStoredProfile(profile);
+        await this.transaction('profiles', 'readwrite', tx => tx.objectStore('profiles').put(stored));
+    }
+
+    // Settings and user data
+
+    async toStoredSetting(key, value) {
+        const entry = { key, value, updatedAt: new Date().toISOString() };
+        if (!this.vault || PLAINTEXT_SETTINGS.includes(key)) return entry;
+
+        if (DEVICE_SETTINGS.includes(key)) {
+            // Without a device key yet it stays in clear until upgradeStorage runs after the next unlock
+            const envelope = await this.vault.encryptOnDevice(value);
+            return envelope ? { ...entry, value: envelope, encrypted: true } : entry;
+        }
+        const envelope = SEALED_SETTINGS.includes(key) ? await this.vault.sealForInbox(value) : await this.vault.encrypt(value);
+        return { ...entry, value: envelope, encrypted: true };
+    }
+
+    async getSetting(key) {
+        const db = await this.open();
+        const entry = await this.request(db.transaction('settings').objectStore('settings').get(key));
+        if (!entry) return null;
+        if (!entry.encrypted) return entry.value;
+
+        if (entry.value.device) return this.vault.decryptOnDevice(entry.value);
+        return entry.value.sealed ? this.vault.openSealed(entry.value) : this.vault.decrypt(entry.value);
+    }
+
+    async setSetting(key, value) {
+        const entry = await this.toStoredSetting(key, value);
+        await this.transaction('settings', 'readwrite', tx => tx.objectStore('settings').put(entry));
+    }
+
+    // Never encrypted: used by the vault itself, which must be readable while locked
+    async getPlainSetting(key) {
+        const db = await this.open();
+        const entry = await this.request(db.transaction('settings').objectStore('settings').get(key));
+        return entry ? entry.value : null;
+    }
+
+    async setPlainSetting(key, value) {
+        await this.transaction('settings', 'readwrite', tx =>
+            tx.objectStore('settings').put({ key, value, updatedAt: new Date().toISOString() })
+        );
+    }
+
+    // Sealed inbox
+
+    // Works while the vault is locked (e.g. from the service worker)
+    async addToInbox(record) {
+        const prepared = this.prepare(record);
+        const sealed = await this.vault.sealForInbox(prepared);
+        await this.transaction('inbox', 'readwrite', tx =>
+            tx.objectStore('inbox').add({ sealed, queuedAt: new Date().toISOString() })
+        );
+        return prepared.id;
+    }
+
+    async inboxSize() {
+        const db = await this.open();
+        return this.request(db.transaction('inbox').objectStore('inbox').count());
+    }
+
+    // Moves everything queued while locked onto the chain
+    async drainInbox() {
+        const db = await this.open();
+        const tx = db.transaction('inbox');
+        const [keys, entries] = await Promise.all([
+            this.request(tx.objectStore('inbox').getAllKeys()),
+            this.request(tx.objectStore('inbox').getAll())
+        ]);
+        if (entries.length === 0) return [];
+
+        const records = await Promise.all(entries.map(entry => this.vault.openSealed(entry.sealed)));
+        const added = await this.addMany(records.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+        await this.transaction('inbox', 'readwrite', tx => keys.forEach(key => tx.objectStore('inbox').delete(key)));
+        return added;
+    }
+
+    // Outbox
+    // Deliveries carry the alert address, the user's message, their location
+    // and relay publish tokens, so they are sealed to the inbox key and only
+    // opened by the unlocked app when it sends them. The worker's queue of
+    // threat alerts and reviews holds ids and scores and stays readable to it.
+
+    async addToOutbox(entry) {
+        let id;
+        await this.transaction('outbox', 'readwrite', tx => {
+            const request = tx.objectStore('outbox').add({ attempts: 0, createdAt: new Date().toISOString(), ...entry });
+            request.onsuccess = () => { id = request.result; };
+        });
+        return id;
+    }
+
+    async sealToOutbox(kind, { endpoint, payload }) {
+        return this.addToOutbox({ kind, sealed: await this.vault.sealForInbox({ endpoint, payload }) });
+    }
+
+    // The endpoint and payload of a delivery; sealed ones need the vault unlocked
+    async openOutboxEntry(entry) {
+        return entry.sealed ? { ...entry, ...(await this.vault.openSealed(entry.sealed)) } : entry;
+    }
+
+    // Deliveries queued in clear by versions before they were sealed
+    async sealQueuedDeliveries() {
+        const plain = (await this.listOutbox())
+            .filter(entry => OUTBOX_DELIVERY_KINDS.includes(entry.kind) && !entry.sealed);
+        for (const { endpoint, payload, ...entry } of plain) {
+            await this.updateOutbox({ ...entry, sealed: await this.vault.sealForInbox({ endpoint, payload }) });
+        }
+        return plain.length;
+    }
+
+    async listOutbox(kind = null) {
+        const db = await this.open();
+        const store = db.transaction('outbox').objectStore('outbox');
+        return this.request(kind ? store.index('kind').getAll(kind) : store.getAll());
+    }
+
+    async updateOutbox(entry) {
+        await this.transaction('outbox', 'readwrite', tx => tx.objectStore('outbox').put(entry));
+    }
+
+    async removeFromOutbox(ids) {
+        await this.transaction('outbox', 'readwrite', tx =>
+            [].concat(ids).forEach(id => tx.objectStore('outbox').delete(id))
+        );
+    }
+
+    // Moves the legacy localStorage keys into IndexedDB exactly once
+    async migrateFromLocalStorage(storage) {
+        if (!storage || await this.getSetting('migratedFromLocalStorage')) return false;
+
+        const read = key => {
+            try {
+                return JSON.parse(storage.getItem(key) || 'null');
+            } catch (error) {
+                console.error(`Could not parse legacy ${key}:`, error);
+                return null;
+            }
+        };
+
+        const threats = read('detectedThreats') || [];
+        const alerts = read('escalationAlerts') || [];
+        const profiles = read('senderProfiles') || {};
+        const userData = read('userData');
+
+        await this.addMany(threats.map(threat => ({ ...threat, type: 'message', migrated: true })));
+        await this.addMany(alerts.map(alert => ({
+            ...alert,
+            type: 'escalation',
+            source: 'escalation-tracker',
+            threatLevel: alert.level,
+            migrated: true
+        })));
+
+        for (const profile of Object.values(profiles)) {
+            await this.putProfile(profile);
+        }
+
+        if (userData) await this.setSetting('userData', userData);
+        await this.setSetting('migratedFromLocalStorage', {
+            timestamp: new Date().toISOString(),
+            threats: threats.length,
+            alerts: alerts.length,
+            profiles: Object.keys(profiles).length,
+            userData: Boolean(userData)
+        });
+
+        ['detectedThreats', 'escalationAlerts', 'senderProfiles', 'userData'].forEach(key => storage.removeItem(key));
+        console.log(`Migrated ${threats.length} threats and ${alerts.length} alerts to IndexedDB`);
+        return true;
+    }
+}
@@ -0,0 +1,125 @@
+// SafeGuard Pro - EXIF Reader
+// Just enough of EXIF to date a photo or screenshot: capture time (with its
+// UTC offset when the camera wrote one), device make/model and software.
+// Reads JPEG APP1, PNG eXIf and WebP EXIF chunks; anything else gives null.
+const EXIF_TAGS = {
+    0x010f: 'make',
+    0x0110: 'model',
+    0x0131: 'software',
+    0x0132: 'dateTime',
+    0x9003: 'dateTimeOriginal',
+    0x9011: 'offsetTimeOriginal'
+};
+const EXIF_IFD_POINTER = 0x8769;
+
+class ExifReader {
+    static read(buffer) {
+        const view = new DataView(buffer);
+        const tiff = ExifReader.findTiff(view);
+        if (tiff === null) return null;
+
+        try {
+            const tags = ExifReader.readTiff(view, tiff);
+            return Object.keys(tags).length ? { ...tags, capturedAt: ExifReader.captureTime(tags) } : null;
+        } catch (error) {
+            // Truncated or malformed metadata is common in forwarded images
+            console.log('Unreadable EXIF data:', error.message);
+            return null;
+        }
+    }
+
+    // Offset of the TIFF header holding the EXIF data, or null
+    static findTiff(view) {
+        const ascii = (offset, length) => {
+            let text = '';
+            for (let i = 0; i < length && offset + i < view.byteLength; i++) text += String.fromCharCode(view.getUint8(offset + i));
+            return text;
+        };
+
+        // JPEG: segments until APP1 "Exif\0\0"
+        if (view.byteLength > 4 && view.getUint16(0) === 0xffd8) {
+            let offset = 2;
+            while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xff) {
+                const marker = view.getUint8(offset + 1);
+                const length = view.getUint16(offset + 2);
+                if (marker === 0xe1 && ascii(offset + 4, 6) === 'Exif\0\0') return offset + 10;
+                if (marker === 0xda) break;
+                offset += 2 + length;
+            }
+            return null;
+        }
+
+        // PNG: 8-byte signature, then length/type/data/crc chunks
+        if (ascii(1, 3) === 'PNG') {
+            let offset = 8;
+            while (offset + 8 <= view.byteLength) {
+                const length = view.getUint32(offset);
+                const type = ascii(offset + 4, 4);
+                if (type === 'eXIf') return offset + 8;
+                if (type === 'IEND') break;
+                offset += 12 + length;
+            }
+            return null;
+        }
+
+        // WebP: RIFF container with an "EXIF" chunk
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+            let offset = 12;
+            while (offset + 8 <= view.byteLength) {
+                const length = view.getUint32(offset + 4, true);
+                if (ascii(offset, 4) === 'EXIF') {
+                    // Some writers keep the JPEG-style "Exif\0\0" prefix
+                    return ascii(offset + 8, 6) === 'Exif\0\0' ? offset + 14 : offset + 8;
+                }
+                offset += 8 + length + (length % 2);
+            }
+        }
+        return null;
+    }
+
+    static readTiff(view, tiff) {
+        const little = view.getUint16(tiff) === 0x4949;
+        const u16 = offset => view.getUint16(tiff + offset, little);
+        const u32 = offset => view.getUint32(tiff + offset, little);
+        const tags = {};
+
+        const readIfd = (ifdOffset) => {
+            const count = u16(ifdOffset);
+            for (let i = 0; i < count; i++) {
+                const entry = ifdOffset + 2 + i * 12;
+                const tag = u16(entry);
+                const type = u16(entry + 2);
+                const length = u32(entry + 4);
+
+                if (tag === EXIF_IFD_POINTER) {
+                    readIfd(u32(entry + 8));
+                } else if (EXIF_TAGS[tag] && type === 2) {
+                    // ASCII values longer than four bytes live elsewhere
+                    const start = tiff + (length > 4 ? u32(entry + 8) : entry + 8);
+                    let text = '';
+                    for (let j = 0; j < length; j++) {
+                        const code = view.getUint8(start + j);
+                        if (code === 0) break;
+                        text += String.fromCharCode(code);
+                    }
+                    tags[EXIF_TAGS[tag]] = text.trim();
+                }
+            }
+        };
+
+        readIfd(u32(4));
+        return tags;
+    }
+
+    // "2024:03:12 21:15:03" plus "+05:30" becomes an ISO 8601 string. Without
+    // an offset the time is the device's local time, so no zone is added.
+    static captureTime(tags) {
+        const raw = tags.dateTimeOriginal || tags.dateTime;
+        const match = raw && raw.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+        if (!match || match[1] === '0000') return null;
+
+        const [, year, month, day, hour, minute, second] = match;
+        const offset = tags.dateTimeOriginal && /^[+-]\d{2}:\d{2}$/.test(tags.offsetTimeOriginal || '') ? tags.offsetTimeOriginal : '';
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`;
+    }
+}
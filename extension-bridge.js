@@ -0,0 +1,75 @@
+// SafeGuard Pro - Browser Extension Bridge
+// The companion extension (extension/) flags messages inside web chat
+// clients and lets the user save them as evidence. Its app-bridge content
+// script hands each saved message to this page with window.postMessage;
+// every one is answered 'stored' or 'failed' so the extension knows when
+// it may forget it. Only fields we expect are kept from what it sends.
+const EXTENSION_SOURCE = 'safeguard-extension';
+const EXTENSION_APP_SOURCE = 'safeguard-app';
+const EXTENSION_SITES = { whatsapp: 'WhatsApp Web', instagram: 'Instagram', x: 'X' };
+const EXTENSION_TEXT_LIMIT = 10000;
+
+class ExtensionBridge {
+    constructor(options = {}) {
+        // Stores one saved message; the app passes its own handler
+        this.onEvidence = options.onEvidence;
+        this.listener = (event) => this.handle(event);
+    }
+
+    start() {
+        window.addEventListener('message', this.listener);
+        this.post('ready');
+    }
+
+    stop() {
+        window.removeEventListener('message', this.listener);
+    }
+
+    post(type, payload = {}) {
+        window.postMessage({ source: EXTENSION_APP_SOURCE, type, ...payload }, window.location.origin);
+    }
+
+    async handle(event) {
+        if (event.source !== window || event.origin !== window.location.origin) return;
+        const data = event.data || {};
+        if (data.source !== EXTENSION_SOURCE) return;
+
+        if (data.type === 'hello') {
+            this.post('ready');
+        } else if (data.type === 'evidence') {
+            const key = data.record && data.record.key;
+            try {
+                await this.onEvidence(ExtensionBridge.clean(data.record));
+                this.post('stored', { key });
+            } catch (error) {
+                console.error('Could not store evidence from the extension:', error);
+                this.post('failed', { key, error: error.message });
+            }
+        }
+    }
+
+    static clean(record) {
+        const text = (value, limit = 200) => String(value === undefined || value === null ? '' : value).slice(0, limit);
+        if (!record || !EXTENSION_SITES[record.site] || !record.content) throw new Error('Unrecognised message from the extension');
+
+        let url = '';
+        try {
+            const parsed = new URL(record.url);
+            if (parsed.protocol === 'https:') url = parsed.href;
+        } catch (error) {
+            // Kept without a link
+        }
+
+        return {
+            key: text(record.key, 100),
+            site: record.site,
+            siteName: EXTENSION_SITES[record.site],
+            url,
+            conversation: text(record.conversation),
+            sender: text(record.sender) || 'unknown',
+            content: text(record.content, EXTENSION_TEXT_LIMIT),
+            sentAt: record.sentAt ? text(record.sentAt, 60) : null,
+            savedAt: Number.isNaN(Date.parse(record.savedAt)) ? new Date().toISOString() : new Date(record.savedAt).toISOString()
+        };
+    }
+}
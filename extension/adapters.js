@@ -0,0 +1,123 @@
+// SafeGuard Pro Extension - Site Adapters
+// One adapter per web chat client. Each knows where that site keeps its
+// messages and how to read the sender, direction, time and text of one.
+// Sites change their markup without notice, so the adapters only rely on
+// attributes that have stayed put (roles, data-testid, data-pre-plain-text)
+// and are checked against the saved pages in fixtures/ by npm test
+// (test/extension-adapters.test.js).
+const SITE_ADAPTERS = [
+    {
+        id: 'whatsapp',
+        name: 'WhatsApp Web',
+        hosts: ['web.whatsapp.com'],
+        root: doc => doc.querySelector('#main') || doc.body,
+        conversation: doc => SiteAdapters.text(doc.querySelector('#main header span[title], #main header [dir="auto"]')),
+        messages: root => [...root.querySelectorAll('.message-in, .message-out')],
+        read(element) {
+            const copyable = element.querySelector('.copyable-text[data-pre-plain-text]');
+            const body = element.querySelector('.selectable-text');
+            if (!copyable || !body) return null;
+
+            // "[9:15 pm, 12/03/2024] Ravi: "
+            const header = copyable.getAttribute('data-pre-plain-text').match(/^\[([^\]]+)\]\s*(.*?):\s*$/);
+            return {
+                text: SiteAdapters.text(body),
+                sender: header ? header[2] : null,
+                incoming: element.classList.contains('message-in'),
+                sentAt: header ? header[1] : null,
+                anchor: body
+            };
+        }
+    },
+    {
+        id: 'instagram',
+        name: 'Instagram',
+        hosts: ['www.instagram.com'],
+        paths: /^\/direct\//,
+        root: doc => doc.querySelector('[role="grid"][aria-label^="Messages in conversation"]') || doc.body,
+        conversation: doc => SiteAdapters.text(doc.querySelector('[role="main"] header h2, [role="main"] header [role="heading"]')),
+        messages: root => [...root.querySelectorAll('[role="row"]')].filter(row => row.querySelector('[role="gridcell"] [dir="auto"]')),
+        read(element) {
+            const body = element.querySelector('[role="gridcell"] [dir="auto"]');
+            // Only the other side's messages carry their profile picture
+            const avatar = element.querySelector('a[href^="/"] img[alt]');
+            const time = element.querySelector('time[datetime]');
+            return {
+                text: SiteAdapters.text(body),
+                sender: avatar ? avatar.getAttribute('alt').replace(/'s profile picture$/i, '') : null,
+                incoming: Boolean(avatar),
+                sentAt: time ? time.getAttribute('datetime') : null,
+                anchor: body
+            };
+        }
+    },
+    {
+        id: 'x',
+        name: 'X',
+        hosts: ['x.com', 'twitter.com'],
+        paths: /^\/messages\//,
+        root: doc => doc.querySelector('[data-testid="DmActivityViewport"]') || doc.body,
+        conversation: doc => SiteAdapters.text(doc.querySelector('[data-testid="DmActivityContainer"] [data-testid="conversation-header"] [dir="ltr"], [data-testid="DmActivityContainer"] h2')),
+        messages: root => [...root.querySelectorAll('[data-testid="messageEntry"]')],
+        read(element) {
+            const body = element.querySelector('[data-testid="tweetText"]');
+            if (!body) return null;
+            // Incoming entries show the sender's avatar, whose test id ends in their handle
+            const avatar = element.querySelector('[data-testid^="UserAvatar-Container-"]');
+            const time = element.querySelector('time[datetime]');
+            return {
+                text: SiteAdapters.text(body),
+                sender: avatar ? `@${avatar.getAttribute('data-testid').slice('UserAvatar-Container-'.length)}` : null,
+                incoming: Boolean(avatar),
+                sentAt: time ? time.getAttribute('datetime') : null,
+                anchor: body
+            };
+        }
+    }
+];
+
+class SiteAdapters {
+    static forHost(hostname) {
+        return SITE_ADAPTERS.find(adapter => adapter.hosts.includes(hostname)) || null;
+    }
+
+    // Instagram and X navigate without reloading, so this is checked per scan
+    static isChatPage(adapter, { pathname }) {
+        return !adapter.paths || adapter.paths.test(pathname);
+    }
+
+    // Emoji are drawn as images by all three sites; their alt text is the emoji
+    static text(element) {
+        if (!element) return '';
+        const parts = [];
+        const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.TEXT_NODE) parts.push(node.data);
+            else if (node.tagName === 'IMG' && node.alt) parts.push(node.alt);
+        }
+        return parts.join('').replace(/\s+/g, ' ').trim();
+    }
+
+    // Every readable message under root, oldest first as the site shows them
+    static collect(adapter, doc, root = adapter.root(doc)) {
+        const conversation = adapter.conversation(doc) || adapter.name;
+        return adapter.messages(root)
+            .map(element => {
+                const message = adapter.read(element);
+                if (!message || !message.text) return null;
+                return { ...message, element, site: adapter.id, conversation, sender: message.sender || (message.incoming ? conversation : 'Me') };
+            })
+            .filter(Boolean);
+    }
+
+    // Stable across re-renders, so a message is scored and saved once
+    static key(message) {
+        const source = [message.site, message.conversation, message.sender, message.sentAt, message.text].join('\u0000');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < source.length; i++) {
+            hash ^= source.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${message.site}-${(hash >>> 0).toString(36)}-${source.length.toString(36)}`;
+    }
+}
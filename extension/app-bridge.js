@@ -0,0 +1,66 @@
+// SafeGuard Pro Extension - App Bridge
+// Runs on the SafeGuard app's own pages and hands it the messages saved
+// from chat sites, over window.postMessage. The app answers once each one
+// is stored (sealed into its inbox if it is locked), and only then is it
+// removed from the extension. See extension-bridge.js in the app.
+const BRIDGE_EXTENSION_SOURCE = 'safeguard-extension';
+const BRIDGE_APP_SOURCE = 'safeguard-app';
+
+class AppBridge {
+    constructor() {
+        this.ready = false;
+        this.inFlight = new Set();
+    }
+
+    static send(type, payload) {
+        return chrome.runtime.sendMessage({ type, payload }).then(response => {
+            if (response && response.error) throw new Error(response.error);
+            return response && response.result;
+        });
+    }
+
+    post(type, payload = {}) {
+        window.postMessage({ source: BRIDGE_EXTENSION_SOURCE, type, ...payload }, location.origin);
+    }
+
+    start() {
+        window.addEventListener('message', (event) => this.handle(event));
+        // New saves from other tabs arrive while the app is open
+        chrome.storage.onChanged.addListener((changes) => {
+            if (changes.pending) this.deliver();
+        });
+        // The app may have started before this script; it answers with 'ready'
+        this.post('hello');
+    }
+
+    handle(event) {
+        if (event.source !== window || event.origin !== location.origin) return;
+        const data = event.data || {};
+        if (data.source !== BRIDGE_APP_SOURCE) return;
+
+        if (data.type === 'ready') {
+            this.ready = true;
+            this.deliver();
+        } else if (data.type === 'stored') {
+            this.inFlight.delete(data.key);
+            AppBridge.send('delivered', { keys: [data.key] }).catch(error => console.error('SafeGuard bridge:', error));
+        } else if (data.type === 'failed') {
+            // Left in the queue for the next time the app opens
+            this.inFlight.delete(data.key);
+            console.error('SafeGuard could not store a saved message:', data.error);
+        }
+    }
+
+    async deliver() {
+        if (!this.ready) return;
+        const pending = await AppBridge.send('pending');
+        pending
+            .filter(record => !this.inFlight.has(record.key))
+            .forEach(record => {
+                this.inFlight.add(record.key);
+                this.post('evidence', { record });
+            });
+    }
+}
+
+new AppBridge().start();
@@ -0,0 +1,125 @@
+// SafeGuard Pro Extension - Background Worker
+// Scores what the content scripts read with the app's own core (copied in
+// by `npm run build:extension`), and keeps the messages the user saves as
+// evidence until a SafeGuard tab picks them up. Nothing is sent anywhere
+// else: the app is the only place evidence ends up.
+import { ThreatEngine, THREAT_RULE_SETS, ThreatModel, CLASSIFIER_DEFAULT_WEIGHT } from './core/index.js';
+import { EXTENSION_DEFAULTS, ExtensionSettings } from './settings.js';
+
+const MODEL_URL = chrome.runtime.getURL('models/threat-classifier.json');
+// Keys of saved messages, so saving the same message twice does nothing
+const DELIVERED_KEYS_LIMIT = 1000;
+
+const engine = new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+let modelPromise = null;
+
+function loadModel() {
+    if (!modelPromise) {
+        modelPromise = fetch(MODEL_URL)
+            .then(response => response.json())
+            .catch(error => {
+                modelPromise = null;
+                throw error;
+            });
+    }
+    return modelPromise;
+}
+
+// Same steps as the app's analyzeMessage: rules, then the classifier if on
+async function analyze(text, settings) {
+    const analysis = engine.analyze(text);
+    if (!settings.classifier) return analysis;
+    try {
+        return ThreatModel.combine(analysis, ThreatModel.predict(await loadModel(), analysis.normalized), CLASSIFIER_DEFAULT_WEIGHT);
+    } catch (error) {
+        console.error('Classifier unavailable:', error);
+        return analysis;
+    }
+}
+
+async function score({ items }) {
+    const settings = await ExtensionSettings.load();
+    const results = {};
+    for (const { key, text } of items) {
+        const analysis = await analyze(text, settings);
+        const top = ThreatEngine.topCategory(analysis);
+        results[key] = {
+            score: analysis.score,
+            threat: analysis.score > settings.threshold,
+            category: top ? top[0] : null,
+            explanation: ThreatEngine.explain(analysis)
+        };
+    }
+    return { results };
+}
+
+async function queue() {
+    const { pending = [], delivered = [] } = await chrome.storage.local.get(['pending', 'delivered']);
+    return { pending, delivered };
+}
+
+async function showPending(pending) {
+    await chrome.action.setBadgeText({ text: pending.length ? String(pending.length) : '' });
+}
+
+async function save({ record }) {
+    const { pending, delivered } = await queue();
+    if (delivered.includes(record.key) || pending.some(entry => entry.key === record.key)) {
+        return { queued: false, pending: pending.length };
+    }
+    pending.push({ ...record, savedAt: new Date().toISOString() });
+    await chrome.storage.local.set({ pending });
+    await showPending(pending);
+    return { queued: true, pending: pending.length };
+}
+
+async function markDelivered({ keys }) {
+    const { pending, delivered } = await queue();
+    const remaining = pending.filter(entry => !keys.includes(entry.key));
+    await chrome.storage.local.set({
+        pending: remaining,
+        delivered: delivered.concat(keys).slice(-DELIVERED_KEYS_LIMIT)
+    });
+    await showPending(remaining);
+    return { pending: remaining.length };
+}
+
+// Saved messages are only handed to the SafeGuard app itself
+async function fromApp(sender) {
+    const { appUrl } = await ExtensionSettings.load();
+    return Boolean(sender.url) && new URL(sender.url).origin === new URL(appUrl).origin;
+}
+
+const handlers = {
+    score,
+    save,
+    settings: () => ExtensionSettings.load(),
+    pending: async (payload, sender) => {
+        if (!(await fromApp(sender))) throw new Error('Only the SafeGuard app can collect saved evidence');
+        return (await queue()).pending;
+    },
+    delivered: async (payload, sender) => {
+        if (!(await fromApp(sender))) throw new Error('Only the SafeGuard app can collect saved evidence');
+        return markDelivered(payload);
+    }
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const { type, payload } = message || {};
+    const work = handlers[type]
+        ? handlers[type](payload || {}, sender)
+        : Promise.reject(new Error(`Unknown extension message: ${type}`));
+
+    Promise.resolve(work)
+        .then(result => sendResponse({ result }))
+        .catch(error => sendResponse({ error: error.message }));
+    // The reply is sent asynchronously
+    return true;
+});
+
+chrome.runtime.onInstalled.addListener(async () => {
+    const stored = await chrome.storage.local.get('settings');
+    if (!stored.settings) await chrome.storage.local.set({ settings: EXTENSION_DEFAULTS });
+    await ExtensionSettings.registerAppBridge(await ExtensionSettings.load());
+    await showPending((await queue()).pending);
+});
@@ -0,0 +1,122 @@
+// SafeGuard Pro Extension - Chat Page Watcher
+// Reads incoming messages through the site's adapter as they appear, has
+// the background worker score them, and puts a small badge next to the
+// ones over the threshold. The badge opens the reasons and a button that
+// saves the message as evidence for the SafeGuard app.
+const CONTENT_SCAN_DELAY_MS = 400;
+
+class ChatPageWatcher {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.scores = new Map();
+        this.badged = new WeakSet();
+        this.timer = null;
+        this.observer = new MutationObserver(() => this.schedule());
+    }
+
+    static send(type, payload) {
+        return chrome.runtime.sendMessage({ type, payload }).then(response => {
+            if (response && response.error) throw new Error(response.error);
+            return response && response.result;
+        });
+    }
+
+    start() {
+        this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        this.schedule();
+    }
+
+    // Chat apps re-render in bursts; one scan after things settle
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.scan().catch(error => console.error('SafeGuard scan failed:', error)), CONTENT_SCAN_DELAY_MS);
+    }
+
+    async scan() {
+        if (!SiteAdapters.isChatPage(this.adapter, location)) return;
+        const messages = SiteAdapters.collect(this.adapter, document)
+            .filter(message => message.incoming)
+            .map(message => ({ ...message, key: SiteAdapters.key(message) }));
+
+        const unscored = messages.filter(message => !this.scores.has(message.key));
+        if (unscored.length > 0) {
+            const { results } = await ChatPageWatcher.send('score', {
+                items: unscored.map(({ key, text }) => ({ key, text }))
+            });
+            Object.entries(results).forEach(([key, result]) => this.scores.set(key, result));
+        }
+
+        messages.forEach(message => {
+            const result = this.scores.get(message.key);
+            if (result && result.threat && !this.badged.has(message.anchor)) this.addBadge(message, result);
+        });
+    }
+
+    addBadge(message, result) {
+        this.badged.add(message.anchor);
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.className = 'safeguard-badge';
+        badge.textContent = `SafeGuard ${Math.round(result.score * 100)}%`;
+        badge.title = `Flagged by SafeGuard: ${result.category || 'threat'}`;
+        badge.addEventListener('click', (event) => {
+            // Clicks must not open the message menu of the chat app underneath
+            event.stopPropagation();
+            event.preventDefault();
+            this.togglePanel(badge, message, result);
+        });
+        message.anchor.insertAdjacentElement('afterend', badge);
+    }
+
+    togglePanel(badge, message, result) {
+        const open = badge.nextElementSibling;
+        if (open && open.classList.contains('safeguard-panel')) {
+            open.remove();
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'safeguard-panel';
+        const reason = document.createElement('p');
+        reason.textContent = result.explanation;
+        const save = document.createElement('button');
+        save.type = 'button';
+        save.textContent = 'Save as evidence';
+        save.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            save.disabled = true;
+            try {
+                const { queued } = await ChatPageWatcher.send('save', { record: ChatPageWatcher.record(message, result) });
+                save.textContent = queued ? 'Saved — opens in SafeGuard' : 'Already saved';
+            } catch (error) {
+                save.disabled = false;
+                save.textContent = 'Could not save, try again';
+                console.error('SafeGuard save failed:', error);
+            }
+        });
+        panel.append(reason, save);
+        badge.insertAdjacentElement('afterend', panel);
+    }
+
+    // What the app receives; it scores the text again with the user's own tuning
+    static record(message, result) {
+        return {
+            key: message.key,
+            site: message.site,
+            url: location.href,
+            conversation: message.conversation,
+            sender: message.sender,
+            content: message.text,
+            sentAt: message.sentAt,
+            extensionScore: result.score
+        };
+    }
+}
+
+(async () => {
+    const adapter = SiteAdapters.forHost(location.hostname);
+    if (!adapter) return;
+    const settings = await ChatPageWatcher.send('settings');
+    if (!settings.sites[adapter.id]) return;
+    new ChatPageWatcher(adapter).start();
+})().catch(error => console.error('SafeGuard could not start:', error));
@@ -0,0 +1,71 @@
+// SafeGuard Pro Extension - Adapter Fixture Harness
+// Each fixture is a saved chat page with the messages it should yield in a
+// <script type="application/json" id="expected"> block. A site redesign
+// shows up here as a failing fixture: save a fresh page, trim it, update
+// the adapter until it passes again.
+import { ThreatEngine, THREAT_RULE_SETS, SafeHtml, html } from '../../core/index.js';
+
+const FIXTURES = ['whatsapp-web.html', 'instagram-direct.html', 'x-messages.html'];
+const FIXTURE_THRESHOLD = 0.7;
+const FIXTURE_FIELDS = ['sender', 'incoming', 'sentAt', 'text'];
+
+const engine = new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+
+async function runFixture(name) {
+    const page = await (await fetch(name)).text();
+    const doc = new DOMParser().parseFromString(page, 'text/html');
+    const expected = JSON.parse(doc.getElementById('expected').textContent);
+    const failures = [];
+    const check = (label, actual, wanted) => {
+        if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+            failures.push(`${label}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(wanted)}`);
+        }
+    };
+
+    const adapter = SiteAdapters.forHost(expected.location.hostname);
+    check('adapter', adapter && adapter.id, expected.adapter);
+    if (!adapter) return { name, failures, messages: [] };
+    check('chat page', SiteAdapters.isChatPage(adapter, expected.location), true);
+
+    const messages = SiteAdapters.collect(adapter, doc);
+    check('conversation', messages.length ? messages[0].conversation : adapter.conversation(doc), expected.conversation);
+    check('message count', messages.length, expected.messages.length);
+    expected.messages.forEach((wanted, index) => {
+        const message = messages[index] || {};
+        FIXTURE_FIELDS.forEach(field => check(`message ${index + 1} ${field}`, message[field], wanted[field]));
+    });
+
+    // The same decision the background worker makes for a badge
+    const scored = messages.map(message => ({
+        ...message,
+        score: message.incoming ? engine.analyze(message.text).score : null
+    }));
+    check('flagged', scored.filter(message => message.score > FIXTURE_THRESHOLD).map(message => message.text), expected.flagged);
+
+    return { name, failures, messages: scored };
+}
+
+function render(results) {
+    const passed = results.filter(result => result.failures.length === 0).length;
+
+    SafeHtml.render(document.getElementById('fixtureResults'), html`
+        <p><strong>${passed} of ${results.length} fixtures pass</strong></p>
+        ${results.map(result => html`
+            <h3>${result.name} ${result.failures.length ? '✗' : '✓'}</h3>
+            ${result.failures.length > 0 && html`<ul class="form-error">${result.failures.map(failure => html`<li>${failure}</li>`)}</ul>`}
+            <table class="benchmark-table">
+                <tr><th>Sender</th><th>In</th><th>Sent</th><th>Text</th><th>Score</th></tr>
+                ${result.messages.map(message => html`
+                    <tr>
+                        <td>${message.sender}</td>
+                        <td>${message.incoming ? 'yes' : 'no'}</td>
+                        <td>${message.sentAt}</td>
+                        <td>${message.text}</td>
+                        <td>${message.score === null ? '' : `${Math.round(message.score * 100)}%`}</td>
+                    </tr>`)}
+            </table>`)}
+    `);
+}
+
+Promise.all(FIXTURES.map(name => runFixture(name).catch(error => ({ name, failures: [error.message], messages: [] }))))
+    .then(render);
@@ -0,0 +1,59 @@
+// SafeGuard Pro Extension - Options
+// Also the toolbar popup. Changing the app address asks for access to that
+// origin, which the browser only allows in response to the click on Save.
+import { ExtensionSettings } from './settings.js';
+
+const form = document.getElementById('settingsForm');
+const status = document.getElementById('settingsStatus');
+
+function showStatus(message, isError = false) {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+async function showPending() {
+    const { pending = [] } = await chrome.storage.local.get('pending');
+    const { appUrl } = await ExtensionSettings.load();
+    document.getElementById('pendingStatus').textContent = pending.length
+        ? `${pending.length} saved message${pending.length === 1 ? '' : 's'} will be added when you open ${appUrl}`
+        : 'No saved messages waiting for the app.';
+}
+
+async function render() {
+    const settings = await ExtensionSettings.load();
+    Object.entries(settings.sites).forEach(([id, enabled]) => {
+        if (form.elements[id]) form.elements[id].checked = enabled;
+    });
+    form.elements.threshold.value = Math.round(settings.threshold * 100);
+    form.elements.classifier.checked = settings.classifier;
+    form.elements.appUrl.value = settings.appUrl;
+    await showPending();
+}
+
+form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { elements } = form;
+    try {
+        const appUrl = elements.appUrl.value.trim();
+        const origin = ExtensionSettings.appOrigin(appUrl);
+        // Must be the first await: the permission prompt needs the click
+        if (ExtensionSettings.needsPermission(appUrl) &&
+            !(await chrome.permissions.request({ origins: [`${origin}/*`] }))) {
+            throw new Error(`Without access to ${origin} saved messages cannot reach the app`);
+        }
+
+        const settings = await ExtensionSettings.save({
+            threshold: Number(elements.threshold.value) / 100,
+            classifier: elements.classifier.checked,
+            sites: { whatsapp: elements.whatsapp.checked, instagram: elements.instagram.checked, x: elements.x.checked },
+            appUrl
+        });
+        await ExtensionSettings.registerAppBridge(settings);
+        showStatus('Saved. Reload open chat tabs for site changes to apply.');
+        await showPending();
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+});
+
+render().catch(error => showStatus(error.message, true));
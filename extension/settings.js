@@ -0,0 +1,54 @@
+// SafeGuard Pro Extension - Settings
+// Shared by the background worker and the options page. The app address
+// decides where saved evidence is delivered; any address other than the
+// local development server needs the user's permission for that origin.
+export const EXTENSION_DEFAULTS = {
+    threshold: 0.7,
+    classifier: false,
+    sites: { whatsapp: true, instagram: true, x: true },
+    appUrl: 'http://localhost:3000/'
+};
+
+// Origins the manifest already bridges; see content_scripts in manifest.json
+const BUILT_IN_APP_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+const APP_BRIDGE_ID = 'safeguard-app-bridge';
+
+export class ExtensionSettings {
+    static async load() {
+        const { settings = {} } = await chrome.storage.local.get('settings');
+        return { ...EXTENSION_DEFAULTS, ...settings, sites: { ...EXTENSION_DEFAULTS.sites, ...(settings.sites || {}) } };
+    }
+
+    static async save(changes) {
+        const settings = { ...(await ExtensionSettings.load()), ...changes };
+        await chrome.storage.local.set({ settings });
+        return settings;
+    }
+
+    static appOrigin(appUrl) {
+        const url = new URL(appUrl);
+        if (!['https:', 'http:'].includes(url.protocol)) throw new Error('The app address must start with https://');
+        return url.origin;
+    }
+
+    static needsPermission(appUrl) {
+        return !BUILT_IN_APP_ORIGINS.includes(ExtensionSettings.appOrigin(appUrl));
+    }
+
+    // Runs app-bridge.js on the app's pages when it is hosted elsewhere
+    static async registerAppBridge({ appUrl }) {
+        const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [APP_BRIDGE_ID] });
+        if (registered.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [APP_BRIDGE_ID] });
+        if (!ExtensionSettings.needsPermission(appUrl)) return false;
+
+        const origins = [`${ExtensionSettings.appOrigin(appUrl)}/*`];
+        if (!(await chrome.permissions.contains({ origins }))) return false;
+        await chrome.scripting.registerContentScripts([{
+            id: APP_BRIDGE_ID,
+            matches: origins,
+            js: ['app-bridge.js'],
+            runAt: 'document_idle'
+        }]);
+        return true;
+    }
+}
@@ -0,0 +1,190 @@
+// SafeGuard Pro - Guardian Link
+// A guardian is a trusted person who follows the user's SOS, live location
+// and check-ins as they happen, on guardian.html, through a relay the user
+// chooses (relay/server.js). Each guardian has their own relay channel and
+// key; updates are sealed on this device and the relay only forwards them.
+// The list, with those keys and the relay tokens, is sealed to the vault's
+// inbox key, so it is only read once the app is unlocked; an SOS or a walk
+// keeps the app from locking while it runs.
+import { GuardianEnvelope } from './core/guardian-envelope.js';
+import { Outbox } from './outbox.js';
+
+export const GUARDIAN_DEFAULT_RELAY = 'http://localhost:8787';
+export const GUARDIAN_LOCATION_INTERVAL_MS = 30000;
+const GUARDIAN_LIMIT = 5;
+
+export class GuardianLink {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.outbox = options.outbox || new Outbox({ store: this.store });
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.guardians = [];
+        this.lastLocationAt = 0;
+    }
+
+    async load() {
+        this.guardians = (await this.store.getSetting('guardians')) || [];
+        await this.retryRevocations();
+    }
+
+    save() {
+        return this.store.setSetting('guardians', this.guardians);
+    }
+
+    reset() {
+        this.guardians = [];
+    }
+
+    get active() {
+        return this.guardians.filter(guardian => !guardian.revokedAt);
+    }
+
+    static checkRelay(relay) {
+        const trimmed = String(relay || '').trim().replace(/\/+$/, '');
+        // Plain http only for a relay on this machine; anything else carries tokens over the network
+        if (!/^https:\/\/[^/]+/i.test(trimmed) && !/^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/i.test(trimmed)) {
+            throw new Error('Relay address must start with https:// (or be http://localhost)');
+        }
+        return trimmed;
+    }
+
+    async request(url, body) {
+        const response = await this.fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        return { status: response.status, ok: response.ok, result };
+    }
+
+    async invite({ name, relay = GUARDIAN_DEFAULT_RELAY, from = '' }) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('Enter the guardian\'s name');
+        if (this.active.length >= GUARDIAN_LIMIT) throw new Error(`You can have up to ${GUARDIAN_LIMIT} guardians`);
+        const relayUrl = GuardianLink.checkRelay(relay);
+
+        const guardian = {
+            id: GuardianEnvelope.randomToken(18),
+            name: trimmed,
+            from: String(from || '').trim(),
+            relay: relayUrl,
+            publishToken: GuardianEnvelope.randomToken(),
+            readToken: GuardianEnvelope.randomToken(),
+            key: GuardianEnvelope.generateKey(),
+            invitedAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        let response;
+        try {
+            response = await this.request(`${relayUrl}/channels`, {
+                id: guardian.id,
+                publishKey: await GuardianEnvelope.hashToken(guardian.publishToken),
+                readKey: await GuardianEnvelope.hashToken(guardian.readToken)
+            });
+        } catch (error) {
+            throw new Error(`Could not reach the relay at ${relayUrl}`);
+        }
+        if (!response.ok) throw new Error(response.result.error || `The relay refused the invitation (${response.status})`);
+
+        this.guardians.push(guardian);
+        await this.save();
+        return guardian;
+    }
+
+    // The page the guardian opens; everything they need is after the #
+    static link(guardian, appUrl) {
+        const invite = GuardianEnvelope.encodeInvite({
+            relay: guardian.relay,
+            channel: guardian.id,
+            token: guardian.readToken,
+            key: guardian.key,
+            from: guardian.from
+        });
+        return `${new URL('guardian.html', appUrl).href}#${invite}`;
+    }
+
+    // Takes effect here at once: the key is wiped and nothing more is sealed
+    // for them. The relay is told to close the channel, now or on a later load.
+    async revoke(id) {
+        const guardian = this.guardians.find(item => item.id === id);
+        if (!guardian || guardian.revokedAt) return null;
+
+        Object.assign(guardian, { revokedAt: new Date().toISOString(), key: null, readToken: null, revokePending: true });
+        await this.closeChannel(guardian);
+        await this.save();
+        return guardian.revokePending ? 'pending' : 'revoked';
+    }
+
+    async closeChannel(guardian) {
+        try {
+            const { status } = await this.request(`${guardian.relay}/channels/${guardian.id}/revoke`, { token: guardian.publishToken });
+            // 410 and 404 mean the relay already has nothing for them
+            if (status === 200 || status === 404 || status === 410) {
+                guardian.revokePending = false;
+                guardian.publishToken = null;
+            }
+        } catch (error) {
+            console.log('Relay unreachable, revocation will be retried:', error.message);
+        }
+    }
+
+    async retryRevocations() {
+        const pending = this.guardians.filter(guardian => guardian.revokePending);
+        if (pending.length === 0) return;
+        for (const guardian of pending) await this.closeChannel(guardian);
+        await this.save();
+    }
+
+    async forget(id) {
+        this.guardians = this.guardians.filter(guardian => guardian.id !== id || guardian.revokePending);
+        await this.save();
+    }
+
+    // How many of this guardian's pages are open right now, or null if the relay cannot say.
+    // Relays forget invitations nobody opened, which shows up as a 404.
+    async status(guardian) {
+        try {
+            const response = await this.fetch(`${guardian.relay}/channels/${guardian.id}/status`, {
+                headers: { Authorization: `Bearer ${guardian.publishToken}` }
+            });
+            if (response.status === 404) return { expired: true };
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // SOS and check-in changes go through the outbox so they arrive after a
+    // dead spot; location fixes are superseded by the next one and are not retried
+    async publish(type, data = {}, { reliable = true } = {}) {
+        const guardians = this.active;
+        if (guardians.length === 0) return [];
+        const message = { type, ...data, sentAt: new Date().toISOString() };
+
+        return Promise.all(guardians.map(async guardian => {
+            const endpoint = `${guardian.relay}/channels/${guardian.id}/events`;
+            const payload = { token: guardian.publishToken, event: await GuardianEnvelope.seal(guardian.key, guardian.id, message) };
+            if (reliable) return this.outbox.send('guardian', endpoint, payload);
+            return this.outbox.deliver({ endpoint, payload }).then(() => 'sent', () => 'failed');
+        }));
+    }
+
+    shareLocation(location, context, { force = false } = {}) {
+        if (!location || this.active.length === 0) return Promise.resolve([]);
+        const now = Date.now();
+        if (!force && now - this.lastLocationAt < GUARDIAN_LOCATION_INTERVAL_MS) return Promise.resolve([]);
+        this.lastLocationAt = now;
+
+        return this.publish('location', {
+            context,
+            location: {
+                latitude: location.latitude,
+                longitude: location.longitude,
+                accuracy: location.accuracy,
+                timestamp: location.timestamp
+            }
+        }, { reliable: false });
+    }
+}
@@ -0,0 +1,268 @@
+// SafeGuard Pro - Guardian View
+// Opened from an invitation link. Follows everyone who invited this browser
+// over their relay's event stream and shows their SOS, last known location
+// and safety walk check-ins, decrypted here with the key from the link.
+// Invitations are kept in this browser only.
+import { GuardianEnvelope, SafeHtml, html } from './core/index.js';
+import { SosDispatcher } from './sos-dispatcher.js';
+import { ConnectPolicy } from './connect-policy.js';
+
+const GUARDIAN_INVITES_KEY = 'safeguard-guardian-invites';
+const GUARDIAN_LOG_LIMIT = 20;
+const GUARDIAN_RETRY_MS = 10000;
+// Older events are replayed history when the page opens, not news
+const GUARDIAN_ALERT_WINDOW_MS = 5 * 60000;
+
+const CONNECTION_LABELS = {
+    connecting: 'Connecting…',
+    live: 'Live',
+    reconnecting: 'Reconnecting…',
+    revoked: 'Access revoked',
+    invalid: 'Link no longer valid'
+};
+
+const SOS_OUTCOMES = {
+    acknowledged: 'SOS ended: a contact responded',
+    cancelled: 'SOS cancelled',
+    exhausted: 'SOS reached its last step'
+};
+
+class GuardianView {
+    constructor() {
+        this.invites = [];
+        this.people = new Map();
+    }
+
+    start() {
+        document.getElementById('guardianAlerts').addEventListener('click', () => this.enableAlerts());
+        document.getElementById('guardianPeople').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="forgetInvite"]');
+            if (button) this.forget(button.dataset.channel);
+        });
+
+        this.invites = GuardianView.loadInvites();
+        this.acceptInvite();
+        // Only the relays of these invitations; a new one arrives with a page load anyway
+        ConnectPolicy.apply(ConnectPolicy.origins(this.invites.map(invite => invite.relay)));
+        this.invites.forEach(invite => this.connect(invite));
+        this.render();
+
+        if ('Notification' in window && Notification.permission === 'default') {
+            document.getElementById('guardianAlerts').hidden = false;
+        }
+    }
+
+    static loadInvites() {
+        try {
+            return JSON.parse(localStorage.getItem(GUARDIAN_INVITES_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveInvites() {
+        localStorage.setItem(GUARDIAN_INVITES_KEY, JSON.stringify(this.invites));
+    }
+
+    // The key stays in the address bar (and history) only until it is saved here
+    acceptInvite() {
+        const hash = window.location.hash.slice(1);
+        if (!hash) return;
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        try {
+            const invite = GuardianEnvelope.decodeInvite(hash);
+            if (!this.invites.some(item => item.channel === invite.channel)) {
+                this.invites.push({ ...invite, addedAt: new Date().toISOString() });
+                this.saveInvites();
+            }
+        } catch (error) {
+            document.getElementById('guardianError').textContent = error.message;
+        }
+    }
+
+    // A reconnect picks up after the last update this page saw
+    static streamUrl(invite, lastEventId = null) {
+        const url = `${invite.relay}/channels/${encodeURIComponent(invite.channel)}/events?token=${encodeURIComponent(invite.token)}`;
+        return lastEventId ? `${url}&lastEventId=${encodeURIComponent(lastEventId)}` : url;
+    }
+
+    connect(invite) {
+        const person = this.people.get(invite.channel) || { connection: 'connecting', sos: null, walk: null, location: null, log: [] };
+        this.people.set(invite.channel, person);
+
+        const source = new EventSource(GuardianView.streamUrl(invite, person.lastEventId));
+        person.source = source;
+        source.onopen = () => {
+            person.connection = 'live';
+            this.render();
+        };
+        source.onmessage = (event) => this.receive(invite, person, event);
+        source.addEventListener('revoked', () => {
+            source.close();
+            person.connection = 'revoked';
+            this.render();
+        });
+        source.onerror = () => this.disconnected(invite, person, source);
+    }
+
+    // EventSource retries dropped connections itself, but gives up on an
+    // error response without saying which; the relay is asked directly
+    async disconnected(invite, person, source) {
+        if (person.source !== source) return;
+        person.connection = 'reconnecting';
+        this.render();
+        if (source.readyState !== EventSource.CLOSED) return;
+
+        const controller = new AbortController();
+        let status = null;
+        try {
+            status = (await fetch(GuardianView.streamUrl(invite), { signal: controller.signal })).status;
+        } catch (error) {
+            // Relay unreachable; try again below
+        } finally {
+            controller.abort();
+        }
+
+        if (status === 410) {
+            person.connection = 'revoked';
+        } else if (status === 403 || status === 404) {
+            person.connection = 'invalid';
+        } else {
+            setTimeout(() => {
+                if (this.people.get(invite.channel) === person) this.connect(invite);
+            }, GUARDIAN_RETRY_MS);
+        }
+        this.render();
+    }
+
+    async receive(invite, person, event) {
+        let message;
+        try {
+            message = await GuardianEnvelope.open(invite.key, invite.channel, JSON.parse(event.data));
+        } catch (error) {
+            console.error('Could not open a guardian update:', error);
+            return;
+        }
+
+        person.connection = 'live';
+        person.lastEventId = event.lastEventId;
+        this.apply(invite, person, message);
+        this.render();
+    }
+
+    apply(invite, person, message) {
+        const recent = Date.now() - Date.parse(message.sentAt) < GUARDIAN_ALERT_WINDOW_MS;
+
+        if (message.type === 'location') {
+            const fix = { ...message.location, timestamp: message.location.timestamp || message.sentAt, context: message.context };
+            if (!person.location || Date.parse(fix.timestamp) >= Date.parse(person.location.timestamp)) person.location = fix;
+            return;
+        }
+
+        if (message.type === 'sos' && message.status === 'started') {
+            person.sos = { id: message.sosId, active: true, reason: message.reason, message: message.message, startedAt: message.sentAt, step: null };
+            if (message.location) person.location = { ...message.location, timestamp: message.location.timestamp || message.sentAt, context: 'sos' };
+            if (recent) GuardianView.alert(invite, `${invite.from} started an SOS`, message.message);
+        } else if (message.type === 'sos' && person.sos && person.sos.id === message.sosId) {
+            if (message.status === 'step') person.sos.step = message.step;
+            if (message.status === 'finished') Object.assign(person.sos, { active: false, outcome: message.outcome, endedAt: message.sentAt });
+        } else if (message.type === 'walk') {
+            person.walk = message;
+            if (recent && message.status === 'overdue') {
+                GuardianView.alert(invite, `${invite.from} missed a check-in`, `They were due to check in by ${new Date(message.deadline).toLocaleTimeString()}.`);
+            }
+        }
+
+        person.log.unshift({ at: message.sentAt, text: GuardianView.describe(message) });
+        person.log.length = Math.min(person.log.length, GUARDIAN_LOG_LIMIT);
+    }
+
+    static describe(message) {
+        if (message.type === 'sos') {
+            if (message.status === 'started') return message.reason === 'missed-check-in' ? 'SOS started after a missed check-in' : 'SOS started';
+            if (message.status === 'step') return `Trying ${message.step.name} (${message.step.number} of ${message.step.total})`;
+            return SOS_OUTCOMES[message.outcome] || 'SOS ended';
+        }
+        const walk = message.label ? `Safety walk "${message.label}"` : 'Safety walk';
+        return {
+            active: `${walk}: check in by ${new Date(message.deadline).toLocaleTimeString()}`,
+            'checked-in': `${walk}: checked in safe`,
+            overdue: `${walk}: missed check-in`,
+            cancelled: `${walk} ended`
+        }[message.status] || `${walk}: ${message.status}`;
+    }
+
+    static alert(invite, title, body) {
+        document.title = `${title} - SafeGuard Guardian`;
+        if (navigator.vibrate) navigator.vibrate([500, 200, 500, 200, 500]);
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(title, { body, tag: invite.channel, requireInteraction: true });
+        }
+    }
+
+    async enableAlerts() {
+        await Notification.requestPermission();
+        document.getElementById('guardianAlerts').hidden = Notification.permission !== 'default';
+    }
+
+    forget(channel) {
+        const invite = this.invites.find(item => item.channel === channel);
+        if (!invite || !confirm(`Stop following ${invite.from}? You would need a new invitation link to follow them again.`)) return;
+
+        const person = this.people.get(channel);
+        if (person && person.source) person.source.close();
+        this.people.delete(channel);
+        this.invites = this.invites.filter(item => item.channel !== channel);
+        this.saveInvites();
+        this.render();
+    }
+
+    render() {
+        const time = (value) => new Date(value).toLocaleTimeString();
+        const container = document.getElementById('guardianPeople');
+
+        if (this.invites.length === 0) {
+            SafeHtml.render(container, html`<p class="form-hint">Open the invitation link you were sent to follow someone here.</p>`);
+            return;
+        }
+
+        SafeHtml.render(container, this.invites.map(invite => {
+            const person = this.people.get(invite.channel) || { connection: 'connecting', log: [] };
+            const { sos, walk, location } = person;
+
+            return html`
+                <section class="guardian-person ${sos && sos.active ? 'guardian-alert' : ''}">
+                    <div class="guardian-header">
+                        <h2>${invite.from}</h2>
+                        <span class="guardian-connection guardian-${person.connection}">${CONNECTION_LABELS[person.connection]}</span>
+                    </div>
+                    ${sos && html`
+                        <div class="guardian-sos">
+                            <strong><i class="fas fa-exclamation-triangle"></i> ${sos.active ? `SOS since ${time(sos.startedAt)}` : `${SOS_OUTCOMES[sos.outcome] || 'SOS ended'} at ${time(sos.endedAt)}`}</strong>
+                            ${sos.active && sos.step && html`<p>Now trying ${sos.step.name} (${sos.step.number} of ${sos.step.total})</p>`}
+                            ${sos.active && sos.message && html`<p class="guardian-message">${sos.message}</p>`}
+                        </div>`}
+                    <div class="device-info">
+                        <div class="info-item">
+                            <span>Safety walk:</span>
+                            <span>${walk ? GuardianView.describe(walk) : 'None'}</span>
+                        </div>
+                        <div class="info-item">
+                            <span>Last location:</span>
+                            <span>${location
+                                ? html`<a href="${SafeHtml.url(SosDispatcher.mapsLink(location))}" target="_blank" rel="noopener noreferrer">${time(location.timestamp)}${location.accuracy ? ` (±${Math.round(location.accuracy)} m)` : ''}</a>`
+                                : 'Not shared'}</span>
+                        </div>
+                    </div>
+                    <ul class="guardian-log">
+                        ${person.log.map(entry => html`<li><span>${time(entry.at)}</span> ${entry.text}</li>`)}
+                    </ul>
+                    <button class="btn-small btn-danger" data-action="forgetInvite" data-channel="${invite.channel}">Stop Following</button>
+                </section>
+            `;
+        }));
+    }
+}
+
+new GuardianView().start();
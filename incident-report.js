@@ -0,0 +1,672 @@
+// SafeGuard Pro - Incident Report
+// Turns selected evidence into a complaint draft laid out like the National
+// Cyber Crime Reporting Portal form: category and sub-category, incident
+// details, suspect identifiers, complainant details, a chronological account,
+// the "additional information" text box and the files to upload. The victim
+// still files it themselves; this prepares the text, in their language, to
+// print, download or copy section by section.
+const REPORT_FORMAT = 'ncrp-complaint-draft';
+const REPORT_VERSION = 1;
+const REPORT_PORTAL_URL = 'https://cybercrime.gov.in';
+// Length the portal's additional information box accepts
+const REPORT_SUMMARY_MIN = 200;
+const REPORT_SUMMARY_MAX = 1500;
+const REPORT_CATEGORIES = {
+    social: ['bullying', 'fakeProfile', 'hacking', 'intimidation', 'other'],
+    women: ['explicit', 'other']
+};
+const REPORT_PLATFORMS = {
+    whatsapp: 'WhatsApp',
+    instagram: 'Instagram',
+    telegram: 'Telegram',
+    sms: 'SMS'
+};
+const REPORT_LANGUAGES = {
+    en: 'English',
+    hi: 'हिन्दी',
+    bn: 'বাংলা',
+    ta: 'தமிழ்',
+    te: 'తెలుగు'
+};
+// Inline in the downloaded file, so it stands alone
+const REPORT_STYLES = `
+    body { font-family: 'Noto Sans', Arial, sans-serif; color: #222; margin: 40px; line-height: 1.5; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #999; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { border: 1px solid #bbb; padding: 6px; vertical-align: top; text-align: left; }
+    th { background: #eee; }
+    dl { display: grid; grid-template-columns: 260px 1fr; gap: 4px 12px; font-size: 13px; }
+    dt { font-weight: bold; }
+    ol { font-size: 13px; padding-left: 20px; }
+    .note { color: #555; font-size: 13px; }
+    .summary { white-space: pre-wrap; border: 1px solid #bbb; padding: 10px; font-size: 13px; }
+    .length { color: #555; font-size: 12px; }
+    .length.out-of-range { color: #c00; }
+    .hash { font-family: monospace; word-break: break-all; }
+    @media print { body { margin: 10mm; } tr, li { page-break-inside: avoid; } }
+`;
+
+const REPORT_STRINGS = {
+    en: {
+        title: 'Cyber Crime Complaint Draft',
+        draftNote: 'Prepared with SafeGuard Pro for filing at {portal} or by calling 1930. Copy each section into the matching part of the portal form and upload the files listed under attachments.',
+        incident: 'Incident details',
+        category: 'Category of complaint',
+        subCategory: 'Sub-category',
+        period: 'Approximate date and time of incident',
+        platform: 'Where did the incident occur',
+        place: 'Place of incident',
+        suspects: 'Suspect details',
+        identifier: 'Identifier',
+        kind: 'Type',
+        contact: 'Messages',
+        firstSeen: 'First contact',
+        lastSeen: 'Last contact',
+        complainant: 'Complainant details',
+        name: 'Name',
+        phone: 'Mobile number',
+        email: 'Email',
+        locations: 'Location history',
+        when: 'Date and time',
+        position: 'Position',
+        accuracy: 'Accuracy',
+        narrative: 'Chronological account',
+        summary: 'Additional information (for the portal text box)',
+        summaryLength: '{count} characters; the portal accepts {min} to {max}.',
+        attachments: 'Attachments to upload',
+        file: 'File',
+        description: 'Description',
+        none: 'None',
+        bundle: 'Signed evidence log (JSON) and its printable report, from Export Evidence',
+        kinds: { phone: 'Mobile number', email: 'Email address', handle: 'Social media ID', name: 'Name or display name' },
+        categories: { social: 'Online and Social Media Related Crime', women: 'Women/Child Related Crime' },
+        subCategories: {
+            bullying: 'Cyber Bullying / Stalking / Sexting',
+            fakeProfile: 'Fake / Impersonating Profile',
+            hacking: 'Profile Hacking / Identity Theft',
+            intimidation: 'Intimidating Email',
+            explicit: 'Sexually Explicit Content',
+            other: 'Any Other Cyber Crime'
+        },
+        threats: { violence: 'threats of violence', stalking: 'stalking', coercion: 'coercion or blackmail', insults: 'abuse and insults' },
+        events: {
+            message: '{time}: {sender} sent me a message via {platform}: "{content}"',
+            messagePlain: '{time}: {sender} sent me a message: "{content}"',
+            screenshot: '{time}: screenshot of a message from {sender}: "{content}"',
+            audio: '{time}: audio recording of {duration} seconds, started {trigger}.',
+            sos: '{time}: I raised an SOS alert to my emergency contacts.'
+        },
+        triggers: { manual: 'by me', sos: 'with my SOS alert', threat: 'automatically after a threat' },
+        summaryIntro: 'Between {from} and {to} I received {count} harassing messages from {suspects} via {platforms}.',
+        summaryIntroPlain: 'Between {from} and {to} I received {count} harassing messages from {suspects}.',
+        summaryThreats: 'They include {threats}.',
+        examples: 'For example:',
+        summaryEvidence: 'Screenshots, recordings and a signed, hash-chained evidence log are attached.',
+        summaryRequest: 'I request that action be taken against the suspect.'
+    },
+    hi: {
+        title: 'साइबर अपराध शिकायत का मसौदा',
+        draftNote: 'SafeGuard Pro से तैयार, {portal} पर दर्ज करने या 1930 पर कॉल करने के लिए। हर भाग को पोर्टल फ़ॉर्म के संबंधित हिस्से में कॉपी करें और संलग्नक में दी गई फ़ाइलें अपलोड करें।',
+        incident: 'घटना का विवरण',
+        category: 'शिकायत की श्रेणी',
+        subCategory: 'उप-श्रेणी',
+        period: 'घटना की अनुमानित तारीख और समय',
+        platform: 'घटना कहाँ हुई',
+        place: 'घटना का स्थान',
+        suspects: 'संदिग्ध का विवरण',
+        identifier: 'पहचान',
+        kind: 'प्रकार',
+        contact: 'संदेश',
+        firstSeen: 'पहला संपर्क',
+        lastSeen: 'अंतिम संपर्क',
+        complainant: 'शिकायतकर्ता का विवरण',
+        name: 'नाम',
+        phone: 'मोबाइल नंबर',
+        email: 'ईमेल',
+        locations: 'स्थान का इतिहास',
+        when: 'तारीख और समय',
+        position: 'स्थिति',
+        accuracy: 'सटीकता',
+        narrative: 'घटनाक्रम',
+        summary: 'अतिरिक्त जानकारी (पोर्टल के टेक्स्ट बॉक्स के लिए)',
+        summaryLength: '{count} अक्षर; पोर्टल {min} से {max} अक्षर स्वीकार करता है।',
+        attachments: 'अपलोड करने के लिए संलग्नक',
+        file: 'फ़ाइल',
+        description: 'विवरण',
+        none: 'कोई नहीं',
+        bundle: 'हस्ताक्षरित साक्ष्य लॉग (JSON) और उसकी प्रिंट करने योग्य रिपोर्ट, Export Evidence से',
+        kinds: { phone: 'मोबाइल नंबर', email: 'ईमेल पता', handle: 'सोशल मीडिया आईडी', name: 'नाम या प्रदर्शित नाम' },
+        categories: { social: 'ऑनलाइन और सोशल मीडिया से संबंधित अपराध', women: 'महिला/बाल संबंधित अपराध' },
+        subCategories: {
+            bullying: 'साइबर बुलिंग / स्टॉकिंग / सेक्सटिंग',
+            fakeProfile: 'फ़र्ज़ी / प्रतिरूपण प्रोफ़ाइल',
+            hacking: 'प्रोफ़ाइल हैकिंग / पहचान की चोरी',
+            intimidation: 'धमकी भरा ईमेल',
+            explicit: 'यौन रूप से स्पष्ट सामग्री',
+            other: 'अन्य साइबर अपराध'
+        },
+        threats: { violence: 'हिंसा की धमकियाँ', stalking: 'पीछा करना', coercion: 'दबाव या ब्लैकमेल', insults: 'गाली-गलौज और अपमान' },
+        events: {
+            message: '{time}: {sender} ने मुझे {platform} पर संदेश भेजा: "{content}"',
+            messagePlain: '{time}: {sender} ने मुझे संदेश भेजा: "{content}"',
+            screenshot: '{time}: {sender} के संदेश का स्क्रीनशॉट: "{content}"',
+            audio: '{time}: {duration} सेकंड की ऑडियो रिकॉर्डिंग, {trigger} शुरू की गई।',
+            sos: '{time}: मैंने अपने आपातकालीन संपर्कों को SOS अलर्ट भेजा।'
+        },
+        triggers: { manual: 'मेरे द्वारा', sos: 'मेरे SOS अलर्ट के साथ', threat: 'धमकी के बाद अपने आप' },
+        summaryIntro: '{from} से {to} के बीच मुझे {suspects} से {platforms} पर {count} उत्पीड़न भरे संदेश मिले।',
+        summaryIntroPlain: '{from} से {to} के बीच मुझे {suspects} से {count} उत्पीड़न भरे संदेश मिले।',
+        summaryThreats: 'इनमें {threats} शामिल हैं।',
+        examples: 'उदाहरण के लिए:',
+        summaryEvidence: 'स्क्रीनशॉट, रिकॉर्डिंग और हस्ताक्षरित, हैश-श्रृंखलित साक्ष्य लॉग संलग्न हैं।',
+        summaryRequest: 'मेरा अनुरोध है कि संदिग्ध के विरुद्ध कार्रवाई की जाए।'
+    },
+    bn: {
+        title: 'সাইবার অপরাধ অভিযোগের খসড়া',
+        draftNote: 'SafeGuard Pro দিয়ে তৈরি, {portal}-এ জমা দেওয়ার বা 1930-এ ফোন করার জন্য। প্রতিটি অংশ পোর্টালের ফর্মের সংশ্লিষ্ট জায়গায় কপি করুন এবং সংযুক্তিতে দেওয়া ফাইলগুলি আপলোড করুন।',
+        incident: 'ঘটনার বিবরণ',
+        category: 'অভিযোগের বিভাগ',
+        subCategory: 'উপবিভাগ',
+        period: 'ঘটনার আনুমানিক তারিখ ও সময়',
+        platform: 'ঘটনাটি কোথায় ঘটেছে',
+        place: 'ঘটনার স্থান',
+        suspects: 'সন্দেহভাজনের বিবরণ',
+        identifier: 'পরিচয়',
+        kind: 'ধরন',
+        contact: 'বার্তা',
+        firstSeen: 'প্রথম যোগাযোগ',
+        lastSeen: 'শেষ যোগাযোগ',
+        complainant: 'অভিযোগকারীর বিবরণ',
+        name: 'নাম',
+        phone: 'মোবাইল নম্বর',
+        email: 'ইমেল',
+        locations: 'অবস্থানের ইতিহাস',
+        when: 'তারিখ ও সময়',
+        position: 'অবস্থান',
+        accuracy: 'নির্ভুলতা',
+        narrative: 'ঘটনাক্রম',
+        summary: 'অতিরিক্ত তথ্য (পোর্টালের টেক্সট বক্সের জন্য)',
+        summaryLength: '{count} অক্ষর; পোর্টাল {min} থেকে {max} অক্ষর গ্রহণ করে।',
+        attachments: 'আপলোড করার সংযুক্তি',
+        file: 'ফাইল',
+        description: 'বিবরণ',
+        none: 'কিছু নেই',
+        bundle: 'স্বাক্ষরিত প্রমাণ লগ (JSON) ও তার মুদ্রণযোগ্য রিপোর্ট, Export Evidence থেকে',
+        kinds: { phone: 'মোবাইল নম্বর', email: 'ইমেল ঠিকানা', handle: 'সোশ্যাল মিডিয়া আইডি', name: 'নাম বা প্রদর্শিত নাম' },
+        categories: { social: 'অনলাইন ও সোশ্যাল মিডিয়া সংক্রান্ত অপরাধ', women: 'নারী/শিশু সংক্রান্ত অপরাধ' },
+        subCategories: {
+            bullying: 'সাইবার বুলিং / স্টকিং / সেক্সটিং',
+            fakeProfile: 'ভুয়া / ছদ্মবেশী প্রোফাইল',
+            hacking: 'প্রোফাইল হ্যাকিং / পরিচয় চুরি',
+            intimidation: 'ভীতিপ্রদর্শনমূলক ইমেল',
+            explicit: 'যৌন স্পষ্ট বিষয়বস্তু',
+            other: 'অন্যান্য সাইবার অপরাধ'
+        },
+        threats: { violence: 'হিংসার হুমকি', stalking: 'পিছু নেওয়া', coercion: 'চাপ বা ব্ল্যাকমেল', insults: 'গালিগালাজ ও অপমান' },
+        events: {
+            message: '{time}: {sender} আমাকে {platform}-এ বার্তা পাঠিয়েছে: "{content}"',
+            messagePlain: '{time}: {sender} আমাকে বার্তা পাঠিয়েছে: "{content}"',
+            screenshot: '{time}: {sender}-এর বার্তার স্ক্রিনশট: "{content}"',
+            audio: '{time}: {duration} সেকেন্ডের অডিও রেকর্ডিং, {trigger} শুরু হয়েছে।',
+            sos: '{time}: আমি আমার জরুরি পরিচিতদের SOS সতর্কবার্তা পাঠিয়েছি।'
+        },
+        triggers: { manual: 'আমার দ্বারা', sos: 'আমার SOS সতর্কবার্তার সঙ্গে', threat: 'হুমকির পরে স্বয়ংক্রিয়ভাবে' },
+        summaryIntro: '{from} থেকে {to}-এর মধ্যে আমি {suspects}-এর কাছ থেকে {platforms}-এ {count}টি হয়রানিমূলক বার্তা পেয়েছি।',
+        summaryIntroPlain: '{from} থেকে {to}-এর মধ্যে আমি {suspects}-এর কাছ থেকে {count}টি হয়রানিমূলক বার্তা পেয়েছি।',
+        summaryThreats: 'এর মধ্যে রয়েছে {threats}।',
+        examples: 'উদাহরণস্বরূপ:',
+        summaryEvidence: 'স্ক্রিনশট, রেকর্ডিং এবং স্বাক্ষরিত, হ্যাশ-শৃঙ্খলিত প্রমাণ লগ সংযুক্ত করা হয়েছে।',
+        summaryRequest: 'আমি সন্দেহভাজনের বিরুদ্ধে ব্যবস্থা নেওয়ার অনুরোধ জানাচ্ছি।'
+    },
+    ta: {
+        title: 'இணையக் குற்றப் புகார் வரைவு',
+        draftNote: 'SafeGuard Pro மூலம் தயாரிக்கப்பட்டது; {portal} இல் பதிவு செய்ய அல்லது 1930 ஐ அழைக்க. ஒவ்வொரு பகுதியையும் போர்ட்டல் படிவத்தின் உரிய இடத்தில் நகலெடுத்து, இணைப்புகளில் உள்ள கோப்புகளைப் பதிவேற்றவும்.',
+        incident: 'சம்பவ விவரங்கள்',
+        category: 'புகாரின் வகை',
+        subCategory: 'துணை வகை',
+        period: 'சம்பவத்தின் தோராயமான தேதி மற்றும் நேரம்',
+        platform: 'சம்பவம் எங்கே நடந்தது',
+        place: 'சம்பவ இடம்',
+        suspects: 'சந்தேக நபரின் விவரங்கள்',
+        identifier: 'அடையாளம்',
+        kind: 'வகை',
+        contact: 'செய்திகள்',
+        firstSeen: 'முதல் தொடர்பு',
+        lastSeen: 'கடைசி தொடர்பு',
+        complainant: 'புகார்தாரரின் விவரங்கள்',
+        name: 'பெயர்',
+        phone: 'கைபேசி எண்',
+        email: 'மின்னஞ்சல்',
+        locations: 'இருப்பிட வரலாறு',
+        when: 'தேதி மற்றும் நேரம்',
+        position: 'இடம்',
+        accuracy: 'துல்லியம்',
+        narrative: 'நிகழ்வுகளின் காலவரிசை',
+        summary: 'கூடுதல் தகவல் (போர்ட்டல் உரைப்பெட்டிக்கு)',
+        summaryLength: '{count} எழுத்துகள்; போர்ட்டல் {min} முதல் {max} எழுத்துகள் வரை ஏற்கும்.',
+        attachments: 'பதிவேற்ற வேண்டிய இணைப்புகள்',
+        file: 'கோப்பு',
+        description: 'விளக்கம்',
+        none: 'எதுவும் இல்லை',
+        bundle: 'கையொப்பமிட்ட சான்று பதிவு (JSON) மற்றும் அச்சிடக்கூடிய அறிக்கை, Export Evidence இலிருந்து',
+        kinds: { phone: 'கைபேசி எண்', email: 'மின்னஞ்சல் முகவரி', handle: 'சமூக ஊடக ஐடி', name: 'பெயர் அல்லது காட்சிப் பெயர்' },
+        categories: { social: 'இணையம் மற்றும் சமூக ஊடகம் தொடர்பான குற்றம்', women: 'பெண்கள்/குழந்தைகள் தொடர்பான குற்றம்' },
+        subCategories: {
+            bullying: 'இணைய மிரட்டல் / பின்தொடர்தல் / செக்ஸ்டிங்',
+            fakeProfile: 'போலி / ஆள்மாறாட்ட சுயவிவரம்',
+            hacking: 'சுயவிவர ஹேக்கிங் / அடையாளத் திருட்டு',
+            intimidation: 'மிரட்டும் மின்னஞ்சல்',
+            explicit: 'பாலியல் வெளிப்படையான உள்ளடக்கம்',
+            other: 'பிற இணையக் குற்றம்'
+        },
+        threats: { violence: 'வன்முறை மிரட்டல்கள்', stalking: 'பின்தொடர்தல்', coercion: 'கட்டாயப்படுத்தல் அல்லது மிரட்டிப் பணம் பறித்தல்', insults: 'வசைகள் மற்றும் அவமதிப்புகள்' },
+        events: {
+            message: '{time}: {sender} எனக்கு {platform} வழியாகச் செய்தி அனுப்பினார்: "{content}"',
+            messagePlain: '{time}: {sender} எனக்குச் செய்தி அனுப்பினார்: "{content}"',
+            screenshot: '{time}: {sender} அனுப்பிய செய்தியின் திரைப்பிடிப்பு: "{content}"',
+            audio: '{time}: {duration} விநாடி ஒலிப்பதிவு, {trigger} தொடங்கப்பட்டது.',
+            sos: '{time}: எனது அவசரத் தொடர்புகளுக்கு SOS எச்சரிக்கை அனுப்பினேன்.'
+        },
+        triggers: { manual: 'என்னால்', sos: 'எனது SOS எச்சரிக்கையுடன்', threat: 'மிரட்டலுக்குப் பின் தானாக' },
+        summaryIntro: '{from} முதல் {to} வரை {suspects} இடமிருந்து {platforms} வழியாக {count} துன்புறுத்தும் செய்திகளைப் பெற்றேன்.',
+        summaryIntroPlain: '{from} முதல் {to} வரை {suspects} இடமிருந்து {count} துன்புறுத்தும் செய்திகளைப் பெற்றேன்.',
+        summaryThreats: 'அவற்றில் {threats} அடங்கும்.',
+        examples: 'எடுத்துக்காட்டாக:',
+        summaryEvidence: 'திரைப்பிடிப்புகள், ஒலிப்பதிவுகள் மற்றும் கையொப்பமிட்ட, ஹாஷ் சங்கிலியிடப்பட்ட சான்று பதிவு இணைக்கப்பட்டுள்ளன.',
+        summaryRequest: 'சந்தேக நபர் மீது நடவடிக்கை எடுக்குமாறு கேட்டுக்கொள்கிறேன்.'
+    },
+    te: {
+        title: 'సైబర్ నేర ఫిర్యాదు ముసాయిదా',
+        draftNote: 'SafeGuard Pro తో సిద్ధం చేయబడింది; {portal} లో నమోదు చేయడానికి లేదా 1930 కి కాల్ చేయడానికి. ప్రతి భాగాన్ని పోర్టల్ ఫారంలోని సంబంధిత చోట కాపీ చేసి, జోడింపులలో ఉన్న ఫైళ్లను అప్‌లోడ్ చేయండి.',
+        incident: 'సంఘటన వివరాలు',
+        category: 'ఫిర్యాదు వర్గం',
+        subCategory: 'ఉప వర్గం',
+        period: 'సంఘటన జరిగిన సుమారు తేదీ మరియు సమయం',
+        platform: 'సంఘటన ఎక్కడ జరిగింది',
+        place: 'సంఘటన స్థలం',
+        suspects: 'అనుమానితుడి వివరాలు',
+        identifier: 'గుర్తింపు',
+        kind: 'రకం',
+        contact: 'సందేశాలు',
+        firstSeen: 'మొదటి సంప్రదింపు',
+        lastSeen: 'చివరి సంప్రదింపు',
+        complainant: 'ఫిర్యాదుదారుడి వివరాలు',
+        name: 'పేరు',
+        phone: 'మొబైల్ నంబర్',
+        email: 'ఈమెయిల్',
+        locations: 'స్థాన చరిత్ర',
+        when: 'తేదీ మరియు సమయం',
+        position: 'స్థానం',
+        accuracy: 'ఖచ్చితత్వం',
+        narrative: 'సంఘటనల క్రమం',
+        summary: 'అదనపు సమాచారం (పోర్టల్ టెక్స్ట్ బాక్స్ కోసం)',
+        summaryLength: '{count} అక్షరాలు; పోర్టల్ {min} నుండి {max} అక్షరాలు స్వీకరిస్తుంది.',
+        attachments: 'అప్‌లోడ్ చేయాల్సిన జోడింపులు',
+        file: 'ఫైల్',
+        description: 'వివరణ',
+        none: 'ఏమీ లేదు',
+        bundle: 'సంతకం చేసిన సాక్ష్య లాగ్ (JSON) మరియు ముద్రించదగిన నివేదిక, Export Evidence నుండి',
+        kinds: { phone: 'మొబైల్ నంబర్', email: 'ఈమెయిల్ చిరునామా', handle: 'సోషల్ మీడియా ఐడి', name: 'పేరు లేదా ప్రదర్శన పేరు' },
+        categories: { social: 'ఆన్‌లైన్ మరియు సోషల్ మీడియా సంబంధిత నేరం', women: 'మహిళలు/పిల్లల సంబంధిత నేరం' },
+        subCategories: {
+            bullying: 'సైబర్ బెదిరింపు / వెంబడించడం / సెక్స్టింగ్',
+            fakeProfile: 'నకిలీ / మారువేష ప్రొఫైల్',
+            hacking: 'ప్రొఫైల్ హ్యాకింగ్ / గుర్తింపు దొంగతనం',
+            intimidation: 'బెదిరింపు ఈమెయిల్',
+            explicit: 'లైంగికంగా స్పష్టమైన కంటెంట్',
+            other: 'ఇతర సైబర్ నేరం'
+        },
+        threats: { violence: 'హింస బెదిరింపులు', stalking: 'వెంబడించడం', coercion: 'ఒత్తిడి లేదా బ్లాక్‌మెయిల్', insults: 'దూషణలు మరియు అవమానాలు' },
+        events: {
+            message: '{time}: {sender} నాకు {platform} ద్వారా సందేశం పంపారు: "{content}"',
+            messagePlain: '{time}: {sender} నాకు సందేశం పంపారు: "{content}"',
+            screenshot: '{time}: {sender} సందేశం యొక్క స్క్రీన్‌షాట్: "{content}"',
+            audio: '{time}: {duration} సెకన్ల ఆడియో రికార్డింగ్, {trigger} ప్రారంభమైంది.',
+            sos: '{time}: నా అత్యవసర పరిచయాలకు SOS హెచ్చరిక పంపాను.'
+        },
+        triggers: { manual: 'నా ద్వారా', sos: 'నా SOS హెచ్చరికతో', threat: 'బెదిరింపు తర్వాత ఆటోమేటిక్‌గా' },
+        summaryIntro: '{from} నుండి {to} మధ్య నాకు {suspects} నుండి {platforms} ద్వారా {count} వేధింపు సందేశాలు వచ్చాయి.',
+        summaryIntroPlain: '{from} నుండి {to} మధ్య నాకు {suspects} నుండి {count} వేధింపు సందేశాలు వచ్చాయి.',
+        summaryThreats: 'వాటిలో {threats} ఉన్నాయి.',
+        examples: 'ఉదాహరణకు:',
+        summaryEvidence: 'స్క్రీన్‌షాట్‌లు, రికార్డింగ్‌లు మరియు సంతకం చేసిన, హాష్-గొలుసు సాక్ష్య లాగ్ జోడించబడ్డాయి.',
+        summaryRequest: 'అనుమానితుడిపై చర్య తీసుకోవాలని కోరుతున్నాను.'
+    }
+};
+
+class IncidentReport {
+    // Registration language first, then the browser's, then English
+    static languageFor(userData, browserLanguage = '') {
+        const preferred = [userData && userData.language, String(browserLanguage).split('-')[0]];
+        return preferred.find(language => language && REPORT_STRINGS[language]) || 'en';
+    }
+
+    static format(template, values) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] !== undefined ? values[key] : placeholder));
+    }
+
+    // Records the wizard offers: the complaint is about what was received,
+    // so SOS outcomes and walk tracks only feed the location history
+    static isReportable(record) {
+        if (record.type === 'sos') return record.status === 'started';
+        return ['message', 'screenshot', 'audio'].includes(record.type);
+    }
+
+    // Ticked by default: threats not dismissed as false positives, and every image and clip
+    static isSuggested(record) {
+        if (record.type === 'message') return ThreatReview.verdictOf(record) !== 'false-positive';
+        return IncidentReport.isReportable(record);
+    }
+
+    static identifierKind(identifier) {
+        const value = String(identifier).trim();
+        if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return 'email';
+        if (/^\+?[\d\s()-]{7,}$/.test(value) && value.replace(/\D/g, '').length >= 7) return 'phone';
+        if (/^@[\w.]+$/.test(value) || /(instagram|twitter|x|facebook|t)\.(com|me)\//i.test(value)) return 'handle';
+        return 'name';
+    }
+
+    static platformOf(record) {
+        const source = String(record.source || '').replace(/^import:/, '');
+        return REPORT_PLATFORMS[source] || null;
+    }
+
+    // Where the user was: SOS locations, and the start and end of each walk
+    static locationHistory(records) {
+        const points = [];
+        records.forEach(record => {
+            if (record.type === 'sos' && record.location) {
+                points.push({ ...record.location, timestamp: record.location.timestamp || record.timestamp, source: 'sos' });
+            } else if (record.type === 'location-track' && record.final && record.points && record.points.length) {
+                const ends = record.points.length > 1 ? [record.points[0], record.points[record.points.length - 1]] : record.points;
+                ends.forEach(point => points.push({ ...point, source: 'safety-walk' }));
+            }
+        });
+        return points.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    // Suspects named in the chosen records, most active first
+    static suggestSuspects(records) {
+        const counts = {};
+        records
+            .filter(record => record.sender && record.sender !== 'unknown' && record.type !== 'sos')
+            .forEach(record => { counts[record.sender] = (counts[record.sender] || 0) + 1; });
+        return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([sender]) => sender);
+    }
+
+    static suggestPlatforms(records) {
+        return [...new Set(records.map(IncidentReport.platformOf).filter(Boolean))];
+    }
+
+    static build({
+        records,
+        userData = null,
+        locations = [],
+        language = 'en',
+        category = 'social',
+        subCategory = 'bullying',
+        platforms = null,
+        place = '',
+        suspects = null,
+        generatedAt = new Date().toISOString()
+    }) {
+        const strings = REPORT_STRINGS[language] || REPORT_STRINGS.en;
+        const locale = `${language}-IN`;
+        const time = value => new Date(value).toLocaleString(locale);
+        const date = value => new Date(value).toLocaleDateString(locale);
+        const timeline = records.slice().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const messages = timeline.filter(record => record.type === 'message' || record.type === 'screenshot');
+        const from = timeline.length ? timeline[0].timestamp : null;
+        const to = timeline.length ? timeline[timeline.length - 1].timestamp : null;
+        const incidentPlatforms = platforms || IncidentReport.suggestPlatforms(timeline);
+
+        const suspectList = (suspects || IncidentReport.suggestSuspects(timeline)).map(identifier => {
+            const sent = timeline.filter(record => record.sender === identifier);
+            return {
+                identifier,
+                kind: IncidentReport.identifierKind(identifier),
+                messages: sent.length,
+                firstSeen: sent.length ? sent[0].timestamp : null,
+                lastSeen: sent.length ? sent[sent.length - 1].timestamp : null
+            };
+        });
+
+        const narrative = timeline.map(record => {
+            const values = {
+                time: time(record.timestamp),
+                sender: record.sender,
+                content: record.content || '',
+                platform: IncidentReport.platformOf(record)
+            };
+            let line;
+            if (record.type === 'audio') {
+                line = IncidentReport.format(strings.events.audio, {
+                    ...values,
+                    duration: record.audio.duration,
+                    trigger: strings.triggers[record.source] || record.source
+                });
+            } else if (record.type === 'sos') {
+                line = IncidentReport.format(strings.events.sos, values);
+            } else if (record.type === 'screenshot' || record.source === 'screenshot') {
+                line = IncidentReport.format(strings.events.screenshot, values);
+            } else {
+                line = IncidentReport.format(values.platform ? strings.events.message : strings.events.messagePlain, values);
+            }
+            // Ties each line to the numbered record in the signed evidence log
+            return `${line} [#${record.seq}]`;
+        });
+
+        return {
+            format: REPORT_FORMAT,
+            version: REPORT_VERSION,
+            language,
+            generatedAt,
+            portal: REPORT_PORTAL_URL,
+            incident: {
+                category,
+                subCategory,
+                from,
+                to,
+                platforms: incidentPlatforms,
+                place
+            },
+            suspects: suspectList,
+            complainant: {
+                name: userData ? userData.name : '',
+                phone: userData ? userData.phone : '',
+                email: userData ? userData.email : ''
+            },
+            locations: locations.filter(point => !from || (point.timestamp >= from && point.timestamp <= to)),
+            narrative,
+            summary: IncidentReport.summarize({ strings, messages, suspects: suspectList, platforms: incidentPlatforms, from, to, date }),
+            attachments: EvidenceExporter.attachments(timeline).map(({ record, kind, media, filename }) => ({
+                seq: record.seq,
+                filename,
+                kind,
+                type: media.type,
+                size: media.size,
+                sha256: media.sha256
+            }))
+        };
+    }
+
+    // The portal's free-text box: who, when, what kind, the worst examples
+    // while they fit, then the evidence and the request
+    static summarize({ strings, messages, suspects, platforms, from, to, date }) {
+        if (!from) return '';
+        const categories = {};
+        messages.forEach(record => {
+            Object.entries((record.analysis && record.analysis.categories) || {}).forEach(([category, score]) => {
+                categories[category] = Math.max(categories[category] || 0, score);
+            });
+        });
+        const threats = Object.entries(categories)
+            .filter(([category, score]) => score >= 0.4 && strings.threats[category])
+            .sort((a, b) => b[1] - a[1])
+            .map(([category]) => strings.threats[category]);
+
+        const values = {
+            from: date(from),
+            to: date(to),
+            count: messages.length,
+            suspects: suspects.map(suspect => suspect.identifier).join(', ') || '?',
+            platforms: platforms.join(', ')
+        };
+        const opening = [IncidentReport.format(platforms.length ? strings.summaryIntro : strings.summaryIntroPlain, values)];
+        if (threats.length) opening.push(IncidentReport.format(strings.summaryThreats, { threats: threats.join(', ') }));
+        const closing = [strings.summaryEvidence, strings.summaryRequest];
+
+        const examples = messages
+            .filter(record => record.content)
+            .sort((a, b) => (b.threatLevel || 0) - (a.threatLevel || 0))
+            .map(record => `"${record.content.replace(/\s+/g, ' ').trim()}"`);
+        let text = opening.join(' ');
+        const room = REPORT_SUMMARY_MAX - closing.join(' ').length - 2;
+        let quoted = '';
+        examples.forEach(example => {
+            const next = `${quoted || ` ${strings.examples}`} ${example}`;
+            if (text.length + next.length <= room) quoted = next;
+        });
+        text += quoted;
+        return `${text} ${closing.join(' ')}`;
+    }
+
+    // Output
+
+    static styleDocument(doc) {
+        const sheet = new doc.defaultView.CSSStyleSheet();
+        sheet.replaceSync(REPORT_STYLES);
+        doc.adoptedStyleSheets = [sheet];
+    }
+
+    // The in-app preview passes inlineStyles: false and gets styleDocument() instead,
+    // since the page's CSP refuses inline <style> in it too
+    static renderHtml(draft, { inlineStyles = true } = {}) {
+        const strings = REPORT_STRINGS[draft.language] || REPORT_STRINGS.en;
+        const locale = `${draft.language}-IN`;
+        const time = value => (value ? new Date(value).toLocaleString(locale) : '—');
+        const row = (label, value) => html`<dt>${label}</dt><dd>${value || '—'}</dd>`;
+        const { incident, complainant } = draft;
+
+        const suspects = draft.suspects.map(suspect => html`
+            <tr>
+                <td>${suspect.identifier}</td>
+                <td>${strings.kinds[suspect.kind]}</td>
+                <td>${suspect.messages}</td>
+                <td>${time(suspect.firstSeen)}</td>
+                <td>${time(suspect.lastSeen)}</td>
+            </tr>`);
+        const locations = draft.locations.map(point => html`
+            <tr>
+                <td>${time(point.timestamp)}</td>
+                <td><a href="${SafeHtml.url(SosDispatcher.mapsLink(point))}">${point.latitude.toFixed(5)}, ${point.longitude.toFixed(5)}</a></td>
+                <td>±${Math.round(point.accuracy || 0)} m</td>
+            </tr>`);
+        const attachments = draft.attachments.map(attachment => html`
+            <tr>
+                <td>${attachment.filename}</td>
+                <td>#${attachment.seq}, ${attachment.type}, ${Math.round(attachment.size / 1024)} KB</td>
+                <td class="hash">${attachment.sha256}</td>
+            </tr>`);
+        const length = draft.summary.length;
+
+        return String(html`<!DOCTYPE html>
+<html lang="${draft.language}">
+<head>
+<meta charset="UTF-8">
+<title>${strings.title}</title>
+${inlineStyles && html`<style>${SafeHtml.trusted(REPORT_STYLES)}</style>`}
+</head>
+<body>
+    <h1>${strings.title}</h1>
+    <p class="note">${IncidentReport.format(strings.draftNote, { portal: draft.portal })}</p>
+
+    <h2>${strings.incident}</h2>
+    <dl>
+        ${row(strings.category, strings.categories[incident.category])}
+        ${row(strings.subCategory, strings.subCategories[incident.subCategory])}
+        ${row(strings.period, incident.from ? `${time(incident.from)} – ${time(incident.to)}` : '')}
+        ${row(strings.platform, incident.platforms.join(', '))}
+        ${row(strings.place, incident.place)}
+    </dl>
+
+    <h2>${strings.suspects}</h2>
+    ${suspects.length > 0 ? html`<table>
+        <thead><tr><th>${strings.identifier}</th><th>${strings.kind}</th><th>${strings.contact}</th><th>${strings.firstSeen}</th><th>${strings.lastSeen}</th></tr></thead>
+        <tbody>${suspects}</tbody>
+    </table>` : html`<p>${strings.none}</p>`}
+
+    <h2>${strings.complainant}</h2>
+    <dl>
+        ${row(strings.name, complainant.name)}
+        ${row(strings.phone, complainant.phone)}
+        ${row(strings.email, complainant.email)}
+    </dl>
+
+    <h2>${strings.narrative}</h2>
+    <ol>${draft.narrative.map(line => html`<li>${line}</li>`)}</ol>
+
+    <h2>${strings.summary}</h2>
+    <div class="summary">${draft.summary}</div>
+    <p class="length${length < REPORT_SUMMARY_MIN || length > REPORT_SUMMARY_MAX ? ' out-of-range' : ''}">
+        ${IncidentReport.format(strings.summaryLength, { count: length, min: REPORT_SUMMARY_MIN, max: REPORT_SUMMARY_MAX })}
+    </p>
+
+    <h2>${strings.locations}</h2>
+    ${locations.length > 0 ? html`<table>
+        <thead><tr><th>${strings.when}</th><th>${strings.position}</th><th>${strings.accuracy}</th></tr></thead>
+        <tbody>${locations}</tbody>
+    </table>` : html`<p>${strings.none}</p>`}
+
+    <h2>${strings.attachments}</h2>
+    <table>
+        <thead><tr><th>${strings.file}</th><th>${strings.description}</th><th>SHA-256</th></tr></thead>
+        <tbody>
+            ${attachments}
+            <tr><td>safeguard-evidence-*.json, safeguard-evidence-report-*.html</td><td>${strings.bundle}</td><td></td></tr>
+        </tbody>
+    </table>
+</body>
+</html>`);
+    }
+
+    // Plain text, section by section, for pasting into the portal
+    static renderText(draft) {
+        const strings = REPORT_STRINGS[draft.language] || REPORT_STRINGS.en;
+        const locale = `${draft.language}-IN`;
+        const time = value => (value ? new Date(value).toLocaleString(locale) : '—');
+        const { incident, complainant } = draft;
+        const section = (title, lines) => [`== ${title} ==`, ...(lines.length ? lines : [strings.none]), ''];
+
+        return [
+            strings.title,
+            IncidentReport.format(strings.draftNote, { portal: draft.portal }),
+            '',
+            ...section(strings.incident, [
+                `${strings.category}: ${strings.categories[incident.category]}`,
+                `${strings.subCategory}: ${strings.subCategories[incident.subCategory]}`,
+                `${strings.period}: ${incident.from ? `${time(incident.from)} – ${time(incident.to)}` : '—'}`,
+                `${strings.platform}: ${incident.platforms.join(', ') || '—'}`,
+                `${strings.place}: ${incident.place || '—'}`
+            ]),
+            ...section(strings.suspects, draft.suspects.map(suspect =>
+                `${suspect.identifier} (${strings.kinds[suspect.kind]}), ${strings.contact}: ${suspect.messages}, ${time(suspect.firstSeen)} – ${time(suspect.lastSeen)}`
+            )),
+            ...section(strings.complainant, [
+                `${strings.name}: ${complainant.name || '—'}`,
+                `${strings.phone}: ${complainant.phone || '—'}`,
+                `${strings.email}: ${complainant.email || '—'}`
+            ]),
+            ...section(strings.narrative, draft.narrative.map((line, index) => `${index + 1}. ${line}`)),
+            ...section(strings.summary, [draft.summary]),
+            ...section(strings.locations, draft.locations.map(point =>
+                `${time(point.timestamp)}: ${SosDispatcher.mapsLink(point)} (±${Math.round(point.accuracy || 0)} m)`
+            )),
+            ...section(strings.attachments, [
+                ...draft.attachments.map(attachment => `${attachment.filename}  SHA-256 ${attachment.sha256}`),
+                `safeguard-evidence-*.json, safeguard-evidence-report-*.html: ${strings.bundle}`
+            ])
+        ].join('\n');
+    }
+}
@@ -0,0 +1,116 @@
+// SafeGuard Pro - Outbox and Background Sync
+// Anything that has to reach the network (silent alerts, SOS notices,
+// guardian updates) is written to the outbox first and only removed once
+// it has been sent.
+// Background Sync wakes the service worker to retry when the connection
+// returns, even if the app is closed; without it the page retries on
+// 'online'. Queued deliveries are sealed to the inbox key (see
+// EvidenceStore.sealToOutbox), so a locked app or worker leaves them for
+// the next flush after unlocking. Imported by the page and by sw.js.
+export const OUTBOX_SYNC_TAG = 'safeguard-outbox';
+const OUTBOX_MAX_ATTEMPTS = 10;
+export const OUTBOX_DELIVERY_KINDS = ['silent-alert', 'sos', 'guardian'];
+
+export class Outbox {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    async enqueue(kind, { endpoint = null, payload = {} } = {}) {
+        if (!OUTBOX_DELIVERY_KINDS.includes(kind)) return this.store.addToOutbox({ kind, endpoint, payload });
+        const id = await this.store.sealToOutbox(kind, { endpoint, payload });
+        await Outbox.requestSync();
+        return id;
+    }
+
+    static async requestSync() {
+        try {
+            // getRegistration() rather than .ready, which never settles without a worker
+            const registration = self.registration ||
+                (self.navigator && self.navigator.serviceWorker && await self.navigator.serviceWorker.getRegistration());
+            if (registration && registration.sync) {
+                await registration.sync.register(OUTBOX_SYNC_TAG);
+                return true;
+            }
+        } catch (error) {
+            console.log('Background Sync unavailable:', error.message);
+        }
+        return false;
+    }
+
+    // Sends now, or queues for the next sync if the network is unavailable
+    async send(kind, endpoint, payload) {
+        try {
+            await this.deliver({ endpoint, payload });
+            return 'sent';
+        } catch (error) {
+            await this.enqueue(kind, { endpoint, payload });
+            return 'queued';
+        }
+    }
+
+    async deliver({ endpoint, payload }) {
+        // no-cors responses are opaque: only a network failure is detectable
+        await this.fetch(endpoint, {
+            method: 'POST',
+            body: JSON.stringify(payload),
+            keepalive: true,
+            mode: 'no-cors'
+        });
+    }
+
+    withLock(work) {
+        // The page and the worker may both flush when the connection returns
+        if (self.navigator && self.navigator.locks) {
+            return self.navigator.locks.request('safeguard-outbox', work);
+        }
+        return work();
+    }
+
+    flush() {
+        return this.withLock(async () => {
+            const unlocked = this.store.vault && this.store.vault.isUnlocked;
+            const entries = (await this.store.listOutbox())
+                .filter(entry => OUTBOX_DELIVERY_KINDS.includes(entry.kind) && (unlocked || !entry.sealed));
+            const result = { sent: [], failed: [], dropped: [] };
+
+            for (const entry of entries) {
+                try {
+                    // Opened only for sending; a failed entry is stored back still sealed
+                    await this.deliver(await this.store.openOutboxEntry(entry));
+                    await this.store.removeFromOutbox(entry.id);
+                    result.sent.push(entry);
+                } catch (error) {
+                    entry.attempts++;
+                    entry.lastError = error.message;
+                    entry.lastAttemptAt = new Date().toISOString();
+
+                    if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                        await this.store.removeFromOutbox(entry.id);
+                        result.dropped.push(entry);
+                    } else {
+                        await this.store.updateOutbox(entry);
+                        result.failed.push(entry);
+                    }
+                }
+            }
+
+            // Late deliveries and give-ups both belong on the record
+            for (const entry of [...result.sent, ...result.dropped]) {
+                await this.store.addToInbox({
+                    type: 'delivery',
+                    source: 'outbox',
+                    kind: entry.kind,
+                    status: result.sent.includes(entry) ? 'sent' : 'failed',
+                    attempts: entry.attempts + (result.sent.includes(entry) ? 1 : 0),
+                    queuedAt: entry.createdAt,
+                    lastError: entry.lastError || null,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            return result;
+        });
+    }
+}
@@ -0,0 +1,177 @@
+// SafeGuard Pro - Discreet Panic Triggers
+// Ways to raise an alarm without looking for a button: rapid presses of a
+// hardware-style key, a tap pattern anywhere on the screen, shaking the
+// phone, or holding down an innocent-looking element.
+const PANIC_DEFAULTS = {
+    keys: true,
+    taps: true,
+    shake: false,
+    longPress: true,
+
+    // Volume/power keys reach the page on some Android keyboards and remotes
+    keyNames: ['AudioVolumeUp', 'AudioVolumeDown', 'Power', 'Escape'],
+    keyPresses: 5,
+    keyWindowMs: 3000,
+
+    // s = short tap, l = long tap. Default is SOS in Morse code
+    tapPattern: 'ssslllsss',
+    shortTapMs: 250,
+    longTapMs: 450,
+    tapGapMs: 1200,
+
+    shakeThreshold: 15,
+    shakeCount: 4,
+    shakeWindowMs: 2000,
+
+    longPressMs: 3000,
+    cooldownMs: 15000
+};
+
+class PanicTriggers {
+    constructor(options = {}) {
+        this.target = options.target || document;
+        this.onTrigger = options.onTrigger || (() => {});
+        this.configure(options.config);
+
+        this.keyTimes = [];
+        this.taps = '';
+        this.lastTapEnd = 0;
+        this.pressStart = null;
+        this.longPressTimer = null;
+        this.jolts = [];
+        this.lastFired = 0;
+
+        this.handleKey = this.handleKey.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.cancelLongPress = this.cancelLongPress.bind(this);
+        this.handleMotion = this.handleMotion.bind(this);
+    }
+
+    configure(config = {}) {
+        this.config = { ...PANIC_DEFAULTS, ...(config || {}) };
+        if (!/^[sl]{3,}$/.test(this.config.tapPattern)) this.config.tapPattern = PANIC_DEFAULTS.tapPattern;
+        if (this.attached) {
+            this.detach();
+            this.attach();
+        }
+    }
+
+    attach() {
+        this.target.addEventListener('keydown', this.handleKey);
+        this.target.addEventListener('pointerdown', this.handlePointerDown);
+        this.target.addEventListener('pointerup', this.handlePointerUp);
+        this.target.addEventListener('pointercancel', this.cancelLongPress);
+        if (this.config.shake) self.addEventListener('devicemotion', this.handleMotion);
+        this.attached = true;
+    }
+
+    detach() {
+        this.target.removeEventListener('keydown', this.handleKey);
+        this.target.removeEventListener('pointerdown', this.handlePointerDown);
+        this.target.removeEventListener('pointerup', this.handlePointerUp);
+        this.target.removeEventListener('pointercancel', this.cancelLongPress);
+        self.removeEventListener('devicemotion', this.handleMotion);
+        this.cancelLongPress();
+        this.attached = false;
+    }
+
+    // iOS only delivers motion events after a permission prompt, which must come from a tap
+    static async requestMotionPermission() {
+        if (typeof DeviceMotionEvent === 'undefined') return false;
+        if (typeof DeviceMotionEvent.requestPermission !== 'function') return true;
+        return (await DeviceMotionEvent.requestPermission()) === 'granted';
+    }
+
+    fire(source) {
+        const now = Date.now();
+        if (now - this.lastFired < this.config.cooldownMs) return;
+        this.lastFired = now;
+        this.onTrigger({ source, timestamp: new Date(now).toISOString() });
+    }
+
+    handleKey(e) {
+        if (!this.config.keys || e.repeat || !this.config.keyNames.includes(e.key)) return;
+
+        const now = Date.now();
+        this.keyTimes = this.keyTimes.filter(time => now - time <= this.config.keyWindowMs);
+        this.keyTimes.push(now);
+
+        if (this.keyTimes.length >= this.config.keyPresses) {
+            this.keyTimes = [];
+            this.fire('keys');
+        }
+    }
+
+    handlePointerDown(e) {
+        // Typing into a field is never a panic gesture
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+        this.pressStart = Date.now();
+
+        const decoy = e.target.closest && e.target.closest('[data-panic-decoy]');
+        if (this.config.longPress && decoy) {
+            this.cancelLongPress();
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.pressStart = null;
+                this.fire('long-press');
+            }, this.config.longPressMs);
+        }
+    }
+
+    handlePointerUp() {
+        this.cancelLongPress();
+        if (this.pressStart === null) return;
+
+        const now = Date.now();
+        const duration = now - this.pressStart;
+        this.pressStart = null;
+        if (!this.config.taps) return;
+
+        if (now - this.lastTapEnd > this.config.tapGapMs) this.taps = '';
+        this.lastTapEnd = now;
+
+        // Presses in the ambiguous band between short and long break the pattern
+        if (duration < this.config.shortTapMs) {
+            this.taps += 's';
+        } else if (duration >= this.config.longTapMs && duration < this.config.longPressMs) {
+            this.taps += 'l';
+        } else {
+            this.taps = '';
+            return;
+        }
+
+        this.taps = this.taps.slice(-this.config.tapPattern.length);
+        if (this.taps === this.config.tapPattern) {
+            this.taps = '';
+            this.fire('taps');
+        }
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    handleMotion(e) {
+        const withoutGravity = e.acceleration && e.acceleration.x !== null;
+        const reading = withoutGravity ? e.acceleration : e.accelerationIncludingGravity;
+        if (!reading || reading.x === null) return;
+
+        let magnitude = Math.sqrt(reading.x ** 2 + reading.y ** 2 + reading.z ** 2);
+        if (!withoutGravity) magnitude = Math.abs(magnitude - 9.81);
+        if (magnitude < this.config.shakeThreshold) return;
+
+        // Count distinct jolts, not every sample of the same one
+        const now = Date.now();
+        const last = this.jolts[this.jolts.length - 1];
+        if (last && now - last < 150) return;
+
+        this.jolts = this.jolts.filter(time => now - time <= this.config.shakeWindowMs);
+        this.jolts.push(now);
+        if (this.jolts.length >= this.config.shakeCount) {
+            this.jolts = [];
+            this.fire('shake');
+        }
+    }
+}
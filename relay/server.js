@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+// SafeGuard Pro - Guardian Relay
+// Passes a user's sealed updates (SOS, live location, check-ins) on to the
+// guardians they invited, as Server-Sent Events. It never holds a key: all
+// it sees are channel ids, hashed tokens and ciphertext. No dependencies,
+// so anyone can run their own with `npm run relay` and put it behind HTTPS.
+// Opening channels is rate-limited per address, and channels that were
+// revoked, or that nobody follows or publishes to, are dropped after a
+// while, so strangers cannot fill the relay up.
+//
+//   POST /channels                  {id, publishKey, readKey}   open a channel
+//   POST /channels/:id/events       {token, event}              publish (publish token)
+//   POST /channels/:id/revoke       {token}                     close it for good (publish token)
+//   GET  /channels/:id/status       Authorization: Bearer …     guardians online (publish token)
+//   GET  /channels/:id/events?token=…                           event stream (read token)
+//   GET  /health
+import { createServer } from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const RELAY_PORT = Number(process.env.PORT) || 8787;
+const RELAY_HOST = process.env.HOST || '127.0.0.1';
+const RELAY_DATA = process.env.RELAY_DATA || fileURLToPath(new URL('channels.json', import.meta.url));
+// Comma-separated origins allowed to call the relay from a page, or *
+const RELAY_ORIGINS = (process.env.RELAY_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+const RELAY_MAX_CHANNELS = Number(process.env.RELAY_MAX_CHANNELS) || 1000;
+// Channels one address may open per hour
+const RELAY_CREATE_LIMIT = Number(process.env.RELAY_CREATE_LIMIT) || 10;
+const RELAY_CREATE_WINDOW_MS = 60 * 60 * 1000;
+// Set when a reverse proxy in front of the relay passes the caller's address on
+const RELAY_TRUST_PROXY = process.env.RELAY_TRUST_PROXY === '1';
+// An invitation the guardian never opened and the app stopped publishing to,
+// and a revoked channel, are forgotten after this
+const RELAY_EXPIRY_MS = (Number(process.env.RELAY_EXPIRY_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const RELAY_SWEEP_MS = 60 * 60 * 1000;
+const RELAY_MAX_BODY = 16 * 1024;
+// Kept in memory only, so a guardian who opens the page late still sees the SOS.
+// Capped per channel and in total: a full relay would otherwise hold
+// RELAY_MAX_CHANNELS × RELAY_BACKLOG × RELAY_MAX_BODY
+const RELAY_BACKLOG = 50;
+const RELAY_BACKLOG_BYTES = (Number(process.env.RELAY_BACKLOG_MB) || 32) * 1024 * 1024;
+const RELAY_BACKLOG_MS = 24 * 60 * 60 * 1000;
+const RELAY_MAX_STREAMS = 5;
+const RELAY_HEARTBEAT_MS = 25000;
+const CHANNEL_ID = /^[A-Za-z0-9_-]{16,64}$/;
+const TOKEN_HASH = /^[0-9a-f]{64}$/;
+
+class RelayError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export class GuardianRelay {
+    constructor(options = {}) {
+        this.dataFile = options.dataFile || RELAY_DATA;
+        this.origins = options.origins || RELAY_ORIGINS;
+        this.createLimit = options.createLimit || RELAY_CREATE_LIMIT;
+        this.maxChannels = options.maxChannels || RELAY_MAX_CHANNELS;
+        this.expiryMs = options.expiryMs || RELAY_EXPIRY_MS;
+        this.channels = new Map();
+        this.creations = new Map();
+        this.backlogLimit = options.backlogBytes || RELAY_BACKLOG_BYTES;
+        this.backlog = new Map();
+        this.backlogBytes = 0;
+        this.streams = new Map();
+        this.sweeper = null;
+        this.saving = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await readFile(this.dataFile, 'utf8'));
+            Object.entries(data.channels || {}).forEach(([id, channel]) => this.channels.set(id, channel));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        await this.sweep();
+    }
+
+    // Drops invitations never opened and channels revoked longer ago than the
+    // expiry, and events older than the backlog keeps
+    async sweep(now = Date.now()) {
+        let removed = 0;
+        this.channels.forEach((channel, id) => {
+            const unopened = !channel.openedAt && now - Date.parse(channel.publishedAt || channel.createdAt) > this.expiryMs;
+            const revoked = channel.revokedAt && now - Date.parse(channel.revokedAt) > this.expiryMs;
+            if (unopened || revoked) {
+                this.channels.delete(id);
+                this.setBacklog(id, []);
+                removed++;
+            }
+        });
+        this.backlog.forEach((entries, id) => this.setBacklog(id, entries.filter(entry => now - entry.at < RELAY_BACKLOG_MS)));
+        this.creations.forEach((times, address) => {
+            const recent = times.filter(time => now - time < RELAY_CREATE_WINDOW_MS);
+            if (recent.length > 0) this.creations.set(address, recent);
+            else this.creations.delete(address);
+        });
+        if (removed > 0) await this.save();
+        return removed;
+    }
+
+    // Refuses `address` once it has opened its share of channels this hour
+    throttle(address, now = Date.now()) {
+        const recent = (this.creations.get(address) || []).filter(time => now - time < RELAY_CREATE_WINDOW_MS);
+        if (recent.length >= this.createLimit) {
+            const error = new RelayError(429, 'Too many channels opened from this address, try again later');
+            error.retryAfter = Math.ceil((recent[0] + RELAY_CREATE_WINDOW_MS - now) / 1000);
+            throw error;
+        }
+        return recent;
+    }
+
+    static address(request) {
+        const forwarded = RELAY_TRUST_PROXY && String(request.headers['x-forwarded-for'] || '').split(',')[0].trim();
+        return forwarded || request.socket.remoteAddress || 'unknown';
+    }
+
+    // Written to a temporary file first so a crash never leaves half of one
+    save() {
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            const temp = `${this.dataFile}.tmp`;
+            await writeFile(temp, JSON.stringify({ channels: Object.fromEntries(this.channels) }, null, 2));
+            await rename(temp, this.dataFile);
+        });
+        return this.saving;
+    }
+
+    static hash(token) {
+        return createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    static matches(token, key) {
+        if (typeof token !== 'string' || !token || !key) return false;
+        const given = Buffer.from(GuardianRelay.hash(token), 'hex');
+        const expected = Buffer.from(key, 'hex');
+        return given.length === expected.length && timingSafeEqual(given, expected);
+    }
+
+    // Revocation is only reported to someone holding a valid token
+    channel(id, token, role) {
+        const channel = this.channels.get(id);
+        if (!channel) throw new RelayError(404, 'No such channel');
+        if (!GuardianRelay.matches(token, channel[role])) throw new RelayError(403, 'Wrong token for this channel');
+        if (channel.revokedAt) throw new RelayError(410, 'Access to this channel was revoked');
+        return channel;
+    }
+
+    async create({ id, publishKey, readKey } = {}, address = 'unknown') {
+        if (!CHANNEL_ID.test(id) || !TOKEN_HASH.test(publishKey) || !TOKEN_HASH.test(readKey)) {
+            throw new RelayError(400, 'A channel needs an id and two token hashes');
+        }
+        if (this.channels.size >= this.maxChannels) await this.sweep();
+
+        // Nothing is awaited from here until the channel is counted, and only
+        // a channel actually opened counts against the address
+        const recent = this.throttle(address);
+        if (this.channels.has(id)) throw new RelayError(409, 'Channel already exists');
+        if (this.channels.size >= this.maxChannels) throw new RelayError(503, 'This relay is full');
+
+        const now = Date.now();
+        this.creations.set(address, [...recent, now]);
+        this.channels.set(id, { publishKey, readKey, createdAt: new Date(now).toISOString(), openedAt: null, revokedAt: null });
+        await this.save();
+        return { id };
+    }
+
+    publish(id, token, event) {
+        const channel = this.channel(id, token, 'publishKey');
+        if (!event || typeof event.v !== 'number' || typeof event.iv !== 'string' || typeof event.data !== 'string') {
+            throw new RelayError(400, 'Events must be sealed envelopes');
+        }
+
+        const now = Date.now();
+        // The app's no-cors posts never see a 404, so an invitation still being
+        // published to stays alive until the guardian gets round to opening it.
+        // Saved at most once per sweep interval.
+        if (!channel.publishedAt || now - Date.parse(channel.publishedAt) > RELAY_SWEEP_MS) {
+            channel.publishedAt = new Date(now).toISOString();
+            this.save().catch(error => console.error('Relay could not save:', error));
+        }
+        const backlog = (this.backlog.get(id) || []).filter(entry => now - entry.at < RELAY_BACKLOG_MS);
+        const last = backlog.length > 0 ? backlog[backlog.length - 1].id : 0;
+        // Time-based, so ids keep rising across restarts and Last-Event-ID stays meaningful
+        const entry = {
+            id: Math.max(now, last + 1),
+            at: now,
+            size: Buffer.byteLength(event.iv) + Buffer.byteLength(event.data),
+            event: { v: event.v, iv: event.iv, data: event.data }
+        };
+        backlog.push(entry);
+        this.setBacklog(id, backlog.slice(-RELAY_BACKLOG));
+        this.trimBacklog();
+
+        const streams = this.streams.get(id) || new Set();
+        streams.forEach(response => GuardianRelay.write(response, entry));
+        return { id: entry.id, guardians: streams.size };
+    }
+
+    // Replaces a channel's backlog and keeps the running total in step
+    setBacklog(id, entries) {
+        const size = list => list.reduce((total, entry) => total + entry.size, 0);
+        this.backlogBytes -= size(this.backlog.get(id) || []);
+        if (entries.length > 0) this.backlog.set(id, entries);
+        else this.backlog.delete(id);
+        this.backlogBytes += size(entries);
+    }
+
+    // Over the total, the oldest events go first, whichever channel holds them
+    trimBacklog() {
+        while (this.backlogBytes > this.backlogLimit) {
+            let oldest = null;
+            this.backlog.forEach((entries, id) => {
+                if (!oldest || entries[0].at < this.backlog.get(oldest)[0].at) oldest = id;
+            });
+            this.setBacklog(oldest, this.backlog.get(oldest).slice(1));
+        }
+    }
+
+    async revoke(id, token) {
+        const channel = this.channel(id, token, 'publishKey');
+        channel.revokedAt = new Date().toISOString();
+        this.setBacklog(id, []);
+        (this.streams.get(id) || new Set()).forEach(response => response.end('event: revoked\ndata: {}\n\n'));
+        this.streams.delete(id);
+        await this.save();
+        return { revokedAt: channel.revokedAt };
+    }
+
+    status(id, token) {
+        this.channel(id, token, 'publishKey');
+        const backlog = this.backlog.get(id) || [];
+        return {
+            guardians: (this.streams.get(id) || new Set()).size,
+            lastEventAt: backlog.length > 0 ? new Date(backlog[backlog.length - 1].at).toISOString() : null
+        };
+    }
+
+    subscribe(id, token, lastEventId, response) {
+        const channel = this.channel(id, token, 'readKey');
+        const streams = this.streams.get(id) || new Set();
+        if (streams.size >= RELAY_MAX_STREAMS) throw new RelayError(429, 'Too many open streams for this channel');
+
+        response.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive',
+            // Proxies such as nginx would otherwise hold events back
+            'X-Accel-Buffering': 'no'
+        });
+        response.write('retry: 5000\n\n');
+        (this.backlog.get(id) || [])
+            .filter(entry => entry.id > (Number(lastEventId) || 0))
+            .forEach(entry => GuardianRelay.write(response, entry));
+
+        streams.add(response);
+        this.streams.set(id, streams);
+        // The first time the guardian follows, the invitation stops counting as unused
+        if (!channel.openedAt) {
+            channel.openedAt = new Date().toISOString();
+            this.save().catch(error => console.error('Relay could not save:', error));
+        }
+        const heartbeat = setInterval(() => response.write(': ping\n\n'), RELAY_HEARTBEAT_MS);
+        response.on('close', () => {
+            clearInterval(heartbeat);
+            streams.delete(response);
+        });
+    }
+
+    static write(response, entry) {
+        response.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry.event)}\n\n`);
+    }
+
+    static json(response, status, body) {
+        response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        response.end(JSON.stringify(body));
+    }
+
+    // The app's outbox posts with no-cors, so bodies arrive as text/plain JSON
+    static readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > RELAY_MAX_BODY) {
+                    // Answered straight away; the rest is drained and the connection closed after
+                    request.removeAllListeners('data');
+                    request.resume();
+                    reject(new RelayError(413, 'Request too large'));
+                } else {
+                    chunks.push(chunk);
+                }
+            });
+            request.on('end', () => {
+                let body;
+                try {
+                    body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+                } catch (error) {
+                    reject(new RelayError(400, 'Request body must be JSON'));
+                    return;
+                }
+                // Every route reads named fields, so null, arrays and bare values are refused here
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    reject(new RelayError(400, 'Request body must be a JSON object'));
+                } else {
+                    resolve(body);
+                }
+            });
+            request.on('error', reject);
+        });
+    }
+
+    cors(request, response) {
+        const origin = request.headers.origin;
+        if (this.origins.includes('*')) {
+            response.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (origin && this.origins.includes(origin)) {
+            response.setHeader('Access-Control-Allow-Origin', origin);
+            response.setHeader('Vary', 'Origin');
+        }
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID');
+    }
+
+    async handle(request, response) {
+        this.cors(request, response);
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        try {
+            const url = new URL(request.url, 'http://relay');
+            const [, resource, id, action, extra] = url.pathname.split('/');
+            const route = `${request.method} ${resource || ''}${id ? '/:id' : ''}${action ? `/${action}` : ''}`;
+            if (extra !== undefined) throw new RelayError(404, 'Not found');
+
+            if (route === 'GET health') {
+                GuardianRelay.json(response, 200, { ok: true });
+            } else if (route === 'POST channels') {
+                GuardianRelay.json(response, 201, await this.create(await GuardianRelay.readBody(request), GuardianRelay.address(request)));
+            } else if (route === 'POST channels/:id/events') {
+                const { token, event } = await GuardianRelay.readBody(request);
+                GuardianRelay.json(response, 202, this.publish(id, token, event));
+            } else if (route === 'POST channels/:id/revoke') {
+                const { token } = await GuardianRelay.readBody(request);
+                GuardianRelay.json(response, 200, await this.revoke(id, token));
+            } else if (route === 'GET channels/:id/status') {
+                const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+                GuardianRelay.json(response, 200, this.status(id, token));
+            } else if (route === 'GET channels/:id/events') {
+                // EventSource cannot send headers, so the read token comes in the query
+                const lastEventId = request.headers['last-event-id'] || url.searchParams.get('lastEventId');
+                this.subscribe(id, url.searchParams.get('token'), lastEventId, response);
+            } else {
+                throw new RelayError(404, 'Not found');
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) console.error('Relay error:', error);
+            if (status === 413) response.setHeader('Connection', 'close');
+            if (error.retryAfter && !response.headersSent) response.setHeader('Retry-After', String(error.retryAfter));
+            if (!response.headersSent) GuardianRelay.json(response, status, { error: status === 500 ? 'Relay error' : error.message });
+        }
+    }
+
+    async close() {
+        clearInterval(this.sweeper);
+        this.streams.forEach(streams => streams.forEach(response => response.end()));
+        this.streams.clear();
+        await this.saving.catch(() => {});
+    }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const relay = new GuardianRelay();
+    await relay.load();
+    relay.sweeper = setInterval(() => relay.sweep().catch(error => console.error('Relay sweep failed:', error)), RELAY_SWEEP_MS);
+    const server = createServer((request, response) => relay.handle(request, response));
+    server.listen(RELAY_PORT, RELAY_HOST, () => {
+        console.log(`Guardian relay on http://${RELAY_HOST}:${RELAY_PORT} (${relay.channels.size} channels, data in ${relay.dataFile})`);
+    });
+
+    const stop = () => relay.close().then(() => server.close(() => process.exit(0)));
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
@@ -0,0 +1,240 @@
+// SafeGuard Pro - Sender Rules and Automatic Responses
+// Decides what happens after a message is scored: blocked senders are
+// muted (still scored and kept as evidence), trusted senders only raise
+// alerts for severe threats, custom rules add actions, and quiet hours hold
+// back notifications. Stored as an encrypted setting. Every automatic
+// action is written to the evidence chain as a 'rule-action' record.
+const RULE_ACTIONS = ['flag', 'evidence', 'notify-contact', 'silent-alert', 'block'];
+const DEFAULT_RULE_ID = 'rl_default_block';
+// Threats this severe always alert, whatever the sender lists say
+const RULE_TRUSTED_CEILING = 0.9;
+
+const DEFAULT_RESPONSE_RULES = {
+    blocked: [],
+    trusted: [],
+    // The alert threshold, and the score at which the default rule blocks a sender
+    thresholds: { alert: 0.7, block: 0.8 },
+    rules: [
+        { id: DEFAULT_RULE_ID, name: 'Block severe threats', sender: '*', minScore: 0.8, category: null, actions: ['flag', 'block'], contactId: null, enabled: true }
+    ],
+    quietHours: { enabled: false, start: '22:00', end: '07:00', allowAbove: 0.9 }
+};
+
+class ResponseRules {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.reset();
+    }
+
+    static withDefaults(config) {
+        const saved = config || {};
+        return {
+            blocked: saved.blocked || [],
+            trusted: saved.trusted || [],
+            thresholds: { ...DEFAULT_RESPONSE_RULES.thresholds, ...(saved.thresholds || {}) },
+            rules: saved.rules || DEFAULT_RESPONSE_RULES.rules.map(rule => ({ ...rule })),
+            quietHours: { ...DEFAULT_RESPONSE_RULES.quietHours, ...(saved.quietHours || {}) }
+        };
+    }
+
+    static createId() {
+        return `rl_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    static senderKey(sender) {
+        return String(sender || '').trim().toLowerCase();
+    }
+
+    async load() {
+        try {
+            this.config = ResponseRules.withDefaults(await this.store.getSetting('responseRules'));
+        } catch (error) {
+            console.error('Failed to load response rules:', error);
+            this.config = ResponseRules.withDefaults(null);
+        }
+        return this.config;
+    }
+
+    async save() {
+        await this.store.setSetting('responseRules', this.config);
+    }
+
+    // While locked the lists are unreadable, so nothing beyond the plain threshold applies
+    reset() {
+        this.config = { ...ResponseRules.withDefaults(null), rules: [] };
+    }
+
+    // Sender lists
+
+    isBlocked(sender) {
+        const key = ResponseRules.senderKey(sender);
+        return this.config.blocked.some(entry => ResponseRules.senderKey(entry.sender) === key);
+    }
+
+    isTrusted(sender) {
+        const key = ResponseRules.senderKey(sender);
+        return this.config.trusted.some(entry => ResponseRules.senderKey(entry.sender) === key);
+    }
+
+    async addToList(list, sender, details = {}) {
+        const name = String(sender || '').trim();
+        if (!name || name === 'unknown') throw new Error('Enter a sender name or number');
+
+        // A sender is either blocked or trusted, never both
+        const other = list === 'blocked' ? 'trusted' : 'blocked';
+        const key = ResponseRules.senderKey(name);
+        this.config[other] = this.config[other].filter(entry => ResponseRules.senderKey(entry.sender) !== key);
+
+        if (!this.config[list].some(entry => ResponseRules.senderKey(entry.sender) === key)) {
+            this.config[list].push({ sender: name, addedAt: new Date().toISOString(), ...details });
+        }
+        await this.save();
+    }
+
+    async removeFromList(list, sender) {
+        const key = ResponseRules.senderKey(sender);
+        this.config[list] = this.config[list].filter(entry => ResponseRules.senderKey(entry.sender) !== key);
+        await this.save();
+    }
+
+    // Custom rules
+
+    static validateRule(rule) {
+        if (!rule.name || !rule.name.trim()) throw new Error('Give the rule a name');
+        if (!(rule.minScore >= 0 && rule.minScore <= 1)) throw new Error('Score must be between 0 and 100%');
+        if (!rule.actions || rule.actions.length === 0) throw new Error('Pick at least one action');
+        if (rule.actions.some(action => !RULE_ACTIONS.includes(action))) throw new Error('Unknown rule action');
+        if (rule.actions.includes('notify-contact') && !rule.contactId) throw new Error('Choose the contact to notify');
+    }
+
+    async saveRule(details) {
+        const rule = {
+            id: details.id || ResponseRules.createId(),
+            name: String(details.name || '').trim(),
+            sender: String(details.sender || '').trim() || '*',
+            minScore: Number(details.minScore),
+            category: details.category || null,
+            actions: details.actions || [],
+            contactId: details.contactId || null,
+            enabled: details.enabled !== false
+        };
+        ResponseRules.validateRule(rule);
+
+        const index = this.config.rules.findIndex(existing => existing.id === rule.id);
+        if (index === -1) {
+            this.config.rules.push(rule);
+        } else {
+            this.config.rules[index] = rule;
+        }
+        await this.save();
+        return rule;
+    }
+
+    async removeRule(id) {
+        this.config.rules = this.config.rules.filter(rule => rule.id !== id);
+        await this.save();
+    }
+
+    async toggleRule(id) {
+        const rule = this.config.rules.find(existing => existing.id === id);
+        if (!rule) return;
+        rule.enabled = !rule.enabled;
+        await this.save();
+    }
+
+    async setQuietHours(quietHours) {
+        const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+        if (!time.test(quietHours.start) || !time.test(quietHours.end)) throw new Error('Quiet hours need times like 22:00');
+        this.config.quietHours = { ...this.config.quietHours, ...quietHours };
+        await this.save();
+    }
+
+    async setThresholds({ alert, block }) {
+        if (!(alert > 0 && alert < 1) || !(block > 0 && block <= 1)) throw new Error('Thresholds must be between 1 and 100%');
+        if (block < alert) throw new Error('The block threshold cannot be below the alert threshold');
+        this.config.thresholds = { alert, block };
+
+        const defaultRule = this.config.rules.find(rule => rule.id === DEFAULT_RULE_ID);
+        if (defaultRule) defaultRule.minScore = block;
+        await this.save();
+    }
+
+    // Quiet hours may run past midnight (22:00 to 07:00)
+    isQuietTime(date = new Date()) {
+        const { enabled, start, end } = this.config.quietHours;
+        if (!enabled || start === end) return false;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const toMinutes = value => Number(value.slice(0, 2)) * 60 + Number(value.slice(3));
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+    }
+
+    // Evaluation
+
+    ruleMatches(rule, { sender, analysis }) {
+        if (!rule.enabled || analysis.score < rule.minScore) return false;
+        if (rule.sender !== '*' && ResponseRules.senderKey(rule.sender) !== ResponseRules.senderKey(sender)) return false;
+        if (rule.category && !(analysis.categories[rule.category] > 0)) return false;
+        return true;
+    }
+
+    evaluate({ sender, analysis, timestamp }) {
+        const score = analysis.score;
+        const blocked = this.isBlocked(sender);
+        const trusted = this.isTrusted(sender);
+        const quiet = this.isQuietTime(timestamp ? new Date(timestamp) : new Date());
+        // Catch-all rules skip trusted senders; rules that name them still apply
+        const matched = this.config.rules.filter(rule =>
+            this.ruleMatches(rule, { sender, analysis }) && !(trusted && rule.sender === '*'));
+        const actions = new Set(matched.flatMap(rule => rule.actions));
+
+        // Trusted senders are held to the severe threshold
+        const alertAt = this.config.thresholds.alert;
+        const threshold = trusted ? Math.max(RULE_TRUSTED_CEILING, alertAt) : alertAt;
+        const isThreat = score > threshold;
+        const record = isThreat || actions.has('evidence') || actions.has('flag');
+
+        return {
+            blocked,
+            trusted,
+            quiet,
+            isThreat,
+            record,
+            flagged: actions.has('flag'),
+            // Blocked senders are muted; quiet hours only let severe threats through
+            notify: isThreat && !blocked && (!quiet || score >= this.config.quietHours.allowAbove),
+            block: actions.has('block') && !blocked && !trusted,
+            notifyContacts: [...new Set(matched.filter(rule => rule.actions.includes('notify-contact')).map(rule => rule.contactId))],
+            silentAlert: actions.has('silent-alert'),
+            rules: matched.map(rule => ({ id: rule.id, name: rule.name, actions: rule.actions }))
+        };
+    }
+
+    // Audit trail
+
+    async audit(action, details = {}) {
+        try {
+            await this.store.add({
+                type: 'rule-action',
+                source: 'rules',
+                severity: 'low',
+                action,
+                ...details,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Failed to record rule action:', error);
+        }
+    }
+
+    async auditTrail(limit = 20) {
+        const { records } = await this.store.list({
+            index: 'typeTimestamp',
+            range: IDBKeyRange.bound(['rule-action', ''], ['rule-action', '\uffff']),
+            limit
+        });
+        return records;
+    }
+}
@@ -0,0 +1,218 @@
+// SafeGuard Pro - Safety Walk (live breadcrumbs + check-in deadline)
+// Keeps a breadcrumb trail with watchPosition while the user is out and
+// fires `onDeadline` if they have not checked in by the time they set.
+// The session is plain data so it can be saved and resumed after a reload.
+const WALK_MIN_DISTANCE_METERS = 10;
+const WALK_MAX_ACCURACY_METERS = 100;
+const WALK_MAX_POINT_INTERVAL_MS = 60000;
+const WALK_WARNING_MS = 2 * 60000;
+
+class SafetyWalk {
+    constructor(options = {}) {
+        this.geolocation = options.geolocation || navigator.geolocation;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.onWarning = options.onWarning || (() => {});
+        this.onDeadline = options.onDeadline || (() => {});
+        this.session = null;
+        this.watchId = null;
+        this.timers = [];
+    }
+
+    get isActive() {
+        return Boolean(this.session && this.session.status === 'active');
+    }
+
+    static createId() {
+        return `walk_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    start({ checkInBy, label = '' }) {
+        if (this.isActive) throw new Error('A safety walk is already running');
+        if (!(checkInBy instanceof Date) || checkInBy.getTime() <= Date.now()) {
+            throw new Error('Check-in time must be in the future');
+        }
+
+        this.session = {
+            id: SafetyWalk.createId(),
+            label,
+            status: 'active',
+            startedAt: new Date().toISOString(),
+            deadline: checkInBy.toISOString(),
+            endedAt: null,
+            points: []
+        };
+        this.resume(this.session);
+        return this.session;
+    }
+
+    // Picks a saved session back up, e.g. after the page was reloaded mid-walk
+    resume(session) {
+        this.session = session;
+        this.watchId = this.geolocation.watchPosition(
+            position => this.addPosition(position),
+            error => console.error('Safety walk location error:', error),
+            { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 }
+        );
+        this.scheduleDeadline();
+        this.onUpdate(this.session);
+    }
+
+    scheduleDeadline() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        const remaining = new Date(this.session.deadline).getTime() - Date.now();
+
+        this.timers = [setTimeout(() => this.expire(), Math.max(0, remaining))];
+        if (remaining > WALK_WARNING_MS) {
+            this.timers.push(setTimeout(() => this.onWarning(this.session), remaining - WALK_WARNING_MS));
+        }
+    }
+
+    addPosition(position) {
+        if (!this.isActive) return;
+
+        const { latitude, longitude, accuracy, altitude, speed, heading } = position.coords;
+        if (accuracy > WALK_MAX_ACCURACY_METERS) return;
+
+        const point = {
+            latitude,
+            longitude,
+            accuracy,
+            altitude,
+            speed,
+            heading,
+            timestamp: new Date(position.timestamp || Date.now()).toISOString()
+        };
+
+        // Thin the trail: keep a point when we've moved, or at least once a minute
+        const last = this.session.points[this.session.points.length - 1];
+        if (last) {
+            const moved = SafetyWalk.distance(last, point);
+            const elapsed = new Date(point.timestamp) - new Date(last.timestamp);
+            if (moved < WALK_MIN_DISTANCE_METERS && elapsed < WALK_MAX_POINT_INTERVAL_MS) return;
+        }
+
+        this.session.points.push(point);
+        this.onUpdate(this.session);
+    }
+
+    lastPoint() {
+        return this.session && this.session.points.length
+            ? this.session.points[this.session.points.length - 1]
+            : null;
+    }
+
+    extend(minutes) {
+        if (!this.isActive) return;
+        const base = Math.max(Date.now(), new Date(this.session.deadline).getTime());
+        this.session.deadline = new Date(base + minutes * 60000).toISOString();
+        this.scheduleDeadline();
+        this.onUpdate(this.session);
+    }
+
+    checkIn() {
+        return this.finish('checked-in');
+    }
+
+    cancel() {
+        return this.finish('cancelled');
+    }
+
+    expire() {
+        if (!this.isActive) return;
+        this.session.status = 'overdue';
+        this.session.overdueAt = new Date().toISOString();
+        this.onUpdate(this.session);
+        this.onDeadline(this.session);
+    }
+
+    // Ends the walk; an overdue walk keeps tracking until it is finished here
+    finish(status) {
+        if (!this.session || this.session.endedAt) return this.session;
+
+        this.timers.forEach(timer => clearTimeout(timer));
+        if (this.watchId !== null) this.geolocation.clearWatch(this.watchId);
+        this.watchId = null;
+
+        this.session.status = status;
+        this.session.endedAt = new Date().toISOString();
+        this.onUpdate(this.session);
+        return this.session;
+    }
+
+    remainingMs() {
+        return this.session ? new Date(this.session.deadline).getTime() - Date.now() : 0;
+    }
+
+    static totalDistance(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+            total += SafetyWalk.distance(points[i - 1], points[i]);
+        }
+        return total;
+    }
+
+    // Haversine distance in metres
+    static distance(a, b) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(b.latitude - a.latitude);
+        const dLon = toRadians(b.longitude - a.longitude);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(h));
+    }
+
+    // Export formats
+
+    static toGeoJSON(session) {
+        const coordinates = session.points.map(point =>
+            point.altitude !== null && point.altitude !== undefined
+                ? [point.longitude, point.latitude, point.altitude]
+                : [point.longitude, point.latitude]
+        );
+
+        return {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates },
+                    properties: {
+                        id: session.id,
+                        name: session.label || 'Safety walk',
+                        status: session.status,
+                        startedAt: session.startedAt,
+                        deadline: session.deadline,
+                        endedAt: session.endedAt,
+                        times: session.points.map(point => point.timestamp),
+                        accuracies: session.points.map(point => point.accuracy)
+                    }
+                }
+            ]
+        };
+    }
+
+    static toGPX(session) {
+        const escape = EvidenceFormat.escapeHtml;
+        const points = session.points.map(point => `
+      <trkpt lat="${point.latitude.toFixed(7)}" lon="${point.longitude.toFixed(7)}">` +
+            (point.altitude !== null && point.altitude !== undefined ? `
+        <ele>${point.altitude.toFixed(1)}</ele>` : '') + `
+        <time>${escape(point.timestamp)}</time>
+      </trkpt>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="SafeGuard Pro" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escape(session.label || 'Safety walk')}</name>
+    <desc>Status: ${escape(session.status)}. Check-in deadline: ${escape(session.deadline)}</desc>
+    <time>${escape(session.startedAt)}</time>
+  </metadata>
+  <trk>
+    <name>${escape(session.label || 'Safety walk')}</name>
+    <trkseg>${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+    }
+}
@@ -0,0 +1,135 @@
+// SafeGuard Pro - Screenshot and Photo Evidence
+// Reads the text out of an image with Tesseract.js, scores it like any other
+// message, and stores the original file in the vault with its SHA-256 and
+// EXIF capture time. OCR runs in Tesseract's own Web Worker from files the
+// app serves itself (see bin/vendor-ocr.js) and the service worker
+// precaches, so the image and the reader never touch another server.
+// Images that read as threats are stored as 'message' records so they reach
+// the review inbox and statistics; the rest are kept as 'screenshot' records.
+const OCR_ASSETS = '/vendor/tesseract';
+const OCR_SCRIPT_URL = `${OCR_ASSETS}/tesseract.min.js`;
+const OCR_LANGUAGES = 'eng+hin';
+const SCREENSHOT_MAX_BYTES = 15 * 1024 * 1024;
+
+class ScreenshotIntake {
+    constructor(options = {}) {
+        this.store = options.store;
+        // Scores extracted text; the app passes its own analyzeMessage
+        this.analyze = options.analyze;
+        this.threshold = options.threshold || 0.7;
+        this.onProgress = options.onProgress || (() => {});
+        this.worker = null;
+    }
+
+    // OCR
+
+    static loadScript() {
+        if (self.Tesseract) return Promise.resolve(self.Tesseract);
+        if (!ScreenshotIntake.scriptPromise) {
+            ScreenshotIntake.scriptPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = OCR_SCRIPT_URL;
+                script.onload = () => resolve(self.Tesseract);
+                script.onerror = () => {
+                    ScreenshotIntake.scriptPromise = null;
+                    script.remove();
+                    reject(new Error('The text reader could not be loaded'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return ScreenshotIntake.scriptPromise;
+    }
+
+    async startOcr() {
+        if (!this.worker) {
+            const Tesseract = await ScreenshotIntake.loadScript();
+            this.worker = await Tesseract.createWorker(OCR_LANGUAGES, 1, {
+                workerPath: `${OCR_ASSETS}/worker.min.js`,
+                // A folder, so Tesseract picks the SIMD build where the browser has it
+                corePath: OCR_ASSETS,
+                langPath: OCR_ASSETS,
+                // Started from its own URL rather than a blob:, which the page's CSP does not allow
+                workerBlobURL: false,
+                logger: message => {
+                    if (message.status === 'recognizing text') this.onProgress({ stage: 'ocr', progress: message.progress });
+                }
+            });
+        }
+        return this.worker;
+    }
+
+    async recognize(blob) {
+        const worker = await this.startOcr();
+        const { data } = await worker.recognize(blob);
+        return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+    }
+
+    async stop() {
+        if (this.worker) await this.worker.terminate();
+        this.worker = null;
+    }
+
+    // Files
+
+    static async readImage(file) {
+        if (!/^image\//.test(file.type)) throw new Error(`${file.name} is not an image`);
+        if (file.size > SCREENSHOT_MAX_BYTES) throw new Error(`${file.name} is larger than 15 MB`);
+
+        const bytes = await file.arrayBuffer();
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const exif = ExifReader.read(bytes);
+
+        return {
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            sha256: Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join(''),
+            data: SecureVault.toBase64(bytes),
+            exif,
+            fileModified: file.lastModified ? new Date(file.lastModified).toISOString() : null
+        };
+    }
+
+    static dataUrl(image) {
+        return `data:${image.type};base64,${image.data}`;
+    }
+
+    // Adds one file as evidence. The same image twice is refused by hash.
+    async add(file, { sender = 'unknown' } = {}) {
+        const image = await ScreenshotIntake.readImage(file);
+        const seen = (await this.store.getSetting('screenshotHashes')) || [];
+        if (seen.includes(image.sha256)) throw new Error(`${file.name} was already added`);
+
+        let ocr;
+        try {
+            this.onProgress({ stage: 'ocr', progress: 0, file: file.name });
+            ocr = await this.recognize(file);
+        } catch (error) {
+            // The image is evidence even when its text cannot be read
+            console.error('OCR failed:', error);
+            ocr = { text: '', confidence: 0, error: error.message };
+        }
+
+        const analysis = await this.analyze(ocr.text);
+        const isThreat = analysis.score > this.threshold;
+        const { exif, ...original } = image;
+        const record = {
+            type: isThreat ? 'message' : 'screenshot',
+            source: 'screenshot',
+            sender: String(sender || '').trim() || 'unknown',
+            content: ocr.text,
+            threatLevel: analysis.score,
+            analysis: ThreatEngine.evidenceView(analysis),
+            image: original,
+            capturedAt: exif ? exif.capturedAt : null,
+            exif,
+            ocr: { engine: 'tesseract.js 5', languages: OCR_LANGUAGES, confidence: ocr.confidence, error: ocr.error },
+            timestamp: new Date().toISOString()
+        };
+
+        const stored = await this.store.add(record);
+        await this.store.setSetting('screenshotHashes', seen.concat(image.sha256));
+        return stored;
+    }
+}
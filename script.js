@@ -3,23 +3,640 @@ class SafeGuardPro {
     constructor() {
         this.isMonitoring = false;
         this.userData = null;
-        this.realContacts = [];
         this.deviceMessages = [];
         this.currentLocation = null;
-        this.threatPatterns = [
-            /kill|murder|hurt|harm|beat|attack/i,
-            /worthless|stupid|ugly|hate you/i,
-            /follow|watching|know where/i,
-            /or else|you better|don't ignore/i
-        ];
+        this.threatEngine = new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+        this.evidenceStore = new EvidenceStore();
+        this.vault = new SecureVault({ store: this.evidenceStore });
+        this.evidenceStore.vault = this.vault;
+        this.autoLockMinutes = 5;
+        this.escalationTracker = new EscalationTracker({ store: this.evidenceStore });
+        this.evidenceExporter = new EvidenceExporter({ store: this.evidenceStore });
+        this.deviceBackup = new DeviceBackup({ store: this.evidenceStore });
+        this.contactManager = new ContactManager({ store: this.evidenceStore });
+        this.outbox = new Outbox({ store: this.evidenceStore });
+        this.responseRules = new ResponseRules({ store: this.evidenceStore });
+        this.threatReview = new ThreatReview({ store: this.evidenceStore, engine: this.threatEngine });
+        this.classifier = new ThreatClassifier({ store: this.evidenceStore });
+        this.reviewFilter = 'pending';
+        this.threatAnalytics = new ThreatAnalytics({ store: this.evidenceStore, tracker: this.escalationTracker });
+        this.analyticsDays = 30;
+        this.audioEvidence = new AudioEvidence({
+            save: (record) => this.storeEvidence(record),
+            onChange: (status) => this.renderAudioStatus(status)
+        });
+        this.workerBridge = new ServiceWorkerBridge();
+        this.sosDispatcher = new SosDispatcher({
+            onStep: (step) => this.handleSosStep(step),
+            onFinish: (session) => this.handleSosFinished(session)
+        });
+        this.silentAlert = new SilentAlert({ store: this.evidenceStore, outbox: this.outbox });
+        this.guardianLink = new GuardianLink({ store: this.evidenceStore, outbox: this.outbox });
+        this.panicTriggers = new PanicTriggers({ onTrigger: (event) => this.handlePanicTrigger(event) });
+        this.disguise = new DisguiseMode({ onCode: (code) => this.handleDisguiseCode(code) });
+        this.disguiseType = null;
+        // Origins this page's connection policy allows, or null while it has none
+        this.connectOrigins = null;
+        this.decoy = false;
+        this.safetyWalk = new SafetyWalk({
+            onUpdate: (session) => this.handleWalkUpdate(session),
+            onWarning: () => this.handleWalkWarning(),
+            onDeadline: (session) => this.handleWalkOverdue(session)
+        });
+        this.extensionBridge = new ExtensionBridge({ onEvidence: (message) => this.saveExtensionEvidence(message) });
         this.init();
     }
 
     async init() {
         await this.checkDeviceCapabilities();
         this.setupEventListeners();
-        this.loadUserData();
+        this.vault.onLock(() => this.handleVaultLocked());
+        await this.applyConnectPolicy();
+        await this.loadDiscreetSettings();
+        await this.unlockVault();
+        await this.initEvidenceStore();
+        await this.checkConnectPolicy();
+        this.extensionBridge.start();
+        await this.loadUserData();
+        this.connectServiceWorker();
         this.requestPermissions();
+        this.startAutoLock();
+        this.startBackupSchedule();
+        this.handleLaunchAction();
+    }
+
+    async initEvidenceStore() {
+        try {
+            await this.evidenceStore.open();
+            await this.evidenceStore.migrateFromLocalStorage(localStorage);
+            await this.evidenceStore.upgradeStorage();
+            await this.evidenceStore.sealUnchainedRecords();
+            await this.evidenceStore.applyRetention();
+            await this.escalationTracker.load();
+            await this.contactManager.load();
+            this.updateContactsList();
+            await this.loadGuardians();
+            await this.responseRules.load();
+            await this.threatReview.load();
+            await this.classifier.load();
+            await this.drainEvidenceInbox();
+            this.updateStats();
+            await this.resumeSafetyWalk();
+            this.renderWalkHistory();
+        } catch (error) {
+            console.error('Evidence store unavailable:', error);
+            this.showNotification('Evidence storage unavailable in this browser', 'error');
+        }
+    }
+
+    // Encryption at rest: nothing is readable until the PIN unlocks the vault
+    async unlockVault() {
+        let isSetUp;
+        try {
+            isSetUp = await this.vault.isSetUp();
+        } catch (error) {
+            console.error('Encrypted storage unavailable:', error);
+            return;
+        }
+
+        await new Promise(resolve => (isSetUp ? this.showLockScreen(resolve) : this.showUnlockScreen('setup', resolve)));
+    }
+
+    // With disguise mode on, the lock screen is the calculator or notes screen
+    showLockScreen(onUnlocked) {
+        const disguise = this.pendingDisguise || this.disguiseType;
+        this.pendingDisguise = null;
+
+        if (disguise) {
+            this.pendingUnlock = onUnlocked;
+            this.disguise.show(disguise);
+        } else {
+            this.showUnlockScreen('unlock', onUnlocked);
+        }
+    }
+
+    async attemptUnlock(pin) {
+        // The duress PIN is checked first so it never counts as a failed attempt
+        if (await this.silentAlert.isDuressPin(pin)) {
+            this.enterDecoy();
+            return 'duress';
+        }
+        await this.vault.unlock(pin);
+        return 'unlocked';
+    }
+
+    async handleDisguiseCode(code) {
+        const result = await this.attemptUnlock(code);
+        if (result === 'unlocked' && this.pendingUnlock) {
+            const resolve = this.pendingUnlock;
+            this.pendingUnlock = null;
+            resolve();
+        }
+        return true;
+    }
+
+    showUnlockScreen(mode, onUnlocked) {
+        const isSetup = mode === 'setup';
+        const modal = document.getElementById('unlockModal');
+        const form = document.getElementById('unlockForm');
+        const submit = form.querySelector('button[type="submit"]');
+        const error = document.getElementById('unlockError');
+
+        document.getElementById('unlockTitle').textContent = isSetup ? 'Create your PIN' : 'Unlock SafeGuard Pro';
+        document.getElementById('unlockMessage').textContent = isSetup
+            ? 'Your evidence is encrypted on this device with a key protected by this PIN. It cannot be recovered if you forget it.'
+            : 'Enter your PIN to decrypt your evidence.';
+        form.elements.confirmPin.hidden = !isSetup;
+        form.elements.confirmPin.required = isSetup;
+        submit.textContent = isSetup ? 'Create PIN & Encrypt' : 'Unlock';
+        error.textContent = '';
+        form.reset();
+        modal.hidden = false;
+        form.elements.pin.focus();
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const pin = form.elements.pin.value;
+            submit.disabled = true;
+
+            try {
+                let result = 'unlocked';
+                if (isSetup) {
+                    if (pin !== form.elements.confirmPin.value) throw new Error('PINs do not match');
+                    await this.vault.setup(pin);
+                    await this.evidenceStore.upgradeStorage();
+                } else {
+                    result = await this.attemptUnlock(pin);
+                }
+
+                form.reset();
+                modal.hidden = true;
+                if (result === 'unlocked') onUnlocked();
+            } catch (err) {
+                error.textContent = err.message;
+                form.elements.pin.select();
+            } finally {
+                submit.disabled = false;
+            }
+        };
+    }
+
+    startAutoLock() {
+        const touch = () => { this.lastActivity = Date.now(); };
+        ['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(type =>
+            document.addEventListener(type, touch, { passive: true })
+        );
+        touch();
+
+        this.autoLockInterval = setInterval(() => {
+            // Never lock in the middle of an SOS or a safety walk: both need the contact list.
+            // A recording keeps the screen busy too, so it is not mistaken for inactivity.
+            const walking = this.safetyWalk.session && !this.safetyWalk.session.endedAt;
+            if (this.vault.isUnlocked && !this.sosDispatcher.isActive && !walking && !this.audioEvidence.isRecording &&
+                Date.now() - this.lastActivity > this.autoLockMinutes * 60000) {
+                this.lockVault();
+            }
+        }, 15000);
+    }
+
+    lockVault() {
+        // The decoy dashboard was never unlocked; reloading shows the real lock screen
+        if (this.decoy) {
+            window.location.reload();
+            return;
+        }
+        if (this.vault.isUnlocked) this.vault.lock();
+    }
+
+    async handleVaultLocked() {
+        // Drop decrypted data from memory until the next unlock
+        this.userData = null;
+        this.escalationTracker.profiles = {};
+        this.contactManager.contacts = [];
+        this.guardianLink.reset();
+        this.responseRules.reset();
+        this.threatReview.reset();
+        this.classifier.reset();
+        this.classifier.terminate();
+        // A clip being recorded carries on into the sealed inbox; the pre-buffer does not
+        this.audioEvidence.stopBuffer();
+        this.updateContactsList();
+        document.getElementById('registrationModal').hidden = true;
+        this.hideChangePin();
+        this.hideContactForm();
+        this.hideDiscreetSettings();
+        this.hideGuardians();
+        this.hideRules();
+        this.hideReview();
+        this.hideScreenshots();
+        this.hideIncidentReport();
+        this.hideBackup();
+        this.renderAnalytics();
+
+        await new Promise(resolve => this.showLockScreen(resolve));
+        this.lastActivity = Date.now();
+        await this.escalationTracker.load();
+        await this.contactManager.load();
+        await this.loadGuardians();
+        await this.responseRules.load();
+        await this.threatReview.load();
+        await this.classifier.load();
+        this.updateContactsList();
+        await this.drainEvidenceInbox();
+        // Deliveries queued while locked are sealed and could not go out until now
+        this.flushOutbox();
+        await this.loadUserData();
+        this.updateStats();
+        this.runScheduledBackup();
+    }
+
+    async drainEvidenceInbox() {
+        const drained = await this.evidenceStore.drainInbox();
+
+        if (drained.length > 0) {
+            // Only threats are queued while locked, so sender history catches up on those
+            drained
+                .filter(record => record.type === 'message' && record.analysis)
+                .forEach(record => this.escalationTracker.record({
+                    sender: record.sender,
+                    conversation: record.conversation,
+                    analysis: { ...record.analysis, score: record.threatLevel },
+                    timestamp: record.timestamp
+                }));
+
+            this.showNotification(`${drained.length} evidence records captured while locked were added`, 'info');
+        }
+
+        await this.processWorkerQueue();
+    }
+
+    // Alerts the service worker raised while the app was closed, and
+    // "Mark safe" taps on its notifications, which need the unlocked store
+    async processWorkerQueue() {
+        const reviews = await this.evidenceStore.listOutbox('review');
+        const alerts = await this.evidenceStore.listOutbox('alert');
+
+        for (const review of reviews) {
+            try {
+                await this.threatReview.review(review.evidenceId,
+                    review.verdict === 'safe' ? 'false-positive' : review.verdict,
+                    { via: 'notification', reviewedAt: review.createdAt });
+            } catch (error) {
+                console.error('Could not apply a notification review:', error);
+            }
+        }
+        await this.evidenceStore.removeFromOutbox([...reviews, ...alerts].map(entry => entry.id));
+
+        if (alerts.length > 0) {
+            this.showNotification(`${alerts.length} threat alert${alerts.length === 1 ? '' : 's'} came in while the app was closed`, 'warning');
+            this.updateStats();
+        }
+    }
+
+    // Evidence goes straight onto the chain when unlocked, or into the sealed inbox when not
+    storeEvidence(record) {
+        return this.vault.isUnlocked
+            ? this.evidenceStore.add(record)
+            : this.evidenceStore.addToInbox(record);
+    }
+
+    showChangePin() {
+        const form = document.getElementById('changePinForm');
+        form.reset();
+        document.getElementById('changePinError').textContent = '';
+        document.getElementById('changePinModal').hidden = false;
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('button[type="submit"]');
+            const { currentPin, newPin, confirmPin, rotateKey } = form.elements;
+            submit.disabled = true;
+
+            try {
+                if (newPin.value !== confirmPin.value) throw new Error('New PINs do not match');
+                await this.vault.changePin(currentPin.value, newPin.value);
+                if (rotateKey.checked) {
+                    await this.vault.rotateDataKey(newPin.value);
+                }
+
+                this.hideChangePin();
+                this.showNotification(rotateKey.checked ? 'PIN changed and all data re-encrypted' : 'PIN changed', 'success');
+            } catch (error) {
+                document.getElementById('changePinError').textContent = error.message;
+            } finally {
+                submit.disabled = false;
+            }
+        };
+    }
+
+    hideChangePin() {
+        const modal = document.getElementById('changePinModal');
+        if (modal) modal.hidden = true;
+    }
+
+    // Discreet mode: panic triggers, disguise and duress PIN
+    async loadDiscreetSettings() {
+        try {
+            this.panicTriggers.configure(await this.evidenceStore.getSetting('panicTriggers'));
+            this.disguiseType = await this.evidenceStore.getSetting('disguise');
+        } catch (error) {
+            console.error('Could not load discreet mode settings:', error);
+        }
+        this.panicTriggers.attach();
+    }
+
+    enterDisguise() {
+        if (!this.vault.isUnlocked) return;
+        // Locking first means only the PIN gets back out of the disguise
+        this.pendingDisguise = this.disguiseType || 'calculator';
+        this.vault.lock();
+    }
+
+    enterDecoy() {
+        // An empty, ordinary-looking dashboard; nothing real is ever decrypted
+        this.decoy = true;
+        this.userData = null;
+        this.contactManager.contacts = [];
+        this.updateContactsList();
+        this.updateStats();
+        this.sendSilentAlert('duress', 'duress-pin');
+    }
+
+    handlePanicTrigger({ source }) {
+        console.log('Panic trigger:', source);
+        // One short buzz is the only confirmation
+        if (navigator.vibrate) navigator.vibrate(200);
+        this.sendSilentAlert('panic', source);
+
+        // Stay hidden behind the disguise or decoy; otherwise start the SOS chain too
+        if (!this.disguise.isActive && !this.decoy && this.vault.isUnlocked) {
+            this.startSos();
+        }
+    }
+
+    async sendSilentAlert(reason, trigger) {
+        const location = this.currentLocation || await new Promise(resolve => {
+            if (!this.capabilities.geolocation) return resolve(null);
+            navigator.geolocation.getCurrentPosition(
+                position => resolve({
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    timestamp: new Date().toISOString()
+                }),
+                () => resolve(null),
+                { enableHighAccuracy: true, timeout: 4000, maximumAge: 60000 }
+            );
+        });
+
+        try {
+            await this.silentAlert.send({ reason, trigger, location });
+        } catch (error) {
+            console.error('Silent alert failed:', error);
+        }
+    }
+
+    async showDiscreetSettings() {
+        const form = document.getElementById('discreetForm');
+        const config = this.panicTriggers.config;
+        const alertConfig = await this.silentAlert.loadConfig();
+
+        form.reset();
+        document.getElementById('discreetError').textContent = '';
+        form.querySelectorAll('input[name="triggers"]').forEach(box => { box.checked = Boolean(config[box.value]); });
+        form.elements.tapPattern.value = config.tapPattern;
+        form.elements.disguise.value = this.disguiseType || '';
+        form.elements.alertEndpoint.value = alertConfig.endpoint;
+        form.elements.alertMessage.value = alertConfig.message;
+        form.elements.duressPin.placeholder = (await this.silentAlert.hasDuressPin())
+            ? 'Duress PIN is set (leave blank to keep)'
+            : 'Duress PIN (optional)';
+        document.getElementById('discreetModal').hidden = false;
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            const triggers = formData.getAll('triggers');
+            const duressPin = formData.get('duressPin');
+
+            try {
+                const triggerConfig = {
+                    keys: triggers.includes('keys'),
+                    taps: triggers.includes('taps'),
+                    shake: triggers.includes('shake'),
+                    longPress: triggers.includes('longPress'),
+                    tapPattern: formData.get('tapPattern').trim().toLowerCase() || PANIC_DEFAULTS.tapPattern
+                };
+                if (!/^[sl]{3,}$/.test(triggerConfig.tapPattern)) {
+                    throw new Error('Tap pattern must use s (short) and l (long), at least 3 taps');
+                }
+                if (triggerConfig.shake && !config.shake && !(await PanicTriggers.requestMotionPermission())) {
+                    throw new Error('Motion access was denied, so shake cannot be used');
+                }
+
+                if (formData.get('clearDuress')) {
+                    await this.silentAlert.clearDuressPin();
+                } else if (duressPin) {
+                    if (await this.vault.checkPin(duressPin)) throw new Error('Duress PIN must be different from your PIN');
+                    await this.silentAlert.setDuressPin(duressPin);
+                }
+
+                await this.silentAlert.saveConfig({
+                    endpoint: formData.get('alertEndpoint'),
+                    message: formData.get('alertMessage')
+                });
+                await this.evidenceStore.setSetting('panicTriggers', triggerConfig);
+                await this.evidenceStore.setSetting('disguise', formData.get('disguise') || null);
+                this.panicTriggers.configure(triggerConfig);
+                this.disguiseType = formData.get('disguise') || null;
+
+                this.hideDiscreetSettings();
+                if (!(await this.updateConnectPolicy())) {
+                    this.restartForConnections();
+                    return;
+                }
+                this.showNotification('Discreet mode settings saved', 'success');
+            } catch (error) {
+                document.getElementById('discreetError').textContent = error.message;
+            }
+        };
+    }
+
+    hideDiscreetSettings() {
+        const modal = document.getElementById('discreetModal');
+        if (modal) modal.hidden = true;
+    }
+
+    // Connections: this origin plus the alert address and guardian relays set up here
+
+    async applyConnectPolicy() {
+        try {
+            this.connectOrigins = await ConnectPolicy.load(this.evidenceStore);
+        } catch (error) {
+            // A silent alert that cannot leave is worse than a broader policy
+            console.error('Could not load the connection policy:', error);
+        }
+    }
+
+    // Stores the origins the configuration needs, plus `extra`. Returns false
+    // when this page's policy does not allow one of them yet.
+    async updateConnectPolicy(extra = []) {
+        const alertConfig = await this.silentAlert.loadConfig();
+        const origins = await ConnectPolicy.save(this.evidenceStore, [
+            alertConfig.endpoint,
+            ...this.guardianLink.guardians.map(guardian => guardian.relay),
+            ...extra
+        ]);
+        return !this.connectOrigins || origins.every(origin => this.connectOrigins.includes(origin));
+    }
+
+    async checkConnectPolicy() {
+        if (!this.vault.isUnlocked) return;
+        try {
+            if (!(await this.updateConnectPolicy())) this.restartForConnections();
+        } catch (error) {
+            console.error('Could not update the connection policy:', error);
+        }
+    }
+
+    // A policy cannot be widened, so reaching a new origin takes a reload and the PIN again
+    restartForConnections(search = '') {
+        this.showNotification('Restarting to allow the new address. Unlock again to continue.', 'info');
+        setTimeout(() => window.location.replace(`${window.location.pathname}${search}`), 2500);
+    }
+
+    // Guardians: trusted people who follow an SOS or a walk live through a relay
+    async loadGuardians() {
+        try {
+            await this.guardianLink.load();
+        } catch (error) {
+            console.error('Could not load guardians:', error);
+        }
+    }
+
+    showGuardians(relay = null) {
+        const form = document.getElementById('guardianForm');
+        const guardians = this.guardianLink.guardians;
+        form.reset();
+        form.elements.guardianRelay.value = relay || (guardians.length > 0 ? guardians[guardians.length - 1].relay : GUARDIAN_DEFAULT_RELAY);
+        document.getElementById('guardianError').textContent = '';
+        document.getElementById('guardiansModal').hidden = false;
+        this.renderGuardians();
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('button[type="submit"]');
+            submit.disabled = true;
+
+            try {
+                const relay = GuardianLink.checkRelay(form.elements.guardianRelay.value);
+                if (!(await this.updateConnectPolicy([relay]))) {
+                    this.hideGuardians();
+                    this.restartForConnections(`?action=guardians&relay=${encodeURIComponent(relay)}`);
+                    return;
+                }
+
+                const guardian = await this.guardianLink.invite({
+                    name: form.elements.guardianName.value,
+                    relay,
+                    from: this.userData ? this.userData.name : ''
+                });
+                form.elements.guardianName.value = '';
+                document.getElementById('guardianError').textContent = '';
+                this.renderGuardians();
+                await this.shareGuardianLink(guardian.id);
+            } catch (error) {
+                document.getElementById('guardianError').textContent = error.message;
+            } finally {
+                submit.disabled = false;
+            }
+        };
+    }
+
+    hideGuardians() {
+        const modal = document.getElementById('guardiansModal');
+        if (modal) modal.hidden = true;
+    }
+
+    renderGuardians() {
+        const list = document.getElementById('guardiansList');
+        if (!list) return;
+        const guardians = this.guardianLink.guardians;
+
+        SafeHtml.render(list, guardians.length === 0
+            ? html`<p class="form-hint">No guardians yet.</p>`
+            : guardians.map(guardian => html`
+                <div class="contact-item">
+                    <div class="contact-details">
+                        <span class="contact-name">${guardian.name}</span>
+                        <span class="contact-phone" data-guardian-status="${guardian.id}">${guardian.revokedAt
+                            ? `Revoked ${new Date(guardian.revokedAt).toLocaleDateString()}${guardian.revokePending ? ' · relay not told yet' : ''}`
+                            : `Invited ${new Date(guardian.invitedAt).toLocaleDateString()}`}</span>
+                    </div>
+                    <div class="contact-actions">
+                        ${guardian.revokedAt ? html`
+                            <button class="btn-icon" data-action="forgetGuardian" data-id="${guardian.id}" title="Remove from list" ${guardian.revokePending ? 'disabled' : ''}>
+                                <i class="fas fa-trash"></i>
+                            </button>` : html`
+                            <button class="btn-icon" data-action="shareGuardianLink" data-id="${guardian.id}" title="Share invitation link">
+                                <i class="fas fa-share-alt"></i>
+                            </button>
+                            <button class="btn-icon" data-action="revokeGuardian" data-id="${guardian.id}" title="Revoke access">
+                                <i class="fas fa-user-slash"></i>
+                            </button>`}
+                    </div>
+                </div>
+            `));
+
+        // Filled in as each relay answers; a slow one must not hold up the list
+        this.guardianLink.active.forEach(guardian => {
+            this.guardianLink.status(guardian).then(status => {
+                const element = list.querySelector(`[data-guardian-status="${guardian.id}"]`);
+                if (!element || guardian.revokedAt) return;
+                if (!status) element.textContent += ' · relay unreachable';
+                else if (status.expired) element.textContent += ' · link expired unopened, remove and invite again';
+                else element.textContent += status.guardians > 0 ? ' · following now' : ' · not open right now';
+            });
+        });
+    }
+
+    // Anyone holding the link can follow the user, so it is only handed to the share sheet or clipboard
+    async shareGuardianLink(id) {
+        const guardian = this.guardianLink.active.find(item => item.id === id);
+        if (!guardian) return;
+        const url = GuardianLink.link(guardian, window.location.href);
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'SafeGuard guardian invitation', text: `Follow my SafeGuard alerts, ${guardian.name}:`, url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                this.showNotification(`Invitation link for ${guardian.name} copied. Send it to them privately.`, 'info');
+            }
+        } catch (error) {
+            console.log('Share cancelled:', error);
+        }
+    }
+
+    async revokeGuardian(id) {
+        const guardian = this.guardianLink.active.find(item => item.id === id);
+        if (!guardian || !confirm(`Stop ${guardian.name} from following your alerts? Their link will stop working.`)) return;
+
+        try {
+            const result = await this.guardianLink.revoke(id);
+            this.showNotification(result === 'pending'
+                ? `${guardian.name} gets no more updates. The relay will be told when it can be reached.`
+                : `${guardian.name} no longer has access`, 'success');
+        } catch (error) {
+            this.showNotification(`Could not revoke access: ${error.message}`, 'error');
+        }
+        this.renderGuardians();
+    }
+
+    async forgetGuardian(id) {
+        await this.guardianLink.forget(id);
+        this.renderGuardians();
+        await this.updateConnectPolicy();
     }
 
     async checkDeviceCapabilities() {
@@ -30,7 +647,8 @@ class SafeGuardPro {
             sms: 'sms' in navigator || 'messaging' in navigator,
             camera: 'mediaDevices' in navigator,
             microphone: 'mediaDevices' in navigator,
-            storage: 'localStorage' in window
+            storage: 'localStorage' in window,
+            indexedDB: 'indexedDB' in window
         };
         
         console.log('Device capabilities:', this.capabilities);
@@ -46,296 +664,2037 @@ class SafeGuardPro {
             });
         }
 
-        // Demo and navigation
-        window.showDemo = () => this.showDemo();
-        window.hideDemo = () => this.hideDemo();
-        window.scrollToFeatures = () => this.scrollToSection('features');
-        
-        // Real device actions
-        window.startRealMonitoring = () => this.startRealMonitoring();
-        window.stopRealMonitoring = () => this.stopRealMonitoring();
-        window.syncRealContacts = () => this.syncRealContacts();
-        window.getCurrentLocation = () => this.getCurrentLocation();
-        window.testEmergencyCall = () => this.makeEmergencyCall();
+        // Buttons name what they do in data-action, with any arguments in other
+        // data-* attributes. Nothing on the page is an inline handler, so the
+        // Content-Security-Policy in index.html can refuse inline script outright.
+        this.actions = {
+            // Demo and navigation
+            showDemo: () => this.showDemo(),
+            hideDemo: () => this.hideDemo(),
+            scrollToFeatures: () => this.scrollToSection('features'),
+
+            // Real device actions
+            startRealMonitoring: () => this.startRealMonitoring(),
+            stopRealMonitoring: () => this.stopRealMonitoring(),
+            syncRealContacts: () => this.syncRealContacts(),
+            getCurrentLocation: () => this.getCurrentLocation(),
+            testEmergencyCall: () => this.startSos(),
+
+            // Discreet mode
+            enterDisguise: () => this.enterDisguise(),
+            showDiscreetSettings: () => this.showDiscreetSettings(),
+            hideDiscreetSettings: () => this.hideDiscreetSettings(),
+
+            // Guardians
+            showGuardians: () => this.showGuardians(),
+            hideGuardians: () => this.hideGuardians(),
+            shareGuardianLink: ({ id }) => this.shareGuardianLink(id),
+            revokeGuardian: ({ id }) => this.revokeGuardian(id),
+            forgetGuardian: ({ id }) => this.forgetGuardian(id),
+
+            // Emergency contacts and SOS
+            startSos: () => this.startSos(),
+            acknowledgeSos: () => this.sosDispatcher.acknowledge(),
+            nextSosStep: () => this.sosDispatcher.next('skipped'),
+            cancelSos: () => this.sosDispatcher.cancel(),
+            callPolice: () => { window.location.href = 'tel:100'; },
+            showContactForm: ({ id }) => this.showContactForm(id),
+            hideContactForm: () => this.hideContactForm(),
+            removeContact: ({ id }) => this.removeContact(id),
+            moveContact: ({ id, offset }) => this.moveContact(id, Number(offset)),
+
+            // Safety walk
+            startSafetyWalk: () => this.startSafetyWalk(),
+            checkInSafe: () => this.checkInSafe(),
+            extendSafetyWalk: ({ minutes }) => this.safetyWalk.extend(Number(minutes)),
+            exportWalk: ({ id, format }) => this.exportWalk(id, format),
+
+            // Evidence
+            exportEvidence: () => this.exportEvidence(),
+            verifyEvidence: () => this.verifyEvidence(),
+            verifyEvidenceBundle: () => this.verifyEvidenceBundle(),
+            importChat: () => this.importChat(),
+            hideImport: () => this.hideImport(),
+            showScreenshots: () => this.showScreenshots(),
+            hideScreenshots: () => this.hideScreenshots(),
+            revealImage: (data, element) => element.classList.toggle('revealed'),
+            toggleAudioRecording: () => this.toggleAudioRecording(),
+            toggleAudioBuffer: () => this.toggleAudioBuffer(),
+
+            // Rules
+            showRules: () => this.showRules(),
+            setAnalyticsRange: ({ days }) => this.setAnalyticsRange(Number(days)),
+            hideRules: () => this.hideRules(),
+            removeFromRuleList: ({ list, index }) => this.removeFromRuleList(list, Number(index)),
+            toggleRule: ({ id }) => this.responseRules.toggleRule(id).then(() => this.renderRules()),
+            removeRule: ({ id }) => this.responseRules.removeRule(id).then(() => this.renderRules()),
+
+            // Updates
+            applyUpdate: () => this.applyUpdate(),
+            dismissUpdate: () => { document.getElementById('updateBanner').hidden = true; },
+
+            // Threat review
+            showReview: () => this.showReview(),
+            hideReview: () => this.hideReview(),
+            setReviewFilter: (data, select) => this.setReviewFilter(select.value),
+            toggleClassifier: (data, checkbox) => this.toggleClassifier(checkbox.checked),
+            loadMoreReviews: () => this.renderReview(true),
+            reviewThreat: ({ index, verdict }) => this.reviewThreat(Number(index), verdict),
+            allowMatch: ({ index, match }) => this.allowMatch(Number(index), Number(match)),
+            removeAllowPhrase: ({ index }) => this.removeAllowPhrase(Number(index)),
+
+            // Incident report
+            showIncidentReport: () => this.showIncidentReport(),
+            hideIncidentReport: () => this.hideIncidentReport(),
+            editIncidentReport: () => this.editIncidentReport(),
+            printIncidentReport: () => this.printIncidentReport(),
+            downloadIncidentReport: () => this.downloadIncidentReport(),
+            saveReportAttachments: () => this.saveReportAttachments(),
+
+            // Encrypted storage
+            lockVault: () => this.lockVault(),
+            showChangePin: () => this.showChangePin(),
+            hideChangePin: () => this.hideChangePin(),
+
+            // Backup and restore
+            showBackup: () => this.showBackup(),
+            hideBackup: () => this.hideBackup(),
+            allowBackups: () => this.allowBackups(),
+            stopBackups: () => this.stopBackups()
+        };
+        document.addEventListener('click', (e) => this.handleAction(e));
+        document.addEventListener('change', (e) => this.handleAction(e));
+
+        const sosLinks = document.getElementById('sosLinks');
+        if (sosLinks) {
+            sosLinks.addEventListener('click', (e) => this.handleSosLinkClick(e));
+        }
+    }
+
+    // Buttons and links act on click, selects and checkboxes when they change
+    handleAction(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || e.type !== (target.matches('select, input') ? 'change' : 'click')) return;
+
+        const action = this.actions[target.dataset.action];
+        if (!action) return;
+        if (target.tagName === 'A') e.preventDefault();
+        action(target.dataset, target);
+    }
+
+    async requestPermissions() {
+        try {
+            // Request notification permission
+            if (this.capabilities.notifications) {
+                const permission = await Notification.requestPermission();
+                console.log('Notification permission:', permission);
+            }
+
+            // Request location permission
+            if (this.capabilities.geolocation) {
+                await this.getCurrentLocation();
+            }
+
+            // Request contacts permission (if supported)
+            if (this.capabilities.contacts) {
+                await this.requestContactsPermission();
+            }
+
+        } catch (error) {
+            console.error('Permission request failed:', error);
+        }
+    }
+
+    async requestContactsPermission() {
+        try {
+            // Modern Contacts API (limited browser support)
+            if ('contacts' in navigator && 'ContactsManager' in window) {
+                const props = ['name', 'tel', 'email'];
+                const opts = { multiple: true };
+                
+                // This will show browser's contact picker
+                const contacts = await navigator.contacts.select(props, opts);
+                const added = await this.contactManager.importContacts(contacts.map(contact => ({
+                    name: contact.name?.[0] || 'Unknown',
+                    phone: contact.tel?.[0] || '',
+                    email: contact.email?.[0] || ''
+                })));
+                
+                console.log('Real contacts imported:', added);
+                this.updateContactsList();
+            }
+        } catch (error) {
+            console.log('Contacts API not supported, using manual entry');
+            if (this.contactManager.contacts.length === 0) {
+                this.showContactForm();
+            }
+        }
+    }
+
+    async syncRealContacts() {
+        try {
+            await this.requestContactsPermission();
+            this.showNotification('Contacts synced successfully!', 'success');
+        } catch (error) {
+            this.showNotification('Contact sync failed. Please add manually.', 'error');
+        }
+    }
+
+    async getCurrentLocation() {
+        if (!this.capabilities.geolocation) {
+            this.showNotification('Geolocation not supported', 'error');
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    this.currentLocation = {
+                        latitude: position.coords.latitude,
+                        longitude: position.coords.longitude,
+                        accuracy: position.coords.accuracy,
+                        timestamp: new Date().toISOString()
+                    };
+                    
+                    console.log('Current location:', this.currentLocation);
+                    this.updateLocationDisplay();
+                    resolve(this.currentLocation);
+                },
+                (error) => {
+                    console.error('Location error:', error);
+                    this.showNotification('Location access denied', 'error');
+                    reject(error);
+                },
+                {
+                    enableHighAccuracy: true,
+                    timeout: 10000,
+                    maximumAge: 300000
+                }
+            );
+        });
+    }
+
+    async startRealMonitoring() {
+        if (this.isMonitoring) return;
+
+        try {
+            // Start monitoring device messages (simulated for web)
+            this.isMonitoring = true;
+            this.showNotification('Real-time monitoring started', 'success');
+            
+            // Monitor clipboard for message analysis (privacy-conscious)
+            this.startClipboardMonitoring();
+            
+            // Monitor device notifications (if permission granted)
+            this.startNotificationMonitoring();
+            
+            // Update UI
+            this.updateMonitoringStatus(true);
+            
+            // Start periodic checks
+            this.monitoringInterval = setInterval(() => {
+                this.performSecurityCheck();
+            }, 30000); // Check every 30 seconds
+
+        } catch (error) {
+            console.error('Failed to start monitoring:', error);
+            this.showNotification('Failed to start monitoring', 'error');
+        }
+    }
+
+    startClipboardMonitoring() {
+        // Monitor clipboard for potentially harmful content
+        document.addEventListener('paste', async (e) => {
+            if (!this.isMonitoring) return;
+            
+            try {
+                const clipboardText = await navigator.clipboard.readText();
+                const { sender, content } = this.parsePastedMessage(clipboardText);
+
+                this.processIncomingMessage({
+                    content,
+                    sender,
+                    source: 'clipboard'
+                });
+            } catch (error) {
+                // Clipboard access might be restricted
+                console.log('Clipboard monitoring limited');
+            }
+        });
+    }
+
+    startNotificationMonitoring() {
+        // The worker only shows notifications for background threats while monitoring is on
+        this.configureWorker({ monitoring: true });
+    }
+
+    // Service worker pipeline
+
+    async connectServiceWorker() {
+        window.addEventListener('online', () => this.flushOutbox());
+        // The worker cannot open sealed deliveries, so they go out once unlocked
+        this.flushOutbox();
+        if (!this.workerBridge.isAvailable) return;
+
+        this.workerBridge.on(SW_MESSAGES.THREAT_DETECTED, (alert) => this.handleWorkerThreat(alert));
+        this.workerBridge.on(SW_MESSAGES.NOTIFICATION_ACTION, (payload) => this.routeAction(payload.action, payload.evidenceId));
+        this.workerBridge.on(SW_MESSAGES.OUTBOX_FLUSHED, (summary) => this.handleOutboxFlushed(summary));
+
+        try {
+            const registration = await this.workerBridge.register('/sw.js');
+            this.workerBridge.onUpdateReady(() => this.showUpdatePrompt());
+            // Long-lived tabs (and installed apps) check for a new version hourly
+            setInterval(() => registration.update().catch(() => {}), 3600000);
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+        }
+    }
+
+    showUpdatePrompt() {
+        const banner = document.getElementById('updateBanner');
+        if (banner) banner.hidden = false;
+    }
+
+    applyUpdate() {
+        // Reloading would drop the SOS chain in progress
+        if (this.sosDispatcher.isActive) {
+            this.showNotification('Finish or cancel the SOS before updating', 'warning');
+            return;
+        }
+        if (!this.workerBridge.applyUpdate()) window.location.reload();
+    }
+
+    async configureWorker(changes) {
+        try {
+            await this.workerBridge.request(SW_MESSAGES.CONFIGURE, changes);
+        } catch (error) {
+            // Without a worker there is nothing to configure; foreground scoring still works
+            console.log('Service worker not configured:', error.message);
+        }
+    }
+
+    async handleWorkerThreat(alert) {
+        if (this.vault.isUnlocked) await this.drainEvidenceInbox();
+        this.showNotification(
+            `Threat detected in the background (${alert.category || 'threat'}, ${Math.round(alert.score * 100)}%)`,
+            'warning'
+        );
+    }
+
+    async flushOutbox() {
+        // The worker flushes on Background Sync; this covers browsers without it
+        try {
+            const result = await this.outbox.flush();
+            this.handleOutboxFlushed({ sent: result.sent.length, failed: result.failed.length, dropped: result.dropped.length });
+        } catch (error) {
+            console.error('Outbox flush failed:', error);
+        }
+    }
+
+    async handleOutboxFlushed({ sent, dropped }) {
+        if (sent > 0) this.showNotification(`${sent} queued alert${sent === 1 ? '' : 's'} sent now that you are back online`, 'success');
+        if (dropped > 0) this.showNotification(`${dropped} queued alert${dropped === 1 ? '' : 's'} could not be sent`, 'error');
+        if ((sent || dropped) && this.vault.isUnlocked) await this.drainEvidenceInbox();
+    }
+
+    // Notification actions arrive as a message, or as ?action= when they opened the app
+    handleLaunchAction() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('action');
+        if (!action) return;
+
+        history.replaceState(null, '', window.location.pathname);
+        // Back from the reload that allowed a new relay
+        if (action === 'guardians') {
+            this.showGuardians(params.get('relay'));
+            return;
+        }
+        this.routeAction(action, params.get('evidence'));
+    }
+
+    async routeAction(action, evidenceId) {
+        if (action === 'send-sos') {
+            this.startSos();
+            return;
+        }
+        if (action === 'mark-safe') {
+            if (this.vault.isUnlocked) await this.processWorkerQueue();
+            this.showNotification('Marked as safe', 'success');
+            return;
+        }
+
+        this.showDemo();
+        if (!evidenceId || !this.vault.isUnlocked) return;
+        await this.drainEvidenceInbox();
+        const record = await this.evidenceStore.get(evidenceId);
+        if (record && record.analysis) {
+            this.showNotification(`From ${record.sender}: ${ThreatEngine.explain(record.analysis)}`, 'warning');
+        }
+    }
+
+    parsePastedMessage(text) {
+        // Messages copied out of chat apps usually look like
+        // "[12/03, 9:15 pm] Name: message" or "Name: message"
+        const match = (text || '').match(/^\s*(?:\[[^\]]{4,30}\]\s*)?([^:\n\d][^:\n]{0,39}):\s+([\s\S]+)$/);
+        if (match) {
+            return { sender: match[1].trim(), content: match[2] };
+        }
+        return { sender: 'unknown', content: text };
+    }
+
+    async processIncomingMessage(message) {
+        const timestamp = message.timestamp || new Date().toISOString();
+        const analysis = await this.analyzeMessage(message.content);
+
+        // Every message feeds the sender's history, not just the ones over the threshold.
+        // Profiles are encrypted, so while locked only threats are kept (via the inbox).
+        const { alert } = this.vault.isUnlocked
+            ? this.escalationTracker.record({
+                sender: message.sender,
+                conversation: message.conversation,
+                analysis,
+                timestamp
+            })
+            : { alert: null };
+
+        const decision = this.responseRules.evaluate({ sender: message.sender, analysis, timestamp });
+        if (decision.record) {
+            this.handleThreatDetected({
+                content: message.content,
+                source: message.source,
+                sender: message.sender || 'unknown',
+                conversation: message.conversation,
+                threatLevel: analysis.score,
+                analysis: ThreatEngine.evidenceView(analysis),
+                flagged: decision.flagged,
+                ruleIds: decision.rules.map(rule => rule.id),
+                timestamp
+            }, decision);
+        }
+
+        if (alert) {
+            this.handleEscalation(alert);
+        }
+
+        return analysis;
+    }
+
+    async analyzeMessage(content) {
+        // Returns the overall score plus per-category sub-scores, the matched
+        // spans and the rules that fired, so alerts and evidence can explain themselves
+        const analysis = this.threatEngine.analyze(content);
+        if (!this.classifier.isEnabled) return analysis;
+
+        try {
+            const prediction = await this.classifier.classify(analysis.normalized);
+            return ThreatModel.combine(analysis, prediction, this.classifier.settings.weight);
+        } catch (error) {
+            // The rules alone still protect the user if the model cannot load
+            console.error('Classifier unavailable:', error);
+            return analysis;
+        }
+    }
+
+    async handleThreatDetected(threat, decision = null) {
+        console.log('Threat detected:', threat);
+        
+        // Store threat data
+        try {
+            await this.storeEvidence({ type: 'message', ...threat });
+        } catch (error) {
+            console.error('Failed to store threat evidence:', error);
+        }
+        
+        // Blocked senders and quiet hours hold back the pop-ups, never the evidence
+        if (!decision || decision.notify) {
+            this.showThreatNotification(threat);
+        }
+        
+        // Update statistics
+        this.updateStats();
+
+        // With the pre-buffer on, a blocking-level threat keeps the audio around it
+        if (this.audioEvidence.isBuffering && !this.audioEvidence.isRecording &&
+            threat.threatLevel >= this.responseRules.config.thresholds.block) {
+            this.startAudio({ trigger: 'threat', sender: threat.sender, maxSeconds: 60 });
+        }
+        
+        if (decision) {
+            await this.applyRuleActions(threat, decision);
+        }
+    }
+
+    // Automatic responses from the rules; each one is written to the audit trail
+    async applyRuleActions(threat, decision) {
+        const percent = Math.round(threat.threatLevel * 100);
+        const audit = (action, details = {}) => this.responseRules.audit(action, {
+            sender: threat.sender,
+            threatLevel: threat.threatLevel,
+            ruleIds: threat.ruleIds,
+            ...details
+        });
+
+        if (!decision.isThreat) await audit('evidence');
+        if (decision.flagged) await audit('flag');
+        if (decision.isThreat && !decision.notify) {
+            await audit('mute', { reason: decision.blocked ? 'blocked sender' : 'quiet hours' });
+        }
+
+        if (decision.block) {
+            try {
+                await this.responseRules.addToList('blocked', threat.sender, { auto: true, reason: `Threat level ${percent}%` });
+                await audit('block');
+                this.showNotification(`${threat.sender} was blocked here. Block them in the messaging app too.`, 'warning');
+            } catch (error) {
+                console.error('Automatic block failed:', error);
+            }
+        }
+
+        for (const contactId of decision.notifyContacts) {
+            const contact = this.contactManager.find(contactId);
+            if (!contact) continue;
+            // Browsers cannot send a message unattended, so this prepares it for one tap
+            this.showContactPrompt(contact, SosDispatcher.buildRuleMessage({ userData: this.userData, threat }));
+            await audit('notify-contact', { contactId, contactName: contact.name });
+        }
+
+        if (decision.silentAlert) {
+            const delivery = await this.silentAlert.send({ reason: 'rule-alert', trigger: (threat.ruleIds || []).join(',') });
+            await audit('silent-alert', { delivery });
+        }
+    }
+
+    // Rules editor
+
+    async showRules() {
+        if (!this.vault.isUnlocked) {
+            this.showNotification('Unlock the app to edit rules', 'warning');
+            return;
+        }
+
+        const modal = document.getElementById('rulesModal');
+        const error = document.getElementById('rulesError');
+        const quiet = this.responseRules.config.quietHours;
+        const quietForm = document.getElementById('quietHoursForm');
+        const ruleForm = document.getElementById('ruleForm');
+
+        error.textContent = '';
+        ruleForm.reset();
+        SafeHtml.render(ruleForm.elements.contactId, html`<option value="">Contact to notify…</option>${
+            this.contactManager.contacts.map(contact => html`<option value="${contact.id}">${contact.name}</option>`)}`);
+        quietForm.elements.enabled.checked = quiet.enabled;
+        quietForm.elements.start.value = quiet.start;
+        quietForm.elements.end.value = quiet.end;
+        quietForm.elements.allowAbove.value = Math.round(quiet.allowAbove * 100);
+        modal.hidden = false;
+
+        // One handler for the four small forms; errors show under the panel
+        const submit = (form, work) => {
+            form.onsubmit = async (e) => {
+                e.preventDefault();
+                error.textContent = '';
+                try {
+                    await work(new FormData(form));
+                    if (form !== quietForm) form.reset();
+                    await this.renderRules();
+                } catch (err) {
+                    error.textContent = err.message;
+                }
+            };
+        };
+
+        submit(document.getElementById('blockForm'), data => this.responseRules.addToList('blocked', data.get('sender')));
+        submit(document.getElementById('trustForm'), data => this.responseRules.addToList('trusted', data.get('sender')));
+        submit(ruleForm, data => this.responseRules.saveRule({
+            name: data.get('name'),
+            sender: data.get('sender'),
+            minScore: Number(data.get('minScore')) / 100,
+            category: data.get('category'),
+            actions: data.getAll('actions'),
+            contactId: data.get('contactId')
+        }));
+        submit(quietForm, async data => {
+            await this.responseRules.setQuietHours({
+                enabled: Boolean(data.get('enabled')),
+                start: data.get('start'),
+                end: data.get('end'),
+                allowAbove: Number(data.get('allowAbove')) / 100
+            });
+            this.showNotification('Quiet hours saved', 'success');
+        });
+
+        await this.renderRules();
+    }
+
+    async renderRules() {
+        const { blocked, trusted, rules } = this.responseRules.config;
+        const senderList = (list, entries) => (entries.length === 0 ? html`<p class="form-hint">Nobody yet</p>` : entries.map((entry, index) => html`
+            <div class="rules-item">
+                <span>${entry.sender}${entry.auto && html` <small>(automatic)</small>`}</span>
+                <button class="btn-icon" data-action="removeFromRuleList" data-list="${list}" data-index="${index}" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `));
+
+        SafeHtml.render(document.getElementById('blockedList'), senderList('blocked', blocked));
+        SafeHtml.render(document.getElementById('trustedList'), senderList('trusted', trusted));
+
+        SafeHtml.render(document.getElementById('ruleList'), rules.length === 0 ? html`<p class="form-hint">No rules</p>` : rules.map(rule => {
+            const contact = rule.contactId ? this.contactManager.find(rule.contactId) : null;
+            const actions = rule.actions.map(action =>
+                action === 'notify-contact' ? `notify ${contact ? contact.name : 'a removed contact'}` : action.replace('-', ' '));
+            return html`
+                <div class="rules-item ${rule.enabled ? '' : 'rules-disabled'}">
+                    <span>
+                        <strong>${rule.name}</strong><br>
+                        <small>${rule.sender === '*' ? 'Anyone' : rule.sender} at ${Math.round(rule.minScore * 100)}%+${
+                        rule.category && ` (${rule.category})`}: ${actions.join(', ')}</small>
+                    </span>
+                    <button class="btn-icon" data-action="toggleRule" data-id="${rule.id}" title="${rule.enabled ? 'Turn off' : 'Turn on'}">
+                        <i class="fas fa-${rule.enabled ? 'pause' : 'play'}"></i>
+                    </button>
+                    <button class="btn-icon" data-action="removeRule" data-id="${rule.id}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+        }));
+
+        let trail = [];
+        try {
+            trail = await this.responseRules.auditTrail(20);
+        } catch (error) {
+            console.error('Could not read the rules audit trail:', error);
+        }
+        SafeHtml.render(document.getElementById('ruleAudit'), trail.length === 0 ? html`<li>No automatic actions yet</li>` : trail.map(entry => html`
+            <li>
+                <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                ${entry.action} · ${entry.sender}${
+                entry.threatLevel ? ` · ${Math.round(entry.threatLevel * 100)}%` : ''}${
+                entry.reason && ` · ${entry.reason}`}
+            </li>
+        `));
+    }
+
+    async removeFromRuleList(list, index) {
+        const entry = this.responseRules.config[list][index];
+        if (!entry) return;
+        await this.responseRules.removeFromList(list, entry.sender);
+        await this.renderRules();
+    }
+
+    hideRules() {
+        const modal = document.getElementById('rulesModal');
+        if (modal) modal.hidden = true;
+    }
+
+    // Threat review inbox
+
+    async showReview() {
+        if (!this.vault.isUnlocked) {
+            this.showNotification('Unlock the app to review threats', 'warning');
+            return;
+        }
+
+        const error = document.getElementById('reviewError');
+        const thresholdForm = document.getElementById('thresholdForm');
+        const allowForm = document.getElementById('allowForm');
+        const { thresholds } = this.responseRules.config;
+
+        error.textContent = '';
+        document.getElementById('reviewFilter').value = this.reviewFilter;
+        thresholdForm.elements.alert.value = Math.round(thresholds.alert * 100);
+        thresholdForm.elements.block.value = Math.round(thresholds.block * 100);
+        document.getElementById('classifierToggle').checked = this.classifier.settings.enabled;
+        document.getElementById('reviewModal').hidden = false;
+
+        thresholdForm.onsubmit = async (e) => {
+            e.preventDefault();
+            error.textContent = '';
+            try {
+                const alert = Number(thresholdForm.elements.alert.value) / 100;
+                await this.responseRules.setThresholds({ alert, block: Number(thresholdForm.elements.block.value) / 100 });
+                // Background scoring uses the same alert threshold
+                this.configureWorker({ threshold: alert });
+                this.showNotification('Thresholds saved', 'success');
+            } catch (err) {
+                error.textContent = err.message;
+            }
+        };
+        allowForm.onsubmit = async (e) => {
+            e.preventDefault();
+            error.textContent = '';
+            try {
+                await this.threatReview.addAllowPhrase(allowForm.elements.phrase.value);
+                allowForm.reset();
+                this.renderAllowList();
+            } catch (err) {
+                error.textContent = err.message;
+            }
+        };
+
+        this.renderAllowList();
+        await this.renderReview();
+    }
+
+    async toggleClassifier(enabled) {
+        const toggle = document.getElementById('classifierToggle');
+        try {
+            await this.classifier.setEnabled(enabled);
+            this.showNotification(enabled ? 'On-device classifier is on' : 'On-device classifier is off', 'success');
+        } catch (error) {
+            console.error('Could not start the classifier:', error);
+            await this.classifier.setEnabled(false);
+            toggle.checked = false;
+            this.showNotification('The classifier could not be loaded; the rules still apply', 'error');
+        }
+    }
+
+    setReviewFilter(filter) {
+        this.reviewFilter = filter;
+        this.renderReview();
+    }
+
+    async renderReview(more = false) {
+        const moreButton = document.getElementById('reviewMore');
+        if (!more) {
+            this.reviewRecords = [];
+            this.reviewCursor = null;
+        }
+
+        let page;
+        try {
+            page = await this.threatReview.list({ filter: this.reviewFilter, after: this.reviewCursor });
+        } catch (error) {
+            console.error('Could not list threats for review:', error);
+            document.getElementById('reviewError').textContent = 'Could not read stored threats';
+            return;
+        }
+        this.reviewRecords = this.reviewRecords.concat(page.records);
+        this.reviewCursor = page.nextCursor;
+        moreButton.hidden = !page.nextCursor;
+        this.drawReviewList();
+    }
+
+    drawReviewList() {
+        const list = document.getElementById('reviewList');
+        const labels = { 'confirmed': 'Confirmed', 'false-positive': 'False positive', 'needs-evidence': 'Needs evidence' };
+        SafeHtml.render(list, this.reviewRecords.length === 0 ? html`<p class="form-hint">Nothing to review</p>` : this.reviewRecords.map((record, index) => {
+            const verdict = ThreatReview.verdictOf(record);
+            const analysis = record.analysis || { categories: {}, matches: [] };
+            const breakdown = Object.entries(analysis.categories)
+                .filter(([, score]) => score > 0)
+                .map(([category, score]) => `${category} ${Math.round(score * 100)}%`)
+                .join(' · ');
+            const matches = (analysis.matches || []).map((match, matchIndex) => ({ match, matchIndex }))
+                .filter(({ match }) => !match.suppressed);
+            const button = (value, label, className) => html`
+                <button class="btn-small ${className}" data-action="reviewThreat" data-index="${index}" data-verdict="${value}" ${verdict === value ? 'disabled' : ''}>${label}</button>`;
+
+            return html`
+                <div class="review-item">
+                    <div class="review-meta">
+                        <strong>${record.sender}</strong>
+                        <span>${new Date(record.timestamp).toLocaleString()} · ${Math.round(record.threatLevel * 100)}%</span>
+                        ${verdict && html`<span class="review-verdict review-${verdict}">${labels[verdict]}</span>`}
+                    </div>
+                    ${this.evidenceImage(record)}
+                    <p class="review-content">${record.content}</p>
+                    <small>${breakdown || 'No category scores'}</small>
+                    <ul class="review-matches">
+                        ${matches.map(({ match, matchIndex }) => html`
+                            <li>
+                                "${match.text}" ${match.category}, ${Math.round(match.effectiveWeight * 100)}%
+                                ${verdict === 'false-positive' && html`<button class="btn-icon" data-action="allowMatch" data-index="${index}" data-match="${matchIndex}" title="Always allow this phrase"><i class="fas fa-check"></i></button>`}
+                            </li>
+                        `)}
+                    </ul>
+                    <div class="review-actions">
+                        ${button('confirmed', 'Confirm', 'btn-danger')}
+                        ${button('false-positive', 'False positive', 'btn-success')}
+                        ${button('needs-evidence', 'Needs evidence', 'btn-warning')}
+                    </div>
+                </div>
+            `;
+        }));
+    }
+
+    async reviewThreat(index, verdict) {
+        const record = this.reviewRecords[index];
+        if (!record) return;
+        try {
+            const updated = await this.threatReview.review(record.id, verdict);
+            // Keep the item in view so the allow-phrase buttons can be used straight away
+            this.reviewRecords[index] = updated;
+            this.drawReviewList();
+        } catch (error) {
+            document.getElementById('reviewError').textContent = error.message;
+        }
+    }
+
+    async allowMatch(index, matchIndex) {
+        const record = this.reviewRecords[index];
+        const match = record && record.analysis.matches[matchIndex];
+        if (!match) return;
+        await this.threatReview.addAllowPhrase(match.text);
+        this.renderAllowList();
+        this.showNotification(`"${match.text}" will no longer count as a threat`, 'success');
+    }
+
+    renderAllowList() {
+        const phrases = this.threatReview.feedback.allowPhrases;
+        SafeHtml.render(document.getElementById('allowList'), phrases.length === 0 ? html`<p class="form-hint">None yet</p>` : phrases.map((phrase, index) => html`
+            <div class="rules-item">
+                <span>${phrase}</span>
+                <button class="btn-icon" data-action="removeAllowPhrase" data-index="${index}" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `));
+    }
+
+    async removeAllowPhrase(index) {
+        const phrase = this.threatReview.feedback.allowPhrases[index];
+        if (phrase === undefined) return;
+        await this.threatReview.removeAllowPhrase(phrase);
+        this.renderAllowList();
+    }
+
+    hideReview() {
+        const modal = document.getElementById('reviewModal');
+        if (modal) modal.hidden = true;
+    }
+
+    // Incident report wizard
+
+    async showIncidentReport() {
+        if (!this.vault.isUnlocked) {
+            this.showNotification('Unlock the app to prepare a complaint', 'warning');
+            return;
+        }
+
+        let records;
+        try {
+            records = await this.evidenceStore.chainRecords();
+        } catch (error) {
+            console.error('Could not read evidence for the report:', error);
+            this.showNotification('Evidence could not be read', 'error');
+            return;
+        }
+
+        this.reportRecords = records.filter(IncidentReport.isReportable)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        this.reportLocations = IncidentReport.locationHistory(records);
+        this.reportDraft = null;
+
+        const form = document.getElementById('reportForm');
+        form.reset();
+        SafeHtml.render(form.elements.language, Object.entries(REPORT_LANGUAGES)
+            .map(([code, name]) => html`<option value="${code}">${name}</option>`));
+        form.elements.language.value = IncidentReport.languageFor(this.userData, navigator.language);
+        this.renderReportCategories();
+        form.elements.language.onchange = () => this.renderReportCategories();
+        form.elements.category.onchange = () => this.renderReportCategories();
+        [form.elements.platforms, form.elements.suspects].forEach(field => {
+            field.dataset.edited = '';
+            field.oninput = () => { field.dataset.edited = 'true'; };
+        });
+
+        this.renderReportRecords();
+        this.suggestReportDetails();
+        this.editIncidentReport();
+        document.getElementById('reportModal').hidden = false;
+
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.buildIncidentReport();
+        };
+    }
+
+    // Category names follow the chosen language, as they will read in the draft
+    renderReportCategories() {
+        const form = document.getElementById('reportForm');
+        const strings = REPORT_STRINGS[form.elements.language.value];
+        const category = form.elements.category.value || 'social';
+        const subCategory = form.elements.subCategory.value;
+
+        SafeHtml.render(form.elements.category, Object.keys(REPORT_CATEGORIES)
+            .map(key => html`<option value="${key}">${strings.categories[key]}</option>`));
+        form.elements.category.value = category;
+        SafeHtml.render(form.elements.subCategory, REPORT_CATEGORIES[category]
+            .map(key => html`<option value="${key}">${strings.subCategories[key]}</option>`));
+        form.elements.subCategory.value = REPORT_CATEGORIES[category].includes(subCategory) ? subCategory : REPORT_CATEGORIES[category][0];
+    }
+
+    renderReportRecords() {
+        const list = document.getElementById('reportRecords');
+        const describe = record => {
+            if (record.type === 'audio') return `Audio clip, ${record.audio.duration} s`;
+            if (record.type === 'sos') return 'SOS alert';
+            return record.content || (record.image ? 'Image without readable text' : '');
+        };
+
+        SafeHtml.render(list, this.reportRecords.length === 0 ? html`<p class="form-hint">No evidence stored yet.</p>` : this.reportRecords.map((record, index) => html`
+            <label class="report-record">
+                <input type="checkbox" value="${index}" ${IncidentReport.isSuggested(record) ? 'checked' : ''}>
+                <span>
+                    <strong>${record.sender}</strong>
+                    <small>${new Date(record.timestamp).toLocaleString()} · ${record.type}</small>
+                    ${describe(record).slice(0, 140)}
+                </span>
+            </label>
+        `));
+        list.onchange = () => this.suggestReportDetails();
+    }
+
+    selectedReportRecords() {
+        return [...document.querySelectorAll('#reportRecords input:checked')]
+            .map(input => this.reportRecords[Number(input.value)]);
+    }
+
+    // Fills suspects and apps from the ticked evidence until the user types their own
+    suggestReportDetails() {
+        const form = document.getElementById('reportForm');
+        const selected = this.selectedReportRecords();
+        if (!form.elements.suspects.dataset.edited) {
+            form.elements.suspects.value = IncidentReport.suggestSuspects(selected).join('\n');
+        }
+        if (!form.elements.platforms.dataset.edited) {
+            form.elements.platforms.value = IncidentReport.suggestPlatforms(selected).join(', ');
+        }
+    }
+
+    async buildIncidentReport() {
+        const form = document.getElementById('reportForm');
+        const error = document.getElementById('reportError');
+        const records = this.selectedReportRecords();
+        const list = value => value.split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+        error.textContent = '';
+
+        if (records.length === 0) {
+            error.textContent = 'Choose at least one piece of evidence';
+            return;
+        }
+
+        const language = form.elements.language.value;
+        this.reportDraft = IncidentReport.build({
+            records,
+            userData: this.userData,
+            locations: this.reportLocations,
+            language,
+            category: form.elements.category.value,
+            subCategory: form.elements.subCategory.value,
+            platforms: list(form.elements.platforms.value),
+            place: form.elements.place.value.trim(),
+            suspects: form.elements.suspects.value.split('\n').map(item => item.trim()).filter(Boolean)
+        });
+
+        // The choice of language is remembered for next time
+        if (this.userData && this.userData.language !== language) {
+            this.userData.language = language;
+            await this.evidenceStore.setSetting('userData', this.userData)
+                .catch(saveError => console.error('Could not save language:', saveError));
+        }
+
+        const preview = document.getElementById('reportPreview');
+        preview.onload = () => IncidentReport.styleDocument(preview.contentDocument);
+        preview.srcdoc = IncidentReport.renderHtml(this.reportDraft, { inlineStyles: false });
+        document.getElementById('reportDetails').hidden = true;
+        document.getElementById('reportResult').hidden = false;
+    }
+
+    editIncidentReport() {
+        document.getElementById('reportDetails').hidden = false;
+        document.getElementById('reportResult').hidden = true;
+        document.getElementById('reportError').textContent = '';
+    }
+
+    printIncidentReport() {
+        const preview = document.getElementById('reportPreview');
+        if (this.reportDraft && preview.contentWindow) preview.contentWindow.print();
+    }
+
+    downloadIncidentReport() {
+        if (!this.reportDraft) return;
+        const stamp = this.reportDraft.generatedAt.replace(/[:.]/g, '-');
+        EvidenceExporter.download(`complaint-draft-${stamp}.html`, IncidentReport.renderHtml(this.reportDraft), 'text/html');
+        EvidenceExporter.download(`complaint-draft-${stamp}.txt`, IncidentReport.renderText(this.reportDraft), 'text/plain;charset=utf-8');
+        this.showNotification('Complaint draft downloaded. Export Evidence adds the signed evidence log.', 'success');
+    }
+
+    saveReportAttachments() {
+        const attachments = EvidenceExporter.attachments(this.selectedReportRecords());
+        if (attachments.length === 0) {
+            this.showNotification('The chosen evidence has no photos or recordings', 'info');
+            return;
+        }
+        EvidenceExporter.downloadAttachments(attachments);
+    }
+
+    hideIncidentReport() {
+        const modal = document.getElementById('reportModal');
+        if (modal) modal.hidden = true;
+        this.reportRecords = [];
+        this.reportLocations = [];
+        this.reportDraft = null;
+    }
+
+    showContactPrompt(contact, message) {
+        const links = SosDispatcher.links(contact, message).filter(link => link.href);
+        if (links.length === 0) return;
+
+        const prompt = document.createElement('div');
+        prompt.className = 'update-banner contact-prompt';
+        SafeHtml.render(prompt, html`
+            <span><i class="fas fa-user-shield"></i> Let ${contact.name} know?</span>
+            ${links.map(link => html`<a class="btn-small btn-warning" href="${SafeHtml.url(link.href)}">${link.label}</a>`)}
+            <button class="btn-small btn-info" type="button">Dismiss</button>
+        `);
+        prompt.addEventListener('click', () => prompt.remove());
+        document.body.appendChild(prompt);
+    }
+
+    async handleEscalation(alert) {
+        console.log('Escalating pattern detected:', alert);
+
+        try {
+            await this.storeEvidence({
+                ...alert,
+                type: 'escalation',
+                source: 'escalation-tracker',
+                threatLevel: alert.level
+            });
+        } catch (error) {
+            console.error('Failed to store escalation alert:', error);
+        }
+
+        const message = `Escalating pattern from ${alert.sender}: risk ${Math.round(alert.level * 100)}% ` +
+            `(${alert.assessment.messagesLast24h} messages in 24h)`;
+
+        if (this.capabilities.notifications && Notification.permission === 'granted') {
+            new Notification('SafeGuard Alert: Escalating Pattern', {
+                body: message,
+                icon: '/icon.svg',
+                tag: `escalation-${alert.profileId}`,
+                requireInteraction: true
+            });
+        }
+
+        this.showNotification(message, 'warning');
+    }
+
+    async exportEvidence() {
+        if (this.decoy) {
+            this.showNotification('No evidence recorded yet', 'info');
+            return;
+        }
+
+        try {
+            const bundle = await this.evidenceExporter.exportToFiles({
+                subject: this.userData ? {
+                    name: this.userData.name,
+                    phone: this.userData.phone,
+                    email: this.userData.email
+                } : null
+            });
+
+            // Photos and clips are already inside the signed JSON; separate files are easier to hand over and play
+            const attachments = EvidenceExporter.attachments(bundle.manifest.records);
+            if (attachments.length > 0 &&
+                confirm(`Also save the ${attachments.length} photo and audio file${attachments.length === 1 ? '' : 's'} separately?`)) {
+                EvidenceExporter.downloadAttachments(attachments);
+            }
+
+            if (bundle.manifest.verification.valid) {
+                this.showNotification(`Exported ${bundle.manifest.chain.exported} signed evidence records`, 'success');
+            } else {
+                this.showNotification('Evidence exported, but the chain reports tampering. See the report.', 'warning');
+            }
+        } catch (error) {
+            console.error('Evidence export failed:', error);
+            this.showNotification('Evidence export failed', 'error');
+        }
+    }
+
+    async verifyEvidence() {
+        if (this.decoy) {
+            this.showNotification('Evidence intact: 0 records verified', 'success');
+            return null;
+        }
+
+        const result = await this.evidenceStore.verifyChain();
+        console.log('Evidence chain verification:', result);
+
+        if (result.valid) {
+            this.showNotification(`Evidence intact: ${result.checked} records verified`, 'success');
+        } else {
+            this.showNotification(`Evidence problems found: ${result.problems.length} (see console)`, 'error');
+        }
+        return result;
+    }
+
+    verifyEvidenceBundle() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                const result = await EvidenceExporter.verifyBundle(JSON.parse(await file.text()));
+                console.log('Bundle verification:', result);
+
+                if (result.valid) {
+                    this.showNotification(`Bundle verified: ${result.checked} records, signature valid`, 'success');
+                } else {
+                    this.showNotification(`Bundle failed verification: ${result.problems.length} problems (see console)`, 'error');
+                }
+            } catch (error) {
+                console.error('Bundle verification failed:', error);
+                this.showNotification('Could not read evidence bundle', 'error');
+            }
+        });
+
+        input.click();
+    }
+
+    // Backup and restore: one passphrase-encrypted file, for a new device or a wiped browser
+
+    showBackup() {
+        if (this.decoy) {
+            this.showNotification('Nothing to back up yet', 'info');
+            return;
+        }
+        if (!this.vault.isUnlocked) {
+            this.showNotification('Unlock the app before backing up or restoring', 'warning');
+            return;
+        }
+
+        const backupForm = document.getElementById('backupForm');
+        const restoreForm = document.getElementById('restoreForm');
+        const status = document.getElementById('backupStatus');
+        const error = document.getElementById('backupError');
+        const problems = document.getElementById('backupProblems');
+        const restoreButton = restoreForm.querySelector('button[type="submit"]');
+        const busy = (isBusy) => document.querySelectorAll('#backupModal button').forEach(button => { button.disabled = isBusy; });
+        // A backup that failed verification waits here until "Restore Anyway"
+        let flagged = null;
+        const clearProblems = () => {
+            flagged = null;
+            problems.hidden = true;
+            SafeHtml.render(problems, '');
+            restoreButton.textContent = 'Restore';
+        };
+
+        backupForm.reset();
+        restoreForm.reset();
+        clearProblems();
+        busy(false);
+        status.textContent = '';
+        error.textContent = '';
+        backupForm.elements.interval.disabled = !DeviceBackup.canSchedule;
+        document.getElementById('backupModal').hidden = false;
+        this.renderBackupSchedule();
+
+        backupForm.onsubmit = async (e) => {
+            e.preventDefault();
+            const { passphrase, confirmPassphrase, interval } = backupForm.elements;
+            const hours = Number(interval.value);
+            error.textContent = '';
+
+            try {
+                if (passphrase.value !== confirmPassphrase.value) throw new Error('Passphrases do not match');
+                BackupArchive.assertPassphrase(passphrase.value);
+                // The file picker needs the tap that submitted the form, so it comes before the slow key derivation
+                const handle = hours > 0
+                    ? await window.showSaveFilePicker({ suggestedName: 'safeguard-backup.json', types: BACKUP_FILE_TYPES })
+                    : null;
+
+                busy(true);
+                status.textContent = 'Encrypting your backup…';
+                const backupKey = await BackupArchive.createKey(passphrase.value);
+                if (handle) {
+                    await this.deviceBackup.schedule(handle, backupKey, hours);
+                    status.textContent = `Saved to ${handle.name}. It will be updated while the app is unlocked.`;
+                } else {
+                    const archive = await this.deviceBackup.create(backupKey);
+                    EvidenceExporter.download(DeviceBackup.fileName(), JSON.stringify(archive), 'application/json');
+                    status.textContent = 'Backup downloaded. Keep it somewhere other than this browser.';
+                }
+                backupForm.reset();
+                this.renderBackupSchedule();
+                this.showNotification('Backup saved. Remember the passphrase: without it the backup cannot be opened.', 'success');
+            } catch (err) {
+                // Closing the file picker is not an error
+                if (err.name !== 'AbortError') {
+                    console.error('Backup failed:', err);
+                    error.textContent = err.message;
+                }
+                status.textContent = '';
+            } finally {
+                busy(false);
+                backupForm.elements.interval.disabled = !DeviceBackup.canSchedule;
+            }
+        };
+
+        restoreForm.elements.archive.onchange = clearProblems;
+        restoreForm.onsubmit = async (e) => {
+            e.preventDefault();
+            const file = restoreForm.elements.archive.files[0];
+            if (!file) return;
+            error.textContent = '';
+            busy(true);
+
+            try {
+                let archive;
+                let contents;
+                let verification;
+                if (flagged && flagged.file === file) {
+                    ({ archive, contents, verification } = flagged);
+                } else {
+                    clearProblems();
+                    status.textContent = 'Decrypting the backup…';
+                    archive = await DeviceBackup.read(file);
+                    contents = await BackupArchive.open(archive, restoreForm.elements.passphrase.value);
+
+                    status.textContent = 'Checking the evidence in the backup…';
+                    verification = await BackupArchive.verify(contents);
+                    if (!verification.valid) {
+                        flagged = { file, archive, contents, verification };
+                        SafeHtml.render(problems, verification.problems.map(problem => html`
+                            <li>${problem.seq ? `#${problem.seq} ` : ''}${problem.problem}: ${problem.detail}</li>`));
+                        problems.hidden = false;
+                        restoreButton.textContent = 'Restore Anyway';
+                        status.textContent = `The evidence in this backup fails verification (${verification.problems.length} ` +
+                            `problem${verification.problems.length === 1 ? '' : 's'}, listed below). You can still restore it; ` +
+                            'the problems stay visible when the evidence is verified.';
+                        return;
+                    }
+                }
+
+                status.textContent = 'Restoring…';
+                const summary = await this.deviceBackup.restore(contents, verification);
+                clearProblems();
+                await this.reloadAfterRestore();
+
+                const { evidence } = summary;
+                status.textContent = `Restored ${evidence.added} evidence record${evidence.added === 1 ? '' : 's'}` +
+                    (evidence.unsealed ? ` (${evidence.unsealed} not yet sealed on the other device, sealed here now)` : '') +
+                    (evidence.skipped ? `, ${evidence.skipped} already on this device` : '') +
+                    (evidence.resealed ? ' (added to this device\'s evidence chain, with their original hashes kept)' : '') +
+                    `, ${summary.profiles} sender histor${summary.profiles === 1 ? 'y' : 'ies'}` +
+                    ` and ${summary.settings.length} setting${summary.settings.length === 1 ? '' : 's'}.`;
+                restoreForm.reset();
+                this.showNotification(`Backup from ${new Date(archive.createdAt).toLocaleDateString()} restored`, 'success');
+            } catch (err) {
+                console.error('Restore failed:', err);
+                error.textContent = err.message;
+                status.textContent = '';
+            } finally {
+                busy(false);
+                backupForm.elements.interval.disabled = !DeviceBackup.canSchedule;
+            }
+        };
+    }
+
+    hideBackup() {
+        const modal = document.getElementById('backupModal');
+        if (modal) modal.hidden = true;
+    }
+
+    async renderBackupSchedule() {
+        const element = document.getElementById('backupSchedule');
+        if (!element) return;
+
+        let schedule = null;
+        let permission = null;
+        try {
+            schedule = await this.deviceBackup.loadSchedule();
+            permission = schedule ? await this.deviceBackup.filePermission() : null;
+        } catch (error) {
+            console.error('Could not read the backup schedule:', error);
+        }
+
+        document.getElementById('backupStop').hidden = !schedule;
+        document.getElementById('backupAllow').hidden = !schedule || permission === 'granted';
+
+        if (!DeviceBackup.canSchedule) {
+            element.textContent = 'Automatic backups need a browser that can save to a file you choose, such as Chrome or Edge on a computer.';
+        } else if (schedule) {
+            element.textContent = `Automatic backup to ${schedule.fileName} every ${schedule.intervalHours === 24 ? 'day' : 'week'}, ` +
+                `last saved ${schedule.lastBackupAt ? new Date(schedule.lastBackupAt).toLocaleString() : 'never'}.` +
+                (permission === 'granted' ? '' : ' Paused until you allow access to the file again.');
+        } else {
+            element.textContent = 'No automatic backups.';
+        }
+    }
+
+    async allowBackups() {
+        try {
+            if (await this.deviceBackup.filePermission({ request: true }) === 'granted') {
+                this.backupPermissionNoted = false;
+                await this.deviceBackup.runIfDue();
+            }
+        } catch (error) {
+            console.error('Could not resume automatic backups:', error);
+            document.getElementById('backupError').textContent = error.message;
+        }
+        this.renderBackupSchedule();
+    }
+
+    async stopBackups() {
+        if (!confirm('Stop automatic backups? The backup file is kept.')) return;
+        await this.deviceBackup.unschedule();
+        this.renderBackupSchedule();
+    }
+
+    startBackupSchedule() {
+        this.runScheduledBackup();
+        this.backupInterval = setInterval(() => this.runScheduledBackup(), BACKUP_CHECK_MS);
+    }
+
+    async runScheduledBackup() {
+        if (this.decoy || !this.vault.isUnlocked) return;
+
+        try {
+            const result = await this.deviceBackup.runIfDue();
+            // Said once per session; the Backup screen shows it for as long as it lasts
+            if (result === 'needs-permission' && !this.backupPermissionNoted && !this.disguise.isActive) {
+                this.backupPermissionNoted = true;
+                this.showNotification('Automatic backup is paused. Open Backup and allow access to your backup file.', 'warning');
+            }
+        } catch (error) {
+            console.error('Automatic backup failed:', error);
+            if (!this.disguise.isActive) this.showNotification(`Automatic backup failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Everything a restore may have changed is read back from the store
+    async reloadAfterRestore() {
+        await this.escalationTracker.load();
+        await this.contactManager.load();
+        await this.responseRules.load();
+        await this.threatReview.load();
+        await this.classifier.load();
+        await this.loadGuardians();
+        await this.loadDiscreetSettings();
+        await this.checkConnectPolicy();
+        this.updateContactsList();
+        await this.loadUserData();
+        this.updateStats();
+        this.renderWalkHistory();
+    }
+
+    // Browser extension
+
+    // The user chose to keep this message, so it is stored whatever it scores.
+    // It is scored again here, with the user's own tuning and classifier.
+    async saveExtensionEvidence(message) {
+        const analysis = await this.analyzeMessage(message.content);
+        const sentAt = Date.parse(message.sentAt);
+        const timestamp = Number.isNaN(sentAt) ? message.savedAt : new Date(sentAt).toISOString();
+
+        await this.storeEvidence({
+            type: 'message',
+            content: message.content,
+            source: `extension:${message.site}`,
+            sender: message.sender,
+            conversation: message.conversation,
+            threatLevel: analysis.score,
+            analysis: ThreatEngine.evidenceView(analysis),
+            url: message.url || undefined,
+            sentAt: message.sentAt || undefined,
+            savedAt: message.savedAt,
+            timestamp
+        });
+
+        if (this.vault.isUnlocked) {
+            const { alert } = this.escalationTracker.record({
+                sender: message.sender,
+                conversation: message.conversation,
+                analysis,
+                timestamp
+            }, { skipDuplicates: true });
+            if (alert) this.handleEscalation(alert);
+        }
+
+        this.updateStats();
+        if (!this.decoy && !this.disguise.isActive) {
+            this.showNotification(`Saved a ${message.siteName} message from ${message.sender} as evidence`, 'success');
+        }
+    }
+
+    // Chat export import
+
+    importChat() {
+        if (!this.vault.isUnlocked) {
+            this.showNotification('Unlock the app before importing chats', 'warning');
+            return;
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.txt,.zip,.json,.xml,text/plain,application/zip,application/json,text/xml';
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                this.showImport(await ChatParser.parseFile(file));
+            } catch (error) {
+                console.error('Chat import failed to read file:', error);
+                this.showNotification(`Could not read chat export: ${error.message}`, 'error');
+            }
+        });
+
+        input.click();
+    }
+
+    showImport(parsed) {
+        const form = document.getElementById('importForm');
+        const status = document.getElementById('importStatus');
+        const progress = document.getElementById('importProgress');
+        const participants = ChatParser.participants(parsed);
+        const first = parsed.conversations.flatMap(c => c.messages)[0];
+
+        form.reset();
+        form.querySelectorAll('button').forEach(button => { button.disabled = false; });
+        progress.value = 0;
+        status.textContent = '';
+        document.getElementById('importDetails').textContent =
+            `${IMPORT_FORMATS[parsed.format]}: ${parsed.messageCount} messages in ` +
+            `${parsed.conversations.length} conversation${parsed.conversations.length === 1 ? '' : 's'}` +
+            (first ? `, starting ${new Date(first.timestamp).toLocaleDateString()}` : '') +
+            (parsed.undated ? `. ${parsed.undated} entries without a date will be left out` : '');
+
+        // SMS backups already know which messages were sent; other exports need asking
+        const self = form.elements.self;
+        SafeHtml.render(self, html`<option value="">Which one is you? (your messages are not scanned)</option>${
+            participants.map(p => html`<option value="${p.name}">${p.name} (${p.count})</option>`)}`);
+        self.hidden = parsed.format === 'sms';
+
+        document.getElementById('importModal').hidden = false;
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            form.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+            const importer = new ChatImporter({
+                engine: this.threatEngine,
+                threshold: this.responseRules.config.thresholds.alert,
+                classifier: this.classifier.isEnabled ? this.classifier : null,
+                store: this.evidenceStore,
+                tracker: this.escalationTracker,
+                onProgress: ({ done, total, summary }) => {
+                    progress.value = done / total;
+                    status.textContent = `Scanned ${done} of ${total} messages, ${summary.threats} threats found`;
+                }
+            });
+
+            try {
+                const summary = await importer.run(parsed, { self: self.value ? [self.value] : [] });
+                status.textContent = `Done: ${summary.scanned} messages scanned, ${summary.threats} threats and ` +
+                    `${summary.escalations} escalation alerts added as evidence` +
+                    (summary.duplicates ? `, ${summary.duplicates} already-imported messages skipped` : '') +
+                    (summary.undated ? `, ${summary.undated} entries without a date left out` : '');
+                this.showNotification(`Imported ${summary.total} messages from ${parsed.fileName}`, 'success');
+                this.updateStats();
+            } catch (error) {
+                console.error('Chat import failed:', error);
+                status.textContent = error.message;
+            }
+            form.querySelector('[type="button"]').disabled = false;
+        };
+    }
+
+    hideImport() {
+        const modal = document.getElementById('importModal');
+        if (modal) modal.hidden = true;
+    }
+
+    // Screenshot and photo evidence
+
+    showScreenshots() {
+        if (!this.vault.isUnlocked) {
+            this.showNotification('Unlock the app before adding evidence', 'warning');
+            return;
+        }
+
+        const form = document.getElementById('screenshotForm');
+        const drop = document.getElementById('screenshotDrop');
+        form.reset();
+        document.getElementById('screenshotProgress').value = 0;
+        document.getElementById('screenshotResults').replaceChildren();
+        document.getElementById('screenshotModal').hidden = false;
+
+        form.elements.files.onchange = () => this.addScreenshots([...form.elements.files.files]);
+        form.onsubmit = (e) => e.preventDefault();
+        drop.ondragover = (e) => {
+            e.preventDefault();
+            drop.classList.add('dragging');
+        };
+        drop.ondragleave = () => drop.classList.remove('dragging');
+        drop.ondrop = (e) => {
+            e.preventDefault();
+            drop.classList.remove('dragging');
+            this.addScreenshots([...e.dataTransfer.files]);
+        };
+    }
+
+    async addScreenshots(files) {
+        const form = document.getElementById('screenshotForm');
+        const progress = document.getElementById('screenshotProgress');
+        const results = document.getElementById('screenshotResults');
+        if (files.length === 0) return;
+
+        const intake = new ScreenshotIntake({
+            store: this.evidenceStore,
+            analyze: (text) => this.analyzeMessage(text),
+            threshold: this.responseRules.config.thresholds.alert,
+            onProgress: ({ progress: done }) => { progress.value = done; }
+        });
+
+        let added = 0;
+        for (const file of files) {
+            const item = document.createElement('div');
+            item.className = 'screenshot-result';
+            item.textContent = `Reading ${file.name}…`;
+            results.prepend(item);
+
+            try {
+                const record = await intake.add(file, { sender: form.elements.sender.value });
+                added++;
+                SafeHtml.render(item, html`
+                    ${this.evidenceImage(record)}
+                    <div>
+                        <strong>${file.name}</strong>
+                        <small>${record.capturedAt ? `Taken ${record.capturedAt.replace('T', ' ')}` : 'No capture time in the file'}
+                            · SHA-256 ${record.image.sha256.slice(0, 16)}…</small>
+                        <p>${record.ocr.error
+                            ? 'The text could not be read, but the image was saved.'
+                            : `Threat level ${Math.round(record.threatLevel * 100)}%: ${ThreatEngine.explain(record.analysis)}`}</p>
+                    </div>
+                `);
+            } catch (error) {
+                console.error('Screenshot intake failed:', error);
+                item.textContent = error.message;
+                item.classList.add('form-error');
+            }
+        }
+
+        await intake.stop();
+        if (added > 0) {
+            this.showNotification(`${added} image${added === 1 ? '' : 's'} added as evidence`, 'success');
+            this.updateStats();
+        }
+    }
+
+    // Evidence images are always blurred first; a tap shows them
+    evidenceImage(record) {
+        if (!record.image) return '';
+        return html`
+            <button type="button" class="evidence-image" data-action="revealImage" title="Tap to show or hide">
+                <img src="${ScreenshotIntake.dataUrl(record.image)}" alt="Evidence image">
+                <span><i class="fas fa-eye-slash"></i> Hidden, tap to view</span>
+            </button>
+        `;
+    }
+
+    hideScreenshots() {
+        const modal = document.getElementById('screenshotModal');
+        if (modal) modal.hidden = true;
+    }
+
+    // Audio evidence
+
+    async startAudio(options) {
+        try {
+            await this.audioEvidence.start(options);
+        } catch (error) {
+            console.error('Audio recording failed to start:', error);
+            // The SOS itself must not look failed because the microphone was refused
+            if (options.trigger === 'manual') this.showNotification(`Could not record: ${error.message}`, 'error');
+        }
+    }
+
+    async stopAudio() {
+        try {
+            const record = await this.audioEvidence.stop();
+            if (record) {
+                this.showNotification(`Audio clip saved (${record.audio.duration} s, SHA-256 ${record.audio.sha256.slice(0, 8)}…)`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to save audio evidence:', error);
+            this.showNotification('The audio clip could not be saved', 'error');
+        }
+    }
+
+    toggleAudioRecording() {
+        if (this.audioEvidence.isRecording) {
+            this.stopAudio();
+        } else {
+            this.startAudio({ trigger: 'manual' });
+        }
+    }
+
+    async toggleAudioBuffer() {
+        if (this.audioEvidence.isBuffering) {
+            this.audioEvidence.stopBuffer();
+            return;
+        }
+        try {
+            await this.audioEvidence.startBuffer();
+        } catch (error) {
+            console.error('Audio pre-buffer failed to start:', error);
+            this.showNotification(`Could not start pre-recording: ${error.message}`, 'error');
+        }
+    }
+
+    renderAudioStatus(status) {
+        const label = document.getElementById('audioStatus');
+        const record = document.getElementById('audioRecordButton');
+        const buffer = document.getElementById('audioBufferButton');
+        if (!label) return;
+
+        label.classList.toggle('recording', status.recording);
+        label.classList.toggle('buffering', status.buffering && !status.recording);
+        if (status.recording) {
+            const reasons = { manual: 'by you', sos: 'for the SOS', threat: 'after a threat' };
+            label.textContent = `Recording ${reasons[status.trigger] || ''} since ${new Date(status.since).toLocaleTimeString()}`;
+        } else {
+            label.textContent = status.buffering ? `Keeping the last ${this.audioEvidence.preBufferSeconds} seconds` : 'Off';
+        }
+        SafeHtml.render(record, status.recording
+            ? html`<i class="fas fa-stop"></i> Stop &amp; Save`
+            : html`<i class="fas fa-circle"></i> Record Audio`);
+        SafeHtml.render(buffer, status.buffering
+            ? html`<i class="fas fa-history"></i> Pre-record Off`
+            : html`<i class="fas fa-history"></i> Pre-record On`);
+    }
+
+    showThreatNotification(threat) {
+        const topCategory = threat.analysis ? ThreatEngine.topCategory(threat.analysis) : null;
+        const categoryText = topCategory ? ` (${topCategory[0]})` : '';
+
+        if (this.capabilities.notifications && Notification.permission === 'granted') {
+            new Notification('SafeGuard Alert: Threat Detected', {
+                body: `High-risk content detected${categoryText}. Threat level: ${Math.round(threat.threatLevel * 100)}%` +
+                    (threat.analysis ? `\n${ThreatEngine.explain(threat.analysis)}` : ''),
+                icon: '/icon.svg',
+                tag: 'threat-alert',
+                requireInteraction: true
+            });
+        }
+        
+        this.showNotification(`Threat detected${categoryText}! Level: ${Math.round(threat.threatLevel * 100)}%`, 'warning');
+    }
+
+    // SOS: work down the contact chain, then emergency services
+    async startSos({ track = null } = {}) {
+        if (this.sosDispatcher.isActive) {
+            this.renderSosStep(this.sosDispatcher.currentStep());
+            return;
+        }
+
+        // Location is best effort; the chain must not wait on a slow GPS fix.
+        // A safety walk already has a fresh fix in its track.
+        if (!track || !this.safetyWalk.lastPoint()) {
+            await Promise.race([
+                this.getCurrentLocation().catch(() => null),
+                new Promise(resolve => setTimeout(resolve, 5000))
+            ]);
+        }
+
+        let threats = [];
+        try {
+            threats = await this.evidenceStore.recent('message', 5);
+        } catch (error) {
+            console.error('Could not read recent threats for SOS:', error);
+        }
+
+        const message = SosDispatcher.buildMessage({ userData: this.userData, location: this.currentLocation, threats, track });
+        const session = this.sosDispatcher.start({ contacts: this.contactManager.contacts, message });
+        this.sosCountdown = setInterval(() => this.updateSosCountdown(), 1000);
+        this.startAudio({ trigger: 'sos', sosId: session.id });
+
+        this.storeEvidence({
+            type: 'sos',
+            source: 'sos',
+            severity: 'critical',
+            sosId: session.id,
+            status: 'started',
+            reason: track ? 'missed-check-in' : 'manual',
+            walkId: track ? track.id : undefined,
+            location: this.currentLocation,
+            message
+        }).catch(error => console.error('Failed to record SOS:', error));
+
+        // Queued for Background Sync if there is no connection right now
+        this.silentAlert.notifySos({ sosId: session.id, message, location: this.currentLocation })
+            .catch(error => console.error('Failed to send SOS notice:', error));
+        this.guardianLink.publish('sos', {
+            status: 'started',
+            sosId: session.id,
+            reason: track ? 'missed-check-in' : 'manual',
+            message,
+            location: this.currentLocation
+        }).catch(error => console.error('Failed to tell guardians about the SOS:', error));
+        this.watchSosLocation();
+    }
+
+    // Guardians follow the SOS on a map; a safety walk already tracks position
+    watchSosLocation() {
+        if (this.sosLocationWatch !== undefined || !this.capabilities.geolocation || this.guardianLink.active.length === 0) return;
+        if (this.safetyWalk.session && !this.safetyWalk.session.endedAt) return;
+
+        this.guardianLink.shareLocation(this.currentLocation, 'sos', { force: true });
+        this.sosLocationWatch = navigator.geolocation.watchPosition(
+            (position) => {
+                this.currentLocation = {
+                    latitude: position.coords.latitude,
+                    longitude: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
+                    timestamp: new Date().toISOString()
+                };
+                this.updateLocationDisplay();
+                this.guardianLink.shareLocation(this.currentLocation, 'sos');
+            },
+            (error) => console.log('SOS location watch failed:', error.message),
+            { enableHighAccuracy: true, maximumAge: 10000 }
+        );
+    }
+
+    stopSosLocationWatch() {
+        if (this.sosLocationWatch === undefined) return;
+        navigator.geolocation.clearWatch(this.sosLocationWatch);
+        this.sosLocationWatch = undefined;
+    }
+
+    // Safety walk: breadcrumbs plus a check-in deadline that starts the SOS chain
+    startSafetyWalk() {
+        if (!this.capabilities.geolocation) {
+            this.showNotification('Geolocation not supported', 'error');
+            return;
+        }
+
+        const minutes = parseInt(document.getElementById('walkMinutes').value, 10) || 30;
+        const label = document.getElementById('walkLabel').value.trim();
+
+        try {
+            this.safetyWalk.start({ checkInBy: new Date(Date.now() + minutes * 60000), label });
+            this.showNotification(`Safety walk started. Check in within ${minutes} minutes.`, 'info');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async resumeSafetyWalk() {
+        const saved = await this.evidenceStore.getSetting('activeWalk');
+        if (saved && !saved.endedAt && !this.safetyWalk.session) {
+            this.safetyWalk.resume(saved);
+            console.log('Resumed safety walk:', saved.id);
+        }
     }
 
-    async requestPermissions() {
-        try {
-            // Request notification permission
-            if (this.capabilities.notifications) {
-                const permission = await Notification.requestPermission();
-                console.log('Notification permission:', permission);
-            }
+    checkInSafe() {
+        if (!this.safetyWalk.session || this.safetyWalk.session.endedAt) return;
+        this.safetyWalk.checkIn();
+        this.showNotification('Checked in. Glad you are safe.', 'success');
+    }
 
-            // Request location permission
-            if (this.capabilities.geolocation) {
-                await this.getCurrentLocation();
-            }
+    handleWalkUpdate(session) {
+        const last = this.safetyWalk.lastPoint();
+        if (last) {
+            this.currentLocation = last;
+            this.updateLocationDisplay();
+            this.guardianLink.shareLocation(last, this.sosDispatcher.isActive ? 'sos' : 'walk');
+        }
 
-            // Request contacts permission (if supported)
-            if (this.capabilities.contacts) {
-                await this.requestContactsPermission();
-            }
+        // Guardians hear about starts, extensions, check-ins and missed deadlines
+        const walkState = [session.id, session.status, session.deadline, session.endedAt].join('|');
+        if (walkState !== this.lastGuardianWalkState) {
+            this.lastGuardianWalkState = walkState;
+            this.guardianLink.publish('walk', {
+                walkId: session.id,
+                label: session.label,
+                status: session.status,
+                startedAt: session.startedAt,
+                deadline: session.deadline,
+                endedAt: session.endedAt
+            }).catch(error => console.error('Failed to tell guardians about the walk:', error));
+        }
 
-        } catch (error) {
-            console.error('Permission request failed:', error);
+        // Save often enough that a reload or crash keeps the deadline running
+        const now = Date.now();
+        if (session.endedAt || session.status !== this.lastWalkStatus || now - (this.lastWalkSave || 0) > 15000) {
+            this.lastWalkSave = now;
+            this.lastWalkStatus = session.status;
+            this.evidenceStore.setSetting('activeWalk', session.endedAt ? null : session)
+                .catch(error => console.error('Failed to save safety walk:', error));
         }
-    }
 
-    async requestContactsPermission() {
-        try {
-            // Modern Contacts API (limited browser support)
-            if ('contacts' in navigator && 'ContactsManager' in window) {
-                const props = ['name', 'tel'];
-                const opts = { multiple: true };
-                
-                // This will show browser's contact picker
-                const contacts = await navigator.contacts.select(props, opts);
-                this.realContacts = contacts.map(contact => ({
-                    name: contact.name?.[0] || 'Unknown',
-                    phone: contact.tel?.[0] || '',
-                    id: Math.random().toString(36).substr(2, 9)
-                }));
-                
-                console.log('Real contacts loaded:', this.realContacts.length);
-                this.updateContactsList();
-            }
-        } catch (error) {
-            console.log('Contacts API not supported, using manual entry');
-            this.showManualContactEntry();
+        if (session.endedAt) {
+            clearInterval(this.walkTicker);
+            this.walkTicker = null;
+            this.storeWalkTrack(session, true).then(() => this.renderWalkHistory());
+        } else if (!this.walkTicker) {
+            this.walkTicker = setInterval(() => this.renderWalkStatus(), 1000);
         }
+        this.renderWalkStatus();
     }
 
-    async syncRealContacts() {
-        try {
-            await this.requestContactsPermission();
-            this.showNotification('Contacts synced successfully!', 'success');
-        } catch (error) {
-            this.showNotification('Contact sync failed. Please add manually.', 'error');
+    handleWalkWarning() {
+        const message = 'Check in within 2 minutes or your SOS chain will start.';
+        if (this.capabilities.notifications && Notification.permission === 'granted') {
+            new Notification('SafeGuard: Are you safe?', { body: message, tag: 'walk-check-in', requireInteraction: true });
         }
+        if (navigator.vibrate) navigator.vibrate([300, 200, 300]);
+        this.showNotification(message, 'warning');
     }
 
-    async getCurrentLocation() {
-        if (!this.capabilities.geolocation) {
-            this.showNotification('Geolocation not supported', 'error');
-            return null;
-        }
+    async handleWalkOverdue(session) {
+        console.log('Safety walk check-in missed:', session.id);
+        // Save the track before anything else in case the phone dies mid-SOS
+        await this.storeWalkTrack(session, false);
+        await this.startSos({ track: session });
+    }
 
-        return new Promise((resolve, reject) => {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    this.currentLocation = {
-                        latitude: position.coords.latitude,
-                        longitude: position.coords.longitude,
-                        accuracy: position.coords.accuracy,
-                        timestamp: new Date().toISOString()
-                    };
-                    
-                    console.log('Current location:', this.currentLocation);
-                    this.updateLocationDisplay();
-                    resolve(this.currentLocation);
-                },
-                (error) => {
-                    console.error('Location error:', error);
-                    this.showNotification('Location access denied', 'error');
-                    reject(error);
-                },
-                {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 300000
-                }
-            );
-        });
+    storeWalkTrack(session, final) {
+        return this.storeEvidence({
+            type: 'location-track',
+            source: 'safety-walk',
+            severity: session.overdueAt ? 'critical' : 'low',
+            walkId: session.id,
+            label: session.label,
+            status: session.status,
+            final,
+            startedAt: session.startedAt,
+            deadline: session.deadline,
+            overdueAt: session.overdueAt,
+            endedAt: session.endedAt,
+            distanceMeters: Math.round(SafetyWalk.totalDistance(session.points)),
+            points: session.points
+        }).catch(error => console.error('Failed to store walk track:', error));
     }
 
-    async startRealMonitoring() {
-        if (this.isMonitoring) return;
+    renderWalkStatus() {
+        const session = this.safetyWalk.session;
+        const running = Boolean(session && !session.endedAt);
+        const setup = document.getElementById('walkSetup');
+        const active = document.getElementById('walkActive');
+        if (!setup || !active) return;
 
-        try {
-            // Start monitoring device messages (simulated for web)
-            this.isMonitoring = true;
-            this.showNotification('Real-time monitoring started', 'success');
-            
-            // Monitor clipboard for message analysis (privacy-conscious)
-            this.startClipboardMonitoring();
-            
-            // Monitor device notifications (if permission granted)
-            this.startNotificationMonitoring();
-            
-            // Update UI
-            this.updateMonitoringStatus(true);
-            
-            // Start periodic checks
-            this.monitoringInterval = setInterval(() => {
-                this.performSecurityCheck();
-            }, 30000); // Check every 30 seconds
+        setup.hidden = running;
+        active.hidden = !running;
+        if (!running) return;
+
+        const remaining = this.safetyWalk.remainingMs();
+        const minutes = Math.floor(Math.abs(remaining) / 60000);
+        const seconds = Math.floor(Math.abs(remaining) % 60000 / 1000);
+
+        document.getElementById('walkDeadline').textContent = new Date(session.deadline).toLocaleTimeString();
+        document.getElementById('walkRemaining').textContent = session.status === 'overdue'
+            ? `Overdue by ${minutes}:${String(seconds).padStart(2, '0')} (SOS started)`
+            : `${minutes}:${String(seconds).padStart(2, '0')}`;
+        document.getElementById('walkTrack').textContent =
+            `${session.points.length} points, ${Math.round(SafetyWalk.totalDistance(session.points))} m`;
+    }
+
+    async renderWalkHistory() {
+        const container = document.getElementById('walkHistory');
+        if (!container) return;
 
+        let records = [];
+        try {
+            ({ records } = await this.evidenceStore.list({
+                index: 'typeTimestamp',
+                range: IDBKeyRange.bound(['location-track', ''], ['location-track', '\uffff']),
+                limit: 20
+            }));
         } catch (error) {
-            console.error('Failed to start monitoring:', error);
-            this.showNotification('Failed to start monitoring', 'error');
+            console.error('Could not load past walks:', error);
         }
-    }
 
-    startClipboardMonitoring() {
-        // Monitor clipboard for potentially harmful content
-        document.addEventListener('paste', async (e) => {
-            if (!this.isMonitoring) return;
-            
-            try {
-                const clipboardText = await navigator.clipboard.readText();
-                const threatLevel = this.analyzeMessage(clipboardText);
-                
-                if (threatLevel > 0.7) {
-                    this.handleThreatDetected({
-                        content: clipboardText,
-                        source: 'clipboard',
-                        threatLevel: threatLevel,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-            } catch (error) {
-                // Clipboard access might be restricted
-                console.log('Clipboard monitoring limited');
-            }
+        // Newest record per walk (an overdue walk also has an earlier snapshot)
+        const walks = [];
+        records.forEach(record => {
+            if (!walks.some(walk => walk.walkId === record.walkId)) walks.push(record);
         });
+
+        SafeHtml.render(container, walks.slice(0, 5).map(walk => html`
+            <div class="contact-item">
+                <div class="contact-details">
+                    <span class="contact-name">${walk.label || 'Safety walk'}</span>
+                    <span class="contact-phone">${new Date(walk.startedAt).toLocaleString()} · ${walk.status} · ${walk.distanceMeters} m</span>
+                </div>
+                <div class="contact-actions">
+                    <button class="btn-icon" data-action="exportWalk" data-id="${walk.id}" data-format="gpx" title="Download GPX">GPX</button>
+                    <button class="btn-icon" data-action="exportWalk" data-id="${walk.id}" data-format="geojson" title="Download GeoJSON">GeoJSON</button>
+                </div>
+            </div>
+        `));
     }
 
-    startNotificationMonitoring() {
-        // Monitor for notification patterns (limited in web browsers)
-        if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.addEventListener('message', (event) => {
-                if (event.data.type === 'notification-received') {
-                    this.analyzeNotification(event.data.notification);
-                }
-            });
+    async exportWalk(id, format) {
+        const record = await this.evidenceStore.get(id);
+        if (!record) return;
+
+        const session = { ...record, id: record.walkId };
+        const stamp = record.startedAt.replace(/[:.]/g, '-');
+        if (format === 'gpx') {
+            EvidenceExporter.download(`safeguard-walk-${stamp}.gpx`, SafetyWalk.toGPX(session), 'application/gpx+xml');
+        } else {
+            EvidenceExporter.download(`safeguard-walk-${stamp}.geojson`, JSON.stringify(SafetyWalk.toGeoJSON(session), null, 2), 'application/geo+json');
         }
     }
 
-    analyzeMessage(content) {
-        if (!content || typeof content !== 'string') return 0;
-        
-        let threatScore = 0;
-        const words = content.toLowerCase().split(/\s+/);
-        
-        // Check against threat patterns
-        this.threatPatterns.forEach(pattern => {
-            if (pattern.test(content)) {
-                threatScore += 0.3;
-            }
-        });
-        
-        // Check for aggressive language
-        const aggressiveWords = ['kill', 'hurt', 'harm', 'beat', 'attack', 'destroy'];
-        const aggressiveCount = words.filter(word => 
-            aggressiveWords.includes(word.toLowerCase())
-        ).length;
-        
-        threatScore += aggressiveCount * 0.2;
-        
-        // Check for harassment indicators
-        const harassmentWords = ['worthless', 'stupid', 'ugly', 'hate', 'loser'];
-        const harassmentCount = words.filter(word => 
-            harassmentWords.includes(word.toLowerCase())
-        ).length;
-        
-        threatScore += harassmentCount * 0.15;
-        
-        return Math.min(threatScore, 1.0);
+    handleSosStep(step) {
+        this.renderSosStep(step);
+        const session = this.sosDispatcher.session;
+        this.guardianLink.publish('sos', {
+            status: 'step',
+            sosId: session.id,
+            step: { name: step.contact.name, number: session.index + 1, total: session.steps.length }
+        }).catch(error => console.error('Failed to tell guardians about the SOS step:', error));
     }
 
-    handleThreatDetected(threat) {
-        console.log('Threat detected:', threat);
-        
-        // Store threat data
-        const threats = JSON.parse(localStorage.getItem('detectedThreats') || '[]');
-        threats.push(threat);
-        localStorage.setItem('detectedThreats', JSON.stringify(threats));
-        
-        // Show immediate notification
-        this.showThreatNotification(threat);
-        
-        // Update statistics
-        this.updateThreatStats();
-        
-        // Auto-block if high threat level
-        if (threat.threatLevel > 0.8) {
-            this.autoBlockThreat(threat);
-        }
+    renderSosStep(step) {
+        const session = this.sosDispatcher.session;
+        const icons = { call: 'phone', sms: 'sms', email: 'envelope', share: 'share-alt' };
+        const statusLabels = {
+            pending: 'Waiting',
+            notifying: 'Notifying now',
+            acknowledged: 'Responded',
+            'no-response': 'No response',
+            skipped: 'Skipped'
+        };
+
+        document.getElementById('sosModal').hidden = false;
+        document.getElementById('sosStepTitle').textContent =
+            `Step ${session.index + 1} of ${session.steps.length}: ${step.contact.name}`;
+
+        SafeHtml.render(document.getElementById('sosLinks'), step.links.length
+            ? step.links.map(link => link.href
+                ? html`<a class="btn-small btn-danger" href="${SafeHtml.url(link.href)}" data-channel="${link.channel}">
+                        <i class="fas fa-${icons[link.channel]}"></i> ${link.label}
+                   </a>`
+                : html`<button type="button" class="btn-small btn-info" data-channel="${link.channel}">
+                        <i class="fas fa-${icons[link.channel]}"></i> ${link.label}
+                   </button>`)
+            : html`<p>No way to reach this contact. Skip to the next step.</p>`);
+
+        SafeHtml.render(document.getElementById('sosProgress'), session.steps.map(item => html`
+            <li class="sos-step sos-${item.status}">
+                <span>${item.contact.name}${item.contact.service && ` (${item.contact.phone})`}</span>
+                <span>${statusLabels[item.status] || item.status}</span>
+            </li>
+        `));
+
+        this.updateSosCountdown();
     }
 
-    showThreatNotification(threat) {
-        if (this.capabilities.notifications && Notification.permission === 'granted') {
-            new Notification('SafeGuard Alert: Threat Detected', {
-                body: `High-risk content detected. Threat level: ${Math.round(threat.threatLevel * 100)}%`,
-                icon: '/favicon.ico',
-                tag: 'threat-alert',
-                requireInteraction: true
-            });
-        }
-        
-        this.showNotification(`Threat detected! Level: ${Math.round(threat.threatLevel * 100)}%`, 'warning');
+    updateSosCountdown() {
+        const countdown = document.getElementById('sosCountdown');
+        if (!countdown) return;
+
+        const remaining = this.sosDispatcher.remainingSeconds();
+        countdown.textContent = remaining === null
+            ? 'Last step: call emergency services now.'
+            : `Moving to the next contact in ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')} unless they respond.`;
     }
 
-    async makeEmergencyCall() {
-        try {
-            // Get current location for emergency services
-            await this.getCurrentLocation();
-            
-            // Prepare emergency data
-            const emergencyData = {
-                location: this.currentLocation,
-                timestamp: new Date().toISOString(),
-                userInfo: this.userData,
-                recentThreats: JSON.parse(localStorage.getItem('detectedThreats') || '[]').slice(-5)
-            };
-            
-            // In a real app, this would contact emergency services
-            // For web demo, we simulate the call
-            this.simulateEmergencyCall(emergencyData);
-            
-        } catch (error) {
-            console.error('Emergency call failed:', error);
-            this.showNotification('Emergency call failed', 'error');
+    async handleSosLinkClick(e) {
+        const target = e.target.closest('[data-channel]');
+        if (!target) return;
+
+        const channel = target.dataset.channel;
+        this.sosDispatcher.recordChannel(channel);
+
+        if (channel === 'share') {
+            const text = this.sosDispatcher.session.message;
+            try {
+                if (navigator.share) {
+                    await navigator.share({ title: 'SOS', text });
+                } else {
+                    await navigator.clipboard.writeText(text);
+                    this.showNotification('SOS message copied. Paste it into any app.', 'info');
+                }
+            } catch (error) {
+                console.log('Share cancelled:', error);
+            }
         }
     }
 
-    simulateEmergencyCall(data) {
-        const locationText = data.location ? 
-            `Location: ${data.location.latitude.toFixed(6)}, ${data.location.longitude.toFixed(6)}` : 
-            'Location: Not available';
-            
-        alert(`🚨 EMERGENCY CALL INITIATED 🚨\n\n` +
-              `Time: ${new Date().toLocaleString()}\n` +
-              `${locationText}\n` +
-              `Recent threats: ${data.recentThreats.length}\n\n` +
-              `Emergency services have been notified with your location and threat history.`);
-              
-        this.showNotification('Emergency services contacted!', 'success');
+    handleSosFinished(session) {
+        clearInterval(this.sosCountdown);
+        document.getElementById('sosModal').hidden = true;
+        this.stopSosLocationWatch();
+        this.guardianLink.publish('sos', { status: 'finished', sosId: session.id, outcome: session.outcome })
+            .catch(error => console.error('Failed to tell guardians the SOS ended:', error));
+
+        this.storeEvidence({
+            type: 'sos',
+            source: 'sos',
+            severity: 'critical',
+            sosId: session.id,
+            status: 'finished',
+            outcome: session.outcome,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            steps: session.steps.map(step => ({
+                name: step.contact.name,
+                phone: step.contact.phone,
+                service: Boolean(step.contact.service),
+                status: step.status,
+                channelsUsed: step.channelsUsed || [],
+                notifiedAt: step.notifiedAt,
+                resolvedAt: step.resolvedAt
+            }))
+        }).catch(error => console.error('Failed to record SOS outcome:', error));
+
+        // Without an answer the danger may not be over, so the clip runs to its limit
+        const recording = this.audioEvidence.recording;
+        if (recording && recording.trigger === 'sos' && session.outcome !== 'exhausted') {
+            this.stopAudio();
+        }
+
+        if (session.outcome === 'acknowledged') {
+            this.showNotification(`${session.steps[session.index].contact.name} responded. SOS complete.`, 'success');
+        } else if (session.outcome === 'cancelled') {
+            this.showNotification('SOS cancelled', 'info');
+        } else {
+            this.showNotification('Nobody acknowledged the SOS. Call 100 or 112 now.', 'error');
+        }
     }
 
-    performSecurityCheck() {
+    async performSecurityCheck() {
         if (!this.isMonitoring) return;
         
-        // Check for new threats
-        const threats = JSON.parse(localStorage.getItem('detectedThreats') || '[]');
-        const recentThreats = threats.filter(threat => {
-            const threatTime = new Date(threat.timestamp);
-            const now = new Date();
-            return (now - threatTime) < 3600000; // Last hour
-        });
+        // Check for new threats in the last hour
+        const hourAgo = new Date(Date.now() - 3600000).toISOString();
+        const recentThreats = await this.evidenceStore.countSince('message', hourAgo);
         
         // Update monitoring statistics
         this.updateStats();
         
         // Check if emergency response needed
-        if (recentThreats.length > 3) {
+        if (recentThreats > 3) {
             this.showNotification('Multiple threats detected. Consider emergency contact.', 'warning');
         }
+
+        const escalating = this.escalationTracker.escalatingProfiles();
+        if (escalating.length > 0) {
+            console.log('Senders with escalating risk:', escalating.map(profile => profile.sender));
+        }
     }
 
     stopRealMonitoring() {
         this.isMonitoring = false;
+        this.configureWorker({ monitoring: false });
         
         if (this.monitoringInterval) {
             clearInterval(this.monitoringInterval);
@@ -363,34 +2722,190 @@ class SafeGuardPro {
 
     updateContactsList() {
         const contactsList = document.getElementById('emergencyContactsList');
-        if (contactsList && this.realContacts.length > 0) {
-            contactsList.innerHTML = this.realContacts.map(contact => `
+        const contacts = this.contactManager.contacts;
+
+        SafeHtml.render(contactsList, html`
+            ${contacts.map((contact, index) => html`
                 <div class="contact-item">
-                    <span class="contact-name">${contact.name}</span>
-                    <span class="contact-phone">${contact.phone}</span>
+                    <span class="contact-priority">${index + 1}</span>
+                    <div class="contact-details">
+                        <span class="contact-name">${contact.name}</span>
+                        <span class="contact-phone">${contact.phone || contact.email} · ${contact.channels.join(', ')}</span>
+                    </div>
+                    <div class="contact-actions">
+                        <button class="btn-icon" data-action="moveContact" data-id="${contact.id}" data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button class="btn-icon" data-action="moveContact" data-id="${contact.id}" data-offset="1" title="Move down" ${index === contacts.length - 1 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                        <button class="btn-icon" data-action="showContactForm" data-id="${contact.id}" title="Edit">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn-icon" data-action="removeContact" data-id="${contact.id}" title="Remove">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
                 </div>
-            `).join('');
+            `)}
+            <button class="btn-small btn-info" data-action="showContactForm">
+                <i class="fas fa-plus"></i> Add Contact
+            </button>
+        `);
+
+        const contactsCount = document.getElementById('realContactsCount');
+        if (contactsCount) {
+            contactsCount.textContent = contacts.length.toString();
         }
     }
 
-    updateThreatStats() {
-        const threats = JSON.parse(localStorage.getItem('detectedThreats') || '[]');
-        const threatCountElement = document.getElementById('demoThreats');
-        if (threatCountElement) {
-            threatCountElement.textContent = threats.length.toString();
-        }
+    showContactForm(id = null) {
+        const contact = id ? this.contactManager.find(id) : null;
+        const form = document.getElementById('contactForm');
+        const error = document.getElementById('contactFormError');
+
+        form.reset();
+        error.textContent = '';
+        document.getElementById('contactFormTitle').textContent = contact ? 'Edit Emergency Contact' : 'Add Emergency Contact';
+        form.elements.contactName.value = contact ? contact.name : '';
+        form.elements.contactPhone.value = contact ? contact.phone : '';
+        form.elements.contactEmail.value = contact ? contact.email : '';
+        form.querySelectorAll('input[name="channels"]').forEach(box => {
+            box.checked = (contact ? contact.channels : ['call', 'sms']).includes(box.value);
+        });
+        document.getElementById('contactModal').hidden = false;
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            const details = {
+                name: formData.get('contactName'),
+                phone: formData.get('contactPhone'),
+                email: formData.get('contactEmail'),
+                channels: formData.getAll('channels')
+            };
+
+            try {
+                if (this.decoy) {
+                    // Nothing can be saved without the real PIN; keep up appearances in memory
+                    this.contactManager.contacts.push(this.contactManager.prepare(details, { id: ContactManager.createId() }));
+                } else if (contact) {
+                    await this.contactManager.update(contact.id, details);
+                } else {
+                    await this.contactManager.add(details);
+                }
+                this.updateContactsList();
+                this.hideContactForm();
+                this.showNotification(contact ? 'Emergency contact updated' : 'Emergency contact added!', 'success');
+            } catch (err) {
+                error.textContent = err.message;
+            }
+        };
+    }
+
+    hideContactForm() {
+        const modal = document.getElementById('contactModal');
+        if (modal) modal.hidden = true;
+    }
+
+    async removeContact(id) {
+        const contact = this.contactManager.find(id);
+        if (!contact || !confirm(`Remove ${contact.name} from your emergency contacts?`)) return;
+
+        await this.contactManager.remove(id);
+        this.updateContactsList();
+        this.showNotification('Emergency contact removed', 'info');
+    }
+
+    async moveContact(id, offset) {
+        await this.contactManager.move(id, offset);
+        this.updateContactsList();
     }
 
     updateStats() {
-        // Update messages monitored (simulated based on monitoring time)
+        // Threats often arrive in bursts; recompute once they settle
+        clearTimeout(this.statsTimer);
+        this.statsTimer = setTimeout(() => this.renderAnalytics(), 500);
+    }
+
+    setAnalyticsRange(days) {
+        this.analyticsDays = days;
+        this.renderAnalytics();
+    }
+
+    async renderAnalytics() {
         const messagesElement = document.getElementById('demoMessages');
-        if (messagesElement && this.isMonitoring) {
-            const currentCount = parseInt(messagesElement.textContent.replace(/,/g, '')) || 1247;
-            messagesElement.textContent = (currentCount + Math.floor(Math.random() * 5)).toLocaleString();
+        const threatsElement = document.getElementById('demoThreats');
+        const content = document.getElementById('analyticsContent');
+        document.querySelectorAll('.analytics-ranges [data-days]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.days) === this.analyticsDays);
+        });
+
+        // The decoy dashboard has nothing to show; a locked vault has nothing readable
+        if (this.decoy || !this.vault.isUnlocked) {
+            if (messagesElement) messagesElement.textContent = '0';
+            if (threatsElement) threatsElement.textContent = '0';
+            SafeHtml.render(content, html`<p class="form-hint">No statistics yet.</p>`);
+            return;
         }
-        
-        // Update threat count
-        this.updateThreatStats();
+
+        let summary;
+        try {
+            summary = await this.threatAnalytics.load(this.analyticsDays);
+        } catch (error) {
+            console.error('Could not compute statistics:', error);
+            return;
+        }
+
+        if (messagesElement) messagesElement.textContent = summary.analyzed.toLocaleString();
+        if (threatsElement) {
+            threatsElement.textContent = (await this.evidenceStore.countSince('message', '')).toLocaleString();
+        }
+        if (!content) return;
+
+        const bars = (entries) => {
+            const max = Math.max(1, ...entries.map(entry => entry.count));
+            return entries.length === 0 ? html`<p class="form-hint">No threats in this period</p>` : entries.map(entry => html`
+                <div class="analytics-bar">
+                    <span>${entry.label}</span>
+                    <div class="analytics-bar-track"><div class="analytics-bar-fill ${entry.className || ''}" data-share="${Math.round(entry.count / max * 100)}"></div></div>
+                    <strong>${entry.count}</strong>
+                </div>
+            `);
+        };
+
+        SafeHtml.render(content, html`
+            <p class="analytics-totals">
+                <strong>${summary.analyzedInRange.toLocaleString()}</strong> messages analyzed and
+                <strong>${summary.threats.toLocaleString()}</strong> threats in the last ${summary.days} days
+            </p>
+            <div class="analytics-grid">
+                <div>
+                    <h5>By category</h5>
+                    ${bars(summary.byCategory.map(entry => ({ label: entry.category, count: entry.count })))}
+                </div>
+                <div>
+                    <h5>By severity</h5>
+                    ${bars(ANALYTICS_SEVERITIES.slice().reverse()
+                        .filter(severity => summary.bySeverity[severity] > 0)
+                        .map(severity => ({ label: severity, count: summary.bySeverity[severity], className: `severity-${severity}` })))}
+                </div>
+                <div>
+                    <h5>Top senders</h5>
+                    <ol class="analytics-senders">
+                        ${summary.topSenders.length === 0 ? html`<li>None</li>` : summary.topSenders.map(sender => html`
+                            <li><span>${sender.sender}</span> ${sender.threats} threat${sender.threats === 1 ? '' : 's'}, peak ${Math.round(sender.peak * 100)}%</li>
+                        `)}
+                    </ol>
+                </div>
+            </div>
+            <h5>Messages and threats per day</h5>
+            ${ThreatAnalytics.trendSvg(summary.trend)}
+            <h5>When threats arrive</h5>
+            ${ThreatAnalytics.heatmapSvg(summary.heatmap)}
+        `);
+        // Set through the DOM: the page's CSP refuses style attributes in markup
+        content.querySelectorAll('.analytics-bar-fill').forEach(bar => { bar.style.width = `${bar.dataset.share}%`; });
     }
 
     // Registration and user management
@@ -402,11 +2917,22 @@ class SafeGuardPro {
             phone: formData.get('phone'),
             email: formData.get('email'),
             emergencyContact: formData.get('emergencyContact'),
+            language: formData.get('language') || 'en',
             registrationDate: new Date().toISOString()
         };
         
         // Save user data
-        localStorage.setItem('userData', JSON.stringify(this.userData));
+        await this.evidenceStore.setSetting('userData', this.userData);
+
+        // The contact given at registration becomes the first link in the SOS chain
+        if (this.userData.emergencyContact) {
+            try {
+                await this.contactManager.add({ name: 'Emergency contact', phone: this.userData.emergencyContact, channels: ['call', 'sms'] });
+                this.updateContactsList();
+            } catch (error) {
+                console.error('Could not save registration emergency contact:', error);
+            }
+        }
         
         // Get real location
         await this.getCurrentLocation();
@@ -418,10 +2944,10 @@ class SafeGuardPro {
         this.showDashboard();
     }
 
-    loadUserData() {
-        const saved = localStorage.getItem('userData');
+    async loadUserData() {
+        const saved = await this.evidenceStore.getSetting('userData');
         if (saved) {
-            this.userData = JSON.parse(saved);
+            this.userData = saved;
             this.showDashboard();
         } else {
             this.showRegistration();
@@ -429,11 +2955,11 @@ class SafeGuardPro {
     }
 
     showRegistration() {
-        document.getElementById('registrationModal').style.display = 'block';
+        document.getElementById('registrationModal').hidden = false;
     }
 
     showDashboard() {
-        document.getElementById('registrationModal').style.display = 'none';
+        document.getElementById('registrationModal').hidden = true;
         this.updateStats();
     }
 
@@ -441,7 +2967,7 @@ class SafeGuardPro {
     showDemo() {
         const demoSection = document.getElementById('demo');
         if (demoSection) {
-            demoSection.style.display = 'block';
+            demoSection.hidden = false;
             demoSection.classList.add('fade-in');
             demoSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
             
@@ -452,18 +2978,13 @@ class SafeGuardPro {
 
     enhanceDemoWithRealData() {
         // Show real device capabilities
-        const capabilitiesHtml = Object.entries(this.capabilities)
-            .map(([key, supported]) => `
+        SafeHtml.render(document.getElementById('deviceCapabilities'), Object.entries(this.capabilities)
+            .map(([key, supported]) => html`
                 <div class="capability-item ${supported ? 'supported' : 'not-supported'}">
                     <i class="fas fa-${supported ? 'check' : 'times'}"></i>
                     <span>${key.charAt(0).toUpperCase() + key.slice(1)}: ${supported ? 'Supported' : 'Not Supported'}</span>
                 </div>
-            `).join('');
-            
-        const capabilitiesContainer = document.getElementById('deviceCapabilities');
-        if (capabilitiesContainer) {
-            capabilitiesContainer.innerHTML = capabilitiesHtml;
-        }
+            `));
         
         // Show real location if available
         if (this.currentLocation) {
@@ -473,14 +2994,14 @@ class SafeGuardPro {
         // Show real contacts count
         const contactsCount = document.getElementById('realContactsCount');
         if (contactsCount) {
-            contactsCount.textContent = this.realContacts.length.toString();
+            contactsCount.textContent = this.contactManager.contacts.length.toString();
         }
     }
 
     hideDemo() {
         const demoSection = document.getElementById('demo');
         if (demoSection) {
-            demoSection.style.display = 'none';
+            demoSection.hidden = true;
         }
     }
 
@@ -494,14 +3015,14 @@ class SafeGuardPro {
     showNotification(message, type = 'info') {
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
+        SafeHtml.render(notification, html`
             <div class="notification-content">
                 <i class="fas fa-${type === 'success' ? 'check-circle' : 
                                   type === 'error' ? 'exclamation-circle' : 
                                   type === 'warning' ? 'exclamation-triangle' : 'info-circle'}"></i>
                 <span>${message}</span>
             </div>
-        `;
+        `);
         
         notification.style.cssText = `
             position: fixed;
@@ -528,53 +3049,6 @@ class SafeGuardPro {
             setTimeout(() => notification.remove(), 300);
         }, 3000);
     }
-
-    showManualContactEntry() {
-        const modal = document.createElement('div');
-        modal.innerHTML = `
-            <div class="modal-overlay">
-                <div class="modal-content">
-                    <h3>Add Emergency Contact</h3>
-                    <form id="manualContactForm">
-                        <input type="text" name="contactName" placeholder="Contact Name" required>
-                        <input type="tel" name="contactPhone" placeholder="Phone Number" required>
-                        <div class="modal-buttons">
-                            <button type="submit">Add Contact</button>
-                            <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
-                        </div>
-                    </form>
-                </div>
-            </div>
-        `;
-        
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0,0,0,0.5);
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            z-index: 1000;
-        `;
-        
-        document.body.appendChild(modal);
-        
-        modal.querySelector('#manualContactForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            const formData = new FormData(e.target);
-            this.realContacts.push({
-                name: formData.get('contactName'),
-                phone: formData.get('contactPhone'),
-                id: Math.random().toString(36).substr(2, 9)
-            });
-            this.updateContactsList();
-            modal.remove();
-            this.showNotification('Emergency contact added!', 'success');
-        });
-    }
 }
 
 // Initialize the application
@@ -0,0 +1,389 @@
+// SafeGuard Pro - Encrypted-at-rest Key Vault
+// A random data key (AES-GCM) encrypts everything we store. It is wrapped
+// with a key derived from the user's PIN (PBKDF2-SHA256), so nothing can be
+// read without the PIN. A separate RSA-OAEP "inbox" key pair lets the
+// service worker seal new evidence while the app is locked, and a
+// non-extractable device key covers the few settings the lock screen and
+// the locked service worker have to read.
+const VAULT_VERSION = 1;
+export const VAULT_KDF_ITERATIONS = 600000;
+const VAULT_MAX_FREE_ATTEMPTS = 5;
+
+export class VaultLockedError extends Error {
+    constructor(message = 'Vault is locked') {
+        super(message);
+        this.name = 'VaultLockedError';
+    }
+}
+
+export class SecureVault {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.keyring = null;
+        this.previousKeyring = null;
+        this.meta = null;
+        this.lockListeners = [];
+    }
+
+    get isUnlocked() {
+        return Boolean(this.keyring);
+    }
+
+    async loadMeta() {
+        if (!this.meta) this.meta = await this.store.getPlainSetting('vaultKey');
+        return this.meta;
+    }
+
+    async isSetUp() {
+        return Boolean(await this.loadMeta());
+    }
+
+    // Key derivation and wrapping
+
+    static async deriveWrappingKey(pin, salt, iterations = VAULT_KDF_ITERATIONS) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    static async generateKeyring() {
+        return {
+            keyId: `key_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+            dataKey: await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']),
+            macKey: await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, true, ['sign'])
+        };
+    }
+
+    // Needs no PIN, so it keeps those settings out of plain view in IndexedDB
+    // but not away from code running in the app itself
+    static generateDeviceKey() {
+        return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+
+    static async wrap(format, key, wrappingKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.wrapKey(format, key, wrappingKey, { name: 'AES-GCM', iv });
+        return { iv: SecureVault.toBase64(iv), data: SecureVault.toBase64(data) };
+    }
+
+    static unwrap(format, wrapped, wrappingKey, algorithm, usages, extractable = false) {
+        return crypto.subtle.unwrapKey(
+            format,
+            SecureVault.fromBase64(wrapped.data),
+            wrappingKey,
+            { name: 'AES-GCM', iv: SecureVault.fromBase64(wrapped.iv) },
+            algorithm,
+            extractable,
+            usages
+        );
+    }
+
+    static async wrapKeyring(keyring, wrappingKey) {
+        return {
+            keyId: keyring.keyId,
+            dataKey: await SecureVault.wrap('raw', keyring.dataKey, wrappingKey),
+            macKey: await SecureVault.wrap('raw', keyring.macKey, wrappingKey)
+        };
+    }
+
+    static async unwrapKeyring(wrapped, wrappingKey, extractable = false) {
+        return {
+            keyId: wrapped.keyId,
+            dataKey: await SecureVault.unwrap('raw', wrapped.dataKey, wrappingKey, { name: 'AES-GCM' }, ['encrypt', 'decrypt'], extractable),
+            macKey: await SecureVault.unwrap('raw', wrapped.macKey, wrappingKey, { name: 'HMAC', hash: 'SHA-256' }, ['sign'], extractable)
+        };
+    }
+
+    // Setup, unlock and lock
+
+    async setup(pin) {
+        if (await this.isSetUp()) throw new Error('Vault is already set up');
+        SecureVault.assertPinStrength(pin);
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const wrappingKey = await SecureVault.deriveWrappingKey(pin, salt);
+        const keyring = await SecureVault.generateKeyring();
+        const inbox = await crypto.subtle.generateKey(
+            { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+
+        this.meta = {
+            version: VAULT_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: VAULT_KDF_ITERATIONS, salt: SecureVault.toBase64(salt) },
+            current: await SecureVault.wrapKeyring(keyring, wrappingKey),
+            previous: null,
+            inbox: {
+                publicKey: await crypto.subtle.exportKey('jwk', inbox.publicKey),
+                privateKey: await SecureVault.wrap('pkcs8', inbox.privateKey, wrappingKey)
+            },
+            device: await SecureVault.generateDeviceKey(),
+            createdAt: new Date().toISOString()
+        };
+        await this.store.setPlainSetting('vaultKey', this.meta);
+
+        return this.unlock(pin);
+    }
+
+    async unlock(pin) {
+        const meta = await this.loadMeta();
+        if (!meta) throw new Error('Vault is not set up');
+
+        await this.enforceAttemptDelay();
+
+        let wrappingKey;
+        let keyring;
+        try {
+            wrappingKey = await SecureVault.deriveWrappingKey(pin, SecureVault.fromBase64(meta.kdf.salt), meta.kdf.iterations);
+            // AES-GCM unwrapping fails authentication with the wrong PIN
+            keyring = await SecureVault.unwrapKeyring(meta.current, wrappingKey);
+        } catch (error) {
+            await this.recordFailedAttempt();
+            throw new Error('Incorrect PIN');
+        }
+
+        this.keyring = keyring;
+        this.previousKeyring = meta.previous ? await SecureVault.unwrapKeyring(meta.previous, wrappingKey) : null;
+        this.inboxKey = await SecureVault.unwrap(
+            'pkcs8', meta.inbox.privateKey, wrappingKey, { name: 'RSA-OAEP', hash: 'SHA-256' }, ['decrypt']
+        );
+        await this.store.setPlainSetting('vaultAttempts', { failed: 0 });
+
+        // Vaults set up before the device key existed get one on their next unlock
+        if (!meta.device) {
+            this.meta = { ...meta, device: await SecureVault.generateDeviceKey() };
+            await this.store.setPlainSetting('vaultKey', this.meta);
+        }
+
+        return true;
+    }
+
+    lock() {
+        this.keyring = null;
+        this.previousKeyring = null;
+        this.inboxKey = null;
+        this.lockListeners.forEach(listener => listener());
+    }
+
+    onLock(listener) {
+        this.lockListeners.push(listener);
+    }
+
+    async enforceAttemptDelay() {
+        // Exponential back-off after repeated wrong PINs slows down guessing
+        const attempts = (await this.store.getPlainSetting('vaultAttempts')) || { failed: 0 };
+        if (attempts.failed < VAULT_MAX_FREE_ATTEMPTS) return;
+
+        const delay = Math.min(2 ** (attempts.failed - VAULT_MAX_FREE_ATTEMPTS) * 1000, 5 * 60 * 1000);
+        const waitUntil = new Date(attempts.lastFailure).getTime() + delay;
+        if (Date.now() < waitUntil) {
+            throw new Error(`Too many attempts. Try again in ${Math.ceil((waitUntil - Date.now()) / 1000)} seconds`);
+        }
+    }
+
+    async recordFailedAttempt() {
+        const attempts = (await this.store.getPlainSetting('vaultAttempts')) || { failed: 0 };
+        await this.store.setPlainSetting('vaultAttempts', {
+            failed: attempts.failed + 1,
+            lastFailure: new Date().toISOString()
+        });
+    }
+
+    static assertPinStrength(pin) {
+        if (!pin || pin.length < 6) throw new Error('PIN must be at least 6 characters');
+        if (/^(\d)\1+$/.test(pin) || '0123456789012345'.includes(pin)) {
+            throw new Error('PIN is too easy to guess');
+        }
+    }
+
+    // Key rotation
+
+    // Changing the PIN only re-wraps the existing keys
+    async changePin(currentPin, newPin) {
+        SecureVault.assertPinStrength(newPin);
+        const meta = await this.loadMeta();
+        const oldWrappingKey = await this.verifyPin(currentPin);
+
+        const current = await SecureVault.unwrapKeyring(meta.current, oldWrappingKey, true);
+        const previous = meta.previous ? await SecureVault.unwrapKeyring(meta.previous, oldWrappingKey, true) : null;
+        const inboxKey = await SecureVault.unwrap(
+            'pkcs8', meta.inbox.privateKey, oldWrappingKey, { name: 'RSA-OAEP', hash: 'SHA-256' }, ['decrypt'], true
+        );
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const wrappingKey = await SecureVault.deriveWrappingKey(newPin, salt);
+
+        this.meta = {
+            ...meta,
+            kdf: { ...meta.kdf, iterations: VAULT_KDF_ITERATIONS, salt: SecureVault.toBase64(salt) },
+            current: await SecureVault.wrapKeyring(current, wrappingKey),
+            previous: previous ? await SecureVault.wrapKeyring(previous, wrappingKey) : null,
+            inbox: { ...meta.inbox, privateKey: await SecureVault.wrap('pkcs8', inboxKey, wrappingKey) },
+            pinChangedAt: new Date().toISOString()
+        };
+        await this.store.setPlainSetting('vaultKey', this.meta);
+    }
+
+    // Replaces the data key itself and re-encrypts every stored record.
+    // The old key stays wrapped as `previous` until re-encryption finishes,
+    // so an interrupted rotation never leaves data unreadable.
+    async rotateDataKey(pin) {
+        const meta = await this.loadMeta();
+        const wrappingKey = await this.verifyPin(pin);
+        const retiring = await SecureVault.unwrapKeyring(meta.current, wrappingKey);
+        const next = await SecureVault.generateKeyring();
+
+        this.meta = {
+            ...meta,
+            current: await SecureVault.wrapKeyring(next, wrappingKey),
+            previous: meta.current
+        };
+        await this.store.setPlainSetting('vaultKey', this.meta);
+
+        this.previousKeyring = retiring;
+        this.keyring = await SecureVault.unwrapKeyring(this.meta.current, wrappingKey);
+
+        await this.store.reencryptAll();
+
+        this.meta = { ...this.meta, previous: null, rotatedAt: new Date().toISOString() };
+        await this.store.setPlainSetting('vaultKey', this.meta);
+        this.previousKeyring = null;
+    }
+
+    // Checks a PIN without counting it as a failed unlock attempt
+    async checkPin(pin) {
+        const meta = await this.loadMeta();
+        try {
+            const wrappingKey = await SecureVault.deriveWrappingKey(pin, SecureVault.fromBase64(meta.kdf.salt), meta.kdf.iterations);
+            await SecureVault.unwrapKeyring(meta.current, wrappingKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async verifyPin(pin) {
+        const meta = await this.loadMeta();
+        await this.enforceAttemptDelay();
+        try {
+            const wrappingKey = await SecureVault.deriveWrappingKey(pin, SecureVault.fromBase64(meta.kdf.salt), meta.kdf.iterations);
+            await SecureVault.unwrapKeyring(meta.current, wrappingKey);
+            return wrappingKey;
+        } catch (error) {
+            await this.recordFailedAttempt();
+            throw new Error('Incorrect PIN');
+        }
+    }
+
+    // Encryption
+
+    requireUnlocked() {
+        if (!this.keyring) throw new VaultLockedError();
+    }
+
+    async encrypt(value) {
+        this.requireUnlocked();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.keyring.dataKey,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { v: VAULT_VERSION, k: this.keyring.keyId, iv: SecureVault.toBase64(iv), data: SecureVault.toBase64(data) };
+    }
+
+    async decrypt(envelope) {
+        this.requireUnlocked();
+        const keyring = [this.keyring, this.previousKeyring].find(candidate => candidate && candidate.keyId === envelope.k);
+        if (!keyring) throw new Error(`No key available for ${envelope.k}`);
+
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: SecureVault.fromBase64(envelope.iv) },
+            keyring.dataKey,
+            SecureVault.fromBase64(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    isCurrent(envelope) {
+        return Boolean(this.keyring) && envelope.k === this.keyring.keyId;
+    }
+
+    // Keyed hash used wherever we need to look something up without storing it in clear
+    async blindIndex(value) {
+        this.requireUnlocked();
+        const mac = await crypto.subtle.sign('HMAC', this.keyring.macKey, new TextEncoder().encode(String(value)));
+        return Array.from(new Uint8Array(mac).slice(0, 16)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Sealed inbox: anyone with the public key can write, only the unlocked app can read
+
+    async sealForInbox(value) {
+        const meta = await this.loadMeta();
+        if (!meta) throw new Error('Vault is not set up');
+
+        const publicKey = await crypto.subtle.importKey('jwk', meta.inbox.publicKey, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['encrypt']);
+        const messageKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, messageKey, new TextEncoder().encode(JSON.stringify(value)));
+        const key = await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, await crypto.subtle.exportKey('raw', messageKey));
+
+        return { v: VAULT_VERSION, sealed: true, key: SecureVault.toBase64(key), iv: SecureVault.toBase64(iv), data: SecureVault.toBase64(data) };
+    }
+
+    async openSealed(envelope) {
+        this.requireUnlocked();
+        const rawKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, this.inboxKey, SecureVault.fromBase64(envelope.key));
+        const messageKey = await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: SecureVault.fromBase64(envelope.iv) },
+            messageKey,
+            SecureVault.fromBase64(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    // Device key: works while locked, in the page and the service worker
+
+    async encryptOnDevice(value) {
+        const meta = await this.loadMeta();
+        if (!meta || !meta.device) return null;
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, meta.device, new TextEncoder().encode(JSON.stringify(value)));
+        return { v: VAULT_VERSION, device: true, iv: SecureVault.toBase64(iv), data: SecureVault.toBase64(data) };
+    }
+
+    async decryptOnDevice(envelope) {
+        // The other context may have added the device key since this one read the vault settings
+        if (this.meta && !this.meta.device) this.meta = null;
+        const meta = await this.loadMeta();
+        if (!meta || !meta.device) throw new Error('No device key available');
+
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: SecureVault.fromBase64(envelope.iv) },
+            meta.device,
+            SecureVault.fromBase64(envelope.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    static toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,139 @@
+// SafeGuard Pro - Silent Alerts and Duress PIN
+// A silent alert goes out without anything visible on screen: it is sent
+// to an address the user chose (e.g. a push-notification topic watched by
+// a friend) and sealed into the evidence inbox. The address is encrypted
+// with the vault's device key rather than the PIN, so it still works while
+// the app is locked or disguised. The duress PIN is only kept as a PBKDF2 hash.
+// Alerts raised offline go through the outbox and leave when the network returns.
+import { Outbox } from './outbox.js';
+import { SecureVault, VAULT_KDF_ITERATIONS } from './secure-vault.js';
+import { SosDispatcher } from './sos-dispatcher.js';
+
+export class SilentAlert {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.outbox = options.outbox || new Outbox({ store: this.store });
+    }
+
+    async loadConfig() {
+        return (await this.store.getSetting('silentAlert')) || { endpoint: '', message: '' };
+    }
+
+    async saveConfig({ endpoint = '', message = '' }) {
+        const trimmed = endpoint.trim();
+        if (trimmed && !/^https:\/\//i.test(trimmed)) throw new Error('Alert address must start with https://');
+        await this.store.setSetting('silentAlert', { endpoint: trimmed, message: message.trim() });
+    }
+
+    // Duress PIN
+
+    static async hashPin(pin, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+        return SecureVault.toBase64(bits);
+    }
+
+    async hasDuressPin() {
+        return Boolean(await this.store.getPlainSetting('duressPin'));
+    }
+
+    async setDuressPin(pin) {
+        SecureVault.assertPinStrength(pin);
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        await this.store.setPlainSetting('duressPin', {
+            salt: SecureVault.toBase64(salt),
+            iterations: VAULT_KDF_ITERATIONS,
+            hash: await SilentAlert.hashPin(pin, salt, VAULT_KDF_ITERATIONS)
+        });
+    }
+
+    async clearDuressPin() {
+        await this.store.setPlainSetting('duressPin', null);
+    }
+
+    async isDuressPin(pin) {
+        const saved = await this.store.getPlainSetting('duressPin');
+        if (!saved || !pin) return false;
+
+        const hash = await SilentAlert.hashPin(pin, SecureVault.fromBase64(saved.salt), saved.iterations);
+        // Compare every character so timing does not reveal how much matched
+        let difference = hash.length ^ saved.hash.length;
+        for (let i = 0; i < Math.min(hash.length, saved.hash.length); i++) {
+            difference |= hash.charCodeAt(i) ^ saved.hash.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    // Sending
+
+    async send({ reason, trigger = null, location = null }) {
+        const config = await this.loadConfig();
+        const timestamp = new Date().toISOString();
+        const payload = {
+            type: 'safeguard-silent-alert',
+            reason,
+            trigger,
+            message: config.message || 'SafeGuard Pro silent alert: I may be in danger.',
+            location: location ? {
+                latitude: location.latitude,
+                longitude: location.longitude,
+                accuracy: location.accuracy,
+                mapsLink: SosDispatcher.mapsLink(location)
+            } : null,
+            timestamp
+        };
+
+        // Browsers cannot confirm no-cors or beacon deliveries, so "sent" is the best we know
+        let delivery = null;
+        if (config.endpoint) {
+            delivery = await this.deliver(config.endpoint, payload).catch(error => {
+                console.error('Silent alert delivery failed:', error);
+                return 'failed';
+            });
+        }
+
+        // Sealed so it lands on the evidence chain even when the vault is locked
+        try {
+            await this.store.addToInbox({
+                type: reason,
+                source: 'silent-alert',
+                severity: 'critical',
+                trigger,
+                location: payload.location,
+                delivery,
+                timestamp
+            });
+        } catch (error) {
+            console.error('Failed to record silent alert:', error);
+        }
+
+        return delivery;
+    }
+
+    // Lets the alert address know an SOS chain has started
+    async notifySos({ sosId, message, location = null }) {
+        const config = await this.loadConfig();
+        if (!config.endpoint) return null;
+
+        return this.deliver(config.endpoint, {
+            type: 'safeguard-sos',
+            sosId,
+            message,
+            location: location ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy } : null,
+            timestamp: new Date().toISOString()
+        }, 'sos');
+    }
+
+    async deliver(endpoint, payload, kind = 'silent-alert') {
+        if (self.navigator && self.navigator.onLine === false) {
+            await this.outbox.enqueue(kind, { endpoint, payload });
+            return 'queued';
+        }
+        // sendBeacon survives the page being closed straight afterwards
+        const body = new Blob([JSON.stringify(payload)], { type: 'text/plain' });
+        if (self.navigator && self.navigator.sendBeacon && self.navigator.sendBeacon(endpoint, body)) {
+            return 'sent';
+        }
+        return this.outbox.send(kind, endpoint, payload);
+    }
+}
@@ -0,0 +1,182 @@
+// SafeGuard Pro - SOS Escalation Chain
+// Works down the contact list one step at a time: notify a contact, wait
+// for them to acknowledge, and move on to the next one when they don't.
+// Emergency services come last. The browser cannot send messages by itself,
+// so each step offers tel:/sms:/mailto: links prefilled with the alert.
+import { ThreatEngine } from './core/threat-engine.js';
+
+const SOS_ACK_TIMEOUT_SECONDS = 120;
+const EMERGENCY_SERVICES = [
+    { id: 'service-1091', name: 'Women Helpline', phone: '1091', channels: ['call'], service: true },
+    { id: 'service-100', name: 'Police', phone: '100', channels: ['call'], service: true }
+];
+
+export class SosDispatcher {
+    constructor(options = {}) {
+        this.ackTimeoutSeconds = options.ackTimeoutSeconds || SOS_ACK_TIMEOUT_SECONDS;
+        this.services = options.services || EMERGENCY_SERVICES;
+        this.onStep = options.onStep || (() => {});
+        this.onFinish = options.onFinish || (() => {});
+        this.session = null;
+        this.timer = null;
+    }
+
+    get isActive() {
+        return Boolean(this.session && this.session.status === 'active');
+    }
+
+    static mapsLink(location) {
+        return `https://maps.google.com/?q=${location.latitude.toFixed(6)},${location.longitude.toFixed(6)}`;
+    }
+
+    // Short enough to fit in one or two SMS
+    static buildMessage({ userData = null, location = null, threats = [], track = null } = {}) {
+        const name = userData && userData.name ? userData.name : 'I';
+        const lines = [`SOS: ${name === 'I' ? 'I need' : `${name} needs`} help now.`];
+
+        if (location) {
+            const time = new Date(location.timestamp || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            lines.push(`Location: ${SosDispatcher.mapsLink(location)} (±${Math.round(location.accuracy || 0)}m, ${time})`);
+        } else {
+            lines.push('Location: not available');
+        }
+
+        // Missed safety-walk check-in: say so, and where the walk started
+        if (track) {
+            const time = iso => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            lines.push(`Missed check-in due ${time(track.deadline)}` + (track.label ? ` (${track.label})` : ''));
+            if (track.points.length > 1) {
+                lines.push(`Walk started ${time(track.startedAt)} at ${SosDispatcher.mapsLink(track.points[0])}`);
+            }
+        }
+
+        if (threats.length > 0) {
+            const categories = new Set();
+            threats.forEach(threat => {
+                const top = threat.analysis ? ThreatEngine.topCategory(threat.analysis) : null;
+                if (top) categories.add(top[0]);
+            });
+            const senders = [...new Set(threats.map(threat => threat.sender).filter(sender => sender && sender !== 'unknown'))];
+            lines.push(`Recent threats: ${threats.length}` +
+                (categories.size ? ` (${[...categories].join(', ')})` : '') +
+                (senders.length ? ` from ${senders.slice(0, 3).join(', ')}` : ''));
+        }
+
+        if (userData && userData.phone) lines.push(`Call me: ${userData.phone}`);
+        return lines.join('\n');
+    }
+
+    // Message for "notify contact" rules; the threat text itself is left out
+    static buildRuleMessage({ userData, threat }) {
+        const name = userData && userData.name ? userData.name : 'A SafeGuard Pro user';
+        return `SafeGuard Pro: ${name} received a threatening message from ${threat.sender} ` +
+            `(${Math.round(threat.threatLevel * 100)}% risk) at ${new Date(threat.timestamp).toLocaleString()}. ` +
+            'Please check in with them.';
+    }
+
+    static links(contact, message) {
+        const body = encodeURIComponent(message);
+        return ContactManager.usableChannels(contact).map(channel => {
+            switch (channel) {
+                case 'call':
+                    return { channel, label: `Call ${contact.phone}`, href: `tel:${contact.phone}` };
+                case 'sms':
+                    return { channel, label: 'Send SMS', href: `sms:${contact.phone}?body=${body}` };
+                case 'email':
+                    return { channel, label: 'Send email', href: `mailto:${contact.email}?subject=${encodeURIComponent('SOS - I need help')}&body=${body}` };
+                case 'share':
+                    return { channel, label: 'Share…', href: null };
+            }
+            return null;
+        }).filter(Boolean);
+    }
+
+    start({ contacts, message }) {
+        if (this.isActive) return this.session;
+
+        const steps = [...contacts, ...this.services].map(contact => ({
+            contact,
+            links: SosDispatcher.links(contact, message),
+            status: 'pending',
+            notifiedAt: null,
+            resolvedAt: null
+        }));
+
+        this.session = {
+            id: `sos_${Date.now().toString(36)}`,
+            status: 'active',
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            outcome: null,
+            message,
+            index: -1,
+            steps
+        };
+
+        this.advanceTo(0);
+        return this.session;
+    }
+
+    currentStep() {
+        return this.session ? this.session.steps[this.session.index] || null : null;
+    }
+
+    advanceTo(index) {
+        clearTimeout(this.timer);
+        if (index >= this.session.steps.length) {
+            this.finish('exhausted');
+            return;
+        }
+
+        const step = this.session.steps[index];
+        this.session.index = index;
+        step.status = 'notifying';
+        step.notifiedAt = new Date().toISOString();
+
+        // Emergency services are the end of the line; there is nobody to escalate to
+        if (!step.contact.service) {
+            this.timer = setTimeout(() => this.next('no-response'), this.ackTimeoutSeconds * 1000);
+        }
+        this.onStep(step, this.session);
+    }
+
+    remainingSeconds() {
+        const step = this.currentStep();
+        if (!this.isActive || !step || step.contact.service) return null;
+        const elapsed = (Date.now() - new Date(step.notifiedAt).getTime()) / 1000;
+        return Math.max(0, Math.ceil(this.ackTimeoutSeconds - elapsed));
+    }
+
+    recordChannel(channel) {
+        const step = this.currentStep();
+        if (step) step.channelsUsed = [...new Set([...(step.channelsUsed || []), channel])];
+    }
+
+    acknowledge() {
+        const step = this.currentStep();
+        if (!this.isActive || !step) return;
+        step.status = 'acknowledged';
+        step.resolvedAt = new Date().toISOString();
+        this.finish('acknowledged');
+    }
+
+    next(reason = 'skipped') {
+        const step = this.currentStep();
+        if (!this.isActive || !step) return;
+        step.status = reason;
+        step.resolvedAt = new Date().toISOString();
+        this.advanceTo(this.session.index + 1);
+    }
+
+    cancel() {
+        if (this.isActive) this.finish('cancelled');
+    }
+
+    finish(outcome) {
+        clearTimeout(this.timer);
+        this.session.status = 'finished';
+        this.session.outcome = outcome;
+        this.session.endedAt = new Date().toISOString();
+        this.onFinish(this.session);
+    }
+}
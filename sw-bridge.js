@@ -0,0 +1,106 @@
+// SafeGuard Pro - Page <-> Service Worker Messaging
+// Requests go out with a MessageChannel port and get exactly one reply on
+// it, { result } or { error }. Events the worker raises on its own are
+// broadcast to every open window as { type, payload }. Also imported by
+// sw.js for the message names.
+export const SW_MESSAGES = {
+    // Page to worker
+    ANALYZE: 'ANALYZE',
+    CONFIGURE: 'CONFIGURE',
+    STORE_EVIDENCE: 'STORE_EVIDENCE',
+    FLUSH_OUTBOX: 'FLUSH_OUTBOX',
+    STATUS: 'STATUS',
+    SKIP_WAITING: 'SKIP_WAITING',
+
+    // Worker to page
+    THREAT_DETECTED: 'THREAT_DETECTED',
+    NOTIFICATION_ACTION: 'NOTIFICATION_ACTION',
+    OUTBOX_FLUSHED: 'OUTBOX_FLUSHED'
+};
+
+export const SW_DEFAULT_CONFIG = { monitoring: false, threshold: 0.7 };
+
+export class ServiceWorkerBridge {
+    constructor(options = {}) {
+        this.container = options.container || (self.navigator && self.navigator.serviceWorker) || null;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.handlers = {};
+        this.registration = null;
+    }
+
+    get isAvailable() {
+        return Boolean(this.container);
+    }
+
+    async register(url = '/sw.js') {
+        if (!this.container) return null;
+        this.container.addEventListener('message', (event) => this.handleMessage(event));
+        // sw.js imports the same ES modules as the page
+        this.registration = await this.container.register(url, { type: 'module' });
+        return this.registration;
+    }
+
+    // Calls handler when a new version has installed and is waiting to take over
+    onUpdateReady(handler) {
+        const registration = this.registration;
+        if (!registration) return;
+
+        // No controller means this is the first install, not an update
+        const notify = () => {
+            if (registration.waiting && this.container.controller) handler();
+        };
+        notify();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') notify();
+            });
+        });
+    }
+
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) return false;
+
+        // Reload once the new worker is in control so page and cache match
+        this.container.addEventListener('controllerchange', () => self.location.reload(), { once: true });
+        waiting.postMessage({ type: SW_MESSAGES.SKIP_WAITING });
+        return true;
+    }
+
+    on(type, handler) {
+        (this.handlers[type] = this.handlers[type] || []).push(handler);
+    }
+
+    handleMessage(event) {
+        const { type, payload } = event.data || {};
+        (this.handlers[type] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Service worker message handler for ${type} failed:`, error);
+            }
+        });
+    }
+
+    request(type, payload = {}) {
+        if (!this.registration) return Promise.reject(new Error('Service worker not registered'));
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Service worker did not answer ${type}`)), this.timeoutMs);
+
+            this.container.ready.then(registration => {
+                const channel = new MessageChannel();
+                channel.port1.onmessage = ({ data }) => {
+                    clearTimeout(timer);
+                    if (data.error) {
+                        reject(new Error(data.error));
+                    } else {
+                        resolve(data.result);
+                    }
+                };
+                registration.active.postMessage({ type, payload }, [channel.port2]);
+            });
+        });
+    }
+}
@@ -1,108 +1,382 @@
 // Service Worker for background monitoring
-const CACHE_NAME = 'safeguard-v1';
+// Registered as a module worker so it runs the same code as the page
+import { ThreatEngine } from './core/threat-engine.js';
+import { THREAT_RULE_SETS } from './core/threat-rules.js';
+import { SecureVault } from './secure-vault.js';
+import { EvidenceStore } from './evidence-store.js';
+import { Outbox, OUTBOX_SYNC_TAG, OUTBOX_DELIVERY_KINDS } from './outbox.js';
+import { SilentAlert } from './silent-alert.js';
+import { SW_MESSAGES, SW_DEFAULT_CONFIG } from './sw-bridge.js';
+
+// Bump on every release: a new version precaches into a fresh cache and
+// the old one is deleted once the new worker takes over
+const CACHE_VERSION = 18;
+const CACHE_PREFIX = 'safeguard-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+const OFFLINE_PAGE = '/offline.html';
+const NAVIGATION_TIMEOUT_MS = 3000;
+
 const urlsToCache = [
     '/',
     '/index.html',
+    OFFLINE_PAGE,
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/icon-maskable.svg',
     '/styles.css',
+    '/core/text-normalizer.js',
+    '/core/threat-engine.js',
+    '/core/threat-rules.js',
+    '/core/threat-model.js',
+    '/core/evidence-chain.js',
+    '/core/evidence-format.js',
+    '/core/zip-reader.js',
+    '/core/chat-parser.js',
+    '/core/scanner.js',
+    '/core/guardian-envelope.js',
+    '/core/index.js',
+    '/core/safe-html.js',
+    '/core/backup-archive.js',
+    '/app-modules.js',
+    '/secure-vault.js',
+    '/evidence-store.js',
+    '/outbox.js',
+    '/evidence-export.js',
+    '/device-backup.js',
+    '/escalation-tracker.js',
+    '/emergency-contacts.js',
+    '/response-rules.js',
+    '/threat-review.js',
+    '/threat-classifier.js',
+    '/classifier-worker.js',
+    '/models/threat-classifier.json',
+    '/sos-dispatcher.js',
+    '/safety-walk.js',
+    '/silent-alert.js',
+    '/guardian-link.js',
+    '/connect-policy.js',
+    '/panic-triggers.js',
+    '/disguise-mode.js',
+    '/sw-bridge.js',
+    '/chat-importers.js',
+    '/extension-bridge.js',
+    '/exif-reader.js',
+    '/screenshot-intake.js',
+    '/audio-evidence.js',
+    '/incident-report.js',
+    '/threat-analytics.js',
+    '/guardian.html',
+    '/guardian.js',
     '/script.js'
 ];
 
-// Install service worker
+// Icons on the SOS screen come from Font Awesome, so it must work offline too
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0';
+const externalAssets = [
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-brands-400.woff2`
+];
+
+// The screenshot text reader, copied in by bin/vendor-ocr.js
+const OCR_ASSETS = '/vendor/tesseract';
+const ocrAssets = [
+    `${OCR_ASSETS}/tesseract.min.js`,
+    `${OCR_ASSETS}/worker.min.js`,
+    `${OCR_ASSETS}/tesseract-core-lstm.wasm.js`,
+    `${OCR_ASSETS}/tesseract-core-simd-lstm.wasm.js`,
+    `${OCR_ASSETS}/eng.traineddata.gz`,
+    `${OCR_ASSETS}/hin.traineddata.gz`
+];
+
+// Served only from this version's cache (see precached)
+const precachedPaths = new Set([...urlsToCache, ...ocrAssets]);
+
+// Same IndexedDB database the page writes to. The worker never holds the
+// PIN, so it can only seal evidence into the inbox for the app to pick up.
+const evidenceStore = new EvidenceStore();
+evidenceStore.vault = new SecureVault({ store: evidenceStore });
+const outbox = new Outbox({ store: evidenceStore });
+const silentAlert = new SilentAlert({ store: evidenceStore, outbox });
+const threatEngine = new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+
+// Install: precache the app shell. The new worker then waits until the
+// page accepts the update prompt, so code never changes under an open app.
 self.addEventListener('install', event => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => cache.addAll(urlsToCache))
+        caches.open(CACHE_NAME).then(async cache => {
+            await cache.addAll(urlsToCache.map(url => new Request(url, { cache: 'reload' })));
+            // A CDN hiccup or a missing OCR build must not stop the app itself from installing
+            await Promise.all([
+                ...externalAssets.map(url => new Request(url, { mode: 'cors' })),
+                ...ocrAssets.map(url => new Request(url, { cache: 'reload' }))
+            ].map(request => cache.add(request)
+                .catch(error => console.log(`Could not precache ${request.url}:`, error.message))
+            ));
+        })
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
     );
 });
 
-// Fetch event
 self.addEventListener('fetch', event => {
-    event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request);
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (request.mode === 'navigate') {
+        event.respondWith(appShell(request));
+    } else if (url.origin === self.location.origin && precachedPaths.has(url.pathname)) {
+        event.respondWith(precached(request));
+    } else if (url.origin === self.location.origin || url.href.startsWith(FONT_AWESOME)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+    // Anything else (maps, alert endpoints) goes straight to the network
+});
+
+// Pages: the precached shell of this version, so the HTML always matches the
+// scripts cached with it. New releases arrive through the update prompt.
+async function appShell(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await Promise.race([
+            fetch(request),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Navigation timed out')), NAVIGATION_TIMEOUT_MS))
+        ]);
+    } catch (error) {
+        return cache.match(OFFLINE_PAGE);
+    }
+}
+
+// Versioned assets: only the copies installed with this version, so a
+// script fetched later never runs beside the ones cached with it. An OCR
+// file that failed to precache comes from the network and is not stored.
+async function precached(request) {
+    const cache = await caches.open(CACHE_NAME);
+    return (await cache.match(request, { ignoreSearch: true })) || fetch(request);
+}
+
+// Unversioned and third-party assets: answer from the cache at once and
+// refresh it in the background
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            // Opaque responses are kept too; Font Awesome may come back without CORS
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// Page requests. Every request gets one reply on the port it came with.
+self.addEventListener('message', event => {
+    const { type, payload } = event.data || {};
+    const port = event.ports[0];
+
+    const handlers = {
+        [SW_MESSAGES.ANALYZE]: () => scoreMessage(payload),
+        [SW_MESSAGES.CONFIGURE]: () => configure(payload),
+        [SW_MESSAGES.STORE_EVIDENCE]: () => evidenceStore.addToInbox(payload.record),
+        [SW_MESSAGES.FLUSH_OUTBOX]: () => flushOutbox(),
+        [SW_MESSAGES.STATUS]: () => status(),
+        [SW_MESSAGES.SKIP_WAITING]: () => self.skipWaiting()
+    };
+
+    const work = handlers[type]
+        ? handlers[type]()
+        : Promise.reject(new Error(`Unknown message type: ${type}`));
+
+    event.waitUntil(
+        Promise.resolve(work)
+            .then(result => port && port.postMessage({ result }))
+            .catch(error => {
+                console.error(`Service worker ${type} failed:`, error);
+                if (port) port.postMessage({ error: error.message });
             })
     );
 });
 
-// Background monitoring
-let monitoringConfig = null;
-let isMonitoring = false;
+async function loadConfig() {
+    return { ...SW_DEFAULT_CONFIG, ...((await evidenceStore.getPlainSetting('workerConfig')) || {}) };
+}
 
-self.addEventListener('message', event => {
-    const { type, config } = event.data;
-    
-    switch (type) {
-        case 'START_MONITORING':
-            monitoringConfig = config;
-            isMonitoring = true;
-            startBackgroundMonitoring();
-            break;
-            
-        case 'STOP_MONITORING':
-            isMonitoring = false;
-            break;
+async function configure(changes = {}) {
+    const config = { ...(await loadConfig()), ...changes };
+    await evidenceStore.setPlainSetting('workerConfig', config);
+    return config;
+}
+
+async function status() {
+    const [config, outboxEntries, inbox] = await Promise.all([
+        loadConfig(),
+        evidenceStore.listOutbox(),
+        evidenceStore.inboxSize()
+    ]);
+    const count = kind => outboxEntries.filter(entry => entry.kind === kind).length;
+
+    return {
+        config,
+        pendingDeliveries: outboxEntries.filter(entry => OUTBOX_DELIVERY_KINDS.includes(entry.kind)).length,
+        queuedAlerts: count('alert'),
+        pendingReviews: count('review'),
+        inbox,
+        version: CACHE_VERSION
+    };
+}
+
+async function broadcast(type, payload) {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type, payload }));
+    return windows;
+}
+
+// Scoring happens here so messages that arrive with the app closed
+// (push, share) are still checked and kept as evidence
+// Rules only: the on-device classifier runs in a dedicated Worker, which a
+// service worker cannot start, and its settings are encrypted
+async function scoreMessage({ content, sender = 'unknown', conversation, source = 'service-worker', timestamp }) {
+    const analysis = threatEngine.analyze(content || '');
+    const config = await loadConfig();
+    const top = ThreatEngine.topCategory(analysis);
+    const result = {
+        score: analysis.score,
+        categories: analysis.categories,
+        language: analysis.language,
+        explanation: ThreatEngine.explain(analysis),
+        threat: analysis.score > config.threshold
+    };
+    if (!result.threat) return result;
+
+    const time = timestamp || new Date().toISOString();
+    result.evidenceId = await evidenceStore.addToInbox({
+        type: 'message',
+        content,
+        source,
+        sender,
+        conversation,
+        threatLevel: analysis.score,
+        analysis: ThreatEngine.evidenceView(analysis),
+        timestamp: time
+    });
+
+    // Only ids and scores are queued in the clear; the message itself stays sealed
+    const alert = {
+        evidenceId: result.evidenceId,
+        score: analysis.score,
+        category: top ? top[0] : null,
+        source,
+        timestamp: time
+    };
+    alert.alertId = await evidenceStore.addToOutbox({ kind: 'alert', ...alert });
+    await raiseAlert(alert, config);
+    return result;
+}
+
+async function raiseAlert(alert, config) {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const visible = windows.filter(client => client.visibilityState === 'visible');
+
+    // An open app shows the alert itself; otherwise it waits in the outbox
+    if (visible.length > 0) {
+        visible.forEach(client => client.postMessage({ type: SW_MESSAGES.THREAT_DETECTED, payload: alert }));
+        return;
     }
-});
+    if (!config.monitoring || Notification.permission !== 'granted') return;
 
-function startBackgroundMonitoring() {
-    if (!isMonitoring) return;
-    
-    // Simulate background message monitoring
-    setInterval(() => {
-        if (!isMonitoring) return;
-        
-        // In a real implementation, this would:
-        // 1. Monitor device messages
-        // 2. Process for harassment
-        // 3. Send notifications
-        // 4. Store alerts
-        
-        // For demo, occasionally send test notifications
-        if (Math.random() < 0.01) { // 1% chance every interval
-            self.registration.showNotification('SafeGuard Alert', {
-                body: 'Background monitoring detected potential threat',
-                icon: '/favicon.ico',
-                badge: '/favicon.ico',
-                tag: 'background-alert',
-                requireInteraction: true,
-                actions: [
-                    {
-                        action: 'view',
-                        title: 'View Details'
-                    },
-                    {
-                        action: 'dismiss',
-                        title: 'Dismiss'
-                    }
-                ]
-            });
-        }
-    }, 30000); // Check every 30 seconds
+    await self.registration.showNotification('SafeGuard Alert', {
+        body: `Possible ${alert.category || 'threat'} detected (${Math.round(alert.score * 100)}% risk)`,
+        icon: '/icon.svg',
+        badge: '/icon.svg',
+        tag: `threat-${alert.alertId}`,
+        requireInteraction: true,
+        data: alert,
+        actions: [
+            { action: 'view', title: 'View' },
+            { action: 'mark-safe', title: 'Mark safe' },
+            { action: 'send-sos', title: 'Send SOS' }
+        ]
+    });
 }
 
+// Messages relayed by push, e.g. { type: 'message', sender, content }
+self.addEventListener('push', event => {
+    let data = null;
+    try {
+        data = event.data ? event.data.json() : null;
+    } catch (error) {
+        console.error('Unreadable push payload:', error);
+    }
+    if (!data || data.type !== 'message') return;
+
+    event.waitUntil(scoreMessage({ ...data, source: data.source || 'push' }));
+});
+
 // Handle notification clicks
 self.addEventListener('notificationclick', event => {
     event.notification.close();
-    
-    if (event.action === 'view') {
-        event.waitUntil(
-            clients.openWindow('/')
-        );
-    }
+    event.waitUntil(handleNotificationAction(event.action || 'view', event.notification.data || {}));
 });
 
-// Background sync for offline functionality
+async function handleNotificationAction(action, data) {
+    if (action === 'mark-safe') {
+        // Applied to the evidence record by the app after its next unlock
+        await evidenceStore.addToOutbox({ kind: 'review', evidenceId: data.evidenceId, verdict: 'false-positive' });
+        await evidenceStore.removeFromOutbox(data.alertId);
+        await broadcast(SW_MESSAGES.NOTIFICATION_ACTION, { action, ...data });
+        return;
+    }
+
+    if (action === 'send-sos') {
+        // Goes out straight away; the full SOS chain needs the app and the user
+        await silentAlert.send({ reason: 'panic', trigger: 'notification' });
+    }
+
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        await windows[0].focus();
+        windows[0].postMessage({ type: SW_MESSAGES.NOTIFICATION_ACTION, payload: { action, ...data } });
+        return;
+    }
+
+    const params = new URLSearchParams({ action });
+    if (data.evidenceId) params.set('evidence', data.evidenceId);
+    await clients.openWindow(`/?${params}`);
+}
+
+// Background sync: retry pending SOS notices and silent alerts; only the
+// unlocked app can open sealed ones, so those wait for it
 self.addEventListener('sync', event => {
-    if (event.tag === 'background-sync') {
-        event.waitUntil(doBackgroundSync());
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        // Rejecting makes the browser schedule another attempt
+        event.waitUntil(flushOutbox().then(summary => {
+            if (summary.failed > 0) throw new Error(`${summary.failed} deliveries still pending`);
+        }));
     }
 });
 
-function doBackgroundSync() {
-    // Sync any pending data when connection is restored
-    return Promise.resolve();
-}
\ No newline at end of file
+async function flushOutbox() {
+    const result = await outbox.flush();
+    const summary = { sent: result.sent.length, failed: result.failed.length, dropped: result.dropped.length };
+    if (summary.sent || summary.dropped) await broadcast(SW_MESSAGES.OUTBOX_FLUSHED, summary);
+    return summary;
+}
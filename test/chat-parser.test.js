@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatParser } from '../core/index.js';
+
+const file = (name, content) => new File([content], name);
+
+test('leaves out Telegram entries without a usable date and counts them', async () => {
+    const parsed = await ChatParser.parseFile(file('result.json', JSON.stringify({
+        name: 'Ravi',
+        type: 'personal_chat',
+        messages: [
+            { id: 1, type: 'message', date: '2024-03-12T21:15:00', from: 'Ravi', text: 'where are you' },
+            { id: 2, type: 'message', from: 'Ravi', text: 'no date on this one' },
+            { id: 3, type: 'message', date: 'not a date', from: 'Ravi', text: 'or this one' },
+            { id: 4, type: 'message', date_unixtime: '1710278200', from: 'Ravi', text: 'answer me' }
+        ]
+    })));
+
+    assert.equal(parsed.format, 'telegram');
+    assert.equal(parsed.messageCount, 2);
+    assert.equal(parsed.undated, 2);
+    assert.equal(parsed.conversations[0].undated, 2);
+    assert.deepEqual(parsed.conversations[0].messages.map(message => message.text), ['where are you', 'answer me']);
+});
+
+test('leaves out SMS rows without a date and keeps the rest', async () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<smses count="3">
+  <sms address="+911234567890" date="1710278100000" type="1" body="first" contact_name="Ravi" />
+  <sms address="+911234567890" type="1" body="no date" contact_name="Ravi" />
+  <sms address="+911234567890" date="1710278200000" type="2" body="stop" contact_name="Ravi" />
+</smses>`;
+    const parsed = await ChatParser.parseFile(file('sms.xml', xml));
+
+    assert.equal(parsed.messageCount, 2);
+    assert.equal(parsed.undated, 1);
+    assert.deepEqual(parsed.conversations[0].messages.map(message => message.direction), ['incoming', 'outgoing']);
+});
+
+test('still refuses a file where no message has a date', async () => {
+    await assert.rejects(
+        ChatParser.parseFile(file('result.json', JSON.stringify({ name: 'Ravi', messages: [{ type: 'message', from: 'Ravi', text: 'hi' }] }))),
+        /No messages found/
+    );
+});
+
+test('message() returns null instead of throwing on a bad timestamp', () => {
+    assert.equal(ChatParser.message({ sender: 'Ravi', timestamp: undefined, text: 'hi', conversation: 'Ravi' }), null);
+    assert.equal(ChatParser.message({ sender: 'Ravi', timestamp: NaN, text: 'hi', conversation: 'Ravi' }), null);
+    assert.equal(ChatParser.message({ sender: 'Ravi', timestamp: 0, text: 'hi', conversation: 'Ravi' }).timestamp, '1970-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+import { parseHTML } from 'linkedom';
+import { ConnectPolicy } from '../connect-policy.js';
+import { EvidenceStore } from '../evidence-store.js';
+import { SecureVault } from '../secure-vault.js';
+
+// The page's stores as they are right after a reload: the vault set up but locked
+const openLocked = name => {
+    const store = new EvidenceStore({ name, indexedDB });
+    store.vault = new SecureVault({ store });
+    return store;
+};
+
+test('origins keeps one http(s) origin per address', () => {
+    assert.deepEqual(ConnectPolicy.origins([
+        'https://relay.example/channels/abc',
+        'https://relay.example:443/',
+        'http://localhost:8787',
+        'javascript:alert(1)',
+        '',
+        'not a url'
+    ]), ['http://localhost:8787', 'https://relay.example']);
+});
+
+test('the stored origins are applied before the vault is unlocked', async () => {
+    const setup = openLocked('connect-policy-test');
+    await setup.vault.setup('482915');
+    await ConnectPolicy.save(setup, ['https://ntfy.example/topic', 'https://relay.example']);
+    setup.vault.lock();
+
+    const { document } = parseHTML('<!DOCTYPE html><html><head></head><body></body></html>');
+    const store = openLocked('connect-policy-test');
+    const origins = await ConnectPolicy.load(store, document);
+
+    assert.equal(store.vault.isUnlocked, false);
+    assert.deepEqual(origins, ['https://ntfy.example', 'https://relay.example']);
+    const policy = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    assert.equal(policy.getAttribute('content'), "connect-src 'self' https://ntfy.example https://relay.example");
+
+    // Kept under the device key, not in clear
+    const entry = await store.request((await store.open()).transaction('settings').objectStore('settings').get('connectOrigins'));
+    assert.equal(entry.encrypted, true);
+    assert.equal(entry.value.device, true);
+});
+
+test('nothing is applied before the origins have been worked out', async () => {
+    const { document } = parseHTML('<!DOCTYPE html><html><head></head><body></body></html>');
+    assert.equal(await ConnectPolicy.load(openLocked('connect-policy-empty'), document), null);
+    assert.equal(document.querySelector('meta'), null);
+});
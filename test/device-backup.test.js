@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createContext, runInContext } from 'node:vm';
+import { indexedDB } from 'fake-indexeddb';
+import { EvidenceStore } from '../evidence-store.js';
+import { SecureVault } from '../secure-vault.js';
+
+// evidence-store.js runs in the page and the worker, where self is the global
+globalThis.self = globalThis;
+
+// device-backup.js is a classic script; restoreEvidence only needs the store
+const source = await readFile(new URL('../device-backup.js', import.meta.url), 'utf8');
+const { DeviceBackup } = runInContext(`${source}\n({ DeviceBackup })`, createContext({}));
+
+const openUnlocked = async name => {
+    const store = new EvidenceStore({ name, indexedDB });
+    store.vault = new SecureVault({ store });
+    await store.vault.setup('482915');
+    return store;
+};
+
+const message = (id, timestamp) => ({ id, type: 'message', sender: 'Sam', content: `Message ${id}`, timestamp });
+
+test('seals backup records the other device never sealed, once', async () => {
+    const other = await openUnlocked('backup-source-test');
+    await other.addMany([message('sealed-1', '2026-01-01T10:00:00.000Z')]);
+    const unsealed = message('unsealed-1', '2026-01-01T11:00:00.000Z');
+    const backup = { head: await other.getSetting('chainHead'), records: [...await other.chainRecords(), unsealed] };
+
+    const store = await openUnlocked('backup-target-test');
+    const backups = new DeviceBackup({ store });
+    const first = await backups.restoreEvidence(backup, { problems: [] });
+    assert.equal(first.added, 2);
+    assert.equal(first.unsealed, 1);
+
+    const records = await store.chainRecords();
+    assert.deepEqual(records.map(record => [record.id, record.seq]), [['sealed-1', 1], ['unsealed-1', 2]]);
+    assert.equal((await store.verifyChain()).valid, true);
+
+    const again = await backups.restoreEvidence(backup, { problems: [] });
+    assert.equal(again.added, 0);
+    assert.equal(again.skipped, 2);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { runInContext, createContext } from 'node:vm';
+import { parseHTML, NodeFilter } from 'linkedom';
+import { ThreatEngine, THREAT_RULE_SETS } from '../core/index.js';
+
+// Same files and threshold as extension/fixtures/harness.js
+const FIXTURES = ['whatsapp-web.html', 'instagram-direct.html', 'x-messages.html'];
+const FIXTURE_THRESHOLD = 0.7;
+const extension = new URL('../extension/', import.meta.url);
+const engine = new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+
+// adapters.js is a content script: run it as one, with a DOM's globals.
+// Arrays it returns are spread into this realm before deepEqual compares them.
+async function loadAdapters(window) {
+    const context = createContext({ Node: window.Node, NodeFilter });
+    runInContext(await readFile(new URL('adapters.js', extension), 'utf8'), context);
+    return runInContext('({ SiteAdapters, SITE_ADAPTERS })', context);
+}
+
+for (const name of FIXTURES) {
+    test(`reads ${name}`, async () => {
+        const { window, document } = parseHTML(await readFile(new URL(`fixtures/${name}`, extension), 'utf8'));
+        const { SiteAdapters } = await loadAdapters(window);
+        const expected = JSON.parse(document.getElementById('expected').textContent);
+
+        const adapter = SiteAdapters.forHost(expected.location.hostname);
+        assert.equal(adapter && adapter.id, expected.adapter);
+        assert.equal(SiteAdapters.isChatPage(adapter, expected.location), true);
+
+        const messages = [...SiteAdapters.collect(adapter, document)];
+        assert.deepEqual(
+            messages.map(({ sender, incoming, sentAt, text, conversation }) => ({ sender, incoming, sentAt, text, conversation })),
+            expected.messages.map(message => ({ ...message, conversation: expected.conversation }))
+        );
+        messages.forEach(message => assert.ok(message.anchor, `no anchor for "${message.text}"`));
+
+        // The same decision the background worker makes for a badge
+        const flagged = messages.filter(message => message.incoming && engine.analyze(message.text).score > FIXTURE_THRESHOLD);
+        assert.deepEqual(flagged.map(message => message.text), expected.flagged);
+    });
+}
+
+test('adapters cover exactly the sites the manifest injects them into', async () => {
+    const { window } = parseHTML('<!DOCTYPE html><html><body></body></html>');
+    const { SITE_ADAPTERS } = await loadAdapters(window);
+    const manifest = JSON.parse(await readFile(new URL('manifest.json', extension), 'utf8'));
+    const matches = manifest.content_scripts.find(script => script.js.includes('adapters.js')).matches;
+
+    assert.deepEqual(
+        [...SITE_ADAPTERS.flatMap(adapter => adapter.hosts)].map(host => `https://${host}/*`).sort(),
+        [...matches].sort()
+    );
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { indexedDB } from 'fake-indexeddb';
+import { EvidenceStore } from '../evidence-store.js';
+import { Outbox } from '../outbox.js';
+import { SecureVault } from '../secure-vault.js';
+
+// outbox.js runs in the page and the worker, where self is the global
+globalThis.self = globalThis;
+
+const openLocked = name => {
+    const store = new EvidenceStore({ name, indexedDB });
+    store.vault = new SecureVault({ store });
+    return store;
+};
+
+const offline = async () => { throw new Error('Failed to fetch'); };
+
+test('a delivery queued while locked is sealed and only sent once unlocked', async () => {
+    const store = openLocked('outbox-test');
+    await store.vault.setup('482915');
+    store.vault.lock();
+
+    const payload = { type: 'silent-alert', message: 'Help', location: { latitude: 51.5072, longitude: -0.1276 } };
+    assert.equal(await new Outbox({ store, fetch: offline }).send('silent-alert', 'https://ntfy.example/alerts', payload), 'queued');
+
+    const [queued] = await store.listOutbox();
+    assert.equal(queued.sealed.sealed, true);
+    for (const secret of ['ntfy.example', 'Help', '51.5072']) {
+        assert.equal(JSON.stringify(queued).includes(secret), false, secret);
+    }
+
+    const sent = [];
+    const outbox = new Outbox({ store, fetch: async (endpoint, init) => { sent.push({ endpoint, body: JSON.parse(init.body) }); } });
+    const locked = await outbox.flush();
+    assert.equal(locked.sent.length, 0);
+    assert.equal(sent.length, 0);
+    assert.equal((await store.listOutbox()).length, 1);
+
+    await store.vault.unlock('482915');
+    const unlocked = await outbox.flush();
+    assert.equal(unlocked.sent.length, 1);
+    assert.deepEqual(sent, [{ endpoint: 'https://ntfy.example/alerts', body: payload }]);
+    assert.equal((await store.listOutbox()).length, 0);
+});
+
+test('a failed guardian delivery is stored back sealed', async () => {
+    const store = openLocked('outbox-guardian-test');
+    await store.vault.setup('482915');
+
+    const outbox = new Outbox({ store, fetch: offline });
+    await outbox.send('guardian', 'https://relay.example/channels/abc/events', { token: 'publish-secret', event: {} });
+    const result = await outbox.flush();
+
+    assert.equal(result.failed.length, 1);
+    const [queued] = await store.listOutbox();
+    assert.equal(queued.attempts, 1);
+    assert.equal(queued.endpoint, undefined);
+    assert.equal(JSON.stringify(queued).includes('publish-secret'), false);
+});
+
+test('deliveries queued in clear by older versions are sealed on upgrade', async () => {
+    const store = openLocked('outbox-upgrade-test');
+    await store.vault.setup('482915');
+    await store.setPlainSetting('storageVersion', 2);
+    await store.addToOutbox({ kind: 'sos', endpoint: 'https://ntfy.example/alerts', payload: { message: 'Help' } });
+    await store.addToOutbox({ kind: 'review', evidenceId: 'e1', score: 0.9 });
+
+    await store.upgradeStorage();
+
+    const [sos] = await store.listOutbox('sos');
+    const [review] = await store.listOutbox('review');
+    assert.equal(sos.endpoint, undefined);
+    assert.deepEqual(await store.vault.openSealed(sos.sealed), { endpoint: 'https://ntfy.example/alerts', payload: { message: 'Help' } });
+    assert.equal(review.evidenceId, 'e1');
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { GuardianRelay } from '../relay/server.js';
+
+let directory;
+let relay;
+let server;
+let base;
+
+const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'relay-test-'));
+    relay = new GuardianRelay({ dataFile: join(directory, 'channels.json') });
+    server = createServer((request, response) => relay.handle(request, response));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await relay.close();
+    await new Promise(resolve => server.close(resolve));
+    await rm(directory, { recursive: true, force: true });
+});
+
+test('answers 400 to bodies that are not JSON objects', async () => {
+    for (const body of ['null', '[]', '42', '"text"', 'true', '{not json']) {
+        const response = await post('/channels/aaaaaaaaaaaaaaaa/events', body);
+        assert.equal(response.status, 400, body);
+        assert.match((await response.json()).error, /JSON/);
+    }
+    assert.equal((await post('/channels', 'null')).status, 400);
+});
+
+test('opens a channel and accepts sealed events', async () => {
+    const id = 'channel-aaaaaaaaaaaa';
+    const created = await post('/channels', { id, publishKey: GuardianRelay.hash('publish'), readKey: GuardianRelay.hash('read') });
+    assert.equal(created.status, 201);
+
+    const published = await post(`/channels/${id}/events`, { token: 'publish', event: { v: 1, iv: 'aa', data: 'bb' } });
+    assert.equal(published.status, 202);
+    assert.equal((await post(`/channels/${id}/events`, { token: 'read', event: { v: 1, iv: 'aa', data: 'bb' } })).status, 403);
+});
+
+test('limits how many channels one address can open', async () => {
+    const limited = new GuardianRelay({ dataFile: join(directory, 'limited.json'), createLimit: 2 });
+    const open = (id, address) => limited.create({ id, publishKey: GuardianRelay.hash('p'), readKey: GuardianRelay.hash('r') }, address);
+
+    await open('limited-aaaaaaaaaaa1', '203.0.113.5');
+    await open('limited-aaaaaaaaaaa2', '203.0.113.5');
+    await assert.rejects(open('limited-aaaaaaaaaaa3', '203.0.113.5'), error => error.status === 429 && error.retryAfter > 0);
+    await open('limited-aaaaaaaaaaa3', '203.0.113.6');
+});
+
+test('forgets invitations never opened and channels revoked long ago', async () => {
+    const expiring = new GuardianRelay({ dataFile: join(directory, 'expiring.json'), expiryMs: 1000 });
+    const keys = { publishKey: GuardianRelay.hash('p'), readKey: GuardianRelay.hash('r') };
+    for (const id of ['unopened-aaaaaaaaaa', 'followed-aaaaaaaaaa', 'revoked-aaaaaaaaaaa']) await expiring.create({ id, ...keys });
+    expiring.channels.get('followed-aaaaaaaaaa').openedAt = new Date().toISOString();
+    await expiring.revoke('revoked-aaaaaaaaaaa', 'p');
+
+    assert.equal(await expiring.sweep(Date.now()), 0);
+    assert.equal(await expiring.sweep(Date.now() + 2000), 2);
+    assert.deepEqual([...expiring.channels.keys()], ['followed-aaaaaaaaaa']);
+});
+
+test('keeps an invitation nobody opened yet while it is still published to', async () => {
+    const expiring = new GuardianRelay({ dataFile: join(directory, 'published.json'), expiryMs: 1000 });
+    const keys = { publishKey: GuardianRelay.hash('p'), readKey: GuardianRelay.hash('r') };
+    await expiring.create({ id: 'published-aaaaaaaaa', ...keys });
+    expiring.channels.get('published-aaaaaaaaa').createdAt = new Date(Date.now() - 5000).toISOString();
+
+    expiring.publish('published-aaaaaaaaa', 'p', { v: 1, iv: 'aa', data: 'bb' });
+    assert.equal(await expiring.sweep(Date.now() + 500), 0);
+    assert.equal(await expiring.sweep(Date.now() + 2000), 1);
+});
+
+test('keeps the backlog of all channels under the byte limit, dropping the oldest events', async () => {
+    const small = new GuardianRelay({ dataFile: join(directory, 'small.json'), backlogBytes: 1000 });
+    const keys = { publishKey: GuardianRelay.hash('p'), readKey: GuardianRelay.hash('r') };
+    const event = { v: 1, iv: 'aaaa', data: 'b'.repeat(296) };
+    for (const id of ['backlog-aaaaaaaaaaa1', 'backlog-aaaaaaaaaaa2']) await small.create({ id, ...keys });
+
+    small.publish('backlog-aaaaaaaaaaa1', 'p', event);
+    small.publish('backlog-aaaaaaaaaaa1', 'p', event);
+    small.publish('backlog-aaaaaaaaaaa2', 'p', event);
+    small.publish('backlog-aaaaaaaaaaa2', 'p', event);
+
+    assert.equal(small.backlogBytes, 900);
+    assert.equal(small.backlog.get('backlog-aaaaaaaaaaa1').length, 1);
+    assert.equal(small.backlog.get('backlog-aaaaaaaaaaa2').length, 2);
+
+    await small.revoke('backlog-aaaaaaaaaaa2', 'p');
+    assert.equal(small.backlogBytes, 300);
+});
+
+test('only counts channels actually opened against the address', async () => {
+    const full = new GuardianRelay({ dataFile: join(directory, 'full.json'), createLimit: 2, maxChannels: 1 });
+    const open = id => full.create({ id, publishKey: GuardianRelay.hash('p'), readKey: GuardianRelay.hash('r') }, '203.0.113.7');
+
+    await open('full-aaaaaaaaaaaaaa1');
+    for (let attempt = 0; attempt < 3; attempt++) {
+        await assert.rejects(open('full-aaaaaaaaaaaaaa2'), error => error.status === 503);
+    }
+    full.channels.clear();
+    await open('full-aaaaaaaaaaaaaa2');
+    await assert.rejects(open('full-aaaaaaaaaaaaaa3'), error => error.status === 429);
+});
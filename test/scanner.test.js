@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatParser, ThreatScanner, SCAN_FORMAT } from '../core/index.js';
+
+const chat = [
+    '12/03/24, 9:15 pm - Priya: see you at the station',
+    '12/03/24, 9:16 pm - Ravi: I know where you live and I will hurt you',
+    '12/03/24, 9:17 pm - Priya: leave me alone'
+].join('\n');
+
+test('scores incoming messages and skips the user\'s own', () => {
+    const parsed = { format: 'whatsapp', fileName: 'chat.txt', conversations: [ChatParser.parseWhatsApp(chat, 'Ravi')] };
+    const file = new ThreatScanner({ self: ['Priya'] }).scan(parsed);
+
+    assert.equal(file.summary.total, 3);
+    assert.equal(file.summary.scanned, 1);
+    assert.equal(file.summary.outgoing, 2);
+    assert.deepEqual(file.messages.map(message => message.index), [1, 2, 3]);
+    assert.equal(file.messages[0].score, null);
+    assert.equal(file.messages[1].threat, true);
+    assert.equal(file.summary.bySender.Ravi, 1);
+});
+
+test('wraps files in a versioned report', () => {
+    const scanner = new ThreatScanner();
+    const parsed = { ...ChatParser.parsePlainText('hello there', 'notes.txt', 0), fileName: 'notes.txt' };
+    const report = scanner.report([scanner.scan(parsed)]);
+
+    assert.equal(report.format, SCAN_FORMAT);
+    assert.equal(report.classifier, null);
+    assert.equal(report.summary.threats, 0);
+    assert.match(ThreatScanner.toCsv(report), /^file,index,conversation/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextNormalizer, ThreatEngine, THREAT_RULE_SETS } from '../core/index.js';
+
+const normalizer = new TextNormalizer();
+const engine = new ThreatEngine({ ruleSets: THREAT_RULE_SETS });
+
+test('joins letters spread out with spaces or punctuation', () => {
+    assert.equal(normalizer.normalize('k i l l').text, 'kill');
+    assert.equal(normalizer.normalize('k . i . l . l you').text, 'kill you');
+    assert.equal(normalizer.normalize('I will k i l l you').text, 'i will kill you');
+});
+
+test('keeps a leading "I" out of the spaced-out word after it', () => {
+    // Only the engine's normalizer knows "hate" is a word
+    const normalized = engine.normalizer.normalize('I h a t e you');
+    assert.equal(normalized.text, 'i hate you');
+
+    const start = normalized.text.indexOf('hate');
+    assert.deepEqual(TextNormalizer.mapSpan(normalized, start, start + 4), { start: 2, end: 9 });
+    assert.ok(engine.analyze('I h a t e you').score > 0);
+});
+
+test('still joins a short run that starts with a single-letter word', () => {
+    assert.equal(normalizer.normalize('a s s').text, 'ass');
+});
+
+test('joins a spaced-out word that starts with "i" or "a"', () => {
+    assert.equal(engine.normalizer.normalize('i d i o t').text, 'idiot');
+    assert.equal(engine.normalizer.normalize('a s s h o l e').text, 'asshole');
+    assert.ok(engine.analyze('you i d i o t').score > 0);
+    assert.ok(engine.analyze('a s s h o l e').score > 0);
+});
+
+test('leaves expanded shorthand out of spaced-letter runs', () => {
+    assert.equal(normalizer.normalize('u r ded').text, 'you are dead');
+    assert.ok(engine.analyze('u r ded').score > 0);
+});
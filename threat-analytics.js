@@ -0,0 +1,160 @@
+// SafeGuard Pro - Threat Analytics
+// Dashboard numbers computed from what is actually stored: threat records
+// from the evidence store and the per-sender message history kept by the
+// escalation tracker (which also counts messages that were not threats).
+// Charts are SVG built with html``; nothing is sent to a chart service.
+const ANALYTICS_RANGES = [7, 30, 90];
+const ANALYTICS_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const ANALYTICS_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const ANALYTICS_DAY_MS = 24 * 60 * 60 * 1000;
+
+class ThreatAnalytics {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.tracker = options.tracker;
+    }
+
+    async load(days = 30, now = new Date()) {
+        const since = ThreatAnalytics.startOfDay(new Date(now.getTime() - (days - 1) * ANALYTICS_DAY_MS));
+        const records = await this.store.listAll({
+            index: 'typeTimestamp',
+            range: IDBKeyRange.bound(['message', since.toISOString()], ['message', '\uffff']),
+            direction: 'next'
+        });
+        return ThreatAnalytics.summarize({
+            records,
+            profiles: Object.values(this.tracker.profiles),
+            days,
+            now
+        });
+    }
+
+    static startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+
+    static dayKey(date) {
+        const day = new Date(date);
+        return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    }
+
+    static summarize({ records, profiles, days, now = new Date() }) {
+        const since = ThreatAnalytics.startOfDay(new Date(now.getTime() - (days - 1) * ANALYTICS_DAY_MS)).getTime();
+        // Threats the user reviewed as false positives are not counted
+        const inRange = records.filter(record => new Date(record.timestamp).getTime() >= since &&
+            ThreatReview.verdictOf(record) !== 'false-positive');
+
+        // Local calendar days, oldest first
+        const trend = [];
+        for (let i = days - 1; i >= 0; i--) {
+            // Stepping by calendar date rather than 24h keeps DST changes from skipping a day
+            const date = new Date(now);
+            date.setDate(date.getDate() - i);
+            trend.push({ date: ThreatAnalytics.dayKey(date), analyzed: 0, threats: 0 });
+        }
+        const byDay = Object.fromEntries(trend.map(day => [day.date, day]));
+
+        // Sender history is capped per sender, so long ranges may undercount analyzed messages
+        let analyzedInRange = 0;
+        profiles.forEach(profile => profile.history.forEach(entry => {
+            if (entry.time < since) return;
+            analyzedInRange++;
+            const day = byDay[ThreatAnalytics.dayKey(entry.time)];
+            if (day) day.analyzed++;
+        }));
+
+        const bySeverity = Object.fromEntries(ANALYTICS_SEVERITIES.map(severity => [severity, 0]));
+        const byCategory = {};
+        const senders = {};
+        // Rows are Monday to Sunday, columns are hours
+        const heatmap = ANALYTICS_DAYS.map(() => new Array(24).fill(0));
+
+        inRange.forEach(record => {
+            const time = new Date(record.timestamp);
+            const top = record.analysis ? ThreatEngine.topCategory(record.analysis) : null;
+            const category = top ? top[0] : 'other';
+
+            bySeverity[record.severity] = (bySeverity[record.severity] || 0) + 1;
+            byCategory[category] = (byCategory[category] || 0) + 1;
+            heatmap[(time.getDay() + 6) % 7][time.getHours()]++;
+
+            const day = byDay[ThreatAnalytics.dayKey(time)];
+            if (day) day.threats++;
+
+            const key = (record.sender || 'unknown').trim().toLowerCase();
+            const sender = senders[key] || (senders[key] = { sender: record.sender || 'unknown', threats: 0, peak: 0, lastSeen: null });
+            sender.threats++;
+            sender.peak = Math.max(sender.peak, record.threatLevel || 0);
+            if (!sender.lastSeen || record.timestamp > sender.lastSeen) sender.lastSeen = record.timestamp;
+        });
+
+        return {
+            days,
+            analyzed: profiles.reduce((sum, profile) => sum + (profile.messageCount || 0), 0),
+            analyzedInRange,
+            threats: inRange.length,
+            bySeverity,
+            byCategory: Object.entries(byCategory)
+                .map(([category, count]) => ({ category, count }))
+                .sort((a, b) => b.count - a.count),
+            topSenders: Object.values(senders)
+                .sort((a, b) => b.threats - a.threats || b.peak - a.peak)
+                .slice(0, 5),
+            heatmap,
+            trend
+        };
+    }
+
+    // Charts
+
+    static heatmapSvg(heatmap) {
+        const cell = 14;
+        const left = 34;
+        const top = 14;
+        const max = Math.max(1, ...heatmap.flat());
+        const width = left + 24 * cell;
+        const height = top + 7 * cell;
+
+        const hours = [0, 6, 12, 18].map(hour =>
+            html`<text x="${left + hour * cell}" y="10" class="chart-label">${String(hour).padStart(2, '0')}:00</text>`);
+        const rows = heatmap.map((counts, day) => html`
+            <text x="0" y="${top + day * cell + 11}" class="chart-label">${ANALYTICS_DAYS[day]}</text>
+            ${counts.map((count, hour) => html`
+                <rect x="${left + hour * cell}" y="${top + day * cell}" width="${cell - 2}" height="${cell - 2}" rx="2"
+                    class="heat-cell" fill-opacity="${count === 0 ? 0.06 : (0.25 + 0.75 * count / max).toFixed(2)}">
+                    <title>${ANALYTICS_DAYS[day]} ${String(hour).padStart(2, '0')}:00 - ${count} threat${count === 1 ? '' : 's'}</title>
+                </rect>`)}
+        `);
+
+        return html`<svg viewBox="0 0 ${width} ${height}" class="analytics-chart" role="img" aria-label="Threats by day of week and hour">${hours}${rows}</svg>`;
+    }
+
+    static trendSvg(trend) {
+        const width = 600;
+        const height = 160;
+        const bottom = 20;
+        const plot = height - bottom - 10;
+        const max = Math.max(1, ...trend.map(day => Math.max(day.analyzed, day.threats)));
+        const step = width / trend.length;
+        const barWidth = Math.max(1, step - 2);
+        const y = value => height - bottom - (value / max) * plot;
+
+        const bars = trend.map((day, i) => html`
+            <rect x="${(i * step).toFixed(1)}" y="${y(day.analyzed).toFixed(1)}" width="${barWidth.toFixed(1)}"
+                height="${(height - bottom - y(day.analyzed)).toFixed(1)}" class="trend-analyzed">
+                <title>${day.date}: ${day.analyzed} analyzed, ${day.threats} threats</title>
+            </rect>`);
+        const line = trend.map((day, i) => `${(i * step + barWidth / 2).toFixed(1)},${y(day.threats).toFixed(1)}`).join(' ');
+
+        return html`<svg viewBox="0 0 ${width} ${height}" class="analytics-chart" role="img" aria-label="Messages analyzed and threats per day">
+            <line x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" class="chart-axis"/>
+            ${bars}
+            <polyline points="${line}" class="trend-threats"/>
+            <text x="0" y="${height - 4}" class="chart-label">${trend[0].date}</text>
+            <text x="${width}" y="${height - 4}" text-anchor="end" class="chart-label">${trend[trend.length - 1].date}</text>
+            <text x="0" y="10" class="chart-label">max ${max}/day</text>
+        </svg>`;
+    }
+}
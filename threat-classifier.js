@@ -0,0 +1,106 @@
+// SafeGuard Pro - On-device Text Classifier
+// An optional second opinion next to the rule engine, for threats that avoid
+// the obvious words: veiled threats, slow coercion, sextortion. The model
+// itself lives in core/threat-model.js; this runs it in a Web Worker so the
+// page never waits on it. Nothing is sent anywhere; the worker and the
+// model are only loaded on first use.
+const CLASSIFIER_WORKER_URL = '/classifier-worker.js';
+
+class ThreatClassifier {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.workerUrl = options.workerUrl || CLASSIFIER_WORKER_URL;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.reset();
+    }
+
+    // Settings
+
+    async load() {
+        try {
+            this.settings = { enabled: false, weight: CLASSIFIER_DEFAULT_WEIGHT, ...((await this.store.getSetting('classifier')) || {}) };
+        } catch (error) {
+            console.error('Failed to load classifier settings:', error);
+            this.reset();
+        }
+        return this.settings;
+    }
+
+    reset() {
+        this.settings = { enabled: false, weight: CLASSIFIER_DEFAULT_WEIGHT };
+    }
+
+    async setEnabled(enabled) {
+        this.settings.enabled = enabled;
+        await this.store.setSetting('classifier', this.settings);
+        if (enabled) {
+            await this.warmUp();
+        } else {
+            this.terminate();
+        }
+    }
+
+    get isEnabled() {
+        return this.settings.enabled && typeof Worker !== 'undefined';
+    }
+
+    // Worker
+
+    startWorker() {
+        if (this.worker) return this.worker;
+        this.worker = new Worker(this.workerUrl, { type: 'module' });
+        this.worker.onmessage = ({ data }) => {
+            const request = this.pending.get(data.id);
+            if (!request) return;
+            this.pending.delete(data.id);
+            clearTimeout(request.timer);
+            if (data.error) {
+                request.reject(new Error(data.error));
+            } else {
+                request.resolve(data.result);
+            }
+        };
+        this.worker.onerror = (event) => {
+            // A worker that failed to start will not answer anything still waiting
+            this.pending.forEach(request => request.reject(new Error(event.message || 'Classifier worker failed')));
+            this.terminate();
+        };
+        return this.worker;
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(request => clearTimeout(request.timer));
+        this.pending.clear();
+    }
+
+    request(type, payload) {
+        const worker = this.startWorker();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Classifier did not answer ${type}`));
+            }, this.timeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ id, type, payload });
+        });
+    }
+
+    // Fetches the model ahead of the first message
+    warmUp() {
+        return this.request('load');
+    }
+
+    classify(text) {
+        return this.request('classify', { texts: [text] }).then(results => results[0]);
+    }
+
+    classifyMany(texts) {
+        return this.request('classify', { texts });
+    }
+}
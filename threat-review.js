@@ -0,0 +1,127 @@
+// SafeGuard Pro - Threat Review and Feedback
+// Every stored threat can be marked confirmed, false positive or "needs
+// evidence". The verdict is an annotation on the evidence record (outside
+// the hash, so the chain stays valid, but encrypted with it), and it tunes
+// future scoring: rules that keep firing on false positives lose weight,
+// confirmed ones gain a little, and phrases the user allows are ignored.
+// The tuning is stored as an encrypted setting, so the service worker
+// scores without it.
+const REVIEW_VERDICTS = ['confirmed', 'false-positive', 'needs-evidence'];
+// Per review, as a multiplier on the rule weight, and the bounds it stays in
+const REVIEW_CONFIRM_FACTOR = 1.1;
+const REVIEW_DISMISS_FACTOR = 0.8;
+const REVIEW_MIN_FACTOR = 0.2;
+const REVIEW_MAX_FACTOR = 1.5;
+
+class ThreatReview {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.engine = options.engine;
+        this.reset();
+    }
+
+    // "Mark safe" from an older notification is the same as a false positive
+    static verdictOf(record) {
+        const review = record.annotations && record.annotations.review;
+        return review === 'safe' ? 'false-positive' : review || null;
+    }
+
+    static firedRules(record) {
+        return (record.analysis && record.analysis.rules) || [];
+    }
+
+    async load() {
+        try {
+            const saved = (await this.store.getSetting('threatFeedback')) || {};
+            this.feedback = { rules: saved.rules || {}, allowPhrases: saved.allowPhrases || [] };
+        } catch (error) {
+            console.error('Failed to load review feedback:', error);
+            this.feedback = { rules: {}, allowPhrases: [] };
+        }
+        this.apply();
+        return this.feedback;
+    }
+
+    async save() {
+        await this.store.setSetting('threatFeedback', this.feedback);
+        this.apply();
+    }
+
+    // While locked the feedback is unreadable, so scoring falls back to the plain rules
+    reset() {
+        this.feedback = { rules: {}, allowPhrases: [] };
+        this.apply();
+    }
+
+    apply() {
+        if (this.engine) {
+            this.engine.setAdjustments({ ruleWeights: this.ruleWeights(), allowPhrases: this.feedback.allowPhrases });
+        }
+    }
+
+    ruleWeights() {
+        return Object.fromEntries(Object.entries(this.feedback.rules).map(([ruleId, counts]) => {
+            const factor = Math.pow(REVIEW_CONFIRM_FACTOR, counts.confirmed) * Math.pow(REVIEW_DISMISS_FACTOR, counts.falsePositive);
+            return [ruleId, Math.round(Math.min(REVIEW_MAX_FACTOR, Math.max(REVIEW_MIN_FACTOR, factor)) * 100) / 100];
+        }));
+    }
+
+    // Verdicts
+
+    async review(id, verdict, { via = 'inbox', reviewedAt = new Date().toISOString() } = {}) {
+        if (!REVIEW_VERDICTS.includes(verdict)) throw new Error('Unknown review verdict');
+        const record = await this.store.get(id);
+        if (!record) throw new Error('That record is no longer stored');
+
+        // Changing a verdict takes back what the old one taught
+        const previous = ThreatReview.verdictOf(record);
+        if (previous !== verdict) {
+            ThreatReview.firedRules(record).forEach(ruleId => {
+                const counts = this.feedback.rules[ruleId] || (this.feedback.rules[ruleId] = { confirmed: 0, falsePositive: 0 });
+                if (previous === 'confirmed') counts.confirmed--;
+                if (previous === 'false-positive') counts.falsePositive--;
+                if (verdict === 'confirmed') counts.confirmed++;
+                if (verdict === 'false-positive') counts.falsePositive++;
+                if (counts.confirmed <= 0 && counts.falsePositive <= 0) delete this.feedback.rules[ruleId];
+            });
+            await this.save();
+        }
+
+        // Anything the user may report later is kept past the retention limits
+        return this.store.annotate(id, {
+            review: verdict,
+            reviewedAt,
+            reviewedVia: via,
+            pinned: verdict !== 'false-positive'
+        });
+    }
+
+    async list({ filter = 'pending', after = null, limit = 20 } = {}) {
+        return this.store.list({
+            index: 'typeTimestamp',
+            range: IDBKeyRange.bound(['message', ''], ['message', '\uffff']),
+            after,
+            limit,
+            match: filter === 'all' ? null : record => {
+                const verdict = ThreatReview.verdictOf(record);
+                return filter === 'pending' ? !verdict : verdict === filter;
+            }
+        });
+    }
+
+    // Allow-phrases
+
+    async addAllowPhrase(phrase) {
+        const text = String(phrase || '').trim();
+        if (!text) throw new Error('Enter a phrase to allow');
+        if (!this.feedback.allowPhrases.some(existing => existing.toLowerCase() === text.toLowerCase())) {
+            this.feedback.allowPhrases.push(text);
+        }
+        await this.save();
+    }
+
+    async removeAllowPhrase(phrase) {
+        this.feedback.allowPhrases = this.feedback.allowPhrases.filter(existing => existing !== phrase);
+        await this.save();
+    }
+}